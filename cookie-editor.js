@@ -1,8 +1,19 @@
 import { BrowserDetector } from './interface/lib/browserDetector.js';
 import { PermissionHandler } from './interface/lib/permissionHandler.js';
 import { extractSharedDataFromUrl } from './interface/lib/sharing/cookieSharing.js';
+import { ShareIdentity } from './interface/lib/sharing/shareIdentity.js';
 import { GenericStorageHandler } from './interface/lib/genericStorageHandler.js';
 import { OptionsHandler } from './interface/lib/optionsHandler.js';
+import { GenericCookieHandler } from './interface/lib/genericCookieHandler.js';
+import { HistoryHandler } from './interface/lib/historyHandler.js';
+import { ProfileManager } from './interface/lib/profileManager.js';
+import { ProfileAutoSwitch } from './interface/lib/profileAutoSwitch.js';
+import { ProfileSync } from './interface/lib/profileSync.js';
+import { CookieCleanup } from './interface/lib/cookieCleanup.js';
+import { CookieProtection } from './interface/lib/cookieProtection.js';
+import { CookiePins } from './interface/lib/cookiePins.js';
+import { CookieAnalytics } from './interface/lib/cookieAnalytics.js';
+import { CookieSnapshots } from './interface/lib/cookieSnapshots.js';
 
 (function () {
   
@@ -10,10 +21,30 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
   // It would also be cool to separate their whole behavior in separate class
   // that extends a generic one.
   const connections = {};
+  // DevTools panels streaming every cookie change for their change log
+  const changeLogPorts = new Set();
   const browserDetector = new BrowserDetector();
   const permissionHandler = new PermissionHandler(browserDetector);
   const storageHandler = new GenericStorageHandler(browserDetector);
   const optionsHandler = new OptionsHandler(browserDetector, storageHandler);
+  const cookieHandler = new GenericCookieHandler(browserDetector);
+  const historyHandler = new HistoryHandler(browserDetector, cookieHandler, storageHandler);
+  // Syncing and auto-switching don't keep the vault unlocked, only the user does
+  const profileManager = new ProfileManager(storageHandler, browserDetector, false);
+  const profileAutoSwitch = new ProfileAutoSwitch(
+    browserDetector,
+    storageHandler,
+    profileManager,
+    cookieHandler,
+    historyHandler,
+  );
+  const profileSync = new ProfileSync(browserDetector, storageHandler, profileManager);
+  const cookieCleanup = new CookieCleanup(browserDetector, storageHandler, cookieHandler, historyHandler);
+  const cookieProtection = new CookieProtection(browserDetector, storageHandler);
+  const cookiePins = new CookiePins(browserDetector, storageHandler);
+  const cookieAnalytics = new CookieAnalytics(browserDetector, storageHandler, cookieHandler);
+  const cookieSnapshots = new CookieSnapshots(browserDetector, storageHandler);
+  const shareIdentity = new ShareIdentity(browserDetector, storageHandler);
 
   // Track domains we have permission for
   const permittedDomains = new Set();
@@ -52,6 +83,17 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
   browserDetector.getApi().runtime.onMessage.addListener(handleMessage);
   browserDetector.getApi().tabs.onUpdated.addListener(onTabsChanged);
 
+  // Keep the synced profiles up to date with the other machines
+  profileSync.startAutoSync();
+  // Run the cookie cleanup rules on tab close, startup and their schedule
+  cookieCleanup.startAutomation();
+  // Record the daily cookie statistics for the dashboard trends
+  cookieAnalytics.startAutomation();
+  // Take the scheduled cookie snapshots of the timeline
+  cookieSnapshots.startAutomation();
+  // Lock the profile vault when its auto-lock timeout expires
+  profileManager.startVaultAutoLock();
+
   // Set up options page redirection based on user preference
   setupOptionsRedirect();
 
@@ -211,7 +253,7 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
    * Check a URL for shared cookies or profiles and update badge if found
    * @param {string} url - The URL to check
    */
-  function checkUrlForSharedCookies(url) {
+  async function checkUrlForSharedCookies(url) {
     // Only check URLs that could contain shared data
     if (!url || !url.includes('#')) return;
     
@@ -223,7 +265,7 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
         }
       }
       
-      const sharedData = extractSharedDataFromUrl(url);
+      const sharedData = await extractSharedDataFromUrl(url, shareIdentity);
       if (!sharedData) return;
       
       const dataType = sharedData.type || 'cookies';
@@ -497,6 +539,11 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
         }
 
         if (request.type) {
+          if (request.type === 'subscribeCookieChanges') {
+            changeLogPorts.add(port);
+            return;
+          }
+
           if (request.type === 'getPermissionStatus') {
             // Handle permission status request
             hasPermissionForUrl(request.url)
@@ -538,6 +585,7 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
     // Clean up when connection is closed
     port.onDisconnect.addListener(function(port) {
       port.onMessage.removeListener(extensionListener);
+      changeLogPorts.delete(port);
           
       // Remove from connections
       for (let id in connections) {
@@ -613,34 +661,29 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
    * Sends the tab id key to all connections of ther broadcast.
    */
   function onCookiesChanged(changeInfo) {
-    if (Object.keys(connections).length === 0) {
+    // Locked and pinned cookies are put back even when no page is listening.
+    // A pin holds the value chosen for this very cookie, it wins over a lock,
+    // applying both would have them overwrite each other forever.
+    cookiePins.load()
+      .then(() => cookiePins.isPinned(changeInfo.cookie) ?
+        cookiePins.reapplyPin(changeInfo, cookieHandler) :
+        cookieProtection.restoreLockedCookie(changeInfo, cookieHandler))
+      .catch(error => console.error('Error restoring locked or pinned cookie:', error));
+
+    if (Object.keys(connections).length === 0 && changeLogPorts.size === 0) {
       return;
     }
 
+    const isDynamic = changeInfo && changeInfo.cookie ?
+      isDynamicCookie(changeInfo.cookie.name) :
+      false;
+
+    // The change log gets every event, dynamic ones are only flagged
+    sendCookieChangeLog(changeInfo, isDynamic);
+
     // Skip changes for known dynamic cookies that update frequently
-    if (changeInfo && changeInfo.cookie) {
-      const name = changeInfo.cookie.name;
-      // Skip known or detected dynamic cookies
-      if (dynamicCookieNames.has(name)) {
-        return;
-      }
-      // Detect dynamic cookies by change frequency
-      const now = Date.now();
-      if (!cookieChangeHistory[name]) {
-        cookieChangeHistory[name] = [];
-      }
-      cookieChangeHistory[name].push(now);
-      // Keep only recent changes within detection window
-      cookieChangeHistory[name] = cookieChangeHistory[name].filter(timestamp => now - timestamp <= dynamicDetectionWindow);
-      // Remove empty history entries to prevent memory buildup
-      if (cookieChangeHistory[name].length === 0) {
-        delete cookieChangeHistory[name];
-      }
-      // If changes exceed threshold, mark as dynamic and skip
-      if (cookieChangeHistory[name].length > dynamicDetectionThreshold) {
-        dynamicCookieNames.add(name);
-        return;
-      }
+    if (isDynamic || Object.keys(connections).length === 0) {
+      return;
     }
 
     // Clear any existing timeout to debounce rapid changes
@@ -678,6 +721,60 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
     }, 800); // Increased debounce delay to reduce frequency of updates
   }
 
+  /**
+   * Checks if a cookie is dynamic, either known or detected by its change
+   * frequency, and records the change for detection.
+   * @param {string} name Name of the cookie that changed.
+   * @return {boolean} True if the cookie is dynamic.
+   */
+  function isDynamicCookie(name) {
+    if (dynamicCookieNames.has(name)) {
+      return true;
+    }
+    // Detect dynamic cookies by change frequency
+    const now = Date.now();
+    if (!cookieChangeHistory[name]) {
+      cookieChangeHistory[name] = [];
+    }
+    cookieChangeHistory[name].push(now);
+    // Keep only recent changes within detection window
+    cookieChangeHistory[name] = cookieChangeHistory[name].filter(timestamp => now - timestamp <= dynamicDetectionWindow);
+    // Remove empty history entries to prevent memory buildup
+    if (cookieChangeHistory[name].length === 0) {
+      delete cookieChangeHistory[name];
+    }
+    // If changes exceed threshold, mark as dynamic
+    if (cookieChangeHistory[name].length > dynamicDetectionThreshold) {
+      dynamicCookieNames.add(name);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Sends a cookie change, undebounced, to the DevTools change logs.
+   * @param {object} changeInfo Information about the change that happened.
+   * @param {boolean} isDynamic Whether the cookie is a dynamic cookie.
+   */
+  function sendCookieChangeLog(changeInfo, isDynamic) {
+    const message = {
+      type: 'cookieChangeLogged',
+      data: {
+        changeInfo: changeInfo,
+        dynamic: isDynamic,
+        timestamp: Date.now(),
+      },
+    };
+    changeLogPorts.forEach((port) => {
+      try {
+        port.postMessage(message);
+      } catch (e) {
+        console.warn('Failed to send cookie change to change log:', e.message);
+        changeLogPorts.delete(port);
+      }
+    });
+  }
+
   /**
    * Gets notified when a tab has been updated.
    * @param {number} tabId Id of the tab that has been updated.
@@ -698,6 +795,10 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
     }).catch(error => {
       console.error('Error checking permissions for URL:', error);
     });
+
+    if (changeInfo.url) {
+      autoSwitchProfile(tabId, changeInfo.url);
+    }
     
     // Handle tab change notifications
     if (Object.keys(connections).length === 0 && !browserDetector.getApi().runtime.sendMessage) {
@@ -746,6 +847,27 @@ import { OptionsHandler } from './interface/lib/optionsHandler.js';
     // }
   }
 
+  /**
+   * Loads the profile of the auto-switch rule matching the URL a tab
+   * navigated to, then reloads the tab so the page gets the new cookies.
+   * @param {number} tabId Id of the tab that navigated.
+   * @param {string} url URL the tab navigated to.
+   */
+  async function autoSwitchProfile(tabId, url) {
+    try {
+      if (!(await hasPermissionForUrl(url))) {
+        return;
+      }
+      const rule = await profileAutoSwitch.applyForUrl(url);
+      if (!rule) {
+        return;
+      }
+      await browserDetector.getApi().tabs.reload(tabId);
+    } catch (error) {
+      console.error('Error auto-switching profile:', error);
+    }
+  }
+
   /**
    * Checks if the current browser is firefox android.
    * @param {function} callback
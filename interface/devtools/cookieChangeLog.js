@@ -0,0 +1,240 @@
+import { EventEmitter } from '../lib/eventEmitter.js';
+
+const MAX_ENTRIES = 500;
+// How far apart a Set-Cookie response and a cookie change can be and still
+// be attributed to each other
+const REQUEST_MATCH_WINDOW = 5000;
+
+/**
+ * Keeps a log of every cookie change affecting the inspected tab, including
+ * the dynamic cookies that the regular cookie list ignores.
+ */
+export class CookieChangeLog extends EventEmitter {
+  /**
+   * Constructs a CookieChangeLog.
+   * @param {BrowserDetector} browserDetector
+   * @param {CookieHandlerDevtools} cookieHandler
+   */
+  constructor(browserDetector, cookieHandler) {
+    super();
+    this.browserDetector = browserDetector;
+    this.cookieHandler = cookieHandler;
+    this.entries = [];
+    this.includeDynamic = false;
+    // Hosts the inspected tab talked to, their cookies are part of the tab
+    this.requestHosts = new Set();
+    this.recentSetCookies = [];
+    this.lastValues = {};
+    this.pendingOverwrites = {};
+
+    this.cookieHandler.on('cookieChangeLogged', this.onCookieChangeLogged);
+
+    const network = browserDetector.getApi().devtools.network;
+    if (network && network.onRequestFinished) {
+      network.onRequestFinished.addListener(this.onRequestFinished);
+    }
+  }
+
+  /**
+   * Gets the entries to display, newest first.
+   * @return {object[]}
+   */
+  getEntries() {
+    const entries = this.includeDynamic ?
+      this.entries :
+      this.entries.filter((entry) => !entry.dynamic);
+    return entries.slice().reverse();
+  }
+
+  /**
+   * Sets whether the cookies ignored by the cookie list as dynamic are shown.
+   * @param {boolean} includeDynamic
+   */
+  setIncludeDynamic(includeDynamic) {
+    this.includeDynamic = includeDynamic;
+    this.emit('change');
+  }
+
+  /**
+   * Removes all the entries from the log.
+   */
+  clear() {
+    this.entries = [];
+    this.pendingOverwrites = {};
+    this.emit('change');
+  }
+
+  /**
+   * Handles a cookie change streamed by the background script.
+   * @param {object} data The change info, dynamic flag and timestamp.
+   */
+  onCookieChangeLogged = (data) => {
+    const changeInfo = data.changeInfo;
+    if (!changeInfo || !changeInfo.cookie || !this.isForInspectedTab(changeInfo.cookie)) {
+      return;
+    }
+
+    const cookie = changeInfo.cookie;
+    const key = CookieChangeLog.getCookieKey(cookie);
+
+    // An overwrite is reported as a removal followed by the new cookie, merge
+    // both events in a single entry
+    if (!changeInfo.removed && this.pendingOverwrites[key]) {
+      const entry = this.pendingOverwrites[key];
+      delete this.pendingOverwrites[key];
+      entry.newValue = cookie.value;
+      this.lastValues[key] = cookie.value;
+      this.attributeRequest(entry);
+      this.emit('change');
+      return;
+    }
+
+    const entry = {
+      timestamp: data.timestamp || Date.now(),
+      cause: changeInfo.cause,
+      removed: changeInfo.removed,
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      oldValue: changeInfo.removed ? cookie.value : this.lastValues[key],
+      newValue: changeInfo.removed ? null : cookie.value,
+      dynamic: data.dynamic,
+      requestUrl: null,
+    };
+
+    if (changeInfo.removed) {
+      delete this.lastValues[key];
+      if (changeInfo.cause === 'overwrite') {
+        this.pendingOverwrites[key] = entry;
+      }
+    } else {
+      this.lastValues[key] = cookie.value;
+    }
+
+    this.attributeRequest(entry);
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+    }
+    this.emit('change');
+  };
+
+  /**
+   * Keeps track of the hosts and Set-Cookie headers of the inspected tab's
+   * requests.
+   * @param {object} request HAR entry of the finished request.
+   */
+  onRequestFinished = (request) => {
+    let url;
+    try {
+      url = new URL(request.request.url);
+    } catch (e) {
+      return;
+    }
+    this.requestHosts.add(url.hostname);
+
+    const names = CookieChangeLog.getSetCookieNames(request.response);
+    if (!names.length) {
+      return;
+    }
+
+    const now = Date.now();
+    names.forEach((name) => {
+      this.recentSetCookies.push({ name: name, url: url.href, timestamp: now });
+    });
+    this.recentSetCookies = this.recentSetCookies.filter(
+      (item) => now - item.timestamp <= REQUEST_MATCH_WINDOW,
+    );
+
+    // The response can finish after the cookie change was already logged
+    let updated = false;
+    this.entries.forEach((entry) => {
+      if (!entry.requestUrl && names.includes(entry.name) &&
+          now - entry.timestamp <= REQUEST_MATCH_WINDOW) {
+        entry.requestUrl = url.href;
+        updated = true;
+      }
+    });
+    if (updated) {
+      this.emit('change');
+    }
+  };
+
+  /**
+   * Links an entry to the latest request that sent a Set-Cookie for it.
+   * @param {object} entry
+   */
+  attributeRequest(entry) {
+    for (let i = this.recentSetCookies.length - 1; i >= 0; i--) {
+      const item = this.recentSetCookies[i];
+      if (item.name === entry.name &&
+          Math.abs(entry.timestamp - item.timestamp) <= REQUEST_MATCH_WINDOW) {
+        entry.requestUrl = item.url;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Checks if a cookie belongs to the inspected tab or to one of the hosts it
+   * sent requests to.
+   * @param {object} cookie
+   * @return {boolean}
+   */
+  isForInspectedTab(cookie) {
+    const cookieDomain = (cookie.domain || '').replace(/^\./, '');
+    const hosts = new Set(this.requestHosts);
+    if (this.cookieHandler.currentTab && this.cookieHandler.currentTab.url) {
+      try {
+        hosts.add(new URL(this.cookieHandler.currentTab.url).hostname);
+      } catch (e) {
+        // Not a URL with a host, only the request hosts apply
+      }
+    }
+
+    for (const host of hosts) {
+      if (host === cookieDomain || host.endsWith('.' + cookieDomain)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Gets a key identifying a single cookie.
+   * @param {object} cookie
+   * @return {string}
+   */
+  static getCookieKey(cookie) {
+    const partitionSite = cookie.partitionKey && cookie.partitionKey.topLevelSite ?
+      cookie.partitionKey.topLevelSite :
+      '';
+    return [cookie.name, cookie.domain, cookie.path, cookie.storeId, partitionSite].join('|');
+  }
+
+  /**
+   * Gets the names of the cookies set by a HAR response.
+   * @param {object} response
+   * @return {string[]}
+   */
+  static getSetCookieNames(response) {
+    if (!response) {
+      return [];
+    }
+    const names = new Set();
+    (response.cookies || []).forEach((cookie) => names.add(cookie.name));
+    (response.headers || []).forEach((header) => {
+      if (header.name.toLowerCase() !== 'set-cookie') {
+        return;
+      }
+      // Some browsers join several Set-Cookie headers with new lines
+      header.value.split('\n').forEach((line) => {
+        const name = line.split(';')[0].split('=')[0].trim();
+        if (name) {
+          names.add(name);
+        }
+      });
+    });
+    return Array.from(names);
+  }
+}
@@ -46,6 +46,11 @@ export class CookieHandlerDevtools extends GenericCookieHandler {
       type: 'init_cookieHandler',
       tabId: this.browserDetector.getApi().devtools.inspectedWindow.tabId,
     });
+    // Every cookie change is streamed, undebounced, for the Changes view
+    this.backgroundPageConnection.postMessage({
+      type: 'subscribeCookieChanges',
+      tabId: this.browserDetector.getApi().devtools.inspectedWindow.tabId,
+    });
 
     
     this.emit('ready');
@@ -61,7 +66,7 @@ export class CookieHandlerDevtools extends GenericCookieHandler {
       'getAllCookies',
       {
         url: this.currentTab.url,
-        storeId: this.currentTab.cookieStoreId,
+        storeId: this.getActiveStoreId(),
       },
       callback,
     );
@@ -86,15 +91,23 @@ export class CookieHandlerDevtools extends GenericCookieHandler {
    * Removes a cookie from the browser.
    * @param {string} name The name of the cookie to remove.
    * @param {string} url The url that the cookie is attached to.
+   * @param {string} [storeId] The ID of the cookie store to remove from.
    * @param {function} callback
+   * @param {boolean} isRecursive Unused, kept for signature compatibility.
+   * @param {object} [partitionKey] The partition key of a partitioned cookie.
    */
-  removeCookie(name, url, callback) {
+  removeCookie(name, url, storeId, callback, isRecursive = false, partitionKey = null) {
+    if (typeof storeId === 'function') {
+      callback = storeId;
+      storeId = undefined;
+    }
     this.sendMessage(
       'removeCookie',
       {
         name: name,
         url: url,
-        storeId: this.currentTab.cookieStoreId,
+        storeId: storeId || this.getActiveStoreId(),
+        partitionKey: this.getApiPartitionKey(partitionKey),
       },
       callback,
     );
@@ -114,6 +127,10 @@ export class CookieHandlerDevtools extends GenericCookieHandler {
       case 'tabsChanged':
         this.onTabsChanged(request.data);
         return;
+
+      case 'cookieChangeLogged':
+        this.emit('cookieChangeLogged', request.data);
+        return;
     }
   };
 
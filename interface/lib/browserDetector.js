@@ -13,6 +13,7 @@ export class BrowserDetector {
     this.namespace = chrome || window.browser || window.chrome;
     this.supportPromises = false;
     this.supportSidePanel = false;
+    this.supportPartitionedCookies = false;
 
     try {
       this.supportPromises =
@@ -30,6 +31,21 @@ export class BrowserDetector {
       /* empty */
     }
 
+    try {
+      // The cookies API accepts a partitionKey (CHIPS) from Chrome 119 and
+      // Firefox 94. Older versions reject the unknown property outright.
+      const userAgent = navigator.userAgent || '';
+      const chromeVersion = userAgent.match(/Chrom(?:e|ium)\/(\d+)/);
+      const firefoxVersion = userAgent.match(/Firefox\/(\d+)/);
+      if (chromeVersion) {
+        this.supportPartitionedCookies = parseInt(chromeVersion[1], 10) >= 119;
+      } else if (firefoxVersion) {
+        this.supportPartitionedCookies = parseInt(firefoxVersion[1], 10) >= 94;
+      }
+    } catch (e) {
+      /* empty */
+    }
+
     if (Env.browserName === '@@browser_name') {
       Env.browserName = Browsers.Chrome;
       
@@ -96,6 +112,16 @@ export class BrowserDetector {
     return this.supportSidePanel;
   }
 
+  /**
+   * Checks if the current browser's cookies API supports partitioned (CHIPS)
+   * cookies through the partitionKey property.
+   * @return {boolean} true if partitionKey can be passed to the cookies API,
+   *     otherwise false.
+   */
+  supportsPartitionedCookies() {
+    return this.supportPartitionedCookies && !this.isSafari();
+  }
+
   /**
    * Gets the current browser name.
    * @return {string} The browser name.
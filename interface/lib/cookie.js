@@ -1,6 +1,7 @@
 import { Animate } from './animate.js';
 import { GUID } from './guid.js';
 import { ExtraInfos } from './options/extraInfos.js';
+import { ValueInspector } from './valueInspector.js';
 
 /**
  * Helper class to display a cookie.
@@ -11,13 +12,18 @@ export class Cookie {
    * @param {string} id HTML id name for this cookie.
    * @param {object} cookie Cookie data.
    * @param {OptionsHandler} optionHandler
+   * @param {CookieProtection} [protection] Protected cookies, to show a lock
+   *     on them.
+   * @param {CookiePins} [pins] Pinned cookies, to show a pin on them.
    */
-  constructor(id, cookie, optionHandler) {
+  constructor(id, cookie, optionHandler, protection = null, pins = null) {
     this.id = id;
     this.cookie = cookie;
     this.guid = GUID.get();
     this.baseHtml = false;
     this.optionHandler = optionHandler;
+    this.protection = protection;
+    this.pins = pins;
   }
 
   /**
@@ -110,6 +116,10 @@ export class Cookie {
     const inputSameSite = targetElement.querySelector('.input-sameSite');
     if (inputSameSite) inputSameSite.value = newCookie.sameSite || 'no_restriction';
 
+    // Partition key (CHIPS)
+    const inputPartitionKey = targetElement.querySelector('.input-partitionKey');
+    if (inputPartitionKey) inputPartitionKey.value = Cookie.getPartitionSite(newCookie);
+
     // Secure
     const inputSecure = targetElement.querySelector('.input-secure');
     if (inputSecure) inputSecure.checked = newCookie.secure;
@@ -120,6 +130,43 @@ export class Cookie {
     
     // Always update header extra info display
     this.updateExtraInfo(targetElement);
+    this.updateProtected(targetElement);
+    this.updatePinned(targetElement);
+  }
+
+  /**
+   * Shows whether the cookie is protected from bulk deletes.
+   * @param {Element} [targetElement] Optional reference to the LI element.
+   */
+  updateProtected(targetElement = null) {
+    const element = targetElement || this.baseHtml;
+    const button = element ? element.querySelector('.header .btns button.protect') : null;
+    if (!button) {
+      return;
+    }
+    const isProtected = !!this.protection && this.protection.isProtected(this.cookie);
+    element.classList.toggle('protected', isProtected);
+    button.setAttribute('aria-pressed', isProtected);
+    button.dataset.tooltipLeft = isProtected ? 'Unprotect' : 'Protect';
+    button.setAttribute('aria-label', button.dataset.tooltipLeft);
+    button.querySelector('use').setAttribute('href', `../sprites/solid.svg#${isProtected ? 'lock' : 'lock-open'}`);
+  }
+
+  /**
+   * Shows whether the cookie is pinned to its value.
+   * @param {Element} [targetElement] Optional reference to the LI element.
+   */
+  updatePinned(targetElement = null) {
+    const element = targetElement || this.baseHtml;
+    const button = element ? element.querySelector('.header .btns button.pin') : null;
+    if (!button) {
+      return;
+    }
+    const isPinned = !!this.pins && this.pins.isPinned(this.cookie);
+    element.classList.toggle('pinned', isPinned);
+    button.setAttribute('aria-pressed', isPinned);
+    button.dataset.tooltipLeft = isPinned ? 'Unpin' : 'Pin value';
+    button.setAttribute('aria-label', button.dataset.tooltipLeft);
   }
 
   /**
@@ -183,6 +230,8 @@ export class Cookie {
     const headerExtraInfo = this.baseHtml.querySelector('.header-extra-info');
     headerExtraInfo.textContent = this.getExtraInfoValue();
     headerExtraInfo.title = this.getExtraInfoTitle();
+    this.updateProtected();
+    this.updatePinned();
 
     const labelName = form.querySelector('.label-name');
     labelName.setAttribute('for', 'name-' + this.guid);
@@ -256,6 +305,14 @@ export class Cookie {
     inputSameSite.id = 'sameSite-' + this.guid;
     inputSameSite.value = this.cookie.sameSite || 'no_restriction'; // Handle null/undefined sameSite
 
+    const labelPartitionKey = form.querySelector('.label-partitionKey');
+    const inputPartitionKey = form.querySelector('.input-partitionKey');
+    if (labelPartitionKey && inputPartitionKey) {
+      labelPartitionKey.setAttribute('for', 'partitionKey-' + this.guid);
+      inputPartitionKey.id = 'partitionKey-' + this.guid;
+      inputPartitionKey.value = Cookie.getPartitionSite(this.cookie);
+    }
+
     const labelHostOnly = form.querySelector('.label-hostOnly');
     labelHostOnly.setAttribute('for', 'hostOnly-' + this.guid);
     const inputHostOnly = form.querySelector('.input-hostOnly');
@@ -391,6 +448,28 @@ export class Cookie {
       advancedForm.style.height = 'auto';
       advancedToggleButton.textContent = 'Hide Advanced';
     }
+
+    const decodeToggleButton = form.querySelector('.decode-toggle');
+    const inspectorContainer = form.querySelector('.value-inspector-container');
+    if (decodeToggleButton && inspectorContainer) {
+      decodeToggleButton.addEventListener('click', function (e) {
+        e.stopPropagation();
+
+        if (inspectorContainer.firstChild) {
+          inspectorContainer.innerHTML = '';
+          decodeToggleButton.textContent = 'Decode Value';
+        } else {
+          // Decode what is in the field, it may have been edited already
+          const inspector = new ValueInspector(inputValue.value, (value) => {
+            inputValue.value = value;
+            inputValue.dispatchEvent(new Event('input', { bubbles: true }));
+          });
+          inspectorContainer.appendChild(inspector.element);
+          decodeToggleButton.textContent = 'Hide Decoder';
+        }
+        Animate.resizeSlide(form.parentElement.parentElement);
+      });
+    }
   }
 
   /**
@@ -650,6 +729,10 @@ export class Cookie {
           'HttpOnly',
           this.cookie.httpOnly,
         );
+        text += this.formatBoolForDisplayShort(
+          'Partitioned',
+          !!Cookie.getPartitionSite(this.cookie),
+        );
         break;
       default:
         // Default to nothing if setting is unknown
@@ -679,7 +762,7 @@ export class Cookie {
         title = `Value Size: ${this.cookie.value.length} Bytes`;
         break;
       case ExtraInfos.Flags:
-        title = `Flags: ${this.cookie.hostOnly ? 'HostOnly ' : ''}${this.cookie.secure ? 'Secure ' : ''}${this.cookie.httpOnly ? 'HttpOnly ' : ''}`;
+        title = `Flags: ${this.cookie.hostOnly ? 'HostOnly ' : ''}${this.cookie.secure ? 'Secure ' : ''}${this.cookie.httpOnly ? 'HttpOnly ' : ''}${Cookie.getPartitionSite(this.cookie) ? 'Partitioned ' : ''}`;
         break;
       default:
         // Default to nothing if setting is unknown
@@ -689,6 +772,19 @@ export class Cookie {
     return title;
   }
 
+  /**
+   * Gets the top-level site a cookie is partitioned under (CHIPS).
+   * @param {object} cookie Cookie data.
+   * @return {string} The top-level site, or an empty string if the cookie is
+   *     not partitioned.
+   */
+  static getPartitionSite(cookie) {
+    if (!cookie || !cookie.partitionKey) {
+      return '';
+    }
+    return cookie.partitionKey.topLevelSite || '';
+  }
+
   /**
    * Create a hash code for a cookie.
    * @param {object} cookie Cookie to hash.
@@ -698,7 +794,10 @@ export class Cookie {
     let hash = 0,
       i,
       chr;
-    const str = cookie.name + cookie.domain + cookie.path;
+    // The same cookie can exist once per partition, so the top-level site is
+    // part of its identity. Unpartitioned cookies keep their previous hash.
+    const str =
+      cookie.name + cookie.domain + cookie.path + Cookie.getPartitionSite(cookie);
     if (str.length === 0) return hash;
     for (i = 0; i < str.length; i++) {
       chr = str.charCodeAt(i);
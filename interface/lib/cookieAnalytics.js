@@ -0,0 +1,205 @@
+import { CookieCleanup } from './cookieCleanup.js';
+import { EventEmitter } from './eventEmitter.js';
+import { ProfileManager } from './profileManager.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Statistics about the cookie inventory, for the dashboard of the cookie
+ * manager. The background script also records a small summary every day, so
+ * the dashboard can show how the cookies of each site grow over time.
+ */
+export class CookieAnalytics extends EventEmitter {
+  static HISTORY_KEY = 'cookieStatsHistory';
+  static ALARM_NAME = 'cookieAnalytics:snapshot';
+  // Daily summaries kept, about six months
+  static MAX_HISTORY = 180;
+  // Sites kept in each summary, the ones with the most cookie bytes
+  static MAX_HISTORY_DOMAINS = 50;
+  // Browsers refuse cookies bigger than this, name and value together
+  static COOKIE_BYTES_LIMIT = 4096;
+  // Many servers reject request headers bigger than this, so a site's cookies
+  // have to fit in it together
+  static DOMAIN_BYTES_LIMIT = 8192;
+  // Cookies expiring in less than each bucket, in days
+  static EXPIRATION_BUCKETS = [
+    { label: '< 1 day', days: 1 },
+    { label: '1-7 days', days: 7 },
+    { label: '1-4 weeks', days: 30 },
+    { label: '1-6 months', days: 182 },
+    { label: '6-12 months', days: 365 },
+    { label: '> 1 year', days: Infinity },
+  ];
+
+  /**
+   * Constructs a CookieAnalytics.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler for the history
+   * @param {GenericCookieHandler} [cookieHandler] - Cookie handler, needed to
+   *     take snapshots without passing the cookies
+   */
+  constructor(browserDetector, storageHandler, cookieHandler = null) {
+    super();
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+    this.cookieHandler = cookieHandler;
+
+    const api = browserDetector.getApi();
+    if (api.storage && api.storage.onChanged) {
+      api.storage.onChanged.addListener(this.onStorageChanged);
+    }
+  }
+
+  /**
+   * Notifies listeners when a snapshot was taken by another page.
+   * @param {object} changes Storage changes
+   * @param {string} areaName Storage area that changed
+   */
+  onStorageChanged = (changes, areaName) => {
+    if (areaName === 'local' && changes[CookieAnalytics.HISTORY_KEY]) {
+      this.emit('historyChanged');
+    }
+  };
+
+  /**
+   * Takes a snapshot every day. Only the background script should call this.
+   */
+  startAutomation() {
+    const api = this.browserDetector.getApi();
+    if (!api.alarms) {
+      return;
+    }
+    api.alarms.onAlarm.addListener(alarm => {
+      if (alarm.name === CookieAnalytics.ALARM_NAME) {
+        this.takeSnapshot().catch(error => console.error('Error taking cookie statistics snapshot:', error));
+      }
+    });
+    api.alarms.get(CookieAnalytics.ALARM_NAME).then(alarm => {
+      if (!alarm) {
+        api.alarms.create(CookieAnalytics.ALARM_NAME, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+      }
+    });
+  }
+
+  /**
+   * Computes the statistics of a list of cookies.
+   * @param {Array<Object>} cookies - The cookies
+   * @param {Object} [visitedSites] - Sites opened in a tab, by registrable
+   *     domain, the cookies of other sites are third-party
+   * @param {number} [now] - Current time in milliseconds
+   * @return {Object} The statistics, with `domains` sorted by bytes
+   */
+  static computeStats(cookies, visitedSites = {}, now = Date.now()) {
+    const stats = {
+      total: 0,
+      bytes: 0,
+      session: 0,
+      persistent: 0,
+      firstParty: 0,
+      thirdParty: 0,
+      oversized: 0,
+      expiration: CookieAnalytics.EXPIRATION_BUCKETS.map(() => 0),
+      domains: [],
+    };
+    const domains = {};
+
+    (cookies || []).forEach(cookie => {
+      const bytes = CookieAnalytics.getCookieBytes(cookie);
+      const site = ProfileManager.getRegistrableDomain(cookie.domain);
+      stats.total++;
+      stats.bytes += bytes;
+      if (bytes > CookieAnalytics.COOKIE_BYTES_LIMIT) {
+        stats.oversized++;
+      }
+      if (visitedSites[site]) {
+        stats.firstParty++;
+      } else {
+        stats.thirdParty++;
+      }
+
+      if (cookie.session || !cookie.expirationDate) {
+        stats.session++;
+      } else {
+        stats.persistent++;
+        const days = (cookie.expirationDate * 1000 - now) / DAY;
+        const bucket = CookieAnalytics.EXPIRATION_BUCKETS.findIndex(item => days < item.days);
+        stats.expiration[bucket]++;
+      }
+
+      if (!domains[site]) {
+        domains[site] = { domain: site, count: 0, bytes: 0, largest: 0 };
+      }
+      domains[site].count++;
+      domains[site].bytes += bytes;
+      domains[site].largest = Math.max(domains[site].largest, bytes);
+    });
+
+    stats.domains = Object.values(domains).sort((a, b) => b.bytes - a.bytes);
+    return stats;
+  }
+
+  /**
+   * @param {Object} cookie - The cookie
+   * @return {number} Size of the cookie in bytes, as counted against the
+   *     browser limit
+   */
+  static getCookieBytes(cookie) {
+    return new TextEncoder().encode((cookie.name || '') + (cookie.value || '')).length;
+  }
+
+  /**
+   * Gets the sites the user opened in a tab, as tracked for the cleanup rules.
+   * @return {Promise<Object>} Time of the last visit, by registrable domain
+   */
+  async getVisitedSites() {
+    return this.storageHandler.getLocal(CookieCleanup.SITES_KEY, {});
+  }
+
+  /**
+   * Gets the daily summaries, the oldest first.
+   * @return {Promise<Array<Object>>} The summaries, as `{timestamp, total,
+   *     bytes, domains}` with `[count, bytes]` by domain
+   */
+  async getHistory() {
+    const history = await this.storageHandler.getLocal(CookieAnalytics.HISTORY_KEY, []);
+    return Array.isArray(history) ? history : [];
+  }
+
+  /**
+   * Records a summary of the cookies. A snapshot taken the same day as the
+   * last one replaces it.
+   * @param {Array<Object>} [cookies] - The cookies, the cookies of every
+   *     store of the browser if not given
+   * @return {Promise<Object>} The summary
+   */
+  async takeSnapshot(cookies = null) {
+    if (!cookies) {
+      cookies = await new Promise(resolve => {
+        this.cookieHandler.getAllBrowserCookies(result => resolve(result || []));
+      });
+    }
+    const stats = CookieAnalytics.computeStats(cookies);
+    const snapshot = {
+      timestamp: Date.now(),
+      total: stats.total,
+      bytes: stats.bytes,
+      domains: Object.fromEntries(
+        stats.domains
+          .slice(0, CookieAnalytics.MAX_HISTORY_DOMAINS)
+          .map(domain => [domain.domain, [domain.count, domain.bytes]]),
+      ),
+    };
+
+    const history = await this.getHistory();
+    const last = history[history.length - 1];
+    if (last && new Date(last.timestamp).toDateString() === new Date(snapshot.timestamp).toDateString()) {
+      history.pop();
+    }
+    history.push(snapshot);
+    await this.storageHandler.setLocal(
+      CookieAnalytics.HISTORY_KEY,
+      history.slice(-CookieAnalytics.MAX_HISTORY),
+    );
+    return snapshot;
+  }
+}
@@ -0,0 +1,195 @@
+import { ProfileManager } from './profileManager.js';
+import { ValueDecoder } from './valueDecoder.js';
+
+// Browsers cap new cookies at 400 days, longer ones were set before the cap
+// or by a browser that doesn't apply it
+const MAX_LIFETIME_DAYS = 400;
+// Names used for sessions, logins and tokens
+const SESSION_NAME = /sess|(^|[_.-])sid$|^sid|token|auth|jwt|login|remember|csrf|xsrf/i;
+
+/**
+ * Audits the security attributes of cookies. Every cookie gets a score out of
+ * 100 and a list of findings, and a report can be exported to JSON or
+ * Markdown.
+ */
+export class CookieAudit {
+  // Points a finding takes off the score of its cookie
+  static SEVERITIES = {
+    high: { label: 'High', penalty: 40 },
+    medium: { label: 'Medium', penalty: 20 },
+    low: { label: 'Low', penalty: 5 },
+  };
+
+  /**
+   * Audits cookies.
+   * @param {Array<Object>} cookies - The cookies, as returned by the cookies API
+   * @param {string} [scope] - Domain the cookies were picked for, empty for
+   *     the whole browser
+   * @param {number} [now] - Current time in milliseconds
+   * @return {Object} The report, as `{generatedAt, scope, score, counts,
+   *     total, results}` with a result `{cookie, score, findings}` per cookie,
+   *     the lowest scores first
+   */
+  static audit(cookies, scope = '', now = Date.now()) {
+    const counts = { high: 0, medium: 0, low: 0 };
+    const results = (cookies || []).map(cookie => {
+      const findings = CookieAudit.auditCookie(cookie, now);
+      findings.forEach(finding => counts[finding.severity]++);
+      return {
+        cookie: {
+          name: cookie.name,
+          domain: cookie.domain,
+          path: cookie.path,
+          storeId: cookie.storeId,
+        },
+        score: CookieAudit.getScore(findings),
+        findings: findings,
+      };
+    });
+    results.sort((a, b) => a.score - b.score || a.cookie.domain.localeCompare(b.cookie.domain));
+
+    const total = results.reduce((sum, result) => sum + result.score, 0);
+    return {
+      generatedAt: new Date(now).toISOString(),
+      scope: scope,
+      score: results.length ? Math.round(total / results.length) : 100,
+      counts: counts,
+      total: results.length,
+      results: results,
+    };
+  }
+
+  /**
+   * Runs every check on a cookie.
+   * @param {Object} cookie - The cookie
+   * @param {number} [now] - Current time in milliseconds
+   * @return {Array<Object>} The findings, as `{id, severity, message}`
+   */
+  static auditCookie(cookie, now = Date.now()) {
+    const findings = [];
+    const add = (id, severity, message) => findings.push({ id, severity, message });
+    const jwt = CookieAudit.decodeJwt(cookie.value);
+    const isSession = SESSION_NAME.test(cookie.name) || !!jwt;
+
+    if (isSession && !cookie.httpOnly) {
+      add('session-httponly', 'medium', 'Looks like a session token but can be read by scripts (no HttpOnly).');
+    }
+    if (isSession && !cookie.secure) {
+      add('session-secure', 'high', 'Looks like a session token but is also sent over plain HTTP (no Secure).');
+    }
+    if (cookie.sameSite === 'no_restriction' && !cookie.secure) {
+      add('samesite-none', 'high', 'SameSite=None without Secure, browsers reject or downgrade it.');
+    }
+
+    if (cookie.name.startsWith('__Host-')) {
+      if (!cookie.secure || !cookie.hostOnly || cookie.path !== '/') {
+        add('host-prefix', 'high', 'The __Host- prefix requires Secure, no Domain attribute and Path=/.');
+      }
+    } else if (cookie.name.startsWith('__Secure-') && !cookie.secure) {
+      add('secure-prefix', 'high', 'The __Secure- prefix requires Secure.');
+    }
+
+    const host = (cookie.domain || '').replace(/^\./, '');
+    if (!cookie.hostOnly && host === ProfileManager.getRegistrableDomain(host)) {
+      add(
+        'broad-domain',
+        isSession ? 'medium' : 'low',
+        `Domain=${host} shares the cookie with every subdomain of ${host}.`,
+      );
+    }
+
+    if (cookie.expirationDate) {
+      const days = Math.floor((cookie.expirationDate * 1000 - now) / 86400000);
+      if (days > MAX_LIFETIME_DAYS) {
+        add('long-expiration', 'low', `Expires in ${days} days, more than the ${MAX_LIFETIME_DAYS} days browsers allow.`);
+      }
+    }
+
+    if (jwt) {
+      const alg = String(jwt.header.alg);
+      if (alg.toLowerCase() === 'none' || !jwt.signature) {
+        add('jwt-unsigned', 'high', `JWT is not signed (alg "${alg}"), its claims can be forged.`);
+      } else if (alg === 'HS256') {
+        add('jwt-weak-alg', 'low', 'JWT uses HS256, only as strong as its shared secret.');
+      }
+      if (typeof jwt.payload.exp === 'number' && jwt.payload.exp * 1000 < now) {
+        add(
+          'jwt-expired',
+          'medium',
+          `JWT expired on ${new Date(jwt.payload.exp * 1000).toISOString()} but the cookie is still stored.`,
+        );
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * @param {Array<Object>} findings - Findings of a cookie
+   * @return {number} The score of the cookie, from 0 to 100
+   */
+  static getScore(findings) {
+    const penalty = findings.reduce((sum, finding) => sum + CookieAudit.SEVERITIES[finding.severity].penalty, 0);
+    return Math.max(0, 100 - penalty);
+  }
+
+  /**
+   * Finds a JWT in a cookie value, also when it is percent-encoded.
+   * @param {string} value - The cookie value
+   * @return {Object|null} The token, as `{header, payload, signature}`
+   */
+  static decodeJwt(value) {
+    const decoded = ValueDecoder.decode(value);
+    const layer = decoded.layers.find(item => item.type === 'jwt');
+    if (!layer) {
+      return null;
+    }
+    const token = JSON.parse(decoded.text);
+    return { header: token.header, payload: token.payload, signature: layer.meta.signature };
+  }
+
+  /**
+   * @param {Object} report - Result of CookieAudit.audit
+   * @return {string} The report as JSON
+   */
+  static toJson(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  /**
+   * @param {Object} report - Result of CookieAudit.audit
+   * @return {string} The report as Markdown, listing the cookies with findings
+   */
+  static toMarkdown(report) {
+    const escape = text => String(text).replace(/[|\\`*_]/g, '\\$&');
+    const lines = [
+      `# Cookie security audit: ${escape(report.scope || 'all domains')}`,
+      '',
+      `Generated on ${report.generatedAt}.`,
+      '',
+      `- Score: ${report.score}/100`,
+      `- Cookies audited: ${report.total}`,
+      ...Object.entries(CookieAudit.SEVERITIES).map(
+        ([severity, { label }]) => `- ${label} severity findings: ${report.counts[severity]}`,
+      ),
+      '',
+    ];
+
+    const flagged = report.results.filter(result => result.findings.length);
+    if (!flagged.length) {
+      lines.push('No findings.');
+      return lines.join('\n') + '\n';
+    }
+    lines.push('| Cookie | Domain | Path | Score | Severity | Finding |');
+    lines.push('| --- | --- | --- | --- | --- | --- |');
+    flagged.forEach(({ cookie, score, findings }) => {
+      findings.forEach(finding => {
+        lines.push(
+          `| ${escape(cookie.name)} | ${escape(cookie.domain)} | ${escape(cookie.path)} | ${score} | ` +
+            `${CookieAudit.SEVERITIES[finding.severity].label} | ${escape(finding.message)} |`,
+        );
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,669 @@
+import { CookiePins } from './cookiePins.js';
+import { CookieProtection } from './cookieProtection.js';
+import { EventEmitter } from './eventEmitter.js';
+import { GUID } from './guid.js';
+import { ProfileManager } from './profileManager.js';
+
+const ALARM_PREFIX = 'cookieCleanup:';
+const MAX_LOG_ENTRIES = 200;
+// Cookie names kept in a log entry, the undo history keeps all of them
+const MAX_LOGGED_COOKIES = 20;
+const MAX_VISITED_SITES = 2000;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Rules deleting cookies by themselves, when the last tab of a site closes,
+ * when the browser starts or on a schedule. The rules are edited from the
+ * options page and run by the background service worker, every run is logged
+ * and can be undone from the history.
+ */
+export class CookieCleanup extends EventEmitter {
+  static RULES_KEY = 'cookieCleanupRules';
+  static LOG_KEY = 'cookieCleanupLog';
+  // When every cookie was first seen, the cookies API has no creation date
+  static SEEN_KEY = 'cookieCleanupSeen';
+  // Sites opened in a tab, every other site is third-party
+  static SITES_KEY = 'cookieCleanupSites';
+  // Site open in each tab, to know which site a closed tab had open
+  static TABS_KEY = 'cookieCleanupTabs';
+  static TRIGGERS = {
+    tabClose: 'Last tab of the site closes',
+    startup: 'Browser starts',
+    schedule: 'Schedule',
+    manual: 'Run manually',
+  };
+
+  /**
+   * Constructs a CookieCleanup.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler for the rules
+   * @param {GenericCookieHandler} [cookieHandler] - Cookie handler, needed to run rules
+   * @param {HistoryHandler} [historyHandler] - History handler recording the runs
+   */
+  constructor(browserDetector, storageHandler, cookieHandler = null, historyHandler = null) {
+    super();
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+    this.cookieHandler = cookieHandler;
+    this.historyHandler = historyHandler;
+    // Fallback when storage.session is not available
+    this.tabsInMemory = {};
+    // Tabs close at the same time, their updates of the tracked tabs run in turn
+    this.tabsQueue = Promise.resolve();
+    this.protection = new CookieProtection(browserDetector, storageHandler);
+    this.pins = new CookiePins(browserDetector, storageHandler);
+
+    const api = browserDetector.getApi();
+    if (api.storage && api.storage.onChanged) {
+      api.storage.onChanged.addListener(this.onStorageChanged);
+    }
+  }
+
+  /**
+   * Notifies listeners when the rules or the log changed.
+   * @param {object} changes Storage changes
+   * @param {string} areaName Storage area that changed
+   */
+  onStorageChanged = (changes, areaName) => {
+    if (areaName !== 'local') {
+      return;
+    }
+    if (changes[CookieCleanup.RULES_KEY]) {
+      this.emit('rulesChanged');
+    }
+    if (changes[CookieCleanup.LOG_KEY]) {
+      this.emit('logChanged');
+    }
+  };
+
+  /**
+   * Runs the rules on their triggers. Only the background script should call
+   * this, while its listeners are registered.
+   */
+  startAutomation() {
+    const api = this.browserDetector.getApi();
+
+    api.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.url || changeInfo.status === 'complete') {
+        this.trackTab(tabId, tab.url).catch(error => console.error('Error tracking tab:', error));
+      }
+    });
+    api.tabs.onRemoved.addListener(tabId => {
+      this.onTabRemoved(tabId).catch(error => console.error('Error running cleanup rules:', error));
+    });
+    if (api.alarms) {
+      api.alarms.onAlarm.addListener(alarm => {
+        if (alarm.name.startsWith(ALARM_PREFIX)) {
+          this.runRuleById(alarm.name.substring(ALARM_PREFIX.length), 'schedule')
+            .catch(error => console.error('Error running cleanup rule:', error));
+        }
+      });
+    }
+    api.runtime.onStartup.addListener(() => {
+      this.trackOpenTabs()
+        .then(() => this.runTrigger('startup'))
+        .catch(error => console.error('Error running cleanup rules:', error));
+    });
+    this.on('rulesChanged', () => {
+      this.updateAlarms().catch(error => console.error('Error scheduling cleanup rules:', error));
+    });
+
+    this.trackOpenTabs().catch(error => console.error('Error tracking tabs:', error));
+    this.updateAlarms().catch(error => console.error('Error scheduling cleanup rules:', error));
+  }
+
+  /**
+   * Gets every rule.
+   * @return {Promise<Array<Object>>} The rules
+   */
+  async getRules() {
+    const rules = await this.storageHandler.getLocal(CookieCleanup.RULES_KEY, []);
+    return Array.isArray(rules) ? rules : [];
+  }
+
+  /**
+   * Adds a rule. A cookie is deleted when it matches every condition of the
+   * rule and isn't kept by its allowlist.
+   * @param {Object} rule - The rule to add
+   * @param {string} rule.name - Name shown in the log
+   * @param {string} rule.trigger - `tabClose`, `startup` or `schedule`
+   * @param {number} [rule.intervalMinutes] - Time between runs of scheduled rules
+   * @param {Array<string>|string} [rule.domains] - Domains the rule applies
+   *     to, see ProfileManager.normalizeDomainScope, all of them when empty
+   * @param {string} [rule.namePattern] - Regular expression the cookie names
+   *     must match
+   * @param {Array<string>|string} [rule.keepNames] - Names of the cookies to
+   *     keep, `*` matches anything
+   * @param {boolean} [rule.thirdPartyOnly] - Only delete the cookies of sites
+   *     never opened in a tab
+   * @param {number} [rule.olderThanDays] - Only delete the cookies first seen
+   *     this many days ago
+   * @return {Promise<Object>} The rule that was saved
+   * @throws {Error} If the rule is invalid
+   */
+  async addRule(rule) {
+    const newRule = CookieCleanup.normalizeRule({ ...rule, id: GUID.get(), enabled: true });
+    const rules = await this.getRules();
+    rules.push(newRule);
+    await this.storageHandler.setLocal(CookieCleanup.RULES_KEY, rules);
+    return newRule;
+  }
+
+  /**
+   * Changes some properties of a rule.
+   * @param {string} id - ID of the rule
+   * @param {Object} changes - Properties to change
+   * @return {Promise<boolean>} Whether the rule was found
+   * @throws {Error} If the changed rule is invalid
+   */
+  async updateRule(id, changes) {
+    const rules = await this.getRules();
+    const index = rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+    rules[index] = CookieCleanup.normalizeRule({ ...rules[index], ...changes, id: id });
+    await this.storageHandler.setLocal(CookieCleanup.RULES_KEY, rules);
+    return true;
+  }
+
+  /**
+   * Removes a rule.
+   * @param {string} id - ID of the rule
+   * @return {Promise<boolean>} Whether the rule was found
+   */
+  async removeRule(id) {
+    const rules = await this.getRules();
+    const remaining = rules.filter(rule => rule.id !== id);
+    if (remaining.length === rules.length) {
+      return false;
+    }
+    await this.storageHandler.setLocal(CookieCleanup.RULES_KEY, remaining);
+    return true;
+  }
+
+  /**
+   * Validates a rule and cleans up its conditions.
+   * @param {Object} rule - The rule
+   * @return {Object} The cleaned up rule
+   * @throws {Error} If the rule is invalid
+   */
+  static normalizeRule(rule) {
+    const name = (rule.name || '').trim();
+    if (!name) {
+      throw new Error('A rule needs a name.');
+    }
+    if (!['tabClose', 'startup', 'schedule'].includes(rule.trigger)) {
+      throw new Error('Pick when the rule runs.');
+    }
+    const namePattern = (rule.namePattern || '').trim();
+    try {
+      new RegExp(namePattern);
+    } catch (e) {
+      throw new Error(`Invalid cookie name pattern: ${e.message}`);
+    }
+    const keepNames = typeof rule.keepNames === 'string' ? rule.keepNames.split(',') : (rule.keepNames || []);
+
+    return {
+      id: rule.id,
+      name: name,
+      enabled: rule.enabled !== false,
+      trigger: rule.trigger,
+      intervalMinutes: rule.trigger === 'schedule' ? Math.max(1, Number(rule.intervalMinutes) || 60) : null,
+      domains: ProfileManager.normalizeDomainScope(rule.domains),
+      namePattern: namePattern,
+      keepNames: keepNames.map(keepName => keepName.trim()).filter(keepName => keepName),
+      thirdPartyOnly: !!rule.thirdPartyOnly,
+      olderThanDays: Math.max(0, Number(rule.olderThanDays) || 0),
+    };
+  }
+
+  /**
+   * Describes the conditions of a rule.
+   * @param {Object} rule - The rule
+   * @return {string}
+   */
+  static describeRule(rule) {
+    const conditions = [];
+    if (rule.namePattern) {
+      conditions.push(`with names matching /${rule.namePattern}/`);
+    }
+    conditions.push(rule.domains.length ? `on ${rule.domains.join(', ')}` : 'on every site');
+    if (rule.thirdPartyOnly) {
+      conditions.push('third-party only');
+    }
+    if (rule.olderThanDays) {
+      conditions.push(`older than ${rule.olderThanDays} day${rule.olderThanDays === 1 ? '' : 's'}`);
+    }
+    if (rule.keepNames.length) {
+      conditions.push(`except ${rule.keepNames.join(', ')}`);
+    }
+    return 'Deletes cookies ' + conditions.join(', ');
+  }
+
+  /**
+   * Creates, updates and clears the alarms of the scheduled rules.
+   * @return {Promise<void>}
+   */
+  async updateAlarms() {
+    const alarms = this.browserDetector.getApi().alarms;
+    if (!alarms) {
+      return;
+    }
+    const rules = (await this.getRules()).filter(rule => rule.enabled && rule.trigger === 'schedule');
+    const existing = await alarms.getAll();
+
+    for (const alarm of existing) {
+      const rule = rules.find(item => ALARM_PREFIX + item.id === alarm.name);
+      if (alarm.name.startsWith(ALARM_PREFIX) && (!rule || alarm.periodInMinutes !== rule.intervalMinutes)) {
+        await alarms.clear(alarm.name);
+      }
+    }
+    for (const rule of rules) {
+      const alarm = existing.find(item => item.name === ALARM_PREFIX + rule.id);
+      if (!alarm || alarm.periodInMinutes !== rule.intervalMinutes) {
+        await alarms.create(ALARM_PREFIX + rule.id, {
+          delayInMinutes: rule.intervalMinutes,
+          periodInMinutes: rule.intervalMinutes,
+        });
+      }
+    }
+  }
+
+  /**
+   * Runs the tab close rules when the last tab of a site was closed.
+   * @param {number} tabId - ID of the closed tab
+   * @return {Promise<void>}
+   */
+  async onTabRemoved(tabId) {
+    const site = await this.updateTrackedTabs(async () => {
+      const tabs = await this.getTrackedTabs();
+      const closedSite = tabs[tabId];
+      if (closedSite) {
+        delete tabs[tabId];
+        await this.setTrackedTabs(tabs);
+      }
+      return closedSite;
+    });
+    if (!site) {
+      return;
+    }
+
+    if (!(await this.getOpenSites()).has(site)) {
+      await this.runTrigger('tabClose', site);
+    }
+  }
+
+  /**
+   * Runs every enabled rule with a trigger.
+   * @param {string} trigger - `tabClose`, `startup` or `schedule`
+   * @param {string} [site] - Site whose last tab closed
+   * @return {Promise<void>}
+   */
+  async runTrigger(trigger, site = null) {
+    const rules = await this.getRules();
+    for (const rule of rules) {
+      if (rule.enabled && rule.trigger === trigger) {
+        await this.runRule(rule, trigger, site);
+      }
+    }
+  }
+
+  /**
+   * Runs a rule.
+   * @param {string} id - ID of the rule
+   * @param {string} trigger - What made the rule run
+   * @return {Promise<Object|null>} The log entry, or null if the rule
+   *     doesn't exist or is disabled
+   */
+  async runRuleById(id, trigger) {
+    const rule = (await this.getRules()).find(item => item.id === id);
+    if (!rule || (!rule.enabled && trigger !== 'manual')) {
+      return null;
+    }
+    return this.runRule(rule, trigger);
+  }
+
+  /**
+   * Deletes the cookies matching a rule. Protected cookies are always spared,
+   * sites open in a tab too, except when the rule is run manually.
+   * @param {Object} rule - The rule
+   * @param {string} trigger - What made the rule run
+   * @param {string} [site] - Only delete the cookies of this site
+   * @return {Promise<Object>} The log entry
+   */
+  async runRule(rule, trigger, site = null) {
+    const entry = {
+      id: GUID.get(),
+      timestamp: Date.now(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      trigger: trigger,
+      site: site,
+      deleted: 0,
+      protected: 0,
+      pinned: 0,
+      cookies: [],
+      error: null,
+    };
+
+    try {
+      const cookies = await new Promise(resolve => {
+        this.cookieHandler.getAllCookiesInBrowser(result => resolve(result || []));
+      });
+      const context = {
+        site: site,
+        openSites: trigger === 'manual' ? new Set() : await this.getOpenSites(),
+        visitedSites: await this.storageHandler.getLocal(CookieCleanup.SITES_KEY, {}),
+        firstSeen: await this.updateFirstSeen(cookies),
+        now: entry.timestamp,
+      };
+      const split = await this.protection.splitProtected(
+        cookies.filter(cookie => CookieCleanup.matchesRule(rule, cookie, context)),
+      );
+      entry.protected = split.protected.length;
+      // Pinned cookies would be set again right away
+      const pinnedSplit = await this.pins.splitPinned(split.allowed);
+      const matches = pinnedSplit.allowed;
+      entry.pinned = pinnedSplit.pinned.length;
+
+      const deleted = [];
+      for (const cookie of matches) {
+        if (await this.removeCookie(cookie)) {
+          deleted.push(cookie);
+        }
+      }
+      entry.deleted = deleted.length;
+      entry.cookies = deleted.slice(0, MAX_LOGGED_COOKIES).map(cookie => `${cookie.name} (${cookie.domain})`);
+      if (deleted.length < matches.length) {
+        entry.error = `${matches.length - deleted.length} cookies couldn't be deleted`;
+      }
+
+      if (deleted.length && this.historyHandler) {
+        this.historyHandler.recordOperation(
+          'cleanupRule',
+          deleted,
+          null,
+          this.cookieHandler.getCookieUrl(deleted[0]),
+        );
+      }
+    } catch (error) {
+      entry.error = error.message;
+    }
+
+    // Most tabs close without anything to delete, those runs would push the
+    // useful ones out of the log
+    if (trigger !== 'tabClose' || entry.deleted || entry.error) {
+      await this.addLogEntry(entry);
+    }
+    this.emit('ruleRun', entry);
+    return entry;
+  }
+
+  /**
+   * Checks if a rule deletes a cookie.
+   * @param {Object} rule - The rule
+   * @param {Object} cookie - The cookie
+   * @param {Object} context - State of the browser, see runRule
+   * @return {boolean}
+   */
+  static matchesRule(rule, cookie, context) {
+    const cookieSite = ProfileManager.getRegistrableDomain(cookie.domain);
+    if (context.site && cookieSite !== context.site) {
+      return false;
+    }
+    if (context.openSites.has(cookieSite)) {
+      return false;
+    }
+    if (!CookieCleanup.inRuleScope(rule, cookie)) {
+      return false;
+    }
+    if (rule.thirdPartyOnly && context.visitedSites[cookieSite]) {
+      return false;
+    }
+    if (rule.olderThanDays) {
+      const firstSeen = context.firstSeen[CookieCleanup.getCookieKey(cookie)] || context.now;
+      if (context.now - firstSeen < rule.olderThanDays * DAY) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Checks the conditions of a rule that don't depend on the state of the
+   * browser: its domains, name pattern and allowlist.
+   * @param {Object} rule - The rule
+   * @param {Object} cookie - The cookie
+   * @return {boolean}
+   */
+  static inRuleScope(rule, cookie) {
+    if (rule.domains.length && !ProfileManager.cookieInScope(cookie, rule.domains)) {
+      return false;
+    }
+    if (rule.namePattern && !new RegExp(rule.namePattern).test(cookie.name)) {
+      return false;
+    }
+    return !rule.keepNames.some(keepName => CookieCleanup.matchesName(keepName, cookie.name));
+  }
+
+  /**
+   * Checks if a cookie name matches a name of the allowlist.
+   * @param {string} pattern - Name, `*` matches anything
+   * @param {string} name - Name of the cookie
+   * @return {boolean}
+   */
+  static matchesName(pattern, name) {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp('^' + source + '$').test(name);
+  }
+
+  /**
+   * Removes a cookie from the browser.
+   * @param {Object} cookie - The cookie
+   * @return {Promise<boolean>} Whether it was removed
+   */
+  removeCookie(cookie) {
+    return new Promise(resolve => {
+      this.cookieHandler.removeCookie(
+        cookie.name,
+        this.cookieHandler.getCookieUrl(cookie),
+        cookie.storeId,
+        result => resolve(!!result),
+        false,
+        cookie.partitionKey,
+      );
+    });
+  }
+
+  /**
+   * Remembers when the cookies an age-based rule may delete were first seen,
+   * forgetting the cookies that don't exist or match those rules anymore.
+   * @param {Array<Object>} cookies - Every cookie of the browser
+   * @return {Promise<Object>} Times first seen, by cookie key
+   */
+  async updateFirstSeen(cookies) {
+    // Disabled rules can still be run manually
+    const ageRules = (await this.getRules()).filter(rule => rule.olderThanDays);
+    const previous = await this.storageHandler.getLocal(CookieCleanup.SEEN_KEY, {});
+    const firstSeen = {};
+    const now = Date.now();
+    let added = false;
+    cookies.forEach(cookie => {
+      if (!ageRules.some(rule => CookieCleanup.inRuleScope(rule, cookie))) {
+        return;
+      }
+      const key = CookieCleanup.getCookieKey(cookie);
+      added = added || !previous[key];
+      firstSeen[key] = previous[key] || now;
+    });
+    if (added || Object.keys(firstSeen).length !== Object.keys(previous).length) {
+      await this.storageHandler.setLocal(CookieCleanup.SEEN_KEY, firstSeen);
+    }
+    return firstSeen;
+  }
+
+  /**
+   * @param {Object} cookie - The cookie
+   * @return {string} Key identifying a cookie in the first seen times
+   */
+  static getCookieKey(cookie) {
+    return [cookie.storeId, cookie.domain, cookie.path, cookie.name].join('|');
+  }
+
+  /**
+   * Remembers the site open in a tab, and that it was opened in a tab.
+   * @param {number} tabId - ID of the tab
+   * @param {string} url - URL of the tab
+   * @return {Promise<void>}
+   */
+  trackTab(tabId, url) {
+    const site = CookieCleanup.getSite(url);
+    return this.updateTrackedTabs(async () => {
+      const tabs = await this.getTrackedTabs();
+      if (tabs[tabId] === site) {
+        return;
+      }
+      if (site) {
+        tabs[tabId] = site;
+        await this.addVisitedSites([site]);
+      } else {
+        delete tabs[tabId];
+      }
+      await this.setTrackedTabs(tabs);
+    });
+  }
+
+  /**
+   * Tracks the tabs open when the background script starts.
+   * @return {Promise<void>}
+   */
+  trackOpenTabs() {
+    return this.updateTrackedTabs(async () => {
+      const tabs = await this.browserDetector.getApi().tabs.query({});
+      const tracked = {};
+      tabs.forEach(tab => {
+        const site = CookieCleanup.getSite(tab.url);
+        if (site) {
+          tracked[tab.id] = site;
+        }
+      });
+      await this.setTrackedTabs(tracked);
+      await this.addVisitedSites(Object.values(tracked));
+    });
+  }
+
+  /**
+   * Runs an update of the tracked tabs after the previous ones.
+   * @param {Function} update - Async function reading and writing the tabs
+   * @return {Promise<*>} Result of the update
+   */
+  updateTrackedTabs(update) {
+    const result = this.tabsQueue.then(update);
+    // A failed update doesn't stop the next ones
+    this.tabsQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Remembers sites as first-party, forgetting the oldest ones.
+   * @param {Array<string>} sites - Sites opened in a tab
+   * @return {Promise<void>}
+   */
+  async addVisitedSites(sites) {
+    const visited = await this.storageHandler.getLocal(CookieCleanup.SITES_KEY, {});
+    const now = Date.now();
+    // Visits are only written down once a day
+    const newSites = sites.filter(site => !visited[site] || now - visited[site] > DAY);
+    if (!newSites.length) {
+      return;
+    }
+    newSites.forEach(site => {
+      visited[site] = now;
+    });
+    const kept = Object.entries(visited)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_VISITED_SITES);
+    await this.storageHandler.setLocal(CookieCleanup.SITES_KEY, Object.fromEntries(kept));
+  }
+
+  /**
+   * @return {Promise<Set<string>>} Sites open in a tab
+   */
+  async getOpenSites() {
+    const tabs = await this.browserDetector.getApi().tabs.query({});
+    return new Set(tabs.map(tab => CookieCleanup.getSite(tab.url)).filter(site => site));
+  }
+
+  /**
+   * @param {string} url - URL of a tab
+   * @return {string|null} Registrable domain of the site, or null for pages
+   *     that aren't websites
+   */
+  static getSite(url) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return null;
+      }
+      return ProfileManager.getRegistrableDomain(parsed.hostname);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @return {Promise<Object>} Sites open in each tab, by tab ID
+   */
+  async getTrackedTabs() {
+    const session = this.browserDetector.getApi().storage.session;
+    if (!session) {
+      return { ...this.tabsInMemory };
+    }
+    const data = await session.get(CookieCleanup.TABS_KEY);
+    return data[CookieCleanup.TABS_KEY] || {};
+  }
+
+  /**
+   * @param {Object} tabs - Sites open in each tab, by tab ID
+   * @return {Promise<void>}
+   */
+  async setTrackedTabs(tabs) {
+    this.tabsInMemory = tabs;
+    const session = this.browserDetector.getApi().storage.session;
+    if (session) {
+      await session.set({ [CookieCleanup.TABS_KEY]: tabs });
+    }
+  }
+
+  /**
+   * Gets the log of the rule runs.
+   * @return {Promise<Array<Object>>} Log entries, newest first
+   */
+  async getLog() {
+    const log = await this.storageHandler.getLocal(CookieCleanup.LOG_KEY, []);
+    return Array.isArray(log) ? log : [];
+  }
+
+  /**
+   * Adds an entry to the log, dropping the oldest ones.
+   * @param {Object} entry - Log entry
+   * @return {Promise<void>}
+   */
+  async addLogEntry(entry) {
+    const log = await this.getLog();
+    log.unshift(entry);
+    await this.storageHandler.setLocal(CookieCleanup.LOG_KEY, log.slice(0, MAX_LOG_ENTRIES));
+  }
+
+  /**
+   * Empties the log.
+   * @return {Promise<void>}
+   */
+  async clearLog() {
+    await this.storageHandler.setLocal(CookieCleanup.LOG_KEY, []);
+  }
+}
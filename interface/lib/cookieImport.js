@@ -0,0 +1,274 @@
+import { HeaderstringFormat } from './headerstringFormat.js';
+import { JsonFormat } from './jsonFormat.js';
+import { NetscapeFormat } from './netscapeFormat.js';
+import { PlaywrightFormat } from './playwrightFormat.js';
+import { SetCookieFormat } from './setCookieFormat.js';
+
+const formatLabels = {
+  json: 'JSON',
+  playwright: 'Playwright / Puppeteer',
+  setcookie: 'Set-Cookie headers',
+  netscape: 'Netscape',
+  headerstring: 'Header String',
+};
+// Browsers reject a cookie when its name and value are larger than this
+const maxCookieSize = 4096;
+
+/**
+ * Parses the text of an import in any supported format, one row per cookie,
+ * and checks every cookie so problems can be shown before importing.
+ */
+export class CookieImport {
+  /**
+   * Parses a text to import.
+   * @param {string} text Text to import.
+   * @param {string} [format] Format ID, 'auto' to detect it.
+   * @param {object} [options]
+   * @param {boolean} [options.requireDomain] Whether cookies without a domain
+   *     are errors, when there is no tab to import them into.
+   * @return {object} The import as `{format, label, rows}`, where each row is
+   *     `{source, cookie, errors, warnings, selected}`.
+   * @throws {Error} If the format of the text can't be recognized.
+   */
+  static parse(text, format = 'auto', options = {}) {
+    const detectedFormat = formatLabels[format] ? format : CookieImport.detectFormat(text);
+    if (!detectedFormat) {
+      throw new Error('Unrecognized format.');
+    }
+
+    const rows = CookieImport.parseRows(text, detectedFormat);
+    if (!rows.length) {
+      throw new Error('No cookies found.');
+    }
+    rows.forEach((row) => {
+      if (row.cookie) {
+        CookieImport.validate(row, options);
+      }
+      row.selected = !row.errors.length && !row.expired;
+    });
+
+    return {
+      format: detectedFormat,
+      label: formatLabels[detectedFormat],
+      rows: rows,
+    };
+  }
+
+  /**
+   * Sniffs the format of a text.
+   * @param {string} text
+   * @return {string|null} The format ID, or null if none matches.
+   */
+  static detectFormat(text) {
+    const trimmed = text.trim();
+    if (/^[[{]/.test(trimmed)) {
+      let data;
+      try {
+        data = JSON.parse(trimmed);
+      } catch (e) {
+        return null;
+      }
+      const isStorageState = data && !Array.isArray(data) && Array.isArray(data.cookies);
+      if (isStorageState ||
+          (Array.isArray(data) && data.some(PlaywrightFormat.isAutomationCookie))) {
+        return 'playwright';
+      }
+      return 'json';
+    }
+
+    if (SetCookieFormat.isSetCookie(text)) {
+      return 'setcookie';
+    }
+
+    const lines = trimmed.split(/\r?\n/);
+    const isNetscape = lines.some((line) =>
+      /^#\s*Netscape HTTP Cookie File/i.test(line) ||
+      (!/^#(?!HttpOnly_)/.test(line) && line.split('\t').length === 7),
+    );
+    if (isNetscape) {
+      return 'netscape';
+    }
+
+    return trimmed.includes('=') ? 'headerstring' : null;
+  }
+
+  /**
+   * Parses a text into rows, a malformed cookie only fails its own row.
+   * @param {string} text
+   * @param {string} format Format ID.
+   * @return {object[]} The rows.
+   */
+  static parseRows(text, format) {
+    switch (format) {
+      case 'json': {
+        const data = JsonFormat.parse(text);
+        const items = Array.isArray(data) ? data : [data];
+        return items.map((item) => CookieImport.createRow(
+          JSON.stringify(item),
+          () => {
+            if (!item || typeof item !== 'object') {
+              throw new Error('Not a cookie object');
+            }
+            return { ...item };
+          },
+        ));
+      }
+      case 'playwright': {
+        const data = JSON.parse(text);
+        const items = Array.isArray(data) ? data : data.cookies;
+        return items.map((item) => CookieImport.createRow(
+          JSON.stringify(item),
+          () => PlaywrightFormat.fromAutomationCookie(item),
+        ));
+      }
+      case 'setcookie':
+        return SetCookieFormat.getLines(text).map((line) => CookieImport.createRow(
+          line.trim(),
+          () => {
+            const cookie = SetCookieFormat.parseLine(line);
+            if (!cookie) {
+              throw new Error('The cookie has no name');
+            }
+            return cookie;
+          },
+        ));
+      case 'netscape':
+        return text
+          .split(/\r?\n/)
+          .map((line) => line.trim())
+          .filter((line) => line && !/^#(?!HttpOnly_)/.test(line))
+          .map((line) => CookieImport.createRow(line, () => {
+            if (line.split('\t').length !== 7) {
+              throw new Error('Expected 7 fields separated by tabs');
+            }
+            return NetscapeFormat.parse(line)[0];
+          }));
+      case 'headerstring':
+        return text
+          .split(';')
+          .map((pair) => pair.trim())
+          .filter((pair) => pair)
+          .map((pair) => CookieImport.createRow(pair, () => {
+            if (pair.indexOf('=') < 1) {
+              throw new Error('Expected a name=value pair');
+            }
+            return HeaderstringFormat.parse(pair)[0];
+          }));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Creates a row from the parser of a single cookie.
+   * @param {string} source Raw text of the cookie.
+   * @param {function} parseCookie Returns the cookie or throws.
+   * @return {object} The row.
+   */
+  static createRow(source, parseCookie) {
+    const row = { source: source, cookie: null, errors: [], warnings: [], expired: false };
+    try {
+      row.cookie = CookieImport.normalizeCookie(parseCookie());
+    } catch (error) {
+      row.errors.push(error.message);
+    }
+    return row;
+  }
+
+  /**
+   * Brings the cookies of every format to the shape used by the extension.
+   * @param {object} cookie
+   * @return {object}
+   */
+  static normalizeCookie(cookie) {
+    // The Netscape parser names the expiration date differently, 0 is a
+    // session cookie
+    if (cookie.expiration !== undefined && cookie.expirationDate === undefined) {
+      const expiration = Number(cookie.expiration);
+      if (expiration > 0) {
+        cookie.expirationDate = expiration;
+      }
+      delete cookie.expiration;
+    }
+    if (cookie.sameSite === 'unspecified') {
+      cookie.sameSite = null;
+    }
+    cookie.session = !cookie.expirationDate;
+    return cookie;
+  }
+
+  /**
+   * Adds the errors and warnings of a row's cookie.
+   * @param {object} row
+   * @param {object} options See CookieImport.parse.
+   */
+  static validate(row, options) {
+    const cookie = row.cookie;
+    const name = typeof cookie.name === 'string' ? cookie.name : '';
+    const value = cookie.value === undefined || cookie.value === null ?
+      '' :
+      String(cookie.value);
+
+    if (!name) {
+      row.errors.push('The cookie has no name');
+    }
+    // eslint-disable-next-line no-control-regex
+    if (/[;=\x00-\x08\x0A-\x1F\x7F]/.test(name)) {
+      row.errors.push('The name contains characters not allowed in a cookie');
+    }
+    // eslint-disable-next-line no-control-regex
+    if (/[;\x00-\x08\x0A-\x1F\x7F]/.test(value)) {
+      row.errors.push('The value contains characters not allowed in a cookie');
+    }
+    if (options.requireDomain && !cookie.domain) {
+      row.errors.push('No domain to import the cookie into');
+    }
+
+    const lowerName = name.toLowerCase();
+    if (lowerName.startsWith('__host-')) {
+      const violations = [];
+      if (!cookie.secure) {
+        violations.push('Secure');
+      }
+      if ((cookie.path || '/') !== '/') {
+        violations.push('Path=/');
+      }
+      if (cookie.hostOnly === false || (cookie.domain || '').startsWith('.')) {
+        violations.push('no Domain');
+      }
+      if (violations.length) {
+        row.errors.push(`The __Host- prefix requires ${violations.join(', ')}`);
+      }
+    } else if (lowerName.startsWith('__secure-') && !cookie.secure) {
+      row.errors.push('The __Secure- prefix requires Secure');
+    }
+
+    if (cookie.sameSite === 'no_restriction' && !cookie.secure) {
+      row.warnings.push('SameSite=None without Secure, it will be saved as Secure');
+    }
+    if ((cookie.partitioned || cookie.partitionKey) && !cookie.secure) {
+      row.warnings.push('Partitioned without Secure, it will be saved as Secure');
+    }
+    if (cookie.expirationDate && cookie.expirationDate * 1000 < Date.now()) {
+      row.expired = true;
+      row.warnings.push(
+        'Expired on ' + new Date(cookie.expirationDate * 1000).toLocaleString() +
+        ', importing it removes the existing cookie',
+      );
+    }
+    if (name.length + value.length > maxCookieSize) {
+      row.warnings.push(`Larger than ${maxCookieSize} bytes, browsers may reject it`);
+    }
+  }
+
+  /**
+   * Gets the cookies of the selected rows.
+   * @param {object} result Result of CookieImport.parse.
+   * @return {object[]} Copies of the cookies.
+   */
+  static getSelectedCookies(result) {
+    return result.rows
+      .filter((row) => row.selected && row.cookie)
+      .map((row) => ({ ...row.cookie }));
+  }
+}
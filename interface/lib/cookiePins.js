@@ -0,0 +1,241 @@
+import { CookieProtection } from './cookieProtection.js';
+import { EventEmitter } from './eventEmitter.js';
+
+/**
+ * Cookies pinned to a value. While a pin is active, the background script
+ * sets the pinned cookie again every time a site overwrites or deletes it.
+ * Pins last until they are released or until their expiration.
+ */
+export class CookiePins extends EventEmitter {
+  static STORAGE_KEY = 'pinnedCookies';
+  // How long a pin can last, in minutes, 0 is until unpinned
+  static DURATIONS = {
+    0: 'Until unpinned',
+    15: 'For 15 minutes',
+    60: 'For 1 hour',
+    1440: 'For 1 day',
+  };
+
+  /**
+   * Constructs a CookiePins.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler for the pins
+   */
+  constructor(browserDetector, storageHandler) {
+    super();
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+    // Kept in memory so the cookie list can show the pins right away
+    this.pins = [];
+    this.loaded = null;
+
+    const api = browserDetector.getApi();
+    if (api.storage && api.storage.onChanged) {
+      api.storage.onChanged.addListener(this.onStorageChanged);
+    }
+  }
+
+  /**
+   * Keeps the pins in memory up to date with other pages.
+   * @param {object} changes Storage changes
+   * @param {string} areaName Storage area that changed
+   */
+  onStorageChanged = (changes, areaName) => {
+    if (areaName === 'local' && changes[CookiePins.STORAGE_KEY]) {
+      const pins = changes[CookiePins.STORAGE_KEY].newValue;
+      this.pins = Array.isArray(pins) ? pins : [];
+      this.emit('pinsChanged');
+    }
+  };
+
+  /**
+   * Loads the pins in memory, once.
+   * @return {Promise<Array<Object>>} The pins
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.storageHandler.getLocal(CookiePins.STORAGE_KEY, []).then(pins => {
+        this.pins = Array.isArray(pins) ? pins : [];
+        return this.pins;
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Gets the pins that haven't expired.
+   * @return {Promise<Array<Object>>} The pins, as `{key, cookie, pinnedAt,
+   *     expiresAt}` with the cookie holding the pinned value
+   */
+  async getPins() {
+    await this.load();
+    return this.pins.filter(pin => !CookiePins.isExpired(pin));
+  }
+
+  /**
+   * Finds the active pin of a cookie, using the pins in memory.
+   * @param {Object} cookie - The cookie
+   * @return {Object|null} The pin, or null if the cookie isn't pinned
+   */
+  getPin(cookie) {
+    const key = CookieProtection.getCookieKey(cookie);
+    return this.pins.find(pin => pin.key === key && !CookiePins.isExpired(pin)) || null;
+  }
+
+  /**
+   * @param {Object} cookie - The cookie
+   * @return {boolean} Whether the cookie is pinned
+   */
+  isPinned(cookie) {
+    return !!this.getPin(cookie);
+  }
+
+  /**
+   * Pins a cookie to its current value.
+   * @param {Object} cookie - The cookie, as returned by the cookies API
+   * @param {number} [minutes] - How long the pin lasts, 0 is until unpinned
+   * @return {Promise<Object>} The pin
+   */
+  async pinCookie(cookie, minutes = 0) {
+    const now = Date.now();
+    const pin = {
+      key: CookieProtection.getCookieKey(cookie),
+      cookie: JSON.parse(JSON.stringify(cookie)),
+      pinnedAt: now,
+      expiresAt: minutes > 0 ? now + minutes * 60 * 1000 : null,
+    };
+    const pins = (await this.getPins()).filter(item => item.key !== pin.key);
+    pins.push(pin);
+    await this.setPins(pins);
+    return pin;
+  }
+
+  /**
+   * Moves the pin of a cookie edited from the extension to its new state, so
+   * the edit isn't undone by the pin.
+   * @param {Object} previousCookie - The cookie before the edit
+   * @param {Object} cookie - The cookie after the edit
+   * @return {Promise<boolean>} Whether the cookie was pinned
+   */
+  async repinCookie(previousCookie, cookie) {
+    await this.load();
+    const pin = this.getPin(previousCookie);
+    if (!pin) {
+      return false;
+    }
+    const key = CookieProtection.getCookieKey(cookie);
+    const pins = (await this.getPins()).filter(item => item.key !== pin.key && item.key !== key);
+    pins.push({ ...pin, key: key, cookie: JSON.parse(JSON.stringify(cookie)) });
+    await this.setPins(pins);
+    return true;
+  }
+
+  /**
+   * Changes how long a pin lasts, counting from now.
+   * @param {string} key - Key of the pinned cookie
+   * @param {number} minutes - New duration, 0 is until unpinned
+   * @return {Promise<boolean>} Whether the pin was found
+   */
+  async setDuration(key, minutes) {
+    const pins = await this.getPins();
+    const pin = pins.find(item => item.key === key);
+    if (!pin) {
+      return false;
+    }
+    pin.expiresAt = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+    await this.setPins(pins);
+    return true;
+  }
+
+  /**
+   * Releases a pin.
+   * @param {string} key - Key of the pinned cookie
+   * @return {Promise<boolean>} Whether the pin was found
+   */
+  async unpin(key) {
+    const pins = await this.getPins();
+    const remaining = pins.filter(pin => pin.key !== key);
+    if (remaining.length === pins.length) {
+      return false;
+    }
+    await this.setPins(remaining);
+    return true;
+  }
+
+  /**
+   * Separates the pinned cookies from the others, a pinned cookie that is
+   * deleted or replaced would be set again right away.
+   * @param {Array<Object>} cookies - Cookies about to be deleted or replaced
+   * @return {Promise<Object>} `{allowed, pinned}` cookie lists
+   */
+  async splitPinned(cookies) {
+    await this.load();
+    const result = { allowed: [], pinned: [] };
+    (cookies || []).forEach(cookie => {
+      result[this.isPinned(cookie) ? 'pinned' : 'allowed'].push(cookie);
+    });
+    return result;
+  }
+
+  /**
+   * Sets a pinned cookie again after a site changed or deleted it. Called by
+   * the background script for every change.
+   * @param {Object} changeInfo - Change from cookies.onChanged
+   * @param {GenericCookieHandler} cookieHandler - Cookie handler to set it with
+   * @return {Promise<Object|null>} The cookie that was set again, or null
+   */
+  async reapplyPin(changeInfo, cookieHandler) {
+    const { cookie, removed, cause } = changeInfo;
+    await this.load();
+    const key = CookieProtection.getCookieKey(cookie);
+    const pin = this.pins.find(item => item.key === key);
+    if (!pin) {
+      return null;
+    }
+    if (CookiePins.isExpired(pin)) {
+      await this.setPins(await this.getPins());
+      return null;
+    }
+    // An overwrite is followed by the new cookie, which is the one replaced
+    if (removed && cause !== 'explicit' && cause !== 'expired_overwrite') {
+      return null;
+    }
+    if (!removed && cookie.value === pin.cookie.value) {
+      return null;
+    }
+
+    const pinned = { ...pin.cookie };
+    // Outlive the cookie's own expiration as a session cookie
+    if (pinned.expirationDate && pinned.expirationDate * 1000 < Date.now()) {
+      delete pinned.expirationDate;
+      pinned.session = true;
+    }
+    return new Promise(resolve => {
+      cookieHandler.saveCookie(pinned, cookieHandler.getCookieUrl(pinned), (error, savedCookie) => {
+        if (error) {
+          console.error(`Could not reapply pinned cookie ${pinned.name}:`, error);
+        }
+        resolve(savedCookie || null);
+      });
+    });
+  }
+
+  /**
+   * Replaces the pins.
+   * @param {Array<Object>} pins - The pins
+   * @return {Promise<void>}
+   */
+  async setPins(pins) {
+    this.pins = pins;
+    await this.storageHandler.setLocal(CookiePins.STORAGE_KEY, pins);
+  }
+
+  /**
+   * @param {Object} pin - The pin
+   * @param {number} [now] - Current time in milliseconds
+   * @return {boolean} Whether the pin has expired
+   */
+  static isExpired(pin, now = Date.now()) {
+    return !!pin.expiresAt && pin.expiresAt <= now;
+  }
+}
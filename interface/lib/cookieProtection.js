@@ -0,0 +1,344 @@
+import { EventEmitter } from './eventEmitter.js';
+import { GUID } from './guid.js';
+
+/**
+ * List of protected cookies, which bulk deletes, profile loads and cleanup
+ * rules leave alone. An entry matches a single cookie by domain, name and
+ * path, or many with wildcards. Entries can also lock the value: when a site
+ * overwrites or deletes the cookie, the background script puts back the last
+ * value set from the extension.
+ */
+export class CookieProtection extends EventEmitter {
+  static STORAGE_KEY = 'protectedCookies';
+  // Values the locked cookies are restored to
+  static VALUES_KEY = 'protectedCookieValues';
+
+  /**
+   * Constructs a CookieProtection.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler for the list
+   */
+  constructor(browserDetector, storageHandler) {
+    super();
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+    // Kept in memory so the cookie list can be drawn without waiting
+    this.entries = [];
+    this.loaded = null;
+
+    const api = browserDetector.getApi();
+    if (api.storage && api.storage.onChanged) {
+      api.storage.onChanged.addListener(this.onStorageChanged);
+    }
+  }
+
+  /**
+   * Keeps the entries in memory up to date with other pages.
+   * @param {object} changes Storage changes
+   * @param {string} areaName Storage area that changed
+   */
+  onStorageChanged = (changes, areaName) => {
+    if (areaName === 'local' && changes[CookieProtection.STORAGE_KEY]) {
+      const entries = changes[CookieProtection.STORAGE_KEY].newValue;
+      this.entries = Array.isArray(entries) ? entries : [];
+      this.emit('protectionChanged');
+    }
+  };
+
+  /**
+   * Loads the entries in memory, once.
+   * @return {Promise<Array<Object>>} The entries
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.storageHandler.getLocal(CookieProtection.STORAGE_KEY, []).then(entries => {
+        this.entries = Array.isArray(entries) ? entries : [];
+        return this.entries;
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Gets every entry.
+   * @return {Promise<Array<Object>>} The entries
+   */
+  async getEntries() {
+    await this.load();
+    return this.entries;
+  }
+
+  /**
+   * Adds an entry.
+   * @param {Object} entry - The entry to add
+   * @param {string} entry.domain - Cookie domain, `*.example.com` matches the
+   *     domain and its subdomains
+   * @param {string} entry.name - Cookie name, `*` matches anything
+   * @param {string} [entry.path] - Cookie path, any path when empty
+   * @param {boolean} [entry.restore] - Restore the value when a site changes
+   *     or deletes the cookie
+   * @param {Array<Object>} [cookies] - Current cookies, to remember the
+   *     values of the locked ones
+   * @return {Promise<Object>} The entry that was saved
+   * @throws {Error} If the entry is incomplete
+   */
+  async addEntry(entry, cookies = []) {
+    const newEntry = CookieProtection.normalizeEntry({ ...entry, id: GUID.get() });
+    const entries = [...(await this.getEntries()), newEntry];
+    await this.setEntries(entries);
+    await this.rememberValues(cookies.filter(cookie => CookieProtection.matchesEntry(newEntry, cookie)));
+    return newEntry;
+  }
+
+  /**
+   * Changes some properties of an entry.
+   * @param {string} id - ID of the entry
+   * @param {Object} changes - Properties to change
+   * @param {Array<Object>} [cookies] - Current cookies, see addEntry
+   * @return {Promise<boolean>} Whether the entry was found
+   * @throws {Error} If the changed entry is incomplete
+   */
+  async updateEntry(id, changes, cookies = []) {
+    const entries = [...(await this.getEntries())];
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+    entries[index] = CookieProtection.normalizeEntry({ ...entries[index], ...changes, id: id });
+    await this.setEntries(entries);
+    await this.rememberValues(cookies.filter(cookie => CookieProtection.matchesEntry(entries[index], cookie)));
+    return true;
+  }
+
+  /**
+   * Removes an entry.
+   * @param {string} id - ID of the entry
+   * @return {Promise<boolean>} Whether the entry was found
+   */
+  async removeEntry(id) {
+    const entries = await this.getEntries();
+    const remaining = entries.filter(entry => entry.id !== id);
+    if (remaining.length === entries.length) {
+      return false;
+    }
+    await this.setEntries(remaining);
+    return true;
+  }
+
+  /**
+   * Protects a single cookie.
+   * @param {Object} cookie - The cookie
+   * @return {Promise<Object>} The entry that was saved
+   */
+  async protectCookie(cookie) {
+    return this.addEntry({ domain: cookie.domain, name: cookie.name, path: cookie.path });
+  }
+
+  /**
+   * Removes the entries protecting exactly this cookie.
+   * @param {Object} cookie - The cookie
+   * @return {Promise<boolean>} False if the cookie is still protected by a
+   *     wildcard entry
+   */
+  async unprotectCookie(cookie) {
+    const entries = await this.getEntries();
+    const remaining = entries.filter(entry =>
+      !CookieProtection.matchesEntry(entry, cookie) || CookieProtection.isPattern(entry),
+    );
+    if (remaining.length !== entries.length) {
+      await this.setEntries(remaining);
+    }
+    return !this.isProtected(cookie);
+  }
+
+  /**
+   * Checks if a cookie is protected, using the entries in memory.
+   * @param {Object} cookie - The cookie
+   * @return {boolean}
+   */
+  isProtected(cookie) {
+    return !!this.getEntry(cookie);
+  }
+
+  /**
+   * Finds the entry protecting a cookie, preferring one that locks its value.
+   * @param {Object} cookie - The cookie
+   * @return {Object|null} The entry, or null if the cookie isn't protected
+   */
+  getEntry(cookie) {
+    const entries = this.entries.filter(entry => CookieProtection.matchesEntry(entry, cookie));
+    return entries.find(entry => entry.restore) || entries[0] || null;
+  }
+
+  /**
+   * Separates the protected cookies from the others.
+   * @param {Array<Object>} cookies - Cookies about to be deleted or replaced
+   * @return {Promise<Object>} `{allowed, protected}` cookie lists
+   */
+  async splitProtected(cookies) {
+    await this.load();
+    const result = { allowed: [], protected: [] };
+    (cookies || []).forEach(cookie => {
+      result[this.isProtected(cookie) ? 'protected' : 'allowed'].push(cookie);
+    });
+    return result;
+  }
+
+  /**
+   * Validates an entry and cleans it up.
+   * @param {Object} entry - The entry
+   * @return {Object} The cleaned up entry
+   * @throws {Error} If the entry is incomplete
+   */
+  static normalizeEntry(entry) {
+    const domain = (entry.domain || '').trim().toLowerCase();
+    const name = (entry.name || '').trim();
+    if (!/^(\*\.|\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain)) {
+      throw new Error('Enter the domain of the cookies to protect.');
+    }
+    if (!name) {
+      throw new Error('Enter the name of the cookies to protect, or * for all of them.');
+    }
+    return {
+      id: entry.id,
+      domain: domain,
+      name: name,
+      path: (entry.path || '').trim(),
+      restore: !!entry.restore,
+    };
+  }
+
+  /**
+   * @param {Object} entry - The entry
+   * @return {boolean} Whether the entry can match several cookies
+   */
+  static isPattern(entry) {
+    return entry.domain.startsWith('*.') || entry.name.includes('*') || !entry.path;
+  }
+
+  /**
+   * Checks if an entry protects a cookie. Domains are compared without their
+   * leading dot, unless the entry has one.
+   * @param {Object} entry - The entry
+   * @param {Object} cookie - The cookie
+   * @return {boolean}
+   */
+  static matchesEntry(entry, cookie) {
+    const cookieDomain = (cookie.domain || '').toLowerCase();
+    const host = cookieDomain.replace(/^\./, '');
+    let domainMatches;
+    if (entry.domain.startsWith('*.')) {
+      const base = entry.domain.substring(2);
+      domainMatches = host === base || host.endsWith('.' + base);
+    } else if (entry.domain.startsWith('.')) {
+      domainMatches = cookieDomain === entry.domain;
+    } else {
+      domainMatches = host === entry.domain;
+    }
+    if (!domainMatches || (entry.path && entry.path !== (cookie.path || '/'))) {
+      return false;
+    }
+
+    const source = entry.name
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp('^' + source + '$').test(cookie.name);
+  }
+
+  /**
+   * @param {Object} cookie - The cookie
+   * @return {string} Key identifying a cookie in the locked values and pins.
+   *     The partition is only added for partitioned cookies, so the keys of
+   *     other cookies stay the ones already stored.
+   */
+  static getCookieKey(cookie) {
+    const key = [cookie.storeId, cookie.domain, cookie.path, cookie.name].join('|');
+    const site = cookie.partitionKey ? cookie.partitionKey.topLevelSite || '' : '';
+    return site ? key + '|' + site : key;
+  }
+
+  /**
+   * Remembers the values the locked cookies are restored to. Call it before
+   * changing a locked cookie from the extension.
+   * @param {Array<Object>} cookies - New state of the cookies
+   * @return {Promise<void>}
+   */
+  async rememberValues(cookies) {
+    await this.load();
+    const locked = cookies.filter(cookie => this.getEntry(cookie)?.restore);
+    if (!locked.length) {
+      return;
+    }
+    const values = await this.storageHandler.getLocal(CookieProtection.VALUES_KEY, {});
+    locked.forEach(cookie => {
+      values[CookieProtection.getCookieKey(cookie)] = cookie;
+    });
+    await this.storageHandler.setLocal(CookieProtection.VALUES_KEY, values);
+  }
+
+  /**
+   * Puts back a locked cookie that was changed or deleted by something else
+   * than the extension. Called by the background script for every change.
+   * @param {Object} changeInfo - Change from cookies.onChanged
+   * @param {GenericCookieHandler} cookieHandler - Cookie handler to restore with
+   * @return {Promise<Object|null>} The restored cookie, or null
+   */
+  async restoreLockedCookie(changeInfo, cookieHandler) {
+    const { cookie, removed, cause } = changeInfo;
+    await this.load();
+    if (!this.getEntry(cookie)?.restore) {
+      return null;
+    }
+
+    const key = CookieProtection.getCookieKey(cookie);
+    const values = await this.storageHandler.getLocal(CookieProtection.VALUES_KEY, {});
+    const saved = values[key];
+    if (!saved) {
+      // Cookies showing up after they were locked keep their first value
+      if (!removed) {
+        values[key] = cookie;
+        await this.storageHandler.setLocal(CookieProtection.VALUES_KEY, values);
+      }
+      return null;
+    }
+    // An overwrite is followed by the new cookie, expired cookies stay gone
+    if (removed && cause !== 'explicit' && cause !== 'expired_overwrite') {
+      return null;
+    }
+    if (!removed && cookie.value === saved.value) {
+      return null;
+    }
+    if (saved.expirationDate && saved.expirationDate * 1000 < Date.now()) {
+      return null;
+    }
+
+    return new Promise(resolve => {
+      cookieHandler.saveCookie(saved, cookieHandler.getCookieUrl(saved), (error, savedCookie) => {
+        if (error) {
+          console.error(`Could not restore locked cookie ${saved.name}:`, error);
+        }
+        resolve(savedCookie || null);
+      });
+    });
+  }
+
+  /**
+   * Replaces the entries, forgetting the values of cookies that aren't
+   * locked anymore.
+   * @param {Array<Object>} entries - The entries
+   * @return {Promise<void>}
+   */
+  async setEntries(entries) {
+    this.entries = entries;
+    await this.storageHandler.setLocal(CookieProtection.STORAGE_KEY, entries);
+
+    const values = await this.storageHandler.getLocal(CookieProtection.VALUES_KEY, {});
+    const kept = Object.fromEntries(
+      Object.entries(values).filter(([, cookie]) => this.getEntry(cookie)?.restore),
+    );
+    if (Object.keys(kept).length !== Object.keys(values).length) {
+      await this.storageHandler.setLocal(CookieProtection.VALUES_KEY, kept);
+    }
+  }
+}
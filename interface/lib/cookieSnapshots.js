@@ -0,0 +1,489 @@
+import { CookieManager } from './manager/cookieManager.js';
+import { CookiePins } from './cookiePins.js';
+import { CookieProtection } from './cookieProtection.js';
+import { EventEmitter } from './eventEmitter.js';
+import { GUID } from './guid.js';
+import { ProfileManager } from './profileManager.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Snapshots stop being kept past this size together, storage.local holds 10 MB
+const MAX_STORED_BYTES = 4 * 1024 * 1024;
+const SAME_SITE = ['no_restriction', 'lax', 'strict', 'unspecified'];
+const FLAGS = { secure: 1, httpOnly: 2, hostOnly: 4, session: 8 };
+
+/**
+ * Snapshots of the cookies, of every site or of some domains, taken by hand
+ * or on a schedule by the background script. Two snapshots can be compared to
+ * see what changed in between, and the cookies of a domain can be put back as
+ * they were in a snapshot.
+ *
+ * The list of snapshots is stored apart from their cookies, which are kept
+ * as arrays of values to take less space.
+ */
+export class CookieSnapshots extends EventEmitter {
+  static INDEX_KEY = 'cookieSnapshots';
+  static DATA_PREFIX = 'cookieSnapshot:';
+  static SETTINGS_KEY = 'cookieSnapshotSettings';
+  static ALARM_NAME = 'cookieSnapshots:capture';
+  // Time between scheduled snapshots, in minutes, 0 is never
+  static INTERVALS = {
+    0: 'Never',
+    60: 'Every hour',
+    360: 'Every 6 hours',
+    1440: 'Every day',
+    10080: 'Every week',
+  };
+  static TRIGGERS = {
+    manual: 'Manual',
+    schedule: 'Scheduled',
+    restore: 'Before restore',
+  };
+  static DEFAULT_SETTINGS = {
+    intervalMinutes: 0,
+    domains: [],
+    maxSnapshots: 30,
+    maxAgeDays: 30,
+  };
+
+  /**
+   * Constructs a CookieSnapshots.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler for the snapshots
+   */
+  constructor(browserDetector, storageHandler) {
+    super();
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+    this.cookieManager = new CookieManager(browserDetector);
+    this.protection = new CookieProtection(browserDetector, storageHandler);
+    this.pins = new CookiePins(browserDetector, storageHandler);
+
+    const api = browserDetector.getApi();
+    if (api.storage && api.storage.onChanged) {
+      api.storage.onChanged.addListener(this.onStorageChanged);
+    }
+  }
+
+  /**
+   * Notifies listeners when the snapshots or the settings changed.
+   * @param {object} changes Storage changes
+   * @param {string} areaName Storage area that changed
+   */
+  onStorageChanged = (changes, areaName) => {
+    if (areaName !== 'local') {
+      return;
+    }
+    if (changes[CookieSnapshots.INDEX_KEY]) {
+      this.emit('snapshotsChanged');
+    }
+    if (changes[CookieSnapshots.SETTINGS_KEY]) {
+      this.emit('settingsChanged');
+    }
+  };
+
+  /**
+   * Takes the scheduled snapshots. Only the background script should call
+   * this, while its listeners are registered.
+   */
+  startAutomation() {
+    const api = this.browserDetector.getApi();
+    if (!api.alarms) {
+      return;
+    }
+    api.alarms.onAlarm.addListener(alarm => {
+      if (alarm.name === CookieSnapshots.ALARM_NAME) {
+        this.takeScheduledSnapshot().catch(error => console.error('Error taking cookie snapshot:', error));
+      }
+    });
+    this.on('settingsChanged', () => {
+      this.updateAlarm().catch(error => console.error('Error scheduling cookie snapshots:', error));
+    });
+    this.updateAlarm().catch(error => console.error('Error scheduling cookie snapshots:', error));
+  }
+
+  /**
+   * Creates, changes or clears the alarm of the scheduled snapshots.
+   * @return {Promise<void>}
+   */
+  async updateAlarm() {
+    const alarms = this.browserDetector.getApi().alarms;
+    const { intervalMinutes } = await this.getSettings();
+    const alarm = await alarms.get(CookieSnapshots.ALARM_NAME);
+    if (!intervalMinutes) {
+      if (alarm) {
+        await alarms.clear(CookieSnapshots.ALARM_NAME);
+      }
+      return;
+    }
+    if (!alarm || alarm.periodInMinutes !== intervalMinutes) {
+      alarms.create(CookieSnapshots.ALARM_NAME, {
+        delayInMinutes: intervalMinutes,
+        periodInMinutes: intervalMinutes,
+      });
+    }
+  }
+
+  /**
+   * Gets the schedule and the retention limits.
+   * @return {Promise<Object>} The settings, see DEFAULT_SETTINGS
+   */
+  async getSettings() {
+    const settings = await this.storageHandler.getLocal(CookieSnapshots.SETTINGS_KEY, {});
+    return { ...CookieSnapshots.DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * Saves the schedule and the retention limits, then drops the snapshots
+   * they don't keep anymore.
+   * @param {Object} settings - Settings to change
+   * @param {number} [settings.intervalMinutes] - One of INTERVALS
+   * @param {Array<string>|string} [settings.domains] - Domains of the
+   *     scheduled snapshots, see ProfileManager.normalizeDomainScope, all of
+   *     them when empty
+   * @param {number} [settings.maxSnapshots] - Snapshots kept at most
+   * @param {number} [settings.maxAgeDays] - Days a snapshot is kept, 0 is forever
+   * @return {Promise<Object>} The saved settings
+   * @throws {Error} If a setting is invalid
+   */
+  async setSettings(settings) {
+    const merged = { ...(await this.getSettings()), ...settings };
+    const intervalMinutes = Number(merged.intervalMinutes);
+    const maxSnapshots = Math.floor(Number(merged.maxSnapshots));
+    const maxAgeDays = Math.floor(Number(merged.maxAgeDays));
+    if (!(intervalMinutes in CookieSnapshots.INTERVALS)) {
+      throw new Error('Pick how often snapshots are taken.');
+    }
+    if (!(maxSnapshots >= 1 && maxSnapshots <= 200)) {
+      throw new Error('Keep between 1 and 200 snapshots.');
+    }
+    if (!(maxAgeDays >= 0)) {
+      throw new Error('Enter how many days snapshots are kept, or 0 to keep them until there are too many.');
+    }
+
+    const saved = {
+      intervalMinutes: intervalMinutes,
+      domains: ProfileManager.normalizeDomainScope(merged.domains),
+      maxSnapshots: maxSnapshots,
+      maxAgeDays: maxAgeDays,
+    };
+    await this.storageHandler.setLocal(CookieSnapshots.SETTINGS_KEY, saved);
+    await this.prune();
+    return saved;
+  }
+
+  /**
+   * Gets the list of snapshots, without their cookies.
+   * @return {Promise<Array<Object>>} The snapshots, newest first, as `{id,
+   *     timestamp, label, trigger, domains, storeId, count, bytes}`
+   */
+  async getSnapshots() {
+    const snapshots = await this.storageHandler.getLocal(CookieSnapshots.INDEX_KEY, []);
+    return Array.isArray(snapshots) ? snapshots : [];
+  }
+
+  /**
+   * Gets a snapshot with its cookies.
+   * @param {string} id - ID of the snapshot
+   * @return {Promise<Object|null>} The snapshot with a `cookies` list, or
+   *     null if it doesn't exist
+   */
+  async getSnapshot(id) {
+    const snapshot = (await this.getSnapshots()).find(item => item.id === id);
+    if (!snapshot) {
+      return null;
+    }
+    const data = await this.storageHandler.getLocal(CookieSnapshots.DATA_PREFIX + id, []);
+    return {
+      ...snapshot,
+      cookies: (data || []).map(values => CookieSnapshots.expandCookie(values, snapshot.storeId)),
+    };
+  }
+
+  /**
+   * Takes a snapshot.
+   * @param {Object} [options] - What to capture
+   * @param {Array<string>|string} [options.domains] - Domains to capture,
+   *     see ProfileManager.normalizeDomainScope, all of them when empty
+   * @param {string} [options.label] - Name shown in the timeline
+   * @param {string} [options.trigger] - One of TRIGGERS
+   * @param {string} [options.storeId] - Cookie store, the default one if empty
+   * @param {Array<Object>} [options.cookies] - Cookies of the store, read
+   *     from the browser if not given
+   * @return {Promise<Object>} The snapshot, without its cookies
+   */
+  async takeSnapshot({ domains = [], label = '', trigger = 'manual', storeId = '', cookies = null } = {}) {
+    const scope = ProfileManager.normalizeDomainScope(domains);
+    if (!cookies) {
+      cookies = await this.getLiveCookies(storeId);
+    }
+    if (scope.length) {
+      cookies = cookies.filter(cookie => ProfileManager.cookieInScope(cookie, scope));
+    }
+
+    const data = CookieSnapshots.compactCookies(cookies);
+    const snapshot = {
+      id: GUID.get(),
+      timestamp: Date.now(),
+      label: String(label).trim(),
+      trigger: trigger,
+      domains: scope,
+      storeId: storeId || '',
+      count: data.length,
+      bytes: JSON.stringify(data).length,
+    };
+
+    await this.storageHandler.setLocal(CookieSnapshots.DATA_PREFIX + snapshot.id, data);
+    await this.storageHandler.setLocal(CookieSnapshots.INDEX_KEY, [snapshot, ...(await this.getSnapshots())]);
+    await this.prune();
+    return snapshot;
+  }
+
+  /**
+   * Gets the cookies of a store as they are now, to compare them with its
+   * snapshots.
+   * @param {string} [storeId] - Cookie store, the default one if empty
+   * @return {Promise<Array<Object>>} The cookies
+   */
+  async getLiveCookies(storeId = '') {
+    return (await this.cookieManager.getAllCookies(storeId)) || [];
+  }
+
+  /**
+   * Takes the snapshot of the schedule, unless the cookies are the same as
+   * in the last scheduled snapshot.
+   * @return {Promise<Object|null>} The snapshot, or null if nothing changed
+   */
+  async takeScheduledSnapshot() {
+    const scope = ProfileManager.normalizeDomainScope((await this.getSettings()).domains);
+    let cookies = await this.getLiveCookies();
+    if (scope.length) {
+      cookies = cookies.filter(cookie => ProfileManager.cookieInScope(cookie, scope));
+    }
+
+    const previous = (await this.getSnapshots()).find(item =>
+      item.trigger === 'schedule' && !item.storeId && item.domains.join() === scope.join(),
+    );
+    if (previous) {
+      const previousData = await this.storageHandler.getLocal(CookieSnapshots.DATA_PREFIX + previous.id, []);
+      if (JSON.stringify(previousData) === JSON.stringify(CookieSnapshots.compactCookies(cookies))) {
+        return null;
+      }
+    }
+    return this.takeSnapshot({ domains: scope, trigger: 'schedule', cookies: cookies });
+  }
+
+  /**
+   * Deletes a snapshot.
+   * @param {string} id - ID of the snapshot
+   * @return {Promise<boolean>} Whether the snapshot was found
+   */
+  async deleteSnapshot(id) {
+    const snapshots = await this.getSnapshots();
+    const remaining = snapshots.filter(snapshot => snapshot.id !== id);
+    if (remaining.length === snapshots.length) {
+      return false;
+    }
+    await this.storageHandler.setLocal(CookieSnapshots.INDEX_KEY, remaining);
+    await this.storageHandler.removeLocal(CookieSnapshots.DATA_PREFIX + id);
+    return true;
+  }
+
+  /**
+   * Drops the snapshots past the retention limits, the oldest first.
+   * @return {Promise<number>} Number of snapshots dropped
+   */
+  async prune() {
+    const { maxSnapshots, maxAgeDays } = await this.getSettings();
+    const snapshots = await this.getSnapshots();
+    const now = Date.now();
+    let bytes = 0;
+    const kept = snapshots.filter((snapshot, index) => {
+      bytes += snapshot.bytes;
+      // The newest snapshot is always kept
+      return index === 0 || (
+        index < maxSnapshots &&
+        bytes <= MAX_STORED_BYTES &&
+        (!maxAgeDays || now - snapshot.timestamp <= maxAgeDays * DAY)
+      );
+    });
+    if (kept.length === snapshots.length) {
+      return 0;
+    }
+    const dropped = snapshots.filter(snapshot => !kept.includes(snapshot));
+    await this.storageHandler.setLocal(CookieSnapshots.INDEX_KEY, kept);
+    await this.storageHandler.removeLocal(dropped.map(snapshot => CookieSnapshots.DATA_PREFIX + snapshot.id));
+    return dropped.length;
+  }
+
+  /**
+   * Puts the cookies of a domain and its subdomains back as they were in a
+   * snapshot: cookies created since are deleted, the others are set again.
+   * Protected and pinned cookies are left alone and expired cookies aren't restored. A
+   * snapshot of the domain is taken first, so the restore can be undone.
+   * @param {string} id - ID of the snapshot
+   * @param {string} domain - The domain, like `example.com`
+   * @return {Promise<Object>} `{backup, restored, removed, protected,
+   *     pinned, expired, failed}` with the snapshot taken first and the counts of
+   *     cookies
+   * @throws {Error} If the snapshot or the domain is invalid
+   */
+  async restoreDomain(id, domain) {
+    const host = ProfileManager.normalizeDomainScope(domain).map(entry => entry.replace(/^\*?\./, ''))[0];
+    if (!host) {
+      throw new Error('Enter the domain to restore, like example.com.');
+    }
+    const snapshot = await this.getSnapshot(id);
+    if (!snapshot) {
+      throw new Error('This snapshot does not exist anymore.');
+    }
+    const scope = ['*.' + host];
+    if (snapshot.domains.length && !snapshot.cookies.some(cookie => ProfileManager.cookieInScope(cookie, scope))) {
+      throw new Error(`This snapshot has no cookies of ${host}.`);
+    }
+
+    const liveCookies = await this.getLiveCookies(snapshot.storeId);
+    const current = liveCookies.filter(cookie => ProfileManager.cookieInScope(cookie, scope));
+    const backup = await this.takeSnapshot({
+      domains: scope,
+      label: `Before restoring ${host}`,
+      trigger: 'restore',
+      storeId: snapshot.storeId,
+      cookies: current,
+    });
+
+    const now = Date.now() / 1000;
+    const result = { backup: backup, restored: 0, removed: 0, protected: 0, pinned: 0, expired: 0, failed: 0 };
+    const target = {};
+    snapshot.cookies.forEach(cookie => {
+      if (!ProfileManager.cookieInScope(cookie, scope)) {
+        return;
+      }
+      if (cookie.expirationDate && cookie.expirationDate < now) {
+        result.expired++;
+        return;
+      }
+      target[CookieSnapshots.getCookieKey(cookie)] = cookie;
+    });
+    const currentByKey = {};
+    current.forEach(cookie => {
+      currentByKey[CookieSnapshots.getCookieKey(cookie)] = cookie;
+    });
+
+    const { allowed: removable, protected: keptRemovals } = await this.protection.splitProtected(
+      current.filter(cookie => !target[CookieSnapshots.getCookieKey(cookie)]),
+    );
+    const { allowed: settable, protected: keptChanges } = await this.protection.splitProtected(
+      Object.entries(target)
+        .filter(([key, cookie]) => !currentByKey[key] || !CookieSnapshots.isSameCookie(currentByKey[key], cookie))
+        .map(([, cookie]) => cookie),
+    );
+    result.protected = keptRemovals.length + keptChanges.length;
+
+    // Pinned cookies would be set again right away. The pins are found with
+    // the live cookie, the snapshot doesn't keep the store of every cookie.
+    await this.pins.load();
+    const isPinned = cookie => {
+      const live = currentByKey[CookieSnapshots.getCookieKey(cookie)];
+      return !!live && this.pins.isPinned(live);
+    };
+    const pinned = [...removable, ...settable].filter(isPinned);
+    result.pinned = pinned.length;
+
+    for (const cookie of removable.filter(item => !pinned.includes(item))) {
+      await this.cookieManager.deleteCookie(cookie);
+      result.removed++;
+    }
+    for (const cookie of settable.filter(item => !pinned.includes(item))) {
+      try {
+        await this.cookieManager.updateCookie(cookie);
+        result.restored++;
+      } catch (error) {
+        console.error(`Could not restore cookie ${cookie.name}:`, error);
+        result.failed++;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @param {Object} cookie - The cookie
+   * @return {string} Key identifying a cookie within a store
+   */
+  static getCookieKey(cookie) {
+    const site = cookie.partitionKey ? cookie.partitionKey.topLevelSite || '' : '';
+    return [cookie.domain, cookie.path, cookie.name, site].join('|');
+  }
+
+  /**
+   * @param {Object} a - A cookie
+   * @param {Object} b - Another version of the cookie
+   * @return {boolean} Whether setting b would leave a unchanged
+   */
+  static isSameCookie(a, b) {
+    return JSON.stringify(CookieSnapshots.compactCookie(a)) === JSON.stringify(CookieSnapshots.compactCookie(b));
+  }
+
+  /**
+   * Packs cookies the way snapshots store them, in a stable order.
+   * @param {Array<Object>} cookies - The cookies
+   * @return {Array<Array>} The packed cookies, see compactCookie
+   */
+  static compactCookies(cookies) {
+    return cookies
+      .map(cookie => CookieSnapshots.compactCookie(cookie))
+      .sort((a, b) => a[0].localeCompare(b[0]) || a[2].localeCompare(b[2]) || a[1].localeCompare(b[1]));
+  }
+
+  /**
+   * Packs a cookie in an array, the way snapshots store it.
+   * @param {Object} cookie - The cookie, as returned by the cookies API
+   * @return {Array} `[domain, path, name, value, flags, expirationDate,
+   *     sameSite]`, and the partition site of partitioned cookies
+   */
+  static compactCookie(cookie) {
+    const session = cookie.session || !cookie.expirationDate;
+    let flags = 0;
+    Object.entries(FLAGS).forEach(([field, flag]) => {
+      if (field === 'session' ? session : cookie[field]) {
+        flags |= flag;
+      }
+    });
+    const values = [
+      cookie.domain || '',
+      cookie.path || '/',
+      cookie.name || '',
+      cookie.value || '',
+      flags,
+      session ? 0 : Math.round(cookie.expirationDate),
+      Math.max(0, SAME_SITE.indexOf(cookie.sameSite || 'unspecified')),
+    ];
+    if (cookie.partitionKey && cookie.partitionKey.topLevelSite) {
+      values.push(cookie.partitionKey.topLevelSite);
+    }
+    return values;
+  }
+
+  /**
+   * Unpacks a cookie stored by compactCookie.
+   * @param {Array} values - The packed cookie
+   * @param {string} [storeId] - Store the snapshot was taken from
+   * @return {Object} The cookie, in the format of the cookies API
+   */
+  static expandCookie(values, storeId = '') {
+    const [domain, path, name, value, flags, expirationDate, sameSite, topLevelSite] = values;
+    const cookie = { domain, path, name, value, sameSite: SAME_SITE[sameSite] };
+    Object.entries(FLAGS).forEach(([field, flag]) => {
+      cookie[field] = (flags & flag) !== 0;
+    });
+    if (!cookie.session) {
+      cookie.expirationDate = expirationDate;
+    }
+    if (topLevelSite) {
+      cookie.partitionKey = { topLevelSite: topLevelSite };
+    }
+    if (storeId) {
+      cookie.storeId = storeId;
+    }
+    return cookie;
+  }
+}
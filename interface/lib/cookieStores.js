@@ -0,0 +1,142 @@
+/**
+ * Helpers to list the cookie stores (default, incognito, containers) that the
+ * extension can access.
+ */
+export class CookieStores {
+  /**
+   * Lists every accessible cookie store along with the tabs mapped to it.
+   * With `"incognito": "split"`, each browser profile process only sees its
+   * own stores, so the incognito store is listed from incognito windows.
+   * @param {BrowserDetector} browserDetector
+   * @return {Promise<object[]>} Stores as `{id, name, label, title, tabs}`.
+   */
+  static async list(browserDetector) {
+    const [stores, tabs] = await Promise.all([
+      CookieStores.getAllCookieStores(browserDetector),
+      CookieStores.getAllTabs(browserDetector),
+    ]);
+
+    const tabsById = {};
+    tabs.forEach((tab) => {
+      tabsById[tab.id] = tab;
+    });
+
+    return Promise.all(stores.map(async (store) => {
+      const storeTabs = (store.tabIds || [])
+        .map((tabId) => tabsById[tabId])
+        .filter(Boolean);
+      const name =
+        (await CookieStores.getContainerName(browserDetector, store.id)) ||
+        CookieStores.getName(store.id);
+      const tabCount = storeTabs.length;
+      return {
+        id: store.id,
+        name: name,
+        label: `${name} (${tabCount} tab${tabCount === 1 ? '' : 's'})`,
+        title: storeTabs.map((tab) => tab.title || tab.url).join('\n'),
+        tabs: storeTabs,
+      };
+    }));
+  }
+
+  /**
+   * Gets the name the user gave to a Firefox container.
+   * @param {BrowserDetector} browserDetector
+   * @param {string} storeId
+   * @return {Promise<string|null>} The name, or null if the store isn't a
+   *     container or the browser doesn't tell its name.
+   */
+  static async getContainerName(browserDetector, storeId) {
+    const identities = browserDetector.getApi().contextualIdentities;
+    if (!identities || !/^firefox-container-/.test(storeId || '')) {
+      return null;
+    }
+    try {
+      const identity = await identities.get(storeId);
+      return identity && identity.name ? identity.name : null;
+    } catch (error) {
+      // Containers can be disabled after the store was listed
+      return null;
+    }
+  }
+
+  /**
+   * Gets a human readable name for a cookie store ID.
+   * @param {string} storeId
+   * @return {string}
+   */
+  static getName(storeId) {
+    switch (storeId) {
+      case '0':
+      case 'firefox-default':
+        return 'Default';
+      case '1':
+      case 'firefox-private':
+        return 'Incognito';
+    }
+    const container = /^firefox-container-(\d+)$/.exec(storeId || '');
+    if (container) {
+      return 'Container ' + container[1];
+    }
+    return storeId || 'Default';
+  }
+
+  /**
+   * Wraps cookies.getAllCookieStores.
+   * @param {BrowserDetector} browserDetector
+   * @return {Promise<object[]>}
+   */
+  static getAllCookieStores(browserDetector) {
+    const api = browserDetector.getApi();
+    if (!api.cookies || !api.cookies.getAllCookieStores) {
+      return Promise.resolve([]);
+    }
+
+    if (browserDetector.supportsPromises()) {
+      return api.cookies.getAllCookieStores().catch((error) => {
+        console.error('Error getting cookie stores:', error);
+        return [];
+      });
+    }
+
+    return new Promise((resolve) => {
+      api.cookies.getAllCookieStores((stores) => {
+        const error = api.runtime.lastError;
+        if (error) {
+          console.error('Error getting cookie stores:', error);
+          resolve([]);
+          return;
+        }
+        resolve(stores || []);
+      });
+    });
+  }
+
+  /**
+   * Wraps tabs.query to get every open tab.
+   * @param {BrowserDetector} browserDetector
+   * @return {Promise<object[]>}
+   */
+  static getAllTabs(browserDetector) {
+    const api = browserDetector.getApi();
+
+    if (browserDetector.supportsPromises()) {
+      return api.tabs.query({}).catch((error) => {
+        console.error('Error querying tabs:', error);
+        return [];
+      });
+    }
+
+    return new Promise((resolve) => {
+      api.tabs.query({}, (tabs) => {
+        const error = api.runtime.lastError;
+        if (error) {
+          console.error('Error querying tabs:', error);
+          resolve([]);
+          return;
+        }
+        resolve(tabs || []);
+      });
+    });
+  }
+}
@@ -0,0 +1,20 @@
+import { SnippetFormat } from './snippetFormat.js';
+
+/**
+ * This class is responsible for formatting cookies to a cURL command.
+ */
+export class CurlFormat extends SnippetFormat {
+  /**
+   * Builds a cURL command sending the cookies with `-b`.
+   * @param {object[]} cookies Raw cookies sent to the URL.
+   * @param {string} url URL the command requests.
+   * @return {string} The cURL command.
+   */
+  static formatSnippet(cookies, url) {
+    let command = `curl ${SnippetFormat.shellQuote(url)}`;
+    if (cookies.length) {
+      command += ` \\\n  -b ${SnippetFormat.shellQuote(SnippetFormat.getCookieHeader(cookies))}`;
+    }
+    return command;
+  }
+}
@@ -0,0 +1,295 @@
+import { ProfileVault } from './profileVault.js';
+import { ShareIdentity } from './sharing/shareIdentity.js';
+import { decryptData, encryptData } from './sharing/encryptionUtils.js';
+
+/**
+ * Backs up everything the extension keeps in its local storage to one
+ * archive file, optionally encrypted with a password, and restores it. The
+ * archive has a schema version, older archives are migrated on restore.
+ */
+export class ExtensionBackup {
+  static FORMAT = 'cookie-editor-plus-backup';
+  static SCHEMA_VERSION = 1;
+  // Transient state that means nothing on another day or machine
+  static EXCLUDED_KEYS = ['pendingSharedData', 'pendingSharedCookies'];
+  // Private keys, only written to backups encrypted with a password
+  static SECRET_KEYS = [ShareIdentity.IDENTITY_KEY];
+  // Profile keys, written through the profile manager when merging
+  static PROFILES_KEY = 'profiles';
+  static REVISIONS_KEY = 'profileRevisions';
+  // Migrations from each schema version to the next one
+  static MIGRATIONS = {
+    // Version 0 is the profile export of ProfileManager.exportAllProfiles
+    0: archive => ({
+      ...archive,
+      schemaVersion: 1,
+      data: { [ExtensionBackup.PROFILES_KEY]: archive.data },
+    }),
+  };
+
+  /**
+   * Constructs an ExtensionBackup.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler to back up
+   * @param {ProfileManager} profileManager - Merges the profiles on restore
+   */
+  constructor(browserDetector, storageHandler, profileManager) {
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+    this.profileManager = profileManager;
+  }
+
+  /**
+   * Creates an archive of all the data of the extension. Without a password
+   * the private keys are left out, see SECRET_KEYS.
+   * @param {string} [password] - Encrypts the data when set
+   * @return {Promise<string>} The archive as JSON
+   */
+  async createBackup(password = '') {
+    const data = await this.getBackupData(!!password);
+    const archive = {
+      format: ExtensionBackup.FORMAT,
+      schemaVersion: ExtensionBackup.SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      extensionVersion: this.browserDetector.getApi().runtime.getManifest().version,
+      encrypted: !!password,
+    };
+    if (password) {
+      const encryptedData = await encryptData(JSON.stringify(data), password);
+      archive.salt = encryptedData.salt;
+      archive.iv = encryptedData.iv;
+      archive.data = encryptedData.encrypted;
+    } else {
+      archive.data = data;
+    }
+    return JSON.stringify(archive, null, 2);
+  }
+
+  /**
+   * Gets the stored data to back up.
+   * @param {boolean} [includeSecrets] - Whether to include the private keys
+   * @return {Promise<Object>} Every value of the local storage, by key
+   */
+  async getBackupData(includeSecrets = true) {
+    const data = await this.storageHandler.get(null);
+    const excluded = includeSecrets
+      ? ExtensionBackup.EXCLUDED_KEYS
+      : [...ExtensionBackup.EXCLUDED_KEYS, ...ExtensionBackup.SECRET_KEYS];
+    excluded.forEach(key => {
+      delete data[key];
+    });
+    return data;
+  }
+
+  /**
+   * Checks whether there are private keys a backup without password leaves
+   * out, so the user can be told.
+   * @return {Promise<boolean>}
+   */
+  async hasSecrets() {
+    const data = await this.storageHandler.get(ExtensionBackup.SECRET_KEYS);
+    return ExtensionBackup.SECRET_KEYS.some(key => data[key] !== undefined);
+  }
+
+  /**
+   * Reads an archive, without restoring it.
+   * @param {string} text - Content of the archive file
+   * @return {Object} The archive, `data` still encrypted when it was
+   * @throws {Error} If the file isn't an archive this version can read
+   */
+  static parseBackup(text) {
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This file is not a Cookie-Editor Plus backup.');
+    }
+    if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+      throw new Error('This file is not a Cookie-Editor Plus backup.');
+    }
+    // Profile exports have no header, they are migrated like old archives
+    if (archive.format === undefined) {
+      if (!ExtensionBackup.isProfileExport(archive)) {
+        throw new Error('This file is not a Cookie-Editor Plus backup.');
+      }
+      return { format: ExtensionBackup.FORMAT, schemaVersion: 0, encrypted: false, data: archive };
+    }
+    if (archive.format !== ExtensionBackup.FORMAT || !Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 0) {
+      throw new Error('This file is not a Cookie-Editor Plus backup.');
+    }
+    if (archive.schemaVersion > ExtensionBackup.SCHEMA_VERSION) {
+      throw new Error('This backup was made by a newer version of Cookie-Editor Plus, update the extension to restore it.');
+    }
+    return archive;
+  }
+
+  /**
+   * Checks the shape of a profile export: domains holding profiles by name,
+   * each profile a list of cookies or an object with its cookies.
+   * @param {Object} data - Parsed file
+   * @return {boolean} Whether the file is a profile export
+   */
+  static isProfileExport(data) {
+    const isObject = item => item && typeof item === 'object' && !Array.isArray(item);
+    const domains = Object.values(data);
+    return domains.length > 0 && domains.every(profiles => isObject(profiles) &&
+      Object.values(profiles).every(profile => Array.isArray(profile) ||
+        (isObject(profile) && Array.isArray(profile.cookies))));
+  }
+
+  /**
+   * Decrypts an archive if needed and migrates it to the current schema.
+   * @param {Object} archive - Archive from parseBackup
+   * @param {string} [password] - Password of an encrypted archive
+   * @return {Promise<Object>} The archive, with its data in clear
+   * @throws {Error} If the password is missing or wrong
+   */
+  static async openBackup(archive, password = '') {
+    let opened = archive;
+    if (archive.encrypted) {
+      if (!password) {
+        throw new Error('This backup is encrypted, enter its password.');
+      }
+      const json = await decryptData({ encrypted: archive.data, salt: archive.salt, iv: archive.iv }, password);
+      opened = { ...archive, encrypted: false, data: JSON.parse(json) };
+    }
+    while (opened.schemaVersion < ExtensionBackup.SCHEMA_VERSION) {
+      opened = ExtensionBackup.MIGRATIONS[opened.schemaVersion](opened);
+    }
+    if (!opened.data || typeof opened.data !== 'object' || Array.isArray(opened.data)) {
+      throw new Error('This backup is damaged.');
+    }
+    return opened;
+  }
+
+  /**
+   * Restores an archive. Replacing removes everything not in the backup,
+   * except the private keys a backup without password doesn't have, and a
+   * profile export only replaces the profiles. Merging keeps the current data: lists are combined, and values of the
+   * backup replace the current ones with the same key, two levels deep so
+   * profiles are added to the domains that already have some.
+   * @param {string} text - Content of the archive file
+   * @param {Object} options - Restore options
+   * @param {string} [options.password] - Password of an encrypted archive
+   * @param {boolean} [options.replace] - Replace the data instead of merging
+   * @return {Promise<Object>} `{restored, skipped}`, the number of restored
+   *     keys and the reasons of what couldn't be restored
+   * @throws {Error} If the archive can't be read
+   */
+  async restoreBackup(text, { password = '', replace = false } = {}) {
+    const parsed = ExtensionBackup.parseBackup(text);
+    const archive = await ExtensionBackup.openBackup(parsed, password);
+    const data = { ...archive.data };
+    ExtensionBackup.EXCLUDED_KEYS.forEach(key => {
+      delete data[key];
+    });
+
+    if (replace && parsed.schemaVersion === 0) {
+      // Goes through the profile manager, which knows about the vault
+      if (await this.profileManager.importProfiles(JSON.stringify(data[ExtensionBackup.PROFILES_KEY]), true)) {
+        return { restored: 1, skipped: [] };
+      }
+      return {
+        restored: 0,
+        skipped: [await this.profileManager.isVaultEnabled()
+          ? 'Unlock the profile vault to replace the profiles.'
+          : 'The profiles of the file could not be restored.'],
+      };
+    }
+
+    if (replace) {
+      const current = await this.getBackupData();
+      const obsolete = Object.keys(current)
+        .filter(key => !(key in data) && !ExtensionBackup.SECRET_KEYS.includes(key));
+      if (obsolete.length) {
+        await this.storageHandler.removeLocal(obsolete);
+      }
+      await this.storageHandler.set(data);
+      // The unlocked key of the previous vault can't open the restored one
+      if (await this.profileManager.isVaultEnabled()) {
+        await this.profileManager.lockVault();
+      }
+      return { restored: Object.keys(data).length, skipped: [] };
+    }
+    return this.mergeData(data);
+  }
+
+  /**
+   * Merges backed up data into the current data, see restoreBackup.
+   * @param {Object} data - The backed up data
+   * @return {Promise<Object>} `{restored, skipped}`
+   */
+  async mergeData(data) {
+    const skipped = [];
+    let restored = 0;
+    const profiles = data[ExtensionBackup.PROFILES_KEY];
+    const vaultEnabled = await this.profileManager.isVaultEnabled();
+    delete data[ExtensionBackup.PROFILES_KEY];
+
+    // Encrypted profiles can't be combined with others
+    if (data[ProfileVault.STORAGE_KEY]) {
+      skipped.push('The profiles of the backup are in an encrypted vault, restore it with Replace to get them back.');
+      delete data[ProfileVault.STORAGE_KEY];
+      delete data[ExtensionBackup.REVISIONS_KEY];
+    } else if (vaultEnabled && data[ExtensionBackup.REVISIONS_KEY]) {
+      skipped.push('Profile revisions are not merged into the encrypted vault.');
+      delete data[ExtensionBackup.REVISIONS_KEY];
+    }
+
+    if (profiles) {
+      // Goes through the profile manager, which knows about the vault
+      if (await this.profileManager.importProfiles(JSON.stringify(profiles), false)) {
+        restored++;
+      } else {
+        skipped.push(vaultEnabled
+          ? 'Unlock the profile vault to merge the profiles of the backup.'
+          : 'The profiles of the backup could not be merged.');
+      }
+    }
+
+    const current = await this.storageHandler.get(Object.keys(data));
+    const merged = {};
+    Object.entries(data).forEach(([key, value]) => {
+      merged[key] = ExtensionBackup.mergeValues(current[key], value, 2);
+    });
+    if (Object.keys(merged).length) {
+      await this.storageHandler.set(merged);
+    }
+    return { restored: restored + Object.keys(merged).length, skipped };
+  }
+
+  /**
+   * Merges a backed up value into the current one.
+   * @param {*} current - Current value
+   * @param {*} value - Backed up value
+   * @param {number} depth - Levels of objects to merge, deeper values of the
+   *     backup replace the current ones
+   * @return {*} The merged value
+   */
+  static mergeValues(current, value, depth) {
+    if (Array.isArray(current) && Array.isArray(value)) {
+      // Items with an ID are replaced by the backed up ones, the others added once
+      const items = [...current];
+      value.forEach(item => {
+        const index = item && item.id !== undefined
+          ? items.findIndex(other => other && other.id === item.id)
+          : items.findIndex(other => JSON.stringify(other) === JSON.stringify(item));
+        if (index === -1) {
+          items.push(item);
+        } else {
+          items[index] = item;
+        }
+      });
+      return items;
+    }
+    const isObject = item => item && typeof item === 'object' && !Array.isArray(item);
+    if (depth > 0 && isObject(current) && isObject(value)) {
+      const result = { ...current };
+      Object.entries(value).forEach(([key, item]) => {
+        result[key] = ExtensionBackup.mergeValues(current[key], item, depth - 1);
+      });
+      return result;
+    }
+    return value;
+  }
+}
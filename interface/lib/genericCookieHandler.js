@@ -1,3 +1,4 @@
+import { CookieStores } from './cookieStores.js';
 import { EventEmitter } from './eventEmitter.js';
 
 /**
@@ -12,16 +13,88 @@ export class GenericCookieHandler extends EventEmitter {
     super();
     this.cookies = [];
     this.currentTab = null;
+    this.selectedStoreId = null;
     this.browserDetector = browserDetector;
   }
 
+  /**
+   * Selects the cookie store that get/save/remove calls are made against.
+   * @param {string|null} storeId The store ID, or null to follow the current
+   *     tab's store.
+   */
+  setSelectedStoreId(storeId) {
+    this.selectedStoreId = storeId || null;
+    this.emit('storeChanged', this.selectedStoreId);
+  }
+
+  /**
+   * Gets the ID of the cookie store cookies are read from and written to.
+   * @return {string|undefined} The selected store, otherwise the current
+   *     tab's store, or undefined to let the browser use the default store.
+   */
+  getActiveStoreId() {
+    return (
+      this.selectedStoreId ||
+      (this.currentTab && this.currentTab.cookieStoreId) ||
+      undefined
+    );
+  }
+
+  /**
+   * Extends a cookies.getAll filter so partitioned (CHIPS) cookies are
+   * returned alongside unpartitioned ones.
+   * @param {object} filter The filter passed to cookies.getAll.
+   * @return {object} The same filter object.
+   */
+  includePartitionedCookies(filter) {
+    if (this.browserDetector.supportsPartitionedCookies()) {
+      // An empty partition key matches every partition.
+      filter.partitionKey = {};
+    }
+    return filter;
+  }
+
+  /**
+   * Builds the partitionKey to pass to the cookies API for a cookie.
+   * @param {object} partitionKey The partitionKey read from a cookie.
+   * @return {object|undefined} The API partitionKey, or undefined if the
+   *     cookie is not partitioned or the browser doesn't support it.
+   */
+  getApiPartitionKey(partitionKey) {
+    if (
+      !partitionKey ||
+      !partitionKey.topLevelSite ||
+      !this.browserDetector.supportsPartitionedCookies()
+    ) {
+      return undefined;
+    }
+    return { topLevelSite: partitionKey.topLevelSite };
+  }
+
+  /**
+   * Builds a URL the cookie can be set or removed with, from its own domain
+   * and path rather than from the current tab.
+   * @param {object} cookie The cookie.
+   * @return {string} The URL.
+   */
+  getCookieUrl(cookie) {
+    const domain = (cookie.domain || '').replace(/^\./, '');
+    // Secure cookies can only be set and seen over https
+    const secure = cookie.secure || cookie.sameSite === 'no_restriction' || cookie.partitionKey;
+    return (secure ? 'https://' : 'http://') + domain + (cookie.path || '/');
+  }
+
   /**
    * Gets all cookie for the current tab.
    * @param {function} callback
    */
   getAllCookies(callback) {
     // Prepare filter parameters, omitting storeId to use the default context
+    // unless a specific store was selected
     const filter = {};
+    if (this.getActiveStoreId()) {
+      filter.storeId = this.getActiveStoreId();
+    }
 
     // Always prefer filtering by URL if available, as it correctly handles
     // domain/subdomain matching according to Chrome's cookie rules.
@@ -48,6 +121,8 @@ export class GenericCookieHandler extends EventEmitter {
       return;
     }
 
+    this.includePartitionedCookies(filter);
+
     if (this.browserDetector.supportsPromises()) {
       this.browserDetector
         .getApi()
@@ -82,10 +157,13 @@ export class GenericCookieHandler extends EventEmitter {
       return this.getAllCookies(callback);
     }
     
-    // Omit storeId to use default context
-    const filter = {
+    // Omit storeId to use default context unless a store was selected
+    const filter = this.includePartitionedCookies({
       domain: domain,
-    };
+    });
+    if (this.getActiveStoreId()) {
+      filter.storeId = this.getActiveStoreId();
+    }
     
     if (this.browserDetector.supportsPromises()) {
       this.browserDetector
@@ -121,10 +199,18 @@ export class GenericCookieHandler extends EventEmitter {
       secure: cookie.secure || null,
       httpOnly: cookie.httpOnly || null,
       expirationDate: cookie.expirationDate || null,
-      storeId: cookie.storeId || (this.currentTab && this.currentTab.cookieStoreId) || null,
+      storeId: cookie.storeId || this.getActiveStoreId() || null,
       url: url,
     };
 
+    // Without its partition key a CHIPS cookie would be silently recreated as
+    // an unpartitioned cookie. Partitioned cookies must also be secure.
+    const partitionKey = this.getApiPartitionKey(cookie.partitionKey);
+    if (partitionKey) {
+      newCookie.partitionKey = partitionKey;
+      newCookie.secure = true;
+    }
+
     // Validate required fields
     if (!newCookie.name) {
       console.error('prepareCookie received cookie with empty name', cookie);
@@ -239,8 +325,10 @@ export class GenericCookieHandler extends EventEmitter {
    * @param {string} [storeId] The ID of the cookie store to remove from.
    * @param {function} callback
    * @param {boolean} isRecursive
+   * @param {object} [partitionKey] The partition key of a partitioned (CHIPS)
+   *     cookie. Without it only the unpartitioned cookie is removed.
    */
-  removeCookie(name, url, storeId, callback, isRecursive = false) {
+  removeCookie(name, url, storeId, callback, isRecursive = false, partitionKey = null) {
     // If storeId is passed before callback, adjust arguments
     if (typeof storeId === 'function') {
       isRecursive = callback;
@@ -273,7 +361,7 @@ export class GenericCookieHandler extends EventEmitter {
                   // Use cookie's domain and path for the recursive call
                   const safariUrl = `${urlObj.protocol}//${cookieDomainClean}${cookie.path || '/'}`;
                   // Pass storeId in recursive call if available (though Safari logic might need review)
-                  this.removeCookie(name, safariUrl, cookie.storeId, callback, true);
+                  this.removeCookie(name, safariUrl, cookie.storeId, callback, true, partitionKey);
                   // Assuming Safari needs one deletion call per matching cookie found
               }
             }
@@ -291,17 +379,23 @@ export class GenericCookieHandler extends EventEmitter {
     }
     // The logic that called getAllCookies, compared paths, and called recursively is gone FOR NON-SAFARI BROWSERS.
 
+    const removeDetails = {
+      name: name,
+      url: url,
+      storeId: storeId || this.getActiveStoreId(),
+    };
+    const apiPartitionKey = this.getApiPartitionKey(partitionKey);
+    if (apiPartitionKey) {
+      removeDetails.partitionKey = apiPartitionKey;
+    }
+
     // Directly call the browser API (using promises or callbacks based on support)
     // Use the 'url' provided, which was constructed with the specific path in cookie-list.js
     if (this.browserDetector.supportsPromises()) {
       try {
         this.browserDetector
           .getApi()
-          .cookies.remove({
-            name: name,
-            url: url,
-            storeId: storeId // Add storeId here
-          })
+          .cookies.remove(removeDetails)
           .then(
             // Success handler
             (result) => {
@@ -341,11 +435,7 @@ export class GenericCookieHandler extends EventEmitter {
     } else { // Fallback for browsers without promise support
       try {
         this.browserDetector.getApi().cookies.remove(
-          {
-            name: name,
-            url: url,
-            storeId: storeId // Add storeId here
-          },
+          removeDetails,
           (result) => {
             if (callback) {
               try {
@@ -372,19 +462,25 @@ export class GenericCookieHandler extends EventEmitter {
   }
 
   /**
-   * Gets all the cookies from the browser.
+   * Gets the cookies of every domain in the selected store, like the other
+   * reads, see getActiveStoreId.
    * @param {function} callback
    */
   getAllCookiesInBrowser(callback) {
+    const filter = this.includePartitionedCookies({});
+    if (this.getActiveStoreId()) {
+      filter.storeId = this.getActiveStoreId();
+    }
+
     if (this.browserDetector.supportsPromises()) {
       this.browserDetector
         .getApi()
-        .cookies.getAll({})
+        .cookies.getAll(filter)
         .then(callback, function (e) {
           
         });
     } else {
-      this.browserDetector.getApi().cookies.getAll({}, callback);
+      this.browserDetector.getApi().cookies.getAll(filter, callback);
     }
   }
 
@@ -411,35 +507,52 @@ export class GenericCookieHandler extends EventEmitter {
    * @param {function} callback Function to call with the array of cookies or an empty array on error.
    */
   getAllBrowserCookies(callback) {
-    const filter = {}; // Empty filter gets all cookies
+    CookieStores.getAllCookieStores(this.browserDetector).then((stores) => {
+      // Without the stores API only the default store can be read
+      const storeIds = stores.length ? stores.map((store) => store.id) : [undefined];
+      return Promise.all(storeIds.map((storeId) => this.getAllCookiesOfStore(storeId)));
+    }).then((lists) => {
+      callback([].concat(...lists));
+    });
+  }
+
+  /**
+   * Gets the cookies of every domain in one store.
+   * @param {string} [storeId] The store, the default one if not set.
+   * @return {Promise<object[]>} The cookies, or an empty array on error.
+   */
+  getAllCookiesOfStore(storeId) {
+    const filter = this.includePartitionedCookies({}); // Empty filter gets all cookies
+    if (storeId) {
+      filter.storeId = storeId;
+    }
 
     if (this.browserDetector.supportsPromises()) {
-      this.browserDetector
+      return this.browserDetector
         .getApi()
         .cookies.getAll(filter)
         .then(
-          (cookies) => {
-            callback(cookies || []); // Ensure array even if API returns null/undefined
-          },
+          (cookies) => cookies || [], // Ensure array even if API returns null/undefined
           (error) => {
             console.error("Error getting all browser cookies (Promise):", error);
-            callback([]); // Pass empty array on error
+            return []; // Empty array on error
           }
         );
-    } else {
+    }
+    return new Promise((resolve) => {
       this.browserDetector.getApi().cookies.getAll(
         filter,
         (cookies) => {
             const error = this.browserDetector.getApi().runtime.lastError;
             if (error) {
                 console.error("Error getting all browser cookies (Callback):", error);
-                callback([]); // Pass empty array on error
+                resolve([]); // Empty array on error
             } else {
-                callback(cookies || []); // Ensure array even if API returns null/undefined
+                resolve(cookies || []); // Ensure array even if API returns null/undefined
             }
         }
       );
-    }
+    });
   }
 }
 
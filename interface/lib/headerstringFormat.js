@@ -4,8 +4,8 @@
  */
 export class HeaderstringFormat {
   /**
-   * Parses a string of cookie in the JSON format to a cookie object.
-   * @param {string} cookieString Cookies in the JSON format.
+   * Parses a string of cookie in the Header string format to a cookie object.
+   * @param {string} cookieString Cookies in the Header string format.
    * @return {object} List of Cookies.
    */
   static parse(cookieString) {
@@ -16,14 +16,14 @@ export class HeaderstringFormat {
       if (!rawCookie.length) {
         continue;
       }
-      const cookieParts = rawCookie.split('=');
-      if (cookieParts.length != 2) {
-        
+      // Values such as base64 can contain '=', only the first one separates
+      const separator = rawCookie.indexOf('=');
+      if (separator < 1) {
         continue;
       }
       cookies.push({
-        name: cookieParts[0],
-        value: cookieParts[1],
+        name: rawCookie.substring(0, separator).trim(),
+        value: rawCookie.substring(separator + 1).trim(),
       });
     }
 
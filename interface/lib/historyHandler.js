@@ -1,3 +1,5 @@
+import { GenericStorageHandler } from './genericStorageHandler.js';
+import { HistoryJournal } from './historyJournal.js';
 import { HistoryManager } from './historyManager.js';
 
 /**
@@ -9,11 +11,16 @@ export class HistoryHandler {
    * Constructs a new HistoryHandler.
    * @param {BrowserDetector} browserDetector - Browser detection utility
    * @param {GenericCookieHandler} cookieHandler - Cookie handler to use for operations
+   * @param {GenericStorageHandler} [storageHandler] - Storage handler for the persistent journal
    */
-  constructor(browserDetector, cookieHandler) {
+  constructor(browserDetector, cookieHandler, storageHandler = null) {
     this.browserDetector = browserDetector;
     this.cookieHandler = cookieHandler;
     this.historyManager = new HistoryManager();
+    this.journal = new HistoryJournal(
+      browserDetector,
+      storageHandler || new GenericStorageHandler(browserDetector),
+    );
   }
   
   /**
@@ -23,10 +30,18 @@ export class HistoryHandler {
   onHistoryChange(callback) {
     this.historyManager.on('change', callback);
   }
+
+  /**
+   * Register a change listener for the persistent journal
+   * @param {Function} callback - Function to call when the journal changes
+   */
+  onJournalChange(callback) {
+    this.journal.on('change', callback);
+  }
   
   /**
    * Record a cookie edit operation
-   * @param {string} type - Operation type ('edit', 'delete', 'deleteAll', 'create', 'importCookies', 'loadProfile')
+   * @param {string} type - Operation type ('edit', 'delete', 'deleteAll', 'create', 'importCookies', 'loadProfile', 'autoLoadProfile', 'cleanupRule')
    * @param {Object|Array|null} cookieData - Cookie data before the operation
    * @param {Object|Array|null} [newCookieData] - New cookie data (for various operations)
    * @param {string} url - URL associated with the cookie
@@ -35,7 +50,28 @@ export class HistoryHandler {
                 console.log(`Recording undo/redo operation: ${type}`, 
                 { cookieData: cookieData ? 'present' : 'null', 
                   newCookieData: newCookieData ? 'present' : 'null' });
-    this.historyManager.recordEdit(type, cookieData, newCookieData, url);
+    // Undo can run later from another page, against another selected store
+    cookieData = this.withCookieStore(cookieData);
+    newCookieData = this.withCookieStore(newCookieData);
+    const entry = this.historyManager.recordEdit(type, cookieData, newCookieData, url);
+    entry.journalId = this.journal.append(type, cookieData, newCookieData, url).id;
+  }
+
+  /**
+   * Copies cookie data with the store it was recorded in.
+   * @param {Object|Array|null|undefined} data - A cookie or a list of cookies
+   * @returns {Object|Array|null|undefined} The cookies, with their storeId
+   * @private
+   */
+  withCookieStore(data) {
+    if (Array.isArray(data)) {
+      return data.map(cookie => this.withCookieStore(cookie));
+    }
+    if (!data || typeof data !== 'object' || data.storeId) {
+      return data;
+    }
+    const storeId = this.cookieHandler.getActiveStoreId();
+    return storeId ? { ...data, storeId: storeId } : data;
   }
 
   /**
@@ -67,50 +103,8 @@ export class HistoryHandler {
     }
 
     try {
-      switch (operation.type) {
-        case 'edit':
-          // For an edit, restore the original cookie
-          await this.performCookieRestore(operation.cookieData, operation.url);
-          break;
-          
-        case 'delete':
-          // For a deletion, restore the cookie
-          await this.performCookieRestore(operation.cookieData, operation.url);
-          break;
-          
-        case 'create':
-          // For a creation, delete the cookie
-          if (operation.newCookieData) {
-            await this.performCookieDelete(operation.newCookieData.name, operation.url);
-          }
-          break;
-          
-        case 'deleteAll':
-          // For deleteAll, restore all the cookies
-          if (Array.isArray(operation.cookieData)) {
-            await this.performBulkCookieRestore(operation.cookieData, operation.url);
-          }
-          break;
-          
-        case 'importCookies':
-          // For import, remove all imported cookies
-          if (Array.isArray(operation.newCookieData)) {
-            await this.performBulkCookieDelete(operation.newCookieData, operation.url);
-          }
-          break;
-          
-        case 'loadProfile':
-          // For profile loading, restore the previous cookies state
-          if (Array.isArray(operation.cookieData)) {
-            // First, delete all current cookies (the profile cookies)
-            if (Array.isArray(operation.newCookieData)) {
-              await this.performBulkCookieDelete(operation.newCookieData, operation.url);
-            }
-            // Then restore the original cookies
-            await this.performBulkCookieRestore(operation.cookieData, operation.url);
-          }
-          break;
-      }
+      await this.applyUndo(operation);
+      await this.journal.setUndone(operation.journalId, true);
       
       if (callback) callback(operation);
       return operation;
@@ -121,6 +115,119 @@ export class HistoryHandler {
     }
   }
 
+  /**
+   * Undo an operation from the persistent journal, even if it was recorded
+   * in a previous session
+   * @param {string} entryId - ID of the journal entry
+   * @param {Function} [callback] - Callback to call when operation is complete
+   * @returns {Promise<Object>} Promise resolving to the journal entry
+   */
+  async undoJournalEntry(entryId, callback) {
+    const entry = await this.journal.getEntry(entryId);
+    if (!entry || entry.undone) {
+      if (callback) callback(null);
+      return null;
+    }
+
+    try {
+      await this.applyUndo({
+        type: entry.type,
+        url: entry.url,
+        cookieData: entry.before,
+        newCookieData: entry.after,
+      });
+      await this.journal.setUndone(entry.id, true);
+
+      // The in-memory stacks must not replay an operation undone from here
+      this.historyManager.remove(operation => operation.journalId === entry.id);
+
+      if (callback) callback(entry);
+      return entry;
+    } catch (error) {
+      console.error('Error undoing journal entry:', error);
+      if (callback) callback(null, error);
+      return null;
+    }
+  }
+
+  /**
+   * Search the persistent journal
+   * @param {string} [query] - Text to match against domains, operations and cookie names
+   * @returns {Promise<Array<Object>>} Matching entries, newest first
+   */
+  searchJournal(query = '') {
+    return this.journal.search(query);
+  }
+
+  /**
+   * Remove every entry from the persistent journal
+   * @returns {Promise<void>}
+   */
+  clearJournal() {
+    return this.journal.clear();
+  }
+
+  /**
+   * Revert the effect of an operation on the cookies
+   * @param {Object} operation - Operation with type, url, cookieData and newCookieData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async applyUndo(operation) {
+    switch (operation.type) {
+      case 'edit':
+        // For an edit, restore the original cookie
+        await this.performCookieRestore(operation.cookieData, operation.url);
+        break;
+        
+      case 'delete':
+        // For a deletion, restore the cookie
+        await this.performCookieRestore(operation.cookieData, operation.url);
+        break;
+        
+      case 'create':
+        // For a creation, delete the cookie
+        if (operation.newCookieData) {
+          await this.performCookieDelete(operation.newCookieData, operation.url);
+        }
+        break;
+        
+      case 'deleteAll':
+        // For deleteAll, restore all the cookies
+        if (Array.isArray(operation.cookieData)) {
+          await this.performBulkCookieRestore(operation.cookieData, operation.url);
+        }
+        break;
+
+      case 'cleanupRule':
+        // A cleanup run spans many sites, every cookie is restored with its own URL
+        if (Array.isArray(operation.cookieData)) {
+          await this.performBulkCookieRestore(operation.cookieData, null);
+        }
+        break;
+        
+      case 'importCookies':
+        // For import, remove all imported cookies
+        if (Array.isArray(operation.newCookieData)) {
+          await this.performBulkCookieDelete(operation.newCookieData, operation.url);
+        }
+        break;
+        
+      case 'loadProfile':
+      case 'autoLoadProfile':
+        // For profile loading, restore the previous cookies state
+        if (Array.isArray(operation.cookieData)) {
+          // First, delete all current cookies (the profile cookies)
+          if (Array.isArray(operation.newCookieData)) {
+            await this.performBulkCookieDelete(operation.newCookieData, operation.url);
+          }
+          // Then restore the original cookies
+          await this.performBulkCookieRestore(operation.cookieData, operation.url);
+        }
+        break;
+    }
+  }
+
   /**
    * Perform a redo operation
    * @param {Function} [callback] - Callback to call when operation is complete
@@ -134,52 +241,8 @@ export class HistoryHandler {
     }
 
     try {
-      switch (operation.type) {
-        case 'edit':
-          // For an edit, apply the new cookie state
-          if (operation.newCookieData) {
-            await this.performCookieRestore(operation.newCookieData, operation.url);
-          }
-          break;
-          
-        case 'delete':
-          // For a deletion, delete the cookie again
-          await this.performCookieDelete(operation.cookieData.name, operation.url);
-          break;
-          
-        case 'create':
-          // For a creation, create the cookie again
-          if (operation.newCookieData) {
-            await this.performCookieRestore(operation.newCookieData, operation.url);
-          }
-          break;
-          
-        case 'deleteAll':
-          // For deleteAll, delete all the cookies again
-          if (Array.isArray(operation.cookieData)) {
-            await this.performBulkCookieDelete(operation.cookieData, operation.url);
-          }
-          break;
-          
-        case 'importCookies':
-          // For import, re-import all cookies
-          if (Array.isArray(operation.newCookieData)) {
-            await this.performBulkCookieRestore(operation.newCookieData, operation.url);
-          }
-          break;
-          
-        case 'loadProfile':
-          // For profile loading, apply the profile cookies again
-          if (Array.isArray(operation.newCookieData)) {
-            // First, delete all current cookies (the original cookies)
-            if (Array.isArray(operation.cookieData)) {
-              await this.performBulkCookieDelete(operation.cookieData, operation.url);
-            }
-            // Then restore the profile cookies
-            await this.performBulkCookieRestore(operation.newCookieData, operation.url);
-          }
-          break;
-      }
+      await this.applyRedo(operation);
+      await this.journal.setUndone(operation.journalId, false);
       
       if (callback) callback(operation);
       return operation;
@@ -190,6 +253,68 @@ export class HistoryHandler {
     }
   }
 
+  /**
+   * Apply an operation to the cookies again
+   * @param {Object} operation - Operation with type, url, cookieData and newCookieData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async applyRedo(operation) {
+    switch (operation.type) {
+      case 'edit':
+        // For an edit, apply the new cookie state
+        if (operation.newCookieData) {
+          await this.performCookieRestore(operation.newCookieData, operation.url);
+        }
+        break;
+        
+      case 'delete':
+        // For a deletion, delete the cookie again
+        await this.performCookieDelete(operation.cookieData, operation.url);
+        break;
+        
+      case 'create':
+        // For a creation, create the cookie again
+        if (operation.newCookieData) {
+          await this.performCookieRestore(operation.newCookieData, operation.url);
+        }
+        break;
+        
+      case 'deleteAll':
+        // For deleteAll, delete all the cookies again
+        if (Array.isArray(operation.cookieData)) {
+          await this.performBulkCookieDelete(operation.cookieData, operation.url);
+        }
+        break;
+
+      case 'cleanupRule':
+        if (Array.isArray(operation.cookieData)) {
+          await this.performBulkCookieDelete(operation.cookieData, null);
+        }
+        break;
+        
+      case 'importCookies':
+        // For import, re-import all cookies
+        if (Array.isArray(operation.newCookieData)) {
+          await this.performBulkCookieRestore(operation.newCookieData, operation.url);
+        }
+        break;
+        
+      case 'loadProfile':
+      case 'autoLoadProfile':
+        // For profile loading, apply the profile cookies again
+        if (Array.isArray(operation.newCookieData)) {
+          // First, delete all current cookies (the original cookies)
+          if (Array.isArray(operation.cookieData)) {
+            await this.performBulkCookieDelete(operation.cookieData, operation.url);
+          }
+          // Then restore the profile cookies
+          await this.performBulkCookieRestore(operation.newCookieData, operation.url);
+        }
+        break;
+    }
+  }
+
   /**
    * Perform a cookie restoration
    * @param {Object} cookieData - Cookie data to restore
@@ -211,26 +336,27 @@ export class HistoryHandler {
 
   /**
    * Perform a cookie deletion
-   * @param {string} cookieName - Name of the cookie to delete
+   * @param {Object} cookie - Cookie to delete, in its store and partition
    * @param {string} url - URL associated with the cookie
    * @returns {Promise<void>} Promise resolving when cookie is deleted
    * @private
    */
-  performCookieDelete(cookieName, url) {
+  performCookieDelete(cookie, url) {
     return new Promise((resolve, reject) => {
       // Ensure we're using a valid URL - sometimes we just get a domain instead of a complete URL
       const urlToUse = url.startsWith('http') ? url : `https://${url}/`;
       
-      this.cookieHandler.removeCookie(cookieName, urlToUse, () => {
+      this.cookieHandler.removeCookie(cookie.name, urlToUse, cookie.storeId, () => {
         resolve();
-      });
+      }, false, cookie.partitionKey);
     });
   }
 
   /**
    * Restore multiple cookies
    * @param {Array<Object>} cookies - Array of cookie data to restore
-   * @param {string} url - URL associated with the cookies
+   * @param {string|null} url - URL associated with the cookies, null to use
+   *     the URL of every cookie
    * @returns {Promise<Array>} Promise resolving to array of results
    * @private
    */
@@ -238,12 +364,12 @@ export class HistoryHandler {
     const promises = [];
     
     // Ensure we're using a valid URL
-    const urlToUse = url.startsWith('http') ? url : `https://${url}/`;
+    const urlToUse = !url || url.startsWith('http') ? url : `https://${url}/`;
     
     for (const cookie of cookies) {
       promises.push(
         new Promise((resolve) => {
-          this.cookieHandler.saveCookie(cookie, urlToUse, (error, savedCookie) => {
+          this.cookieHandler.saveCookie(cookie, this.getUrlForCookie(cookie, urlToUse), (error, savedCookie) => {
             resolve({ cookie, error, savedCookie });
           });
         })
@@ -256,7 +382,8 @@ export class HistoryHandler {
   /**
    * Delete multiple cookies
    * @param {Array<Object>} cookies - Array of cookie data to delete
-   * @param {string} url - URL associated with the cookies
+   * @param {string|null} url - URL associated with the cookies, null to use
+   *     the URL of every cookie
    * @returns {Promise<Array>} Promise resolving when all cookies are deleted
    * @private
    */
@@ -264,14 +391,14 @@ export class HistoryHandler {
     const promises = [];
     
     // Ensure we're using a valid URL
-    const urlToUse = url.startsWith('http') ? url : `https://${url}/`;
+    const urlToUse = !url || url.startsWith('http') ? url : `https://${url}/`;
     
     for (const cookie of cookies) {
       promises.push(
         new Promise((resolve) => {
-          this.cookieHandler.removeCookie(cookie.name, urlToUse, () => {
+          this.cookieHandler.removeCookie(cookie.name, this.getUrlForCookie(cookie, urlToUse), cookie.storeId, () => {
             resolve({ cookie });
-          });
+          }, false, cookie.partitionKey);
         })
       );
     }
@@ -279,6 +406,34 @@ export class HistoryHandler {
     return Promise.all(promises);
   }
 
+  /**
+   * Get the URL to restore or delete a cookie with. Multi-domain profiles
+   * touch cookies the operation's URL can't reach, those use their own URL.
+   * @param {Object} cookie - Cookie data
+   * @param {string|null} url - URL associated with the operation, null to
+   *     use the cookie's own URL
+   * @returns {string} The URL to use
+   * @private
+   */
+  getUrlForCookie(cookie, url) {
+    if (!url) {
+      return this.cookieHandler.getCookieUrl(cookie);
+    }
+    if (!cookie.domain) {
+      return url;
+    }
+    try {
+      const host = new URL(url).hostname;
+      const cookieHost = cookie.domain.replace(/^\./, '');
+      if (host === cookieHost || host.endsWith('.' + cookieHost)) {
+        return url;
+      }
+    } catch (e) {
+      // Fall back to the cookie's own URL
+    }
+    return this.cookieHandler.getCookieUrl(cookie);
+  }
+
   /**
    * Clear all history
    */
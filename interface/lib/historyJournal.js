@@ -0,0 +1,316 @@
+import { EventEmitter } from './eventEmitter.js';
+import { GUID } from './guid.js';
+
+/**
+ * Durable journal of cookie operations kept in storage.local so that any past
+ * operation can be browsed and undone after the popup was closed.
+ * Each entry has its own storage key: the popup, the options page and the
+ * background all write to the journal, and a shared list would lose the
+ * entries one of them appends while another rewrites it.
+ * The journal is capped by its serialized size instead of a number of
+ * entries, the oldest entries are dropped first.
+ */
+export class HistoryJournal extends EventEmitter {
+  // Entries stored as one list by older versions, moved to their own keys
+  static STORAGE_KEY = 'historyJournal';
+  static ENTRY_PREFIX = 'historyJournal:';
+  static DEFAULT_MAX_BYTES = 1024 * 1024;
+
+  /**
+   * Constructs a HistoryJournal.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler to persist the journal
+   * @param {number} [maxBytes] - Maximum size of the serialized journal
+   */
+  constructor(browserDetector, storageHandler, maxBytes = HistoryJournal.DEFAULT_MAX_BYTES) {
+    super();
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+    this.maxBytes = maxBytes;
+    // Writes of this page are chained so trimming sees its own appends
+    this.writeQueue = Promise.resolve();
+
+    const api = browserDetector.getApi();
+    if (api.storage && api.storage.onChanged) {
+      api.storage.onChanged.addListener(this.onStorageChanged);
+    }
+  }
+
+  /**
+   * Notifies listeners when the journal was changed, including by another
+   * extension page.
+   * @param {object} changes Storage changes
+   * @param {string} areaName Storage area that changed
+   */
+  onStorageChanged = (changes, areaName) => {
+    if (areaName === 'local' && Object.keys(changes).some(HistoryJournal.isJournalKey)) {
+      this.emit('change');
+    }
+  };
+
+  /**
+   * Check if a storage key holds journal entries.
+   * @param {string} key - Storage key
+   * @returns {boolean}
+   */
+  static isJournalKey(key) {
+    return key === HistoryJournal.STORAGE_KEY || key.startsWith(HistoryJournal.ENTRY_PREFIX);
+  }
+
+  /**
+   * Get every journal entry, newest first.
+   * @returns {Promise<Array<Object>>} Journal entries
+   */
+  async getEntries() {
+    return (await this.readEntries()).reverse();
+  }
+
+  /**
+   * Get a single journal entry.
+   * @param {string} id - ID of the entry
+   * @returns {Promise<Object|null>} The entry or null if it was dropped
+   */
+  async getEntry(id) {
+    const entry = await this.storageHandler.getLocal(HistoryJournal.ENTRY_PREFIX + id);
+    if (entry) {
+      return entry;
+    }
+    const entries = await this.getEntries();
+    return entries.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Read the stored entries, including the ones of the list of older versions.
+   * @returns {Promise<Array<Object>>} Entries, oldest first
+   * @private
+   */
+  async readEntries() {
+    const stored = await this.storageHandler.get(null);
+    const entries = Object.keys(stored)
+      .filter(key => key.startsWith(HistoryJournal.ENTRY_PREFIX))
+      .map(key => stored[key]);
+    const legacy = stored[HistoryJournal.STORAGE_KEY];
+    if (Array.isArray(legacy)) {
+      const ids = new Set(entries.map(entry => entry.id));
+      entries.push(...legacy.filter(entry => !ids.has(entry.id)));
+    }
+    return entries.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Search the journal by domain, operation type or cookie name.
+   * @param {string} query - Text to search for, empty returns everything
+   * @returns {Promise<Array<Object>>} Matching entries, newest first
+   */
+  async search(query) {
+    const entries = await this.getEntries();
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) {
+      return entries;
+    }
+
+    return entries.filter(entry => {
+      const haystack = [
+        entry.domain,
+        entry.type,
+        HistoryJournal.getOperationLabel(entry.type),
+        ...HistoryJournal.getCookieNames(entry),
+      ];
+      return haystack.some(text => text && text.toLowerCase().includes(needle));
+    });
+  }
+
+  /**
+   * Append an operation to the journal.
+   * @param {string} type - Operation type ('edit', 'delete', 'deleteAll', 'create', 'importCookies', 'loadProfile', 'autoLoadProfile', 'cleanupRule')
+   * @param {Object|Array|null} before - Cookie data before the operation
+   * @param {Object|Array|null} after - Cookie data after the operation
+   * @param {string} url - URL associated with the operation
+   * @returns {Object} The journal entry, persisted asynchronously
+   */
+  append(type, before, after, url) {
+    const entry = {
+      id: GUID.get(),
+      timestamp: Date.now(),
+      type: type,
+      domain: HistoryJournal.getDomain(url),
+      url: url,
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after,
+      undone: false,
+    };
+
+    this.enqueue(async () => {
+      await this.storageHandler.setLocal(HistoryJournal.ENTRY_PREFIX + entry.id, entry);
+      await this.trimStored();
+    });
+
+    return entry;
+  }
+
+  /**
+   * Flag an entry as undone or redone.
+   * @param {string} id - ID of the entry
+   * @param {boolean} undone - Whether the entry's operation is currently undone
+   * @returns {Promise<void>}
+   */
+  setUndone(id, undone) {
+    return this.enqueue(async () => {
+      await this.migrateLegacyEntries();
+      const key = HistoryJournal.ENTRY_PREFIX + id;
+      const entry = await this.storageHandler.getLocal(key);
+      // A dropped entry isn't written back
+      if (entry) {
+        entry.undone = undone;
+        await this.storageHandler.setLocal(key, entry);
+      }
+    });
+  }
+
+  /**
+   * Remove every entry from the journal.
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.enqueue(async () => {
+      const stored = await this.storageHandler.get(null);
+      const keys = Object.keys(stored).filter(HistoryJournal.isJournalKey);
+      if (keys.length) {
+        await this.storageHandler.removeLocal(keys);
+      }
+    });
+  }
+
+  /**
+   * Run a write after the previous writes of this page.
+   * @param {Function} write - Async function doing the write
+   * @returns {Promise<void>}
+   * @private
+   */
+  enqueue(write) {
+    this.writeQueue = this.writeQueue
+      .then(write)
+      .catch(error => {
+        console.error('Error writing history journal:', error);
+      });
+    return this.writeQueue;
+  }
+
+  /**
+   * Move the entries of the list of older versions to their own keys.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async migrateLegacyEntries() {
+    const legacy = await this.storageHandler.getLocal(HistoryJournal.STORAGE_KEY);
+    if (!legacy) {
+      return;
+    }
+    const data = {};
+    (Array.isArray(legacy) ? legacy : []).forEach(entry => {
+      data[HistoryJournal.ENTRY_PREFIX + entry.id] = entry;
+    });
+    if (Object.keys(data).length) {
+      await this.storageHandler.set(data);
+    }
+    await this.storageHandler.removeLocal(HistoryJournal.STORAGE_KEY);
+  }
+
+  /**
+   * Remove the stored entries that don't fit in the byte cap anymore.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async trimStored() {
+    await this.migrateLegacyEntries();
+    const entries = await this.readEntries();
+    const kept = this.trim(entries);
+    if (kept.length < entries.length) {
+      const dropped = entries.slice(0, entries.length - kept.length);
+      await this.storageHandler.removeLocal(dropped.map(entry => HistoryJournal.ENTRY_PREFIX + entry.id));
+    }
+  }
+
+  /**
+   * Drop the oldest entries until the journal fits in the byte cap. The
+   * newest entry is always kept, even if it is larger than the cap on its own.
+   * @param {Array<Object>} entries - Entries, oldest first
+   * @returns {Array<Object>} The trimmed entries
+   * @private
+   */
+  trim(entries) {
+    const encoder = new TextEncoder();
+    const sizes = entries.map(entry => encoder.encode(JSON.stringify(entry)).length);
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    let start = 0;
+
+    while (total > this.maxBytes && start < entries.length - 1) {
+      total -= sizes[start];
+      start++;
+    }
+
+    return start > 0 ? entries.slice(start) : entries;
+  }
+
+  /**
+   * Get the domain an operation applied to.
+   * @param {string} url - URL associated with the operation
+   * @returns {string} The hostname, or the raw value if it isn't a URL
+   */
+  static getDomain(url) {
+    if (!url) {
+      return '';
+    }
+    try {
+      return new URL(url.startsWith('http') ? url : `https://${url}`).hostname;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Get a human readable label for an operation type.
+   * @param {string} type - Operation type
+   * @returns {string} The label
+   */
+  static getOperationLabel(type) {
+    switch (type) {
+      case 'edit':
+        return 'Edited';
+      case 'delete':
+        return 'Deleted';
+      case 'deleteAll':
+        return 'Deleted all';
+      case 'create':
+        return 'Created';
+      case 'importCookies':
+        return 'Imported';
+      case 'loadProfile':
+        return 'Loaded profile';
+      case 'autoLoadProfile':
+        return 'Auto-loaded profile';
+      case 'cleanupRule':
+        return 'Cleanup rule';
+      default:
+        return type;
+    }
+  }
+
+  /**
+   * Get the names of the cookies touched by an entry.
+   * @param {Object} entry - Journal entry
+   * @returns {Array<string>} Unique cookie names
+   */
+  static getCookieNames(entry) {
+    const names = new Set();
+    [entry.before, entry.after].forEach(data => {
+      const cookies = Array.isArray(data) ? data : (data ? [data] : []);
+      cookies.forEach(cookie => {
+        if (cookie && cookie.name !== undefined) {
+          names.add(cookie.name);
+        }
+      });
+    });
+    return Array.from(names);
+  }
+}
@@ -11,8 +11,6 @@ export class HistoryManager {
     this.undoStack = [];
     this.redoStack = [];
     this.maxStackSize = maxStackSize;
-    // Cap the number of cookies stored per history entry
-    this.MAX_COOKIES_PER_ENTRY = 30;
     this.listeners = {
       change: [],
     };
@@ -59,6 +57,7 @@ export class HistoryManager {
    * @param {Object|Array|null} cookieData - Cookie data before the operation
    * @param {Object|Array|null} [newCookieData] - New cookie data (for various operations)
    * @param {string} url - URL associated with the cookie
+   * @returns {Object} The history entry that was recorded
    */
   recordEdit(type, cookieData, newCookieData, url) {
     // Create history entry
@@ -69,12 +68,9 @@ export class HistoryManager {
       cookieData: cookieData
     };
 
-    // Store and truncate the new cookie data for operations that need it
-    if (['edit', 'create', 'importCookies', 'loadProfile'].includes(type) && newCookieData !== undefined) {
+    // Store the new cookie data for operations that need it
+    if (['edit', 'create', 'importCookies', 'loadProfile', 'autoLoadProfile'].includes(type) && newCookieData !== undefined) {
       entry.newCookieData = newCookieData;
-      if (Array.isArray(entry.newCookieData) && entry.newCookieData.length > this.MAX_COOKIES_PER_ENTRY) {
-        entry.newCookieData = entry.newCookieData.slice(-this.MAX_COOKIES_PER_ENTRY);
-      }
     }
 
     // Add to undo stack
@@ -90,6 +86,18 @@ export class HistoryManager {
 
     // Notify listeners
     this.emit('change');
+
+    return entry;
+  }
+
+  /**
+   * Remove the entries matching a predicate from both stacks
+   * @param {Function} predicate - Returns true for entries to remove
+   */
+  remove(predicate) {
+    this.undoStack = this.undoStack.filter(entry => !predicate(entry));
+    this.redoStack = this.redoStack.filter(entry => !predicate(entry));
+    this.emit('change');
   }
 
   /**
@@ -0,0 +1,21 @@
+import { SnippetFormat } from './snippetFormat.js';
+
+/**
+ * This class is responsible for formatting cookies to an HTTPie command.
+ */
+export class HttpieFormat extends SnippetFormat {
+  /**
+   * Builds an HTTPie command sending the cookies in a Cookie header.
+   * @param {object[]} cookies Raw cookies sent to the URL.
+   * @param {string} url URL the command requests.
+   * @return {string} The HTTPie command.
+   */
+  static formatSnippet(cookies, url) {
+    let command = `http GET ${SnippetFormat.shellQuote(url)}`;
+    if (cookies.length) {
+      const header = 'Cookie:' + SnippetFormat.getCookieHeader(cookies);
+      command += ` \\\n  ${SnippetFormat.shellQuote(header)}`;
+    }
+    return command;
+  }
+}
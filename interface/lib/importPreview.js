@@ -0,0 +1,190 @@
+import { CookieImport } from './cookieImport.js';
+
+/**
+ * Table previewing the cookies of an import, with their errors and warnings.
+ * Rows can be unchecked to leave cookies out of the import.
+ */
+export class ImportPreview {
+  /**
+   * Constructs an ImportPreview.
+   * @param {HTMLElement} container Element to render the preview in.
+   * @param {object} [options] Options passed to CookieImport.parse.
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = options;
+    this.result = null;
+    this.error = null;
+    this.text = null;
+    this.format = null;
+  }
+
+  /**
+   * Parses a text and renders its preview. Nothing is parsed again when the
+   * text and format didn't change, so unchecked rows stay unchecked.
+   * @param {string} text Text to import.
+   * @param {string} [format] Format ID, 'auto' to detect it.
+   * @return {object|null} The parsed import, or null if it failed.
+   */
+  update(text, format = 'auto') {
+    if (text === this.text && format === this.format) {
+      return this.result;
+    }
+    this.text = text;
+    this.format = format;
+    this.result = null;
+    this.error = null;
+
+    if (text.trim()) {
+      try {
+        this.result = CookieImport.parse(text, format, this.options);
+      } catch (error) {
+        this.error = error;
+      }
+    }
+    this.render();
+    return this.result;
+  }
+
+  /**
+   * Gets the cookies of the checked rows.
+   * @return {object[]}
+   */
+  getSelectedCookies() {
+    return this.result ? CookieImport.getSelectedCookies(this.result) : [];
+  }
+
+  /**
+   * Renders the preview.
+   */
+  render() {
+    this.container.innerHTML = '';
+    if (this.error) {
+      this.container.appendChild(
+        this.createSummary(`Can't import this text: ${this.error.message}`, true),
+      );
+      return;
+    }
+    if (!this.result) {
+      return;
+    }
+
+    const rows = this.result.rows;
+    const errorCount = rows.filter((row) => row.errors.length).length;
+    const warningCount = rows.filter((row) => row.warnings.length).length;
+    let summary = `${this.result.label}: ${rows.length} cookie${rows.length === 1 ? '' : 's'}`;
+    if (errorCount) {
+      summary += `, ${errorCount} with errors`;
+    }
+    if (warningCount) {
+      summary += `, ${warningCount} with warnings`;
+    }
+    this.container.appendChild(this.createSummary(summary, false));
+    this.container.appendChild(this.createTable(rows));
+  }
+
+  /**
+   * @param {string} text
+   * @param {boolean} isError
+   * @return {HTMLElement}
+   */
+  createSummary(text, isError) {
+    const summary = document.createElement('div');
+    summary.className = 'import-preview-summary' + (isError ? ' error' : '');
+    summary.textContent = text;
+    return summary;
+  }
+
+  /**
+   * @param {object[]} rows
+   * @return {HTMLElement}
+   */
+  createTable(rows) {
+    const table = document.createElement('table');
+    table.className = 'import-preview-table';
+
+    const head = table.createTHead().insertRow();
+    const selectAll = document.createElement('input');
+    selectAll.type = 'checkbox';
+    selectAll.title = 'Select all';
+    head.appendChild(document.createElement('th')).appendChild(selectAll);
+    ['Name', 'Domain', 'Path', 'Expires', 'Issues'].forEach((label) => {
+      head.appendChild(document.createElement('th')).textContent = label;
+    });
+
+    const body = table.createTBody();
+    const checkboxes = [];
+    const updateSelectAll = () => {
+      const enabled = checkboxes.filter((checkbox) => !checkbox.disabled);
+      const checked = enabled.filter((checkbox) => checkbox.checked);
+      selectAll.checked = enabled.length > 0 && checked.length === enabled.length;
+      selectAll.indeterminate = checked.length > 0 && checked.length < enabled.length;
+    };
+
+    rows.forEach((row) => {
+      const tr = body.insertRow();
+      if (row.errors.length) {
+        tr.classList.add('has-error');
+      } else if (row.warnings.length) {
+        tr.classList.add('has-warning');
+      }
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = row.selected;
+      // A cookie with errors would only fail to import
+      checkbox.disabled = !!row.errors.length;
+      checkbox.addEventListener('change', () => {
+        row.selected = checkbox.checked;
+        updateSelectAll();
+      });
+      checkboxes.push(checkbox);
+      tr.insertCell().appendChild(checkbox);
+
+      const cookie = row.cookie;
+      if (cookie) {
+        tr.insertCell().textContent = cookie.name;
+        tr.insertCell().textContent = cookie.domain || '(current site)';
+        tr.insertCell().textContent = cookie.path || '/';
+        tr.insertCell().textContent = cookie.expirationDate ?
+          new Date(cookie.expirationDate * 1000).toLocaleString() :
+          'Session';
+      } else {
+        const source = tr.insertCell();
+        source.colSpan = 4;
+        source.className = 'import-preview-source';
+        source.textContent = row.source;
+      }
+
+      const issues = tr.insertCell();
+      issues.className = 'import-preview-issues';
+      row.errors.forEach((message) => issues.appendChild(this.createIssue(message, 'error')));
+      row.warnings.forEach((message) => issues.appendChild(this.createIssue(message, 'warning')));
+    });
+
+    selectAll.addEventListener('change', () => {
+      rows.forEach((row, index) => {
+        if (!checkboxes[index].disabled) {
+          row.selected = selectAll.checked;
+          checkboxes[index].checked = selectAll.checked;
+        }
+      });
+      updateSelectAll();
+    });
+    updateSelectAll();
+
+    return table;
+  }
+
+  /**
+   * @param {string} message
+   * @param {string} level 'error' or 'warning'.
+   * @return {HTMLElement}
+   */
+  createIssue(message, level) {
+    const issue = document.createElement('div');
+    issue.className = 'import-preview-issue ' + level;
+    issue.textContent = message;
+    return issue;
+  }
+}
@@ -9,7 +9,18 @@ export class JsonFormat {
    * @return {object} List of Cookies.
    */
   static parse(cookieString) {
-    return JSON.parse(cookieString);
+    const cookies = JSON.parse(cookieString);
+    if (Array.isArray(cookies)) {
+      cookies.forEach((cookie) => {
+        // Accept a bare top-level site as the partition key.
+        if (cookie && typeof cookie.partitionKey === 'string') {
+          cookie.partitionKey = cookie.partitionKey
+            ? { topLevelSite: cookie.partitionKey }
+            : undefined;
+        }
+      });
+    }
+    return cookies;
   }
 
   /**
@@ -23,11 +34,20 @@ export class JsonFormat {
       if (!Object.prototype.hasOwnProperty.call(cookies, cookieId)) {
         continue;
       }
-      const exportedCookie = cookies[cookieId].cookie;
+      // Copy so the displayed cookie keeps its storeId and partition key
+      const exportedCookie = { ...cookies[cookieId].cookie };
       exportedCookie.storeId = null;
       if (exportedCookie.sameSite === 'unspecified') {
         exportedCookie.sameSite = null;
       }
+      // Only the top-level site is needed to recreate a partitioned cookie.
+      if (exportedCookie.partitionKey && exportedCookie.partitionKey.topLevelSite) {
+        exportedCookie.partitionKey = {
+          topLevelSite: exportedCookie.partitionKey.topLevelSite,
+        };
+      } else {
+        delete exportedCookie.partitionKey;
+      }
       exportedCookies.push(exportedCookie);
     }
     return JSON.stringify(exportedCookies, null, 4);
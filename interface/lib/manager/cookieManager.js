@@ -16,11 +16,12 @@ export class CookieManager extends EventEmitter {
 
   /**
    * Get all cookies across all domains
+   * @param {string} [storeId] Cookie store to read from, defaults to the current one
    * @returns {Promise<Array>} Promise resolving to array of all cookies
    */
-  async getAllCookies() {
+  async getAllCookies(storeId) {
     return new Promise((resolve) => {
-      this.api.cookies.getAll({}, (cookies) => {
+      this.api.cookies.getAll(this.getAllFilter({}, storeId), (cookies) => {
         resolve(cookies);
       });
     });
@@ -29,11 +30,12 @@ export class CookieManager extends EventEmitter {
   /**
    * Get cookies for a specific domain
    * @param {string} domain Domain to get cookies for
+   * @param {string} [storeId] Cookie store to read from, defaults to the current one
    * @returns {Promise<Array>} Promise resolving to array of domain cookies
    */
-  async getCookiesForDomain(domain) {
+  async getCookiesForDomain(domain, storeId) {
     return new Promise((resolve) => {
-      this.api.cookies.getAll({ domain }, (cookies) => {
+      this.api.cookies.getAll(this.getAllFilter({ domain }, storeId), (cookies) => {
         resolve(cookies);
       });
     });
@@ -46,12 +48,17 @@ export class CookieManager extends EventEmitter {
    */
   async deleteCookie(cookie) {
     const url = this.buildUrl(cookie);
+    const details = {
+      url,
+      name: cookie.name,
+      storeId: cookie.storeId || null
+    };
+    const partitionKey = this.getPartitionKey(cookie);
+    if (partitionKey) {
+      details.partitionKey = partitionKey;
+    }
     return new Promise((resolve) => {
-      this.api.cookies.remove({ 
-        url,
-        name: cookie.name,
-        storeId: cookie.storeId || null
-      }, () => {
+      this.api.cookies.remove(details, () => {
         resolve(true);
       });
     });
@@ -87,6 +94,13 @@ export class CookieManager extends EventEmitter {
         if (cookie.expirationDate) {
           cookieData.expirationDate = cookie.expirationDate;
         }
+
+        // Keep partitioned (CHIPS) cookies in their partition
+        const partitionKey = this.getPartitionKey(cookie);
+        if (partitionKey) {
+          cookieData.partitionKey = partitionKey;
+          cookieData.secure = true;
+        }
         
         // Set the cookie
         this.api.cookies.set(cookieData, (updatedCookie) => {
@@ -125,6 +139,38 @@ export class CookieManager extends EventEmitter {
     return results;
   }
 
+  /**
+   * Adds the partition and store filters to a cookies.getAll filter so
+   * partitioned cookies are listed too
+   * @param {Object} filter Filter passed to cookies.getAll
+   * @param {string} [storeId] Cookie store to read from
+   * @returns {Object} The same filter
+   */
+  getAllFilter(filter, storeId) {
+    if (this.browserDetector.supportsPartitionedCookies()) {
+      filter.partitionKey = {};
+    }
+    if (storeId) {
+      filter.storeId = storeId;
+    }
+    return filter;
+  }
+
+  /**
+   * Get the API partition key of a partitioned cookie
+   * @param {Object} cookie Cookie object
+   * @returns {Object|null} Partition key, or null if the cookie isn't partitioned
+   */
+  getPartitionKey(cookie) {
+    if (!cookie.partitionKey || !cookie.partitionKey.topLevelSite) {
+      return null;
+    }
+    if (!this.browserDetector.supportsPartitionedCookies()) {
+      return null;
+    }
+    return { topLevelSite: cookie.partitionKey.topLevelSite };
+  }
+
   /**
    * Build URL from cookie for API calls
    * @param {Object} cookie Cookie object
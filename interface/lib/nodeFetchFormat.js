@@ -0,0 +1,22 @@
+import { SnippetFormat } from './snippetFormat.js';
+
+/**
+ * This class is responsible for formatting cookies to a Node.js fetch call.
+ */
+export class NodeFetchFormat extends SnippetFormat {
+  /**
+   * Builds a fetch call sending the cookies in a Cookie header.
+   * @param {object[]} cookies Raw cookies sent to the URL.
+   * @param {string} url URL the call requests.
+   * @return {string} The JavaScript snippet.
+   */
+  static formatSnippet(cookies, url) {
+    return [
+      `const response = await fetch(${JSON.stringify(url)}, {`,
+      '  headers: {',
+      `    Cookie: ${JSON.stringify(SnippetFormat.getCookieHeader(cookies))},`,
+      '  },',
+      '});',
+    ].join('\n');
+  }
+}
@@ -2,6 +2,14 @@ export const ExportFormats = Object.freeze({
   HeaderString: 'headerstring',
   JSON: 'json',
   Netscape: 'netscape',
+  SetCookie: 'setcookie',
+  Playwright: 'playwright',
+  Puppeteer: 'puppeteer',
+  Curl: 'curl',
+  Wget: 'wget',
+  Httpie: 'httpie',
+  PythonRequests: 'python-requests',
+  NodeFetch: 'node-fetch',
+  PowerShell: 'powershell',
   Ask: 'ask',
 });
-
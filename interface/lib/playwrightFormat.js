@@ -0,0 +1,185 @@
+const sameSiteToAutomation = {
+  strict: 'Strict',
+  lax: 'Lax',
+  no_restriction: 'None',
+};
+
+const sameSiteFromAutomation = {
+  Strict: 'strict',
+  Lax: 'lax',
+  None: 'no_restriction',
+};
+
+/**
+ * This class is responsible for parsing and formatting cookies to the
+ * Playwright `storageState` format and to the cookie list expected by
+ * Puppeteer's `page.setCookie`.
+ */
+export class PlaywrightFormat {
+  /**
+   * Parses a Playwright storageState, or a Playwright or Puppeteer cookie
+   * list, to a list of cookie objects.
+   * @param {string} cookieString Cookies in the Playwright or Puppeteer format.
+   * @return {object} List of Cookies.
+   */
+  static parse(cookieString) {
+    const data = JSON.parse(cookieString);
+    let automationCookies;
+    if (data && !Array.isArray(data) && Array.isArray(data.cookies)) {
+      automationCookies = data.cookies;
+    } else if (Array.isArray(data) && data.some(PlaywrightFormat.isAutomationCookie)) {
+      automationCookies = data;
+    } else {
+      throw new Error('Not a Playwright or Puppeteer cookie list.');
+    }
+
+    return automationCookies.map(PlaywrightFormat.fromAutomationCookie);
+  }
+
+  /**
+   * Formats a list of cookies into a Playwright storageState.
+   * @param {Cookie[]} cookies Cookies to format.
+   * @return {string} storageState JSON string.
+   */
+  static format(cookies) {
+    const storageState = {
+      cookies: PlaywrightFormat.getRawCookies(cookies).map((cookie) => {
+        const exportedCookie = {
+          name: cookie.name,
+          value: cookie.value,
+          domain: cookie.domain,
+          path: cookie.path || '/',
+          expires: PlaywrightFormat.isSession(cookie) ? -1 : cookie.expirationDate,
+          httpOnly: !!cookie.httpOnly,
+          secure: !!cookie.secure,
+          // Playwright requires a value, Lax is what browsers default to
+          sameSite: sameSiteToAutomation[cookie.sameSite] || 'Lax',
+        };
+        if (cookie.partitionKey && cookie.partitionKey.topLevelSite) {
+          exportedCookie.partitionKey = cookie.partitionKey.topLevelSite;
+        }
+        return exportedCookie;
+      }),
+      origins: [],
+    };
+    return JSON.stringify(storageState, null, 4);
+  }
+
+  /**
+   * Formats a list of cookies into the array taken by Puppeteer's
+   * `page.setCookie(...cookies)`.
+   * @param {Cookie[]} cookies Cookies to format.
+   * @return {string} JSON string.
+   */
+  static formatPuppeteer(cookies) {
+    const exportedCookies = PlaywrightFormat.getRawCookies(cookies).map((cookie) => {
+      const exportedCookie = {
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path || '/',
+        httpOnly: !!cookie.httpOnly,
+        secure: !!cookie.secure,
+      };
+      // Puppeteer creates a session cookie when expires is missing
+      if (!PlaywrightFormat.isSession(cookie)) {
+        exportedCookie.expires = cookie.expirationDate;
+      }
+      if (sameSiteToAutomation[cookie.sameSite]) {
+        exportedCookie.sameSite = sameSiteToAutomation[cookie.sameSite];
+      }
+      if (cookie.partitionKey && cookie.partitionKey.topLevelSite) {
+        exportedCookie.partitionKey = cookie.partitionKey.topLevelSite;
+      }
+      return exportedCookie;
+    });
+    return JSON.stringify(exportedCookies, null, 4);
+  }
+
+  /**
+   * Converts a Playwright or Puppeteer cookie to the extension's cookie shape.
+   * @param {object} automationCookie
+   * @return {object} The cookie.
+   */
+  static fromAutomationCookie(automationCookie) {
+    let domain = automationCookie.domain || '';
+    let path = automationCookie.path;
+    // Both tools accept a URL instead of a domain and path
+    if (!domain && automationCookie.url) {
+      const url = new URL(automationCookie.url);
+      domain = url.hostname;
+      path = path || url.pathname;
+    }
+
+    const expires = automationCookie.expires;
+    const session =
+      automationCookie.session === true ||
+      typeof expires !== 'number' ||
+      expires < 0;
+
+    const cookie = {
+      name: automationCookie.name,
+      value: automationCookie.value,
+      domain: domain,
+      // A leading dot is what makes the cookie apply to subdomains
+      hostOnly: !domain.startsWith('.'),
+      path: path || '/',
+      secure: !!automationCookie.secure,
+      httpOnly: !!automationCookie.httpOnly,
+      sameSite: sameSiteFromAutomation[automationCookie.sameSite] || null,
+      session: session,
+    };
+    if (!session) {
+      cookie.expirationDate = expires;
+    }
+
+    const partitionKey = automationCookie.partitionKey;
+    if (typeof partitionKey === 'string' && partitionKey) {
+      cookie.partitionKey = { topLevelSite: partitionKey };
+    } else if (partitionKey && partitionKey.topLevelSite) {
+      cookie.partitionKey = { topLevelSite: partitionKey.topLevelSite };
+    }
+    return cookie;
+  }
+
+  /**
+   * Checks if an object uses the Playwright or Puppeteer cookie fields rather
+   * than the extension's JSON format.
+   * @param {object} cookie
+   * @return {boolean}
+   */
+  static isAutomationCookie(cookie) {
+    return (
+      !!cookie &&
+      typeof cookie === 'object' &&
+      ('expires' in cookie ||
+        'url' in cookie ||
+        Object.prototype.hasOwnProperty.call(sameSiteFromAutomation, cookie.sameSite))
+    );
+  }
+
+  /**
+   * Checks if a cookie only lasts for the browser session.
+   * @param {object} cookie
+   * @return {boolean}
+   */
+  static isSession(cookie) {
+    return !!cookie.session || !cookie.expirationDate;
+  }
+
+  /**
+   * Gets the raw cookie data out of a list of cookies.
+   * @param {Cookie[]} cookies
+   * @return {object[]}
+   */
+  static getRawCookies(cookies) {
+    const rawCookies = [];
+    for (const cookieId in cookies) {
+      if (!Object.prototype.hasOwnProperty.call(cookies, cookieId)) {
+        continue;
+      }
+      rawCookies.push(cookies[cookieId].cookie);
+    }
+    return rawCookies;
+  }
+}
@@ -0,0 +1,57 @@
+import { SnippetFormat } from './snippetFormat.js';
+
+/**
+ * This class is responsible for formatting cookies to a PowerShell
+ * Invoke-WebRequest command using a WebSession.
+ */
+export class PowershellFormat extends SnippetFormat {
+  /**
+   * Builds a PowerShell script adding each cookie to a web session.
+   * @param {object[]} cookies Raw cookies sent to the URL.
+   * @param {string} url URL the script requests.
+   * @return {string} The PowerShell script.
+   */
+  static formatSnippet(cookies, url) {
+    const host = PowershellFormat.getHost(url);
+    const lines = [
+      '$session = New-Object Microsoft.PowerShell.Commands.WebRequestSession',
+    ];
+    cookies.forEach((cookie) => {
+      const args = [
+        cookie.name,
+        cookie.value,
+        cookie.path || '/',
+        cookie.domain || host,
+      ].map(PowershellFormat.quote);
+      lines.push(
+        `$session.Cookies.Add((New-Object System.Net.Cookie(${args.join(', ')})))`,
+      );
+    });
+    lines.push(
+      `Invoke-WebRequest -UseBasicParsing -Uri ${PowershellFormat.quote(url)} -WebSession $session`,
+    );
+    return lines.join('\n');
+  }
+
+  /**
+   * Quotes a string as a PowerShell single-quoted literal.
+   * @param {string} text
+   * @return {string}
+   */
+  static quote(text) {
+    return `'${String(text).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Gets the host of a URL, used for host-only cookies without a domain.
+   * @param {string} url
+   * @return {string}
+   */
+  static getHost(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return '';
+    }
+  }
+}
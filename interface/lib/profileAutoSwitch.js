@@ -0,0 +1,271 @@
+import { EventEmitter } from './eventEmitter.js';
+import { GUID } from './guid.js';
+import { ProfileManager } from './profileManager.js';
+
+/**
+ * Rules that load a profile by themselves when a tab navigates to a matching
+ * URL. The rules are kept in storage.local, edited from the options page and
+ * applied by the background service worker.
+ */
+export class ProfileAutoSwitch extends EventEmitter {
+  static STORAGE_KEY = 'profileAutoSwitchRules';
+  // Rules limited to once per session are remembered in storage.session,
+  // which outlives the service worker but not the browser
+  static SESSION_KEY = 'profileAutoSwitchApplied';
+
+  /**
+   * Constructs a ProfileAutoSwitch.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler for the rules
+   * @param {ProfileManager} profileManager - Profile manager to read profiles from
+   * @param {GenericCookieHandler} [cookieHandler] - Cookie handler, needed to apply rules
+   * @param {HistoryHandler} [historyHandler] - History handler recording applied rules
+   */
+  constructor(browserDetector, storageHandler, profileManager, cookieHandler = null, historyHandler = null) {
+    super();
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+    this.profileManager = profileManager;
+    this.cookieHandler = cookieHandler;
+    this.historyHandler = historyHandler;
+    // Fallback when storage.session is not available
+    this.appliedInMemory = new Set();
+    // Domains being switched, a navigation triggers several tab updates
+    this.pendingDomains = new Set();
+
+    const api = browserDetector.getApi();
+    if (api.storage && api.storage.onChanged) {
+      api.storage.onChanged.addListener(this.onStorageChanged);
+    }
+  }
+
+  /**
+   * Notifies listeners when the rules were changed from another page.
+   * @param {object} changes Storage changes
+   * @param {string} areaName Storage area that changed
+   */
+  onStorageChanged = (changes, areaName) => {
+    if (areaName === 'local' && changes[ProfileAutoSwitch.STORAGE_KEY]) {
+      this.emit('rulesChanged');
+    }
+  };
+
+  /**
+   * Gets every rule, in the order they are matched.
+   * @return {Promise<Array<Object>>} The rules
+   */
+  async getRules() {
+    const rules = await this.storageHandler.getLocal(ProfileAutoSwitch.STORAGE_KEY, []);
+    return Array.isArray(rules) ? rules : [];
+  }
+
+  /**
+   * Adds a rule.
+   * @param {Object} rule - The rule to add
+   * @param {string} rule.pattern - URL pattern, `*` matches anything
+   * @param {string} rule.domain - Domain the profile belongs to
+   * @param {string} rule.profileName - Name of the profile to load
+   * @param {boolean} [rule.oncePerSession] - Only apply the rule once per browser session
+   * @return {Promise<Object>} The rule that was saved
+   * @throws {Error} If the rule is incomplete
+   */
+  async addRule({ pattern, domain, profileName, oncePerSession = false }) {
+    pattern = (pattern || '').trim();
+    if (!pattern || !domain || !profileName) {
+      throw new Error('A rule needs a URL pattern and a profile.');
+    }
+
+    const rule = {
+      id: GUID.get(),
+      pattern: pattern,
+      domain: domain,
+      profileName: profileName,
+      oncePerSession: !!oncePerSession,
+      enabled: true,
+    };
+    const rules = await this.getRules();
+    rules.push(rule);
+    await this.storageHandler.setLocal(ProfileAutoSwitch.STORAGE_KEY, rules);
+    return rule;
+  }
+
+  /**
+   * Changes some properties of a rule.
+   * @param {string} id - ID of the rule
+   * @param {Object} changes - Properties to change
+   * @return {Promise<boolean>} Whether the rule was found
+   */
+  async updateRule(id, changes) {
+    const rules = await this.getRules();
+    const rule = rules.find(item => item.id === id);
+    if (!rule) {
+      return false;
+    }
+    Object.assign(rule, changes, { id: rule.id });
+    await this.storageHandler.setLocal(ProfileAutoSwitch.STORAGE_KEY, rules);
+    return true;
+  }
+
+  /**
+   * Removes a rule.
+   * @param {string} id - ID of the rule
+   * @return {Promise<boolean>} Whether the rule was found
+   */
+  async removeRule(id) {
+    const rules = await this.getRules();
+    const remaining = rules.filter(rule => rule.id !== id);
+    if (remaining.length === rules.length) {
+      return false;
+    }
+    await this.storageHandler.setLocal(ProfileAutoSwitch.STORAGE_KEY, remaining);
+    return true;
+  }
+
+  /**
+   * Checks if a URL matches a rule pattern. Patterns without a scheme match
+   * http and https, and patterns without a path match the whole site.
+   * @param {string} pattern - URL pattern, `*` matches anything
+   * @param {string} url - URL to check
+   * @return {boolean} True if the URL matches
+   */
+  static matchesPattern(pattern, url) {
+    let fullPattern = (pattern || '').trim();
+    if (!fullPattern || !url) {
+      return false;
+    }
+    if (!fullPattern.includes('://')) {
+      fullPattern = 'http*://' + fullPattern;
+    }
+    if (!/:\/\/[^/]*\//.test(fullPattern)) {
+      fullPattern += '/*';
+    }
+
+    const source = fullPattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp('^' + source + '$', 'i').test(url);
+  }
+
+  /**
+   * Finds the first enabled rule matching a URL.
+   * @param {string} url - URL of the tab
+   * @return {Promise<Object|null>} The rule, or null if none matches
+   */
+  async findRule(url) {
+    const rules = await this.getRules();
+    return rules.find(rule => rule.enabled && ProfileAutoSwitch.matchesPattern(rule.pattern, url)) || null;
+  }
+
+  /**
+   * Loads the profile of the rule matching a URL, unless it is already loaded
+   * or the rule was already applied in this session.
+   * @param {string} url - URL the tab navigated to
+   * @return {Promise<Object|null>} The rule that was applied, or null
+   */
+  async applyForUrl(url) {
+    const rule = await this.findRule(url);
+    if (!rule || this.pendingDomains.has(rule.domain)) {
+      return null;
+    }
+    // Claimed before any other wait, redirects and other tabs of the same
+    // site navigate at the same time
+    this.pendingDomains.add(rule.domain);
+    try {
+      if (rule.oncePerSession && (await this.wasAppliedThisSession(rule.id))) {
+        return null;
+      }
+      // Profiles in a locked vault can't be read until the user unlocks it
+      if (await this.profileManager.isVaultLocked()) {
+        return null;
+      }
+
+      // Profiles may have been edited from the popup since they were cached
+      this.profileManager._invalidateCache();
+      const metadata = await this.profileManager.getProfileMetadataForDomain(rule.domain);
+      if (metadata.lastLoaded === rule.profileName && !metadata.modified) {
+        return null;
+      }
+
+      await this.loadProfile(rule, url);
+      if (rule.oncePerSession) {
+        await this.setAppliedThisSession(rule.id);
+      }
+      this.emit('ruleApplied', { rule, url });
+      return rule;
+    } finally {
+      this.pendingDomains.delete(rule.domain);
+    }
+  }
+
+  /**
+   * Replaces the cookies of the rule's domain with the cookies of its profile.
+   * @param {Object} rule - The rule to apply
+   * @param {string} url - URL the tab navigated to
+   * @return {Promise<void>}
+   * @throws {Error} If the profile doesn't exist anymore
+   */
+  async loadProfile(rule, url) {
+    const profile = await this.profileManager.getProfile(rule.domain, rule.profileName);
+    const profileCookies = ProfileManager.getProfileCookies(profile);
+    if (!profileCookies) {
+      throw new Error(`Profile "${rule.profileName}" not found for ${rule.domain}`);
+    }
+
+    // Multi-domain profiles replace the cookies of every domain they capture
+    const domains = ProfileManager.getProfileDomains(profile);
+    const previousCookies = await new Promise(resolve => {
+      if (domains) {
+        this.cookieHandler.getAllCookiesInBrowser(cookies => {
+          resolve((cookies || []).filter(cookie => ProfileManager.cookieInScope(cookie, domains)));
+        });
+      } else {
+        this.cookieHandler.getCookiesForDomain(rule.domain, cookies => resolve(cookies || []));
+      }
+    });
+    const loadedCookies = await this.profileManager.replaceCookiesAtomically(
+      this.cookieHandler,
+      previousCookies,
+      profileCookies,
+      url,
+    );
+
+    await this.profileManager.setProfileAsLoaded(rule.domain, rule.profileName);
+    if (this.historyHandler) {
+      this.historyHandler.recordOperation('autoLoadProfile', previousCookies, loadedCookies, url);
+    }
+  }
+
+  /**
+   * Checks if a rule was already applied since the browser started.
+   * @param {string} id - ID of the rule
+   * @return {Promise<boolean>}
+   */
+  async wasAppliedThisSession(id) {
+    const session = this.browserDetector.getApi().storage.session;
+    if (!session) {
+      return this.appliedInMemory.has(id);
+    }
+    const data = await session.get(ProfileAutoSwitch.SESSION_KEY);
+    return (data[ProfileAutoSwitch.SESSION_KEY] || []).includes(id);
+  }
+
+  /**
+   * Remembers that a rule was applied for the rest of the browser session.
+   * @param {string} id - ID of the rule
+   * @return {Promise<void>}
+   */
+  async setAppliedThisSession(id) {
+    this.appliedInMemory.add(id);
+    const session = this.browserDetector.getApi().storage.session;
+    if (!session) {
+      return;
+    }
+    const data = await session.get(ProfileAutoSwitch.SESSION_KEY);
+    const applied = data[ProfileAutoSwitch.SESSION_KEY] || [];
+    if (!applied.includes(id)) {
+      applied.push(id);
+      await session.set({ [ProfileAutoSwitch.SESSION_KEY]: applied });
+    }
+  }
+}
@@ -1,4 +1,8 @@
 import { EventEmitter } from './eventEmitter.js';
+import { CookiePins } from './cookiePins.js';
+import { CookieProtection } from './cookieProtection.js';
+import { GUID } from './guid.js';
+import { ProfileVault } from './profileVault.js';
 
 /**
  * Manages cookie profiles for different domains
@@ -8,14 +12,23 @@ export class ProfileManager extends EventEmitter {
    * Creates a ProfileManager instance
    * @param {GenericStorageHandler} storageHandler - Storage handler for saving/loading profiles
    * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {boolean} [renewsVaultLock] - Whether using the profiles postpones
+   *     the auto-lock of the vault, false for the background
    */
-  constructor(storageHandler, browserDetector) {
+  constructor(storageHandler, browserDetector, renewsVaultLock = true) {
     super();
     this.storageHandler = storageHandler;
     this.browserDetector = browserDetector;
     this.profileStorageKey = 'profiles';
     this.metadataStorageKey = 'profilesMetadata';
+    this.revisionStorageKey = 'profileRevisions';
+    this.maxRevisions = 10; // Revisions kept per profile, the oldest are dropped
     this.currentCookieState = {}; // To track the loaded profile cookies state
+    // Optional encryption of the profiles and their revisions
+    this.vault = new ProfileVault(storageHandler, browserDetector, renewsVaultLock);
+    // Protected and pinned cookies survive profile loads
+    this.protection = new CookieProtection(browserDetector, storageHandler);
+    this.pins = new CookiePins(browserDetector, storageHandler);
     
     // PERFORMANCE OPTIMIZATION: Add caching to reduce storage reads
     this.cache = {
@@ -78,17 +91,200 @@ export class ProfileManager extends EventEmitter {
     this.cache.timestamp = 0;
   }
 
+  /**
+   * Finds the domain a profile is stored under. A multi-domain profile is
+   * stored once, under the domain it was saved from.
+   * @param {Object} profiles - All profiles, keyed by domain
+   * @param {string} canonicalDomain - Domain the profile is looked up from
+   * @param {string} profileName - Name of the profile
+   * @return {string|null} The storage domain, or null if there is no such profile
+   * @private
+   */
+  _findStorageDomain(profiles, canonicalDomain, profileName) {
+    if (profiles[canonicalDomain] && profiles[canonicalDomain][profileName]) {
+      return canonicalDomain;
+    }
+    for (const storageDomain in profiles) {
+      const profile = profiles[storageDomain][profileName];
+      if (profile && ProfileManager.domainInScope(canonicalDomain, ProfileManager.getProfileDomains(profile))) {
+        return storageDomain;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reads the profiles or their revisions, from the vault when it is enabled
+   * @param {string} key - profileStorageKey or revisionStorageKey
+   * @param {*} [defaultValue] - Value when nothing is stored
+   * @return {Promise<*>} The stored value
+   * @throws {Error} If the vault is locked
+   * @private
+   */
+  async _readStore(key, defaultValue = null) {
+    if (!(await this.vault.isEnabled())) {
+      return this.storageHandler.getLocal(key, defaultValue);
+    }
+    const data = await this.vault.read();
+    return data[key] !== undefined ? data[key] : defaultValue;
+  }
+
+  /**
+   * Writes the profiles or their revisions, to the vault when it is enabled
+   * @param {string} key - profileStorageKey or revisionStorageKey
+   * @param {*} value - Value to store
+   * @return {Promise<void>}
+   * @throws {Error} If the vault is locked
+   * @private
+   */
+  async _writeStore(key, value) {
+    if (!(await this.vault.isEnabled())) {
+      await this.storageHandler.setLocal(key, value);
+      return;
+    }
+    const data = await this.vault.read();
+    data[key] = value;
+    await this.vault.write(data);
+  }
+
+  /**
+   * Replaces every profile, for imports that build the whole store themselves
+   * @param {Object} profiles - All profiles, keyed by domain
+   * @return {Promise<void>}
+   */
+  async saveAllProfiles(profiles) {
+    await this._writeStore(this.profileStorageKey, profiles);
+    this._invalidateCache();
+    this.emit('profilesImported');
+  }
+
+  /**
+   * Checks if the profiles are encrypted in the vault
+   * @return {Promise<boolean>}
+   */
+  async isVaultEnabled() {
+    return this.vault.isEnabled();
+  }
+
+  /**
+   * Checks if the vault must be unlocked before profiles can be used
+   * @return {Promise<boolean>}
+   */
+  async isVaultLocked() {
+    return this.vault.isLocked();
+  }
+
+  /**
+   * Locks the vault once its auto-lock timeout expires, see ProfileVault.startAutoLock
+   */
+  startVaultAutoLock() {
+    this.vault.startAutoLock();
+  }
+
+  /**
+   * Moves the profiles and their revisions into the encrypted vault
+   * @param {string} password - Master password
+   * @param {number} autoLockMinutes - Minutes without use before the vault
+   *     locks itself, 0 to lock it only when the browser closes
+   * @return {Promise<void>}
+   * @throws {Error} If the vault is already enabled
+   */
+  async enableVault(password, autoLockMinutes) {
+    const data = {
+      [this.profileStorageKey]: await this.storageHandler.getLocal(this.profileStorageKey, {}),
+      [this.revisionStorageKey]: await this.storageHandler.getLocal(this.revisionStorageKey, {}),
+    };
+    await this.vault.enable(password, data, autoLockMinutes);
+    // Only remove the plain text copy once the vault holds the data
+    await this.storageHandler.removeLocal([this.profileStorageKey, this.revisionStorageKey]);
+    this._invalidateCache();
+    this.emit('vaultChanged', { enabled: true, locked: false });
+  }
+
+  /**
+   * Unlocks the vault
+   * @param {string} password - Master password
+   * @return {Promise<void>}
+   * @throws {Error} If the password is wrong
+   */
+  async unlockVault(password) {
+    await this.vault.unlock(password);
+    this._invalidateCache();
+    this.emit('vaultChanged', { enabled: true, locked: false });
+  }
+
+  /**
+   * Locks the vault until the master password is entered again
+   * @return {Promise<void>}
+   */
+  async lockVault() {
+    await this.vault.lock();
+    this._invalidateCache();
+    this.emit('vaultChanged', { enabled: true, locked: true });
+  }
+
+  /**
+   * Changes the master password, encrypting everything again with a new key
+   * @param {string} oldPassword - Current master password
+   * @param {string} newPassword - New master password
+   * @return {Promise<void>}
+   * @throws {Error} If the current password is wrong
+   */
+  async changeVaultPassword(oldPassword, newPassword) {
+    await this.vault.changePassword(oldPassword, newPassword);
+    this._invalidateCache();
+  }
+
+  /**
+   * Changes how long the vault stays unlocked without being used
+   * @param {number} minutes - Minutes, 0 to lock it only when the browser closes
+   * @return {Promise<void>}
+   */
+  async setVaultAutoLock(minutes) {
+    await this.vault.setAutoLockMinutes(minutes);
+  }
+
+  /**
+   * Stores the profiles in plain text again and removes the vault
+   * @param {string} password - Master password
+   * @return {Promise<void>}
+   * @throws {Error} If the password is wrong or the profiles couldn't be stored
+   */
+  async disableVault(password) {
+    const data = await this.vault.open(password);
+    const plain = {
+      [this.profileStorageKey]: data[this.profileStorageKey] || {},
+      [this.revisionStorageKey]: data[this.revisionStorageKey] || {},
+    };
+    await this.storageHandler.set(plain);
+    // The vault is the only other copy, only remove it once the plain text
+    // one is stored
+    const stored = await this.storageHandler.get(Object.keys(plain));
+    if (Object.keys(plain).some(key => JSON.stringify(stored[key]) !== JSON.stringify(plain[key]))) {
+      throw new Error('The profiles could not be stored in plain text, the vault was kept.');
+    }
+    await this.vault.disable();
+    this._invalidateCache();
+    this.emit('vaultChanged', { enabled: false, locked: false });
+  }
+
   /**
    * Gets all profiles from storage
    * @return {Promise<Object>} Object containing all profiles
    */
   async getAllProfiles() {
+    // A locked vault must not keep serving the cached profiles
+    if (await this.vault.isLocked()) {
+      this._invalidateCache();
+      throw new Error('The profile vault is locked.');
+    }
+    
     // Check cache first
     if (this._isCacheValid() && this.cache.allProfiles !== null) {
       return this.cache.allProfiles;
     }
     
-    const profiles = await this.storageHandler.getLocal(this.profileStorageKey);
+    const profiles = await this._readStore(this.profileStorageKey);
     
     // Update cache
     this.cache.allProfiles = profiles || {};
@@ -130,7 +326,21 @@ export class ProfileManager extends EventEmitter {
     
     const profiles = await this.getAllProfiles();
     // Use canonicalDomain for lookup
-    const domainProfiles = profiles[canonicalDomain] || {};
+    const domainProfiles = { ...(profiles[canonicalDomain] || {}) };
+    
+    // Profiles spanning several domains are listed on every domain they cover
+    for (const storageDomain in profiles) {
+      if (storageDomain === canonicalDomain) {
+        continue;
+      }
+      for (const profileName in profiles[storageDomain]) {
+        const profile = profiles[storageDomain][profileName];
+        if (!domainProfiles[profileName] &&
+            ProfileManager.domainInScope(canonicalDomain, ProfileManager.getProfileDomains(profile))) {
+          domainProfiles[profileName] = profile;
+        }
+      }
+    }
     
     // Update domain-specific cache
     this.cache.domainProfiles[canonicalDomain] = domainProfiles;
@@ -209,10 +419,13 @@ export class ProfileManager extends EventEmitter {
    * @param {string} domain - Domain the cookies belong to
    * @param {string} profileName - Name for the new profile
    * @param {Array} cookies - Array of cookie objects to save
+   * @param {Array<string>} [domains] - Domains a multi-domain profile captures,
+   *     see ProfileManager.normalizeDomainScope
+   * @param {string} [note] - Note describing this revision of the profile
    * @return {Promise<boolean>} Success status
    */
-  async saveProfile(domain, profileName, cookies) {
-    const canonicalDomain = this._getCanonicalDomain(domain);
+  async saveProfile(domain, profileName, cookies, domains = null, note = '') {
+    let canonicalDomain = this._getCanonicalDomain(domain);
     if (!canonicalDomain || !profileName || !cookies) {
       return false;
     }
@@ -221,16 +434,26 @@ export class ProfileManager extends EventEmitter {
       // Get all profiles
       const profiles = await this.getAllProfiles();
       
+      // Overwriting a multi-domain profile from one of its other domains
+      // must not leave a second copy behind
+      canonicalDomain = this._findStorageDomain(profiles, canonicalDomain, profileName) || canonicalDomain;
+      
       // Initialize domain entry if needed (use canonical)
       if (!profiles[canonicalDomain]) {
         profiles[canonicalDomain] = {};
       }
       
-      // Save the profile (use canonical)
-      profiles[canonicalDomain][profileName] = cookies;
+      // Save the profile (use canonical), single domain profiles keep the
+      // plain array format older versions understand
+      const scope = ProfileManager.normalizeDomainScope(domains);
+      const previousProfile = profiles[canonicalDomain][profileName];
+      profiles[canonicalDomain][profileName] = scope.length ?
+        { cookies: cookies, domains: scope } :
+        cookies;
       
       // Store updated profiles
-      await this.storageHandler.setLocal(this.profileStorageKey, profiles);
+      await this._writeStore(this.profileStorageKey, profiles);
+      await this._addRevision(canonicalDomain, profileName, previousProfile, profiles[canonicalDomain][profileName], note);
       
       // Invalidate cache
       this._invalidateCache();
@@ -357,6 +580,10 @@ export class ProfileManager extends EventEmitter {
       console.warn('checkIfCookiesModified called with invalid canonical domain', { canonicalDomain });
       return false;
     }
+    // The loaded profile can't be compared while the vault is locked
+    if (await this.isVaultLocked()) {
+      return false;
+    }
     
     try {
         // Get metadata for the domain
@@ -472,9 +699,6 @@ export class ProfileManager extends EventEmitter {
       return true; // Maps are different
     }
     
-    // List of dynamic cookies that change frequently by themselves
-    const dynamicCookies = ['_dd_s', 'datadome']; 
-    
     // Check for presence of all keys
     for (const key of keys1) {
       if (!map2[key]) {
@@ -482,42 +706,215 @@ export class ProfileManager extends EventEmitter {
         return true; // Maps are different
       }
       
-      const cookie1 = map1[key];
-      const cookie2 = map2[key];
-      
-      // Skip detailed comparison for known dynamic cookies
-      const cookieName = key.split('|')[0];
-      if (dynamicCookies.includes(cookieName)) {
-//        console.log(`Skipping detailed comparison for dynamic cookie: ${cookieName}`);
-        continue;
-      }
-      
-      // Compare essential properties (value is most important as name/domain/path are in key)
-      if (cookie1.value !== cookie2.value) {
-//        console.log(`Cookie value mismatch for ${key}: "${cookie1.value}" vs "${cookie2.value}"`);
+      if (this._getChangedCookieFields(key, map1[key], map2[key]).length) {
         return true; // Maps are different
       }
-      
-      // These flags are important for security, so compare them
-      if (cookie1.secure !== cookie2.secure || 
-          cookie1.httpOnly !== cookie2.httpOnly || 
-          cookie1.hostOnly !== cookie2.hostOnly) {
-//        console.log(`Cookie flags mismatch for ${key}: secure=${cookie1.secure}/${cookie2.secure}, httpOnly=${cookie1.httpOnly}/${cookie2.httpOnly}, hostOnly=${cookie1.hostOnly}/${cookie2.hostOnly}`);
-        return true; // Maps are different
+    }
+    
+    return false; // Maps are equal (not different)
+  }
+
+  /**
+   * Lists the properties that differ between two versions of a cookie
+   * @param {string} key - Key of the cookie in the cookie maps
+   * @param {Object} cookie1 - Normalized cookie, see _createCookieHashMap
+   * @param {Object} cookie2 - Normalized cookie, see _createCookieHashMap
+   * @return {Array<string>} Names of the properties that differ
+   * @private
+   */
+  _getChangedCookieFields(key, cookie1, cookie2) {
+    // List of dynamic cookies that change frequently by themselves
+    const dynamicCookies = ['_dd_s', 'datadome']; 
+    
+    // Skip detailed comparison for known dynamic cookies
+    const cookieName = key.split('|')[0];
+    if (dynamicCookies.includes(cookieName)) {
+      return [];
+    }
+    
+    // Compare essential properties (value is most important as name/domain/path are in key)
+    const changedFields = [];
+    if (cookie1.value !== cookie2.value) {
+      changedFields.push('value');
+    }
+    
+    // These flags are important for security, so compare them
+    ['secure', 'httpOnly', 'hostOnly'].forEach(field => {
+      if (cookie1[field] !== cookie2[field]) {
+        changedFields.push(field);
       }
-      
-      // For session cookies, don't compare expiration
-      if (!cookie1.session && !cookie2.session && cookie1.expirationDate && cookie2.expirationDate) {
-        // Allow slight differences in expiration (within 1 minute)
-        const diff = Math.abs(cookie1.expirationDate - cookie2.expirationDate);
-        if (diff > 60) { // More than 60 seconds difference
-//          console.log(`Cookie expiration mismatch for ${key}: ${cookie1.expirationDate} vs ${cookie2.expirationDate}, diff: ${diff}s`);
-          return true; // Maps are different
-        }
+    });
+    
+    // For session cookies, don't compare expiration
+    if (!cookie1.session && !cookie2.session && cookie1.expirationDate && cookie2.expirationDate) {
+      // Allow slight differences in expiration (within 1 minute)
+      const diff = Math.abs(cookie1.expirationDate - cookie2.expirationDate);
+      if (diff > 60) { // More than 60 seconds difference
+        changedFields.push('expirationDate');
       }
     }
     
-    return false; // Maps are equal (not different)
+    return changedFields;
+  }
+
+  /**
+   * Compares two lists of cookies, matching cookies by name, domain and path
+   * @param {Array} fromCookies - Older cookies
+   * @param {Array} toCookies - Newer cookies
+   * @return {{added: Array, removed: Array, changed: Array<Object>}} The
+   *     normalized cookies only in toCookies, only in fromCookies, and
+   *     `{from, to, fields}` for the cookies in both that differ
+   */
+  diffCookies(fromCookies, toCookies) {
+    const fromMap = this._createCookieHashMap(fromCookies || []);
+    const toMap = this._createCookieHashMap(toCookies || []);
+    const diff = { added: [], removed: [], changed: [] };
+    
+    for (const key in toMap) {
+      if (!fromMap[key]) {
+        diff.added.push(toMap[key]);
+        continue;
+      }
+      const fields = this._getChangedCookieFields(key, fromMap[key], toMap[key]);
+      if (fields.length) {
+        diff.changed.push({ from: fromMap[key], to: toMap[key], fields: fields });
+      }
+    }
+    for (const key in fromMap) {
+      if (!toMap[key]) {
+        diff.removed.push(fromMap[key]);
+      }
+    }
+    
+    return diff;
+  }
+
+  /**
+   * Gets the revisions of a profile, the newest first. The newest revision
+   * holds the current cookies of the profile.
+   * @param {string} domain - Domain the profile belongs to
+   * @param {string} profileName - Name of the profile
+   * @return {Promise<Array<Object>>} Revisions as
+   *     `{id, timestamp, cookies, domains, note}`, the timestamp is null for
+   *     a profile saved before revisions were kept
+   */
+  async getProfileRevisions(domain, profileName) {
+    const canonicalDomain = this._getCanonicalDomain(domain);
+    const profiles = await this.getAllProfiles();
+    const storageDomain = this._findStorageDomain(profiles, canonicalDomain, profileName);
+    if (!storageDomain) {
+      return [];
+    }
+    
+    const revisions = await this._readStore(this.revisionStorageKey, {});
+    const profileRevisions = revisions[storageDomain] && revisions[storageDomain][profileName];
+    if (profileRevisions && profileRevisions.length) {
+      return profileRevisions;
+    }
+    // Profiles saved before revisions were kept still have their current version
+    return [this._createRevision(profiles[storageDomain][profileName], null, '')];
+  }
+
+  /**
+   * Saves a previous revision of a profile as its current version. The
+   * rollback is a new revision, so it can be rolled back too.
+   * @param {string} domain - Domain the profile belongs to
+   * @param {string} profileName - Name of the profile
+   * @param {string} revisionId - ID of the revision to restore
+   * @return {Promise<boolean>} Success status
+   */
+  async rollbackProfile(domain, profileName, revisionId) {
+    const revisions = await this.getProfileRevisions(domain, profileName);
+    const revision = revisions.find(item => item.id === revisionId);
+    if (!revision) {
+      return false;
+    }
+    
+    const date = revision.timestamp ?
+      new Date(revision.timestamp).toLocaleString() :
+      'the oldest revision';
+    return this.saveProfile(
+      domain,
+      profileName,
+      revision.cookies,
+      revision.domains || null,
+      `Rolled back to ${date}`,
+    );
+  }
+
+  /**
+   * Creates a revision from the stored value of a profile
+   * @param {Array|Object} profile - Cookie array or `{cookies, domains}`
+   * @param {number|null} timestamp - When the revision was saved
+   * @param {string} note - Note describing the revision
+   * @return {Object} The revision
+   * @private
+   */
+  _createRevision(profile, timestamp, note) {
+    const revision = {
+      id: GUID.get(),
+      timestamp: timestamp,
+      cookies: ProfileManager.getProfileCookies(profile) || [],
+      note: note || '',
+    };
+    const domains = ProfileManager.getProfileDomains(profile);
+    if (domains) {
+      revision.domains = domains;
+    }
+    return revision;
+  }
+
+  /**
+   * Records a new revision of a profile, dropping the oldest ones past
+   * maxRevisions
+   * @param {string} storageDomain - Domain the profile is stored under
+   * @param {string} profileName - Name of the profile
+   * @param {Array|Object|undefined} previousProfile - Value being overwritten
+   * @param {Array|Object} profile - Value being saved
+   * @param {string} note - Note describing the new revision
+   * @return {Promise<void>}
+   * @private
+   */
+  async _addRevision(storageDomain, profileName, previousProfile, profile, note) {
+    const revisions = await this._readStore(this.revisionStorageKey, {});
+    if (!revisions[storageDomain]) {
+      revisions[storageDomain] = {};
+    }
+    
+    const profileRevisions = revisions[storageDomain][profileName] || [];
+    // The version being overwritten of a profile saved before revisions were
+    // kept would otherwise be lost
+    if (!profileRevisions.length && previousProfile) {
+      profileRevisions.push(this._createRevision(previousProfile, null, ''));
+    }
+    profileRevisions.unshift(this._createRevision(profile, Date.now(), note));
+    revisions[storageDomain][profileName] = profileRevisions.slice(0, this.maxRevisions);
+    
+    await this._writeStore(this.revisionStorageKey, revisions);
+  }
+
+  /**
+   * Moves or removes the revisions of a profile
+   * @param {string} storageDomain - Domain the profile is stored under
+   * @param {string} profileName - Name of the profile
+   * @param {string|null} newName - New name of the profile, null to remove them
+   * @return {Promise<void>}
+   * @private
+   */
+  async _moveRevisions(storageDomain, profileName, newName) {
+    const revisions = await this._readStore(this.revisionStorageKey, {});
+    if (!revisions[storageDomain] || !revisions[storageDomain][profileName]) {
+      return;
+    }
+    
+    if (newName) {
+      revisions[storageDomain][newName] = revisions[storageDomain][profileName];
+    }
+    delete revisions[storageDomain][profileName];
+    if (Object.keys(revisions[storageDomain]).length === 0) {
+      delete revisions[storageDomain];
+    }
+    await this._writeStore(this.revisionStorageKey, revisions);
   }
 
   /**
@@ -533,20 +930,22 @@ export class ProfileManager extends EventEmitter {
       const profiles = await this.getAllProfiles();
       
       // Check if domain and profile exist (use canonical)
-      if (!profiles[canonicalDomain] || !profiles[canonicalDomain][profileName]) {
+      const storageDomain = this._findStorageDomain(profiles, canonicalDomain, profileName);
+      if (!storageDomain) {
         return false;
       }
       
       // Delete the profile (use canonical)
-      delete profiles[canonicalDomain][profileName];
+      delete profiles[storageDomain][profileName];
       
       // Clean up empty domain if needed (use canonical)
-      if (Object.keys(profiles[canonicalDomain]).length === 0) {
-        delete profiles[canonicalDomain];
+      if (Object.keys(profiles[storageDomain]).length === 0) {
+        delete profiles[storageDomain];
       }
       
       // Store updated profiles
-      await this.storageHandler.setLocal(this.profileStorageKey, profiles);
+      await this._writeStore(this.profileStorageKey, profiles);
+      await this._moveRevisions(storageDomain, profileName, null);
       
       // Update metadata if this was the last loaded profile (use canonical)
       const metadata = await this.getAllProfilesMetadata();
@@ -608,7 +1007,7 @@ export class ProfileManager extends EventEmitter {
 
       if (replace) {
         // Replace all profiles with the normalized ones
-        await this.storageHandler.setLocal(this.profileStorageKey, importedProfiles);
+        await this._writeStore(this.profileStorageKey, importedProfiles);
          // Clear all metadata when replacing profiles
         await this.storageHandler.setLocal(this.metadataStorageKey, {});
       } else {
@@ -629,7 +1028,7 @@ export class ProfileManager extends EventEmitter {
         }
 
         // Save merged profiles
-        await this.storageHandler.setLocal(this.profileStorageKey, currentProfiles);
+        await this._writeStore(this.profileStorageKey, currentProfiles);
         // Note: Merging doesn't automatically clear metadata for existing domains.
         // Consider if metadata should be updated/cleared during merge.
       }
@@ -665,17 +1064,19 @@ export class ProfileManager extends EventEmitter {
         const profiles = await this.getAllProfiles(); // Uses canonical
         
         // Check if domain exists and old name exists, and new name doesn't exist
-        if (!profiles[canonicalDomain] || !profiles[canonicalDomain][oldName] || profiles[canonicalDomain][newName]) {
+        const storageDomain = this._findStorageDomain(profiles, canonicalDomain, oldName);
+        if (!storageDomain || profiles[storageDomain][newName]) {
             console.warn(`Rename failed: Profile ${oldName} not found or ${newName} already exists for ${canonicalDomain}`);
             return false;
         }
         
         // Rename the profile
-        profiles[canonicalDomain][newName] = profiles[canonicalDomain][oldName];
-        delete profiles[canonicalDomain][oldName];
+        profiles[storageDomain][newName] = profiles[storageDomain][oldName];
+        delete profiles[storageDomain][oldName];
         
         // Store updated profiles
-        await this.storageHandler.setLocal(this.profileStorageKey, profiles);
+        await this._writeStore(this.profileStorageKey, profiles);
+        await this._moveRevisions(storageDomain, oldName, newName);
         
         // Update metadata if the renamed profile was the last loaded one
         const metadata = await this.getAllProfilesMetadata(); // Uses canonical
@@ -730,5 +1131,157 @@ export class ProfileManager extends EventEmitter {
            return false;
        }
    }
+
+  /**
+   * Replaces cookies with the cookies of a profile, all or nothing. When a
+   * cookie can't be set, the cookies set so far are removed and the previous
+   * cookies are put back. Protected and pinned cookies are neither removed
+   * nor replaced.
+   * @param {GenericCookieHandler} cookieHandler - Cookie handler to use
+   * @param {Array} previousCookies - Cookies currently set, they are removed
+   * @param {Array} cookies - Cookies of the profile
+   * @param {string} url - URL used for cookies without a domain
+   * @return {Promise<Array>} The cookies that were set
+   * @throws {Error} If a cookie could not be set, after rolling back
+   */
+  async replaceCookiesAtomically(cookieHandler, previousCookies, cookies, url) {
+    previousCookies = (await this.protection.splitProtected(previousCookies)).allowed;
+    previousCookies = (await this.pins.splitPinned(previousCookies)).allowed;
+    cookies = (await this.protection.splitProtected(cookies)).allowed;
+    cookies = (await this.pins.splitPinned(cookies)).allowed;
+    const getUrl = cookie => cookie.domain ? cookieHandler.getCookieUrl(cookie) : url;
+    const removeAll = list => Promise.all(list.map(cookie => new Promise(resolve => {
+      cookieHandler.removeCookie(
+        cookie.name,
+        getUrl(cookie),
+        cookie.storeId,
+        resolve,
+        false,
+        cookie.partitionKey,
+      );
+    })));
+    const saveAll = list => Promise.all(list.map(cookie => new Promise(resolve => {
+      cookieHandler.saveCookie(cookie, getUrl(cookie), (error, savedCookie) => {
+        resolve({ cookie, error, savedCookie });
+      });
+    })));
+
+    await removeAll(previousCookies);
+    const results = await saveAll(cookies);
+    const failures = results.filter(result => result.error || !result.savedCookie);
+    const savedCookies = results.filter(result => result.savedCookie).map(result => result.savedCookie);
+    if (!failures.length) {
+      return savedCookies;
+    }
+
+    await removeAll(savedCookies);
+    await saveAll(previousCookies);
+    const names = failures.map(result => result.cookie.name).join(', ');
+    throw new Error(`Could not set ${failures.length} cookie(s) (${names}), the previous cookies were restored`);
+  }
+
+  /**
+   * Gets the cookies of a profile, whatever format it was saved in.
+   * @param {Array|Object} profile - The profile
+   * @return {Array|null} The cookies, or null if the profile is malformed
+   */
+  static getProfileCookies(profile) {
+    if (Array.isArray(profile)) {
+      return profile;
+    }
+    return profile && Array.isArray(profile.cookies) ? profile.cookies : null;
+  }
+
+  /**
+   * Gets the domains a multi-domain profile captures.
+   * @param {Array|Object} profile - The profile
+   * @return {Array<string>|null} The domain scope, or null for single domain profiles
+   */
+  static getProfileDomains(profile) {
+    if (profile && !Array.isArray(profile) && Array.isArray(profile.domains) && profile.domains.length) {
+      return profile.domains;
+    }
+    return null;
+  }
+
+  /**
+   * Cleans up the domain scope of a multi-domain profile. Each entry is a host
+   * (`auth.example.com`), a domain cookie domain (`.example.com`) or a
+   * wildcard covering a domain and all its subdomains (`*.example.com`).
+   * @param {Array<string>|string} domains - Domains, or a comma separated list
+   * @return {Array<string>} The valid entries, lowercased and deduplicated
+   */
+  static normalizeDomainScope(domains) {
+    const list = typeof domains === 'string' ? domains.split(/[\s,]+/) : (domains || []);
+    const scope = [];
+    list.forEach(entry => {
+      const domain = String(entry).trim().toLowerCase();
+      if (/^(\*\.|\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain) && !scope.includes(domain)) {
+        scope.push(domain);
+      }
+    });
+    return scope;
+  }
+
+  /**
+   * Guesses the registrable domain of a host, like `example.com` for
+   * `auth.example.com` or `example.co.uk` for `www.example.co.uk`. Without
+   * the public suffix list this only knows about common second-level
+   * suffixes.
+   * @param {string} host - The host
+   * @return {string} The registrable domain
+   */
+  static getRegistrableDomain(host) {
+    const labels = (host || '').replace(/^\./, '').toLowerCase().split('.');
+    if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) {
+      return labels.join('.');
+    }
+    const secondLevel = labels[labels.length - 2];
+    const hasSecondLevelSuffix =
+      labels[labels.length - 1].length === 2 &&
+      ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac'].includes(secondLevel);
+    return labels.slice(hasSecondLevelSuffix ? -3 : -2).join('.');
+  }
+
+  /**
+   * Checks if a cookie belongs to the domain scope of a multi-domain profile.
+   * @param {Object} cookie - The cookie
+   * @param {Array<string>} domains - Domain scope
+   * @return {boolean}
+   */
+  static cookieInScope(cookie, domains) {
+    const cookieDomain = (cookie.domain || '').toLowerCase();
+    const host = cookieDomain.replace(/^\./, '');
+    return (domains || []).some(entry => {
+      if (entry.startsWith('*.')) {
+        const base = entry.substring(2);
+        return host === base || host.endsWith('.' + base);
+      }
+      if (entry.startsWith('.')) {
+        return cookieDomain === entry;
+      }
+      return host === entry;
+    });
+  }
+
+  /**
+   * Checks if a site is covered by the domain scope of a multi-domain
+   * profile, so the profile is offered there.
+   * @param {string} domain - Host of the site
+   * @param {Array<string>|null} domains - Domain scope
+   * @return {boolean}
+   */
+  static domainInScope(domain, domains) {
+    if (!domain || !domains) {
+      return false;
+    }
+    const host = domain.toLowerCase();
+    return domains.some(entry => {
+      const base = entry.replace(/^\*?\./, '');
+      // Domain cookies and wildcards apply to every subdomain
+      return host === base || (entry !== base && host.endsWith('.' + base));
+    });
+  }
+
 } 
 
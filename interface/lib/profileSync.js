@@ -0,0 +1,616 @@
+import { EventEmitter } from './eventEmitter.js';
+import { decryptData, encryptData } from './sharing/encryptionUtils.js';
+
+// Limits of storage.sync, used when the browser doesn't expose them
+const DEFAULT_QUOTA_BYTES = 102400;
+const DEFAULT_QUOTA_BYTES_PER_ITEM = 8192;
+const DEFAULT_MAX_ITEMS = 512;
+// Room left in every item for its key and the quotes around the chunk
+const ITEM_OVERHEAD = 96;
+// Local changes are synced once they settle
+const AUTO_SYNC_DELAY = 2000;
+
+/**
+ * Mirrors selected profiles into storage.sync so they follow the browser
+ * account to other machines. Every profile is stored as a metadata item and
+ * as many chunks as the per-item quota requires, optionally encrypted with a
+ * passphrase. When a profile changed on both sides, the newest revision wins,
+ * the other one stays in the local revisions.
+ * The passphrase is only kept in storage.session, like the key of the profile
+ * vault, and profiles in the vault are never synced unencrypted.
+ */
+export class ProfileSync extends EventEmitter {
+  static PREFIX = 'profileSync:';
+  static SETTINGS_KEY = 'profileSyncSettings';
+  static STATE_KEY = 'profileSyncState';
+  static SESSION_KEY = 'profileSyncPassphrase';
+
+  /**
+   * Constructs a ProfileSync.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler
+   * @param {ProfileManager} profileManager - Profile manager to sync
+   */
+  constructor(browserDetector, storageHandler, profileManager) {
+    super();
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+    this.profileManager = profileManager;
+    this.running = null;
+    this.syncAgain = false;
+    this.autoSyncTimeout = null;
+    // Fallback when storage.session is not available, the passphrase is
+    // then only known to the current page
+    this.passphraseInMemory = null;
+
+    const api = browserDetector.getApi();
+    if (api.storage && api.storage.onChanged) {
+      api.storage.onChanged.addListener(this.onStorageChanged);
+    }
+  }
+
+  /**
+   * Notifies listeners when the settings or the sync state changed.
+   * @param {object} changes Storage changes
+   * @param {string} areaName Storage area that changed
+   */
+  onStorageChanged = (changes, areaName) => {
+    if ((areaName === 'local' &&
+        (changes[ProfileSync.SETTINGS_KEY] || changes[ProfileSync.STATE_KEY])) ||
+        (areaName === 'session' && changes[ProfileSync.SESSION_KEY])) {
+      this.emit('statusChanged');
+    }
+  };
+
+  /**
+   * Syncs by itself when profiles change on this machine or in storage.sync.
+   * Only the background script should call this.
+   */
+  startAutoSync() {
+    const localKeys = [
+      this.profileManager.profileStorageKey,
+      this.profileManager.revisionStorageKey,
+      'profileVault',
+      ProfileSync.SETTINGS_KEY,
+    ];
+    this.browserDetector.getApi().storage.onChanged.addListener((changes, areaName) => {
+      const relevant = areaName === 'sync' ?
+        Object.keys(changes).some(key => key.startsWith(ProfileSync.PREFIX)) :
+        (areaName === 'local' && localKeys.some(key => changes[key])) ||
+        (areaName === 'session' && !!changes[ProfileSync.SESSION_KEY]);
+      if (relevant) {
+        this.scheduleSync();
+      }
+    });
+    this.scheduleSync();
+  }
+
+  /**
+   * Syncs after a short delay, grouping changes made in a row.
+   */
+  scheduleSync() {
+    clearTimeout(this.autoSyncTimeout);
+    this.autoSyncTimeout = setTimeout(() => {
+      this.sync().catch(error => console.error('Error syncing profiles:', error));
+    }, AUTO_SYNC_DELAY);
+  }
+
+  /**
+   * Gets the sync settings.
+   * @return {Promise<Object>} `{enabled, encrypted, passphrase, selection}`,
+   *     where the passphrase is empty when it must be entered again since the
+   *     browser started, and the selection lists the synced profiles as
+   *     `domain|name` keys
+   */
+  async getSettings() {
+    const settings = await this.storageHandler.getLocal(ProfileSync.SETTINGS_KEY, {});
+    if (settings.passphrase) {
+      // Older versions kept the passphrase in clear with the settings
+      await this.storePassphrase(settings.passphrase);
+      settings.encrypted = true;
+      delete settings.passphrase;
+      await this.storageHandler.setLocal(ProfileSync.SETTINGS_KEY, settings);
+    }
+    return {
+      enabled: !!settings.enabled,
+      encrypted: !!settings.encrypted,
+      passphrase: await this.getPassphrase(),
+      selection: Array.isArray(settings.selection) ? settings.selection : [],
+    };
+  }
+
+  /**
+   * Changes some sync settings. A passphrase is kept for the browser session
+   * only, an empty one turns encryption off.
+   * @param {Object} changes - Settings to change
+   * @return {Promise<void>}
+   * @throws {Error} If encryption is turned off while the vault is enabled
+   */
+  async updateSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    const passphrase = settings.passphrase;
+    delete settings.passphrase;
+    if (changes.passphrase !== undefined) {
+      if (!passphrase && await this.profileManager.isVaultEnabled()) {
+        throw new Error('Profiles in the vault are only synced encrypted, enter a passphrase');
+      }
+      await this.storePassphrase(passphrase);
+      settings.encrypted = !!passphrase;
+    }
+    await this.storageHandler.setLocal(ProfileSync.SETTINGS_KEY, settings);
+  }
+
+  /**
+   * @return {Promise<string>} The passphrase of this browser session
+   */
+  async getPassphrase() {
+    const session = this.getSessionStorage();
+    if (!session) {
+      return this.passphraseInMemory || '';
+    }
+    return (await session.get(ProfileSync.SESSION_KEY))[ProfileSync.SESSION_KEY] || '';
+  }
+
+  /**
+   * Keeps the passphrase until the browser closes.
+   * @param {string} passphrase - Passphrase, empty to forget it
+   * @return {Promise<void>}
+   */
+  async storePassphrase(passphrase) {
+    const session = this.getSessionStorage();
+    if (!session) {
+      this.passphraseInMemory = passphrase || null;
+    } else if (passphrase) {
+      await session.set({ [ProfileSync.SESSION_KEY]: passphrase });
+    } else {
+      await session.remove(ProfileSync.SESSION_KEY);
+    }
+  }
+
+  /**
+   * @return {Object|null} storage.session, if the browser has it
+   */
+  getSessionStorage() {
+    const storage = this.browserDetector.getApi().storage;
+    return storage && storage.session ? storage.session : null;
+  }
+
+  /**
+   * Adds a profile to the synced profiles or removes it, removing also its
+   * copy in storage.sync.
+   * @param {string} domain - Domain the profile is stored under
+   * @param {string} profileName - Name of the profile
+   * @param {boolean} selected - Whether to sync the profile
+   * @return {Promise<void>}
+   */
+  async setProfileSelected(domain, profileName, selected) {
+    const key = ProfileSync.getProfileKey(domain, profileName);
+    const settings = await this.getSettings();
+    const selection = settings.selection.filter(item => item !== key);
+    if (selected) {
+      selection.push(key);
+    } else {
+      const id = await ProfileSync.getSyncId(key);
+      await this.removeRemote(id, await this.getSyncItems());
+      await this.setState(id, null);
+    }
+    await this.updateSettings({ selection: selection });
+  }
+
+  /**
+   * Gets the sync state of every synced profile.
+   * @return {Promise<Object>} States keyed by `domain|name`, as
+   *     `{status, message, syncedAt}`
+   */
+  async getStatuses() {
+    const [settings, states] = await Promise.all([
+      this.getSettings(),
+      this.storageHandler.getLocal(ProfileSync.STATE_KEY, {}),
+    ]);
+    const statuses = {};
+    for (const key of settings.selection) {
+      const state = states[await ProfileSync.getSyncId(key)];
+      statuses[key] = state ?
+        { status: state.status, message: state.message || '', syncedAt: state.syncedAt || null } :
+        { status: 'pending', message: '', syncedAt: null };
+    }
+    return statuses;
+  }
+
+  /**
+   * Syncs the selected profiles, running again if asked while syncing.
+   * @return {Promise<void>}
+   */
+  async sync() {
+    if (this.running) {
+      this.syncAgain = true;
+      return this.running;
+    }
+    this.running = (async () => {
+      try {
+        do {
+          this.syncAgain = false;
+          await this.syncOnce();
+        } while (this.syncAgain);
+      } finally {
+        this.running = null;
+      }
+    })();
+    return this.running;
+  }
+
+  /**
+   * Compares every synced profile with its copy in storage.sync and pushes or
+   * pulls the one that changed.
+   * @return {Promise<void>}
+   */
+  async syncOnce() {
+    const settings = await this.getSettings();
+    if (!settings.enabled) {
+      return;
+    }
+    if (await this.profileManager.isVaultLocked()) {
+      await this.setStatusForAll(settings.selection, 'locked', 'Unlock the profile vault to sync');
+      return;
+    }
+    // Never fall back to unencrypted copies
+    if (settings.encrypted && !settings.passphrase) {
+      await this.setStatusForAll(settings.selection, 'locked', 'Enter the sync passphrase again to sync');
+      return;
+    }
+    if (!settings.passphrase && await this.profileManager.isVaultEnabled()) {
+      await this.setStatusForAll(settings.selection, 'error', 'Profiles in the vault are only synced encrypted, enter a sync passphrase');
+      return;
+    }
+
+    this.profileManager._invalidateCache();
+    const items = await this.getSyncItems();
+    const remoteProfiles = ProfileSync.getRemoteProfiles(items);
+    const selection = new Set(settings.selection);
+
+    // Profiles synced from another machine are synced here too
+    for (const meta of Object.values(remoteProfiles)) {
+      selection.add(ProfileSync.getProfileKey(meta.domain, meta.name));
+    }
+
+    for (const key of selection) {
+      const id = await ProfileSync.getSyncId(key);
+      try {
+        const kept = await this.syncProfile(key, id, remoteProfiles[id], items, settings.passphrase);
+        if (!kept) {
+          selection.delete(key);
+        }
+      } catch (error) {
+        await this.setState(id, { status: 'error', message: error.message });
+      }
+    }
+
+    const newSelection = [...selection];
+    if (newSelection.length !== settings.selection.length ||
+        newSelection.some(key => !settings.selection.includes(key))) {
+      await this.updateSettings({ selection: newSelection });
+    }
+  }
+
+  /**
+   * Syncs one profile.
+   * @param {string} key - Profile key, see getProfileKey
+   * @param {string} id - Sync ID of the profile
+   * @param {Object|undefined} meta - Metadata of its copy in storage.sync
+   * @param {Object} items - Every item of storage.sync
+   * @param {string} passphrase - Passphrase of the encrypted copies
+   * @return {Promise<boolean>} False if the profile isn't synced anymore
+   */
+  async syncProfile(key, id, meta, items, passphrase) {
+    const [domain, profileName] = ProfileSync.splitProfileKey(key);
+    const states = await this.storageHandler.getLocal(ProfileSync.STATE_KEY, {});
+    const state = states[id] || null;
+    const profile = (await this.profileManager.getAllProfiles())[domain]?.[profileName];
+    const localTimestamp = profile ? await this.getLocalTimestamp(domain, profileName) : null;
+
+    if (!meta) {
+      if (!profile || (state && state.remoteTimestamp)) {
+        // Removed from sync on another machine, or deleted here
+        if (state) {
+          await this.setState(id, null);
+        }
+        return false;
+      }
+      await this.push(id, domain, profileName, profile, localTimestamp, items, passphrase);
+      return true;
+    }
+
+    if (!profile && state) {
+      // Deleted here, other machines keep their copy but stop syncing it
+      await this.removeRemote(id, items);
+      await this.setState(id, null);
+      return false;
+    }
+
+    if (meta.encrypted && !passphrase) {
+      await this.setState(id, {
+        status: 'error',
+        message: 'Encrypted on another machine, enter the sync passphrase',
+      });
+      return true;
+    }
+
+    const localChanged = !!profile && (!state || state.localTimestamp !== localTimestamp);
+    const remoteChanged = !state || state.remoteTimestamp !== meta.updatedAt;
+    if (!localChanged && !remoteChanged) {
+      if (state.status !== 'synced') {
+        await this.setState(id, { ...state, status: 'synced', message: '' });
+      }
+      return true;
+    }
+
+    // When both changed, the newest revision wins
+    if (localChanged && (!remoteChanged || localTimestamp > meta.updatedAt)) {
+      await this.push(id, domain, profileName, profile, localTimestamp, items, passphrase);
+    } else {
+      await this.pull(id, meta, items, passphrase);
+    }
+    return true;
+  }
+
+  /**
+   * Writes a profile to storage.sync.
+   * @param {string} id - Sync ID of the profile
+   * @param {string} domain - Domain the profile is stored under
+   * @param {string} profileName - Name of the profile
+   * @param {Array|Object} profile - Stored value of the profile
+   * @param {number} timestamp - Time of its newest revision
+   * @param {Object} items - Every item of storage.sync
+   * @param {string} passphrase - Passphrase to encrypt it with, if any
+   * @return {Promise<void>}
+   * @throws {Error} If it doesn't fit in the sync quota
+   */
+  async push(id, domain, profileName, profile, timestamp, items, passphrase) {
+    let payload = JSON.stringify(profile);
+    if (passphrase) {
+      payload = JSON.stringify(await encryptData(payload, passphrase));
+    }
+    const compressed = typeof CompressionStream !== 'undefined';
+    const encoded = await ProfileSync.encodePayload(payload, compressed);
+
+    const sync = this.browserDetector.getApi().storage.sync;
+    const quotaBytes = sync.QUOTA_BYTES || DEFAULT_QUOTA_BYTES;
+    const quotaBytesPerItem = sync.QUOTA_BYTES_PER_ITEM || DEFAULT_QUOTA_BYTES_PER_ITEM;
+    const maxItems = sync.MAX_ITEMS || DEFAULT_MAX_ITEMS;
+
+    const chunkSize = quotaBytesPerItem - ITEM_OVERHEAD;
+    const newItems = {};
+    for (let i = 0; i * chunkSize < encoded.length; i++) {
+      newItems[`${ProfileSync.PREFIX}${id}:${i}`] = encoded.slice(i * chunkSize, (i + 1) * chunkSize);
+    }
+    newItems[`${ProfileSync.PREFIX}${id}:meta`] = {
+      domain: domain,
+      name: profileName,
+      updatedAt: timestamp,
+      chunks: Object.keys(newItems).length,
+      encrypted: !!passphrase,
+      compressed: compressed,
+    };
+
+    // The quotas count the items of this profile being replaced
+    const otherItems = Object.keys(items).filter(key => !key.startsWith(`${ProfileSync.PREFIX}${id}:`));
+    const bytesInUse = ProfileSync.getBytes(items, otherItems) + ProfileSync.getBytes(newItems);
+    if (bytesInUse > quotaBytes || otherItems.length + Object.keys(newItems).length > maxItems) {
+      throw new Error(`Not enough sync storage, ${Math.ceil(ProfileSync.getBytes(newItems) / 1024)} KB needed`);
+    }
+
+    await this.removeRemote(id, items, Object.keys(newItems));
+    await this.storageHandler.set(newItems, null, true);
+    await this.setState(id, {
+      status: 'synced',
+      message: '',
+      localTimestamp: timestamp,
+      remoteTimestamp: timestamp,
+    });
+  }
+
+  /**
+   * Saves the copy of a profile from storage.sync as a new local revision.
+   * @param {string} id - Sync ID of the profile
+   * @param {Object} meta - Metadata of the copy
+   * @param {Object} items - Every item of storage.sync
+   * @param {string} passphrase - Passphrase of the encrypted copies
+   * @return {Promise<void>}
+   * @throws {Error} If the copy is incomplete or can't be decrypted
+   */
+  async pull(id, meta, items, passphrase) {
+    let encoded = '';
+    for (let i = 0; i < meta.chunks; i++) {
+      const chunk = items[`${ProfileSync.PREFIX}${id}:${i}`];
+      if (typeof chunk !== 'string') {
+        throw new Error('The synced copy is incomplete, it may still be syncing');
+      }
+      encoded += chunk;
+    }
+
+    let payload = await ProfileSync.decodePayload(encoded, meta.compressed);
+    if (meta.encrypted) {
+      payload = await decryptData(JSON.parse(payload), passphrase);
+    }
+    const profile = JSON.parse(payload);
+
+    const ProfileManager = this.profileManager.constructor;
+    await this.profileManager.saveProfile(
+      meta.domain,
+      meta.name,
+      ProfileManager.getProfileCookies(profile),
+      ProfileManager.getProfileDomains(profile),
+      'Synced from another machine',
+    );
+    this.profileManager._invalidateCache();
+    await this.setState(id, {
+      status: 'synced',
+      message: '',
+      localTimestamp: await this.getLocalTimestamp(meta.domain, meta.name),
+      remoteTimestamp: meta.updatedAt,
+    });
+  }
+
+  /**
+   * Removes the items of a profile from storage.sync.
+   * @param {string} id - Sync ID of the profile
+   * @param {Object} items - Every item of storage.sync
+   * @param {Array<string>} [keep] - Keys about to be written again
+   * @return {Promise<void>}
+   */
+  async removeRemote(id, items, keep = []) {
+    const keys = Object.keys(items).filter(key =>
+      key.startsWith(`${ProfileSync.PREFIX}${id}:`) && !keep.includes(key),
+    );
+    if (keys.length) {
+      await this.browserDetector.getApi().storage.sync.remove(keys);
+    }
+  }
+
+  /**
+   * @return {Promise<Object>} Every item of storage.sync
+   */
+  async getSyncItems() {
+    return (await this.storageHandler.get(null, null, true)) || {};
+  }
+
+  /**
+   * Gets the time of the newest revision of a local profile.
+   * @param {string} domain - Domain the profile is stored under
+   * @param {string} profileName - Name of the profile
+   * @return {Promise<number>} The time, 0 for a profile without revisions
+   */
+  async getLocalTimestamp(domain, profileName) {
+    const revisions = await this.profileManager.getProfileRevisions(domain, profileName);
+    return (revisions[0] && revisions[0].timestamp) || 0;
+  }
+
+  /**
+   * Replaces the sync state of a profile.
+   * @param {string} id - Sync ID of the profile
+   * @param {Object|null} state - New state, null to remove it
+   * @return {Promise<void>}
+   */
+  async setState(id, state) {
+    const states = await this.storageHandler.getLocal(ProfileSync.STATE_KEY, {});
+    if (state) {
+      states[id] = { ...states[id], ...state, syncedAt: Date.now() };
+    } else {
+      delete states[id];
+    }
+    await this.storageHandler.setLocal(ProfileSync.STATE_KEY, states);
+  }
+
+  /**
+   * Sets the same status on several profiles, keeping their timestamps.
+   * @param {Array<string>} keys - Profile keys
+   * @param {string} status - New status
+   * @param {string} message - Message explaining the status
+   * @return {Promise<void>}
+   */
+  async setStatusForAll(keys, status, message) {
+    for (const key of keys) {
+      await this.setState(await ProfileSync.getSyncId(key), { status, message });
+    }
+  }
+
+  /**
+   * @param {string} domain - Domain the profile is stored under
+   * @param {string} profileName - Name of the profile
+   * @return {string} Key identifying a profile in the selection
+   */
+  static getProfileKey(domain, profileName) {
+    return `${domain}|${profileName}`;
+  }
+
+  /**
+   * @param {string} key - Key from getProfileKey
+   * @return {Array<string>} The domain and the profile name
+   */
+  static splitProfileKey(key) {
+    const separator = key.indexOf('|');
+    return [key.slice(0, separator), key.slice(separator + 1)];
+  }
+
+  /**
+   * Derives the ID of a profile in storage.sync from its key, so every
+   * machine stores the same profile under the same items.
+   * @param {string} key - Key from getProfileKey
+   * @return {Promise<string>}
+   */
+  static async getSyncId(key) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+    return Array.from(new Uint8Array(digest).slice(0, 8))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Lists the profiles in storage.sync.
+   * @param {Object} items - Every item of storage.sync
+   * @return {Object} Their metadata keyed by sync ID
+   */
+  static getRemoteProfiles(items) {
+    const remoteProfiles = {};
+    const pattern = new RegExp(`^${ProfileSync.PREFIX}([0-9a-f]+):meta$`);
+    for (const key in items) {
+      const match = key.match(pattern);
+      if (match && items[key] && items[key].domain && items[key].name) {
+        remoteProfiles[match[1]] = items[key];
+      }
+    }
+    return remoteProfiles;
+  }
+
+  /**
+   * Counts the bytes storage.sync charges for some items.
+   * @param {Object} items - Items by key
+   * @param {Array<string>} [keys] - Keys to count, all by default
+   * @return {number}
+   */
+  static getBytes(items, keys = Object.keys(items)) {
+    const encoder = new TextEncoder();
+    return keys.reduce(
+      (total, key) => total + encoder.encode(key + JSON.stringify(items[key])).length,
+      0,
+    );
+  }
+
+  /**
+   * Encodes a payload as base64, gzipped when possible.
+   * @param {string} payload - Text to encode
+   * @param {boolean} compress - Whether to gzip it first
+   * @return {Promise<string>}
+   */
+  static async encodePayload(payload, compress) {
+    let bytes = new TextEncoder().encode(payload);
+    if (compress) {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decodes a payload from encodePayload.
+   * @param {string} encoded - Base64 text
+   * @param {boolean} compressed - Whether it was gzipped
+   * @return {Promise<string>}
+   */
+  static async decodePayload(encoded, compressed) {
+    const binary = atob(encoded);
+    let bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    if (compressed) {
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    return new TextDecoder().decode(bytes);
+  }
+}
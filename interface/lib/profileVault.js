@@ -0,0 +1,356 @@
+import {
+  base64ToBuffer,
+  bufferToBase64,
+  decryptWithKey,
+  deriveKey,
+  encryptWithKey,
+  getRandomBytes,
+} from './sharing/encryptionUtils.js';
+
+const SALT_LENGTH = 16;
+
+/**
+ * Encrypted storage for the profiles, unlocked with a master password. The
+ * key derived from the password is kept in storage.session, where the popup,
+ * the options page and the background can all use it, until the vault is
+ * locked, the auto-lock timeout expires or the browser closes.
+ */
+export class ProfileVault {
+  static STORAGE_KEY = 'profileVault';
+  static SESSION_KEY = 'profileVaultKey';
+  static ALARM_NAME = 'profileVaultAutoLock';
+
+  /**
+   * Constructs a ProfileVault.
+   * @param {GenericStorageHandler} storageHandler - Storage handler for the vault
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {boolean} [renewsLock] - Whether reading and writing the vault
+   *     postpones the auto-lock. The background uses the vault on its own,
+   *     only the pages the user works in count as use.
+   */
+  constructor(storageHandler, browserDetector, renewsLock = true) {
+    this.storageHandler = storageHandler;
+    this.browserDetector = browserDetector;
+    this.renewsLock = renewsLock;
+    // Fallback when storage.session is not available, the vault is then
+    // unlocked for the current page only
+    this.sessionInMemory = null;
+  }
+
+  /**
+   * Checks if the profiles are stored in the vault.
+   * @return {Promise<boolean>}
+   */
+  async isEnabled() {
+    return !!(await this.getVault());
+  }
+
+  /**
+   * Checks if the vault is enabled but can't be read until it is unlocked.
+   * @return {Promise<boolean>}
+   */
+  async isLocked() {
+    return (await this.isEnabled()) && !(await this.getUnlocked());
+  }
+
+  /**
+   * Gets the stored vault.
+   * @return {Promise<Object|null>} The vault as `{version, salt, iv, encrypted,
+   *     autoLockMinutes}`, or null if it isn't enabled
+   */
+  async getVault() {
+    return this.storageHandler.getLocal(ProfileVault.STORAGE_KEY, null);
+  }
+
+  /**
+   * Creates the vault, leaving it unlocked.
+   * @param {string} password - Master password
+   * @param {Object} data - Data to encrypt
+   * @param {number} autoLockMinutes - Minutes without use before the vault
+   *     locks itself, 0 to keep it unlocked until the browser closes
+   * @return {Promise<void>}
+   * @throws {Error} If the vault already exists or the password is empty
+   */
+  async enable(password, data, autoLockMinutes) {
+    if (!password) {
+      throw new Error('Enter a master password.');
+    }
+    if (await this.isEnabled()) {
+      throw new Error('The profile vault is already enabled.');
+    }
+    await this.writeWithPassword(password, data, autoLockMinutes);
+  }
+
+  /**
+   * Unlocks the vault.
+   * @param {string} password - Master password
+   * @return {Promise<void>}
+   * @throws {Error} If the password is wrong
+   */
+  async unlock(password) {
+    const vault = await this.getVault();
+    if (!vault) {
+      throw new Error('The profile vault is not enabled.');
+    }
+
+    const key = await deriveKey(password, base64ToBuffer(vault.salt), true);
+    try {
+      await decryptWithKey(vault, key);
+    } catch (e) {
+      throw new Error('Wrong master password.');
+    }
+    await this.storeKey(key, vault.autoLockMinutes);
+  }
+
+  /**
+   * Locks the vault, forgetting its key.
+   * @return {Promise<void>}
+   */
+  async lock() {
+    this.sessionInMemory = null;
+    const session = this.getSessionStorage();
+    if (session) {
+      await session.remove(ProfileVault.SESSION_KEY);
+    }
+    const alarms = this.browserDetector.getApi().alarms;
+    if (alarms) {
+      await alarms.clear(ProfileVault.ALARM_NAME);
+    }
+  }
+
+  /**
+   * Locks the vault when its auto-lock timeout expires, even if nothing
+   * reads it anymore. Only the background script should call this, while
+   * its listeners are registered.
+   */
+  startAutoLock() {
+    const api = this.browserDetector.getApi();
+    if (!api.alarms) {
+      return;
+    }
+    api.alarms.onAlarm.addListener(alarm => {
+      if (alarm.name === ProfileVault.ALARM_NAME) {
+        // Locks the vault if the timeout wasn't postponed in the meantime
+        this.getUnlocked().catch(error => console.error('Error locking the profile vault:', error));
+      }
+    });
+    // The timeout may have expired while the background was stopped
+    this.getUnlocked().catch(error => console.error('Error locking the profile vault:', error));
+  }
+
+  /**
+   * Decrypts the data of the vault.
+   * @return {Promise<Object>}
+   * @throws {Error} If the vault is locked
+   */
+  async read() {
+    const vault = await this.getVault();
+    const key = await this.getKey();
+    if (!vault || !key) {
+      throw new Error('The profile vault is locked.');
+    }
+    await this.renewLock();
+    return JSON.parse(await decryptWithKey(vault, key));
+  }
+
+  /**
+   * Replaces the data of the vault.
+   * @param {Object} data - Data to encrypt
+   * @return {Promise<void>}
+   * @throws {Error} If the vault is locked
+   */
+  async write(data) {
+    const vault = await this.getVault();
+    const key = await this.getKey();
+    if (!vault || !key) {
+      throw new Error('The profile vault is locked.');
+    }
+    await this.renewLock();
+    const encrypted = await encryptWithKey(JSON.stringify(data), key);
+    await this.storageHandler.setLocal(ProfileVault.STORAGE_KEY, { ...vault, ...encrypted });
+  }
+
+  /**
+   * Changes the master password. The data is encrypted again with a key
+   * derived from a new salt, so the old key can't read it anymore.
+   * @param {string} oldPassword - Current master password
+   * @param {string} newPassword - New master password
+   * @return {Promise<void>}
+   * @throws {Error} If the current password is wrong or the new one is empty
+   */
+  async changePassword(oldPassword, newPassword) {
+    if (!newPassword) {
+      throw new Error('Enter a new master password.');
+    }
+    await this.unlock(oldPassword);
+    const vault = await this.getVault();
+    const data = await this.read();
+    await this.writeWithPassword(newPassword, data, vault.autoLockMinutes);
+  }
+
+  /**
+   * Unlocks the vault and decrypts its data.
+   * @param {string} password - Master password
+   * @return {Promise<Object>} The decrypted data
+   * @throws {Error} If the password is wrong
+   */
+  async open(password) {
+    await this.unlock(password);
+    return this.read();
+  }
+
+  /**
+   * Removes the vault. Its data is lost unless it was stored elsewhere
+   * first, see open.
+   * @return {Promise<void>}
+   */
+  async disable() {
+    await this.storageHandler.removeLocal(ProfileVault.STORAGE_KEY);
+    await this.lock();
+  }
+
+  /**
+   * Changes the auto-lock timeout, starting from now.
+   * @param {number} minutes - Minutes without use, 0 to disable the timeout
+   * @return {Promise<void>}
+   */
+  async setAutoLockMinutes(minutes) {
+    const vault = await this.getVault();
+    if (!vault) {
+      return;
+    }
+    vault.autoLockMinutes = Math.max(0, Number(minutes) || 0);
+    await this.storageHandler.setLocal(ProfileVault.STORAGE_KEY, vault);
+
+    const key = await this.getKey();
+    if (key) {
+      await this.storeKey(key, vault.autoLockMinutes);
+    }
+  }
+
+  /**
+   * Encrypts data with a new key derived from a password and unlocks the
+   * vault with it.
+   * @param {string} password - Master password
+   * @param {Object} data - Data to encrypt
+   * @param {number} autoLockMinutes - See enable
+   * @return {Promise<void>}
+   */
+  async writeWithPassword(password, data, autoLockMinutes) {
+    const salt = getRandomBytes(SALT_LENGTH);
+    const key = await deriveKey(password, salt, true);
+    const encrypted = await encryptWithKey(JSON.stringify(data), key);
+    const minutes = Math.max(0, Number(autoLockMinutes) || 0);
+
+    await this.storageHandler.setLocal(ProfileVault.STORAGE_KEY, {
+      version: 1,
+      salt: bufferToBase64(salt),
+      autoLockMinutes: minutes,
+      ...encrypted,
+    });
+    await this.storeKey(key, minutes);
+  }
+
+  /**
+   * Gets the stored key of the unlocked vault, without postponing the
+   * auto-lock. Locks the vault if the timeout expired.
+   * @return {Promise<Object|null>} `{key, autoLockMinutes, lockAt}` with the
+   *     raw key in base64, or null if the vault is locked
+   */
+  async getUnlocked() {
+    const session = this.getSessionStorage();
+    const unlocked = session ?
+      (await session.get(ProfileVault.SESSION_KEY))[ProfileVault.SESSION_KEY] :
+      this.sessionInMemory;
+    if (!unlocked) {
+      return null;
+    }
+    if (unlocked.lockAt && unlocked.lockAt <= Date.now()) {
+      await this.lock();
+      return null;
+    }
+    return unlocked;
+  }
+
+  /**
+   * Gets the key of the unlocked vault.
+   * @return {Promise<CryptoKey|null>} The key, or null if the vault is locked
+   */
+  async getKey() {
+    const unlocked = await this.getUnlocked();
+    if (!unlocked) {
+      return null;
+    }
+    return crypto.subtle.importKey(
+      'raw',
+      base64ToBuffer(unlocked.key),
+      { name: 'AES-GCM' },
+      true,
+      ['encrypt', 'decrypt'],
+    );
+  }
+
+  /**
+   * Postpones the auto-lock after the user used the vault.
+   * @return {Promise<void>}
+   */
+  async renewLock() {
+    if (!this.renewsLock) {
+      return;
+    }
+    const unlocked = await this.getUnlocked();
+    if (unlocked && unlocked.autoLockMinutes) {
+      await this.storeUnlocked(unlocked.key, unlocked.autoLockMinutes);
+    }
+  }
+
+  /**
+   * Keeps the key until the vault is locked.
+   * @param {CryptoKey} key - Key of the vault
+   * @param {number} autoLockMinutes - See enable
+   * @return {Promise<void>}
+   */
+  async storeKey(key, autoLockMinutes) {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    await this.storeUnlocked(bufferToBase64(raw), autoLockMinutes);
+  }
+
+  /**
+   * Stores the raw key and schedules the auto-lock.
+   * @param {string} key - Raw key of the vault, in base64
+   * @param {number} autoLockMinutes - See enable
+   * @return {Promise<void>}
+   */
+  async storeUnlocked(key, autoLockMinutes) {
+    const unlocked = {
+      key: key,
+      autoLockMinutes: autoLockMinutes,
+      lockAt: autoLockMinutes ? Date.now() + autoLockMinutes * 60000 : null,
+    };
+
+    const session = this.getSessionStorage();
+    if (session) {
+      await session.set({ [ProfileVault.SESSION_KEY]: unlocked });
+    } else {
+      this.sessionInMemory = unlocked;
+    }
+
+    // Creating the alarm again replaces the previous one
+    const alarms = this.browserDetector.getApi().alarms;
+    if (alarms) {
+      if (unlocked.lockAt) {
+        await alarms.create(ProfileVault.ALARM_NAME, { when: unlocked.lockAt });
+      } else {
+        await alarms.clear(ProfileVault.ALARM_NAME);
+      }
+    }
+  }
+
+  /**
+   * @return {Object|null} storage.session, if the browser has it
+   */
+  getSessionStorage() {
+    const storage = this.browserDetector.getApi().storage;
+    return storage && storage.session ? storage.session : null;
+  }
+}
@@ -0,0 +1,29 @@
+import { SnippetFormat } from './snippetFormat.js';
+
+/**
+ * This class is responsible for formatting cookies to a Python script using
+ * the requests library.
+ */
+export class PythonRequestsFormat extends SnippetFormat {
+  /**
+   * Builds a Python script passing the cookies as a dict.
+   * @param {object[]} cookies Raw cookies sent to the URL.
+   * @param {string} url URL the script requests.
+   * @return {string} The Python script.
+   */
+  static formatSnippet(cookies, url) {
+    // JSON string literals are valid Python string literals
+    const lines = cookies.map(
+      (cookie) => `    ${JSON.stringify(cookie.name)}: ${JSON.stringify(cookie.value)},`,
+    );
+    return [
+      'import requests',
+      '',
+      'cookies = {',
+      ...lines,
+      '}',
+      '',
+      `response = requests.get(${JSON.stringify(url)}, cookies=cookies)`,
+    ].join('\n');
+  }
+}
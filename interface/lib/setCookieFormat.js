@@ -0,0 +1,262 @@
+const headerPrefix = /^\s*set-cookie\s*:/i;
+const months = [
+  'jan', 'feb', 'mar', 'apr', 'may', 'jun',
+  'jul', 'aug', 'sep', 'oct', 'nov', 'dec',
+];
+// Max-Age and Expires are capped to 400 days by RFC 6265bis
+const maxCookieAge = 400 * 24 * 60 * 60;
+
+/**
+ * This class is responsible for parsing and formatting cookies to raw
+ * `Set-Cookie` response header lines, following the parsing algorithm of
+ * RFC 6265bis.
+ */
+export class SetCookieFormat {
+  /**
+   * Checks if a text looks like it contains Set-Cookie headers.
+   * @param {string} cookieString
+   * @return {boolean}
+   */
+  static isSetCookie(cookieString) {
+    return cookieString.split('\n').some((line) => headerPrefix.test(line));
+  }
+
+  /**
+   * Parses one or more Set-Cookie lines to a list of cookie objects. When
+   * some lines start with `Set-Cookie:`, every other line is ignored so a
+   * complete block of response headers can be pasted.
+   * @param {string} cookieString Set-Cookie lines.
+   * @return {object} List of Cookies.
+   */
+  static parse(cookieString) {
+    const cookies = [];
+    for (const line of SetCookieFormat.getLines(cookieString)) {
+      const cookie = SetCookieFormat.parseLine(line);
+      if (cookie) {
+        cookies.push(cookie);
+      }
+    }
+
+    if (cookies.length === 0) {
+      throw new Error('No cookies found.');
+    }
+    return cookies;
+  }
+
+  /**
+   * Gets the set-cookie-strings of a text, without their header name.
+   * @param {string} cookieString
+   * @return {string[]}
+   */
+  static getLines(cookieString) {
+    let lines = cookieString.split(/\r?\n/);
+    if (SetCookieFormat.isSetCookie(cookieString)) {
+      lines = lines
+        .filter((line) => headerPrefix.test(line))
+        .map((line) => line.replace(headerPrefix, ''));
+    }
+    return lines.filter((line) => line.trim().length);
+  }
+
+  /**
+   * Parses a single set-cookie-string.
+   * @param {string} line
+   * @return {object|null} The cookie, or null if the line must be ignored.
+   */
+  static parseLine(line) {
+    const parts = line.split(';');
+    const nameValuePair = parts.shift();
+    const separator = nameValuePair.indexOf('=');
+    // Browsers keep the double quotes of a quoted value as part of the value
+    const name = separator === -1 ? '' : nameValuePair.substring(0, separator).trim();
+    const value = separator === -1 ?
+      nameValuePair.trim() :
+      nameValuePair.substring(separator + 1).trim();
+    // Nameless cookies exist but can't be created through the cookies API
+    if (!name) {
+      return null;
+    }
+
+    const cookie = {
+      name: name,
+      value: value,
+      domain: '',
+      hostOnly: true,
+      path: '/',
+      secure: false,
+      httpOnly: false,
+      sameSite: null,
+      session: true,
+    };
+    let expires = null;
+    let maxAge = null;
+
+    for (const part of parts) {
+      const attributeSeparator = part.indexOf('=');
+      const attributeName = (attributeSeparator === -1 ?
+        part :
+        part.substring(0, attributeSeparator)).trim().toLowerCase();
+      const attributeValue = attributeSeparator === -1 ?
+        '' :
+        part.substring(attributeSeparator + 1).trim();
+
+      switch (attributeName) {
+        case 'expires': {
+          const date = SetCookieFormat.parseCookieDate(attributeValue);
+          if (date !== null) {
+            expires = date;
+          }
+          break;
+        }
+        case 'max-age':
+          if (/^-?\d+$/.test(attributeValue)) {
+            maxAge = parseInt(attributeValue, 10);
+          }
+          break;
+        case 'domain': {
+          const domain = attributeValue.replace(/^\./, '').toLowerCase();
+          if (domain) {
+            cookie.domain = '.' + domain;
+            cookie.hostOnly = false;
+          }
+          break;
+        }
+        case 'path':
+          // Without the request URL, the default path is the root
+          cookie.path = attributeValue.startsWith('/') ? attributeValue : '/';
+          break;
+        case 'secure':
+          cookie.secure = true;
+          break;
+        case 'httponly':
+          cookie.httpOnly = true;
+          break;
+        case 'samesite': {
+          const sameSite = attributeValue.toLowerCase();
+          if (sameSite === 'strict' || sameSite === 'lax') {
+            cookie.sameSite = sameSite;
+          } else if (sameSite === 'none') {
+            cookie.sameSite = 'no_restriction';
+          }
+          break;
+        }
+        case 'partitioned':
+          // The partition is the top-level site, it is set when importing
+          cookie.partitioned = true;
+          break;
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    // Max-Age takes precedence over Expires, wherever it appears
+    if (maxAge !== null) {
+      cookie.session = false;
+      // Any date in the past expires the cookie, 0 would read as no date
+      cookie.expirationDate = maxAge <= 0 ? 1 : now + Math.min(maxAge, maxCookieAge);
+    } else if (expires !== null) {
+      cookie.session = false;
+      cookie.expirationDate = Math.min(Math.floor(expires / 1000), now + maxCookieAge);
+    }
+
+    return cookie;
+  }
+
+  /**
+   * Parses a date with the cookie-date algorithm of RFC 6265bis, which
+   * tolerates the many date formats found in the wild.
+   * @param {string} dateString
+   * @return {number|null} Timestamp in milliseconds, or null if invalid.
+   */
+  static parseCookieDate(dateString) {
+    const tokens = dateString.split(/[\x09\x20-\x2F\x3B-\x40\x5B-\x60\x7B-\x7E]+/);
+    let time = null;
+    let day = null;
+    let month = null;
+    let year = null;
+
+    for (const token of tokens) {
+      if (!token) {
+        continue;
+      }
+      let match;
+      if (time === null &&
+          (match = /^(\d{1,2}):(\d{1,2}):(\d{1,2})(?:\D.*)?$/.exec(token))) {
+        time = [Number(match[1]), Number(match[2]), Number(match[3])];
+      } else if (day === null && (match = /^(\d{1,2})(?:\D.*)?$/.exec(token))) {
+        day = Number(match[1]);
+      } else if (month === null && months.includes(token.substring(0, 3).toLowerCase())) {
+        month = months.indexOf(token.substring(0, 3).toLowerCase());
+      } else if (year === null && (match = /^(\d{2,4})(?:\D.*)?$/.exec(token))) {
+        year = Number(match[1]);
+      }
+    }
+
+    if (year !== null && year >= 70 && year <= 99) {
+      year += 1900;
+    } else if (year !== null && year >= 0 && year <= 69) {
+      year += 2000;
+    }
+
+    if (time === null || day === null || month === null || year === null ||
+        day < 1 || day > 31 || year < 1601 ||
+        time[0] > 23 || time[1] > 59 || time[2] > 59) {
+      return null;
+    }
+
+    const date = Date.UTC(year, month, day, time[0], time[1], time[2]);
+    // Reject days that overflow into the next month, like Feb 30
+    if (new Date(date).getUTCDate() !== day) {
+      return null;
+    }
+    return date;
+  }
+
+  /**
+   * Formats a list of cookies into Set-Cookie header lines.
+   * @param {Cookie[]} cookies Cookies to format.
+   * @return {string} Set-Cookie lines.
+   */
+  static format(cookies) {
+    const lines = [];
+    for (const cookieId in cookies) {
+      if (!Object.prototype.hasOwnProperty.call(cookies, cookieId)) {
+        continue;
+      }
+      const cookie = cookies[cookieId].cookie;
+      const attributes = [`${cookie.name}=${cookie.value}`];
+
+      if (!cookie.hostOnly && cookie.domain) {
+        attributes.push(`Domain=${cookie.domain.replace(/^\./, '')}`);
+      }
+      attributes.push(`Path=${cookie.path || '/'}`);
+      if (!cookie.session && cookie.expirationDate) {
+        attributes.push(
+          `Expires=${new Date(cookie.expirationDate * 1000).toUTCString()}`,
+        );
+      }
+      if (cookie.secure) {
+        attributes.push('Secure');
+      }
+      if (cookie.httpOnly) {
+        attributes.push('HttpOnly');
+      }
+      switch (cookie.sameSite) {
+        case 'strict':
+          attributes.push('SameSite=Strict');
+          break;
+        case 'lax':
+          attributes.push('SameSite=Lax');
+          break;
+        case 'no_restriction':
+          attributes.push('SameSite=None');
+          break;
+      }
+      if (cookie.partitionKey && cookie.partitionKey.topLevelSite) {
+        attributes.push('Partitioned');
+      }
+
+      lines.push('Set-Cookie: ' + attributes.join('; '));
+    }
+    return lines.join('\n');
+  }
+}
@@ -2,35 +2,392 @@
  * Cookie Sharing functionality for Cookie-Editor Plus
  * Allows encoding cookies to URL format and decoding them from URLs.
  */
-import { encryptData, decryptData } from './encryptionUtils.js';
+import {
+  encryptData,
+  decryptData,
+  encryptForRecipients,
+  bufferToBase64,
+  base64ToBuffer,
+  bufferToBase64Url,
+  base64UrlToBuffer,
+  getRandomBytes,
+  signData,
+  verifySignature,
+} from './encryptionUtils.js';
 
-// Format version to ensure backward compatibility if the format changes
-const SHARING_VERSION = 1;
+// Format version to ensure backward compatibility if the format changes.
+// Version 2 compresses the payload, version 1 links can still be opened.
+const SHARING_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+// Starts the payload of version 2 links, base64 never contains a dot
+const V2_MARKER = '2.';
 const PREFIX = 'ce-cookies-extension-share';
 const ENCRYPTED_PREFIX = 'ce-cookies-extension-share-encrypted';
 const PROFILE_PREFIX = 'ce-profiles-extension-share';
 const ENCRYPTED_PROFILE_PREFIX = 'ce-profiles-extension-share-encrypted';
+// Links encrypted for the public keys of named recipients
+const RECIPIENTS_PREFIX = 'ce-cookies-extension-share-recipients';
+const RECIPIENTS_PROFILE_PREFIX = 'ce-profiles-extension-share-recipients';
+// Short keys of the cookie properties in version 2 payloads. Other properties,
+// like the store ID, mean nothing in the browser of the recipient.
+const COOKIE_KEYS = {
+  name: 'n',
+  value: 'v',
+  domain: 'd',
+  path: 'p',
+  expirationDate: 'x',
+  sameSite: 'm',
+  secure: 's',
+  httpOnly: 'h',
+  hostOnly: 'o',
+  session: 'e',
+  partitionKey: 'k',
+};
+const COOKIE_FLAGS = ['secure', 'httpOnly', 'hostOnly', 'session'];
+// Lifetime of links created with `expires` set to true
+const DEFAULT_LIFETIME = 24 * 60 * 60 * 1000;
 
 /**
- * Encodes cookies into a shareable URL format.
- * @param {Array} cookies - Array of cookie objects to encode
- * @param {string} domain - The domain these cookies belong to
- * @param {boolean} expires - Whether the share link should expire (24h)
- * @return {string} The encoded URL hash parameter
+ * Compresses text with deflate.
+ * @param {string} text - Text to compress
+ * @return {Promise<Uint8Array>} Compressed bytes
+ */
+async function compress(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decompresses bytes compressed by compress.
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @return {Promise<string>} The text
+ */
+async function decompress(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Response(stream).text();
+}
+
+/**
+ * Replaces the keys of a cookie by the short keys, leaving out the false
+ * flags and the root path.
+ * @param {object} cookie - Cookie object
+ * @return {object} The packed cookie
+ */
+function packCookie(cookie) {
+  const packed = {};
+  Object.entries(COOKIE_KEYS).forEach(([key, shortKey]) => {
+    const value = cookie[key];
+    if (value === undefined || value === null || value === false || (key === 'path' && value === '/')) {
+      return;
+    }
+    packed[shortKey] = value;
+  });
+  return packed;
+}
+
+/**
+ * Restores a cookie packed by packCookie.
+ * @param {object} packed - The packed cookie
+ * @return {object} Cookie object
+ */
+function unpackCookie(packed) {
+  const cookie = { path: '/' };
+  COOKIE_FLAGS.forEach(key => {
+    cookie[key] = false;
+  });
+  Object.entries(COOKIE_KEYS).forEach(([key, shortKey]) => {
+    if (shortKey in packed) {
+      cookie[key] = packed[shortKey];
+    }
+  });
+  return cookie;
+}
+
+/**
+ * Packs or unpacks the cookies of a wrapper, in the cookie list or in each
+ * profile. Profiles are lists of cookies, or `{cookies, domains}` when they
+ * cover several domains.
+ * @param {object} wrapper - Wrapper of the shared data
+ * @param {function} mapCookie - packCookie or unpackCookie
+ * @return {object} A copy of the wrapper
+ */
+function mapWrapperCookies(wrapper, mapCookie) {
+  const result = { ...wrapper };
+  if (Array.isArray(wrapper.c)) {
+    result.c = wrapper.c.map(mapCookie);
+  }
+  if (wrapper.p && typeof wrapper.p === 'object') {
+    result.p = {};
+    Object.entries(wrapper.p).forEach(([name, profile]) => {
+      if (Array.isArray(profile)) {
+        result.p[name] = profile.map(mapCookie);
+      } else if (profile && Array.isArray(profile.cookies)) {
+        result.p[name] = { ...profile, cookies: profile.cookies.map(mapCookie) };
+      } else {
+        result.p[name] = profile;
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Compresses a wrapper with the short cookie keys of version 2.
+ * @param {object} wrapper - Wrapper of the shared data
+ * @return {Promise<Uint8Array>} The compressed wrapper
+ */
+async function compressWrapper(wrapper) {
+  return compress(JSON.stringify(mapWrapperCookies(wrapper, packCookie)));
+}
+
+/**
+ * Signs a compressed wrapper.
+ * @param {Uint8Array} bytes - The compressed wrapper
+ * @param {object|null} signer - `{signingKey, privateKey}`, see
+ *     ShareIdentity.getSigner
+ * @return {Promise<string|null>} The signature, or null without signer
+ */
+async function signPayload(bytes, signer) {
+  return signer ? signData(bytes, signer.privateKey) : null;
+}
+
+/**
+ * Encodes a wrapper in the version 2 format: short keys, compressed and
+ * base64url encoded. The signature follows the payload after a dot.
+ * @param {object} wrapper - Wrapper of the shared data
+ * @param {object|null} signer - Signs the payload, see signPayload
+ * @return {Promise<string>} The payload, without the version marker
+ */
+async function packWrapper(wrapper, signer = null) {
+  const bytes = await compressWrapper(wrapper);
+  const signature = await signPayload(bytes, signer);
+  return bufferToBase64Url(bytes) + (signature ? `.${signature}` : '');
+}
+
+/**
+ * Decodes a wrapper encoded by packWrapper.
+ * @param {Uint8Array} bytes - The compressed payload
+ * @return {Promise<object>} The wrapper
+ */
+async function unpackWrapper(bytes) {
+  return mapWrapperCookies(JSON.parse(await decompress(bytes)), unpackCookie);
+}
+
+/**
+ * Decodes a wrapper encoded by packWrapper and checks its signature. A
+ * wrapper naming its signer without a valid signature was changed after
+ * being signed.
+ * @param {Uint8Array} bytes - The compressed payload
+ * @param {string|null} signature - Signature of the payload
+ * @return {Promise<object>} The wrapper, with `signatureStatus` set to
+ *     `valid`, `invalid` or `unsigned`
+ */
+async function unpackSignedWrapper(bytes, signature) {
+  const wrapper = await unpackWrapper(bytes);
+  let signatureStatus = 'unsigned';
+  if (signature || wrapper.k) {
+    const valid = !!(signature && wrapper.k) && await verifySignature(bytes, signature, wrapper.k);
+    signatureStatus = valid ? 'valid' : 'invalid';
+  }
+  return { ...wrapper, signatureStatus };
+}
+
+/**
+ * Decodes the payload of a link, detecting its version.
+ * @param {string} encoded - Payload from the URL
+ * @return {Promise<object>} The wrapper, see unpackSignedWrapper
+ */
+async function decodePayload(encoded) {
+  if (encoded.startsWith(V2_MARKER)) {
+    const [payload, signature] = encoded.substring(V2_MARKER.length).split('.');
+    return unpackSignedWrapper(base64UrlToBuffer(payload), signature || null);
+  }
+  return { ...JSON.parse(decodeURIComponent(atob(encoded))), signatureStatus: 'unsigned' };
+}
+
+/**
+ * Encrypts a wrapper with a password. Version 2 compresses it first and
+ * encodes everything as base64url.
+ * @param {object} wrapper - Wrapper of the shared data
+ * @param {string} password - Password for encryption
+ * @param {object|null} signer - Signs the payload, see signPayload
+ * @return {Promise<object>} Object with encrypted data parameters
+ */
+async function encryptWrapper(wrapper, password, signer = null) {
+  const bytes = await compressWrapper(wrapper);
+  const encryptedData = await encryptData(bytes, password);
+  ['encrypted', 'salt', 'iv'].forEach(key => {
+    encryptedData[key] = bufferToBase64Url(base64ToBuffer(encryptedData[key]));
+  });
+  encryptedData.version = SHARING_VERSION;
+  encryptedData.signature = await signPayload(bytes, signer);
+  return encryptedData;
+}
+
+/**
+ * Decrypts a wrapper encrypted by encryptWrapper, or by version 1.
+ * @param {object} params - The encrypted data parameters
+ * @param {string} password - Password for decryption
+ * @return {Promise<object>} The wrapper
+ */
+async function decryptWrapper(params, password) {
+  if (params.version !== 2) {
+    return { ...JSON.parse(await decryptData(params, password)), signatureStatus: 'unsigned' };
+  }
+  const standardParams = {};
+  ['encrypted', 'salt', 'iv'].forEach(key => {
+    standardParams[key] = bufferToBase64(base64UrlToBuffer(params[key]));
+  });
+  return unpackSignedWrapper(await decryptData(standardParams, password, true), params.signature || null);
+}
+
+/**
+ * Encrypts a wrapper for the public keys of its recipients.
+ * @param {object} wrapper - Wrapper of the shared data
+ * @param {Array<string>} publicKeys - Public keys of the recipients
+ * @param {object|null} signer - Signs the payload, see signPayload
+ * @return {Promise<object>} Object with encrypted data parameters, see
+ *     encryptForRecipients
+ */
+async function encryptWrapperForRecipients(wrapper, publicKeys, signer = null) {
+  if (!publicKeys || !publicKeys.length) {
+    throw new Error('Select at least one recipient.');
+  }
+  const bytes = await compressWrapper(wrapper);
+  const encryptedData = await encryptForRecipients(bytes, publicKeys);
+  encryptedData.version = SHARING_VERSION;
+  encryptedData.signature = await signPayload(bytes, signer);
+  return encryptedData;
+}
+
+/**
+ * Formats data encrypted for recipients as the hash of a share link.
+ * @param {string} prefix - RECIPIENTS_PREFIX or RECIPIENTS_PROFILE_PREFIX
+ * @param {object} encryptedData - Result of encryptWrapperForRecipients
+ * @return {string} The hash, without `#`
  */
-export function encodeCookies(cookies, domain, expires = true) {
-  // Create a wrapper with metadata
+function formatRecipientsHash(prefix, encryptedData) {
+  const queryParams = new URLSearchParams();
+  queryParams.set('v', encryptedData.version);
+  queryParams.set('epk', encryptedData.ephemeralKey);
+  queryParams.set('iv', encryptedData.iv);
+  queryParams.set('data', encryptedData.encrypted);
+  // base64url never contains dots or commas
+  queryParams.set('r', encryptedData.recipients.map(recipient => `${recipient.id}.${recipient.key}`).join(','));
+  if (encryptedData.signature) {
+    queryParams.set('sig', encryptedData.signature);
+  }
+  return `${prefix}=${queryParams.toString()}`;
+}
+
+/**
+ * Decrypts the hash parameters of a link encrypted for recipients with the
+ * local keypair.
+ * @param {string} encodedParams - Parameters after the prefix
+ * @param {string} kind - `cookie` or `profile`, for the warnings
+ * @param {ShareIdentity|null} identity - Keypair of this user
+ * @return {Promise<object|null>} The wrapper, or null if this user isn't a
+ *     recipient or the link is invalid
+ */
+async function decryptRecipientsParams(encodedParams, kind, identity) {
+  const params = new URLSearchParams(encodedParams);
+  if (!['epk', 'iv', 'data', 'r'].every(key => params.has(key))) {
+    return null;
+  }
+  if (!identity) {
+    console.warn(`Shared ${kind}s are encrypted for recipients but no keypair is available`);
+    return null;
+  }
+
+  const payload = await identity.decryptSharedPayload({
+    encrypted: params.get('data'),
+    iv: params.get('iv'),
+    ephemeralKey: params.get('epk'),
+    recipients: params.get('r').split(',').map(item => {
+      const [id, key] = item.split('.');
+      return { id, key };
+    })
+  });
+  if (!payload) {
+    console.warn(`Shared ${kind}s are encrypted for other recipients`);
+    return null;
+  }
+  return checkSharedData(await unpackSignedWrapper(payload, params.get('sig')), kind);
+}
+
+/**
+ * Creates the wrapper of shared cookies or profiles, with its metadata.
+ * @param {string} domain - The domain the data belongs to
+ * @param {object} content - `{c: cookies}` or `{p: profiles}`
+ * @param {boolean|number} expires - Whether the link should expire (24h), or
+ *     its lifetime in milliseconds, 0 for no expiration
+ * @param {object} options - Import limits and signer
+ * @param {boolean} options.singleUse - Gives the link an ID, so each browser
+ *     imports it only once
+ * @param {boolean} options.requireHost - Only import from a tab on the domain
+ * @param {object} options.signer - Names the signer in the wrapper, see
+ *     signPayload
+ * @return {object} The wrapper
+ */
+function createWrapper(domain, content, expires, options = {}) {
+  let lifetime = expires ? DEFAULT_LIFETIME : 0;
+  if (typeof expires === 'number') {
+    lifetime = Math.max(0, expires);
+  }
   const wrapper = {
     v: SHARING_VERSION,
     d: domain,
-    c: cookies,
+    ...content,
     t: Date.now(),
-    e: expires ? Date.now() + (24 * 60 * 60 * 1000) : 0 // 24h expiration if enabled, 0 for no expiration
+    e: lifetime ? Date.now() + lifetime : 0
   };
+  if (options.singleUse) {
+    wrapper.i = bufferToBase64Url(getRandomBytes(12));
+  }
+  if (options.requireHost) {
+    wrapper.h = 1;
+  }
+  if (options.signer) {
+    wrapper.k = options.signer.signingKey;
+  }
+  return wrapper;
+}
+
+/**
+ * Checks the version and the expiration of decoded shared data.
+ * @param {object} data - The wrapper
+ * @param {string} kind - `cookie` or `profile`, for the warnings
+ * @return {object|null} The wrapper, or null if it can't be used
+ */
+function checkSharedData(data, kind) {
+  // Validate format version
+  if (!data || !SUPPORTED_VERSIONS.includes(data.v)) {
+    console.warn(`Incompatible ${kind} sharing format version`);
+    return null;
+  }
+  
+  // Check if expired
+  if (data.e !== 0 && data.e < Date.now()) {
+    console.warn(`Shared ${kind}s have expired`);
+    return null;
+  }
+  
+  return data;
+}
+
+/**
+ * Encodes cookies into a shareable URL format.
+ * @param {Array} cookies - Array of cookie objects to encode
+ * @param {string} domain - The domain these cookies belong to
+ * @param {boolean|number} expires - Whether the share link should expire (24h),
+ *     or its lifetime in milliseconds
+ * @param {object} options - Import limits and signer, see createWrapper
+ * @return {Promise<string>} The encoded URL hash parameter
+ */
+export async function encodeCookies(cookies, domain, expires = true, options = {}) {
+  const wrapper = createWrapper(domain, { c: cookies }, expires, options);
   
-  // Convert to JSON and encode to base64
-  const json = JSON.stringify(wrapper);
-  return btoa(encodeURIComponent(json));
+  return V2_MARKER + await packWrapper(wrapper, options.signer);
 }
 
 /**
@@ -38,50 +395,42 @@ export function encodeCookies(cookies, domain, expires = true) {
  * @param {Array} cookies - Array of cookie objects to encode
  * @param {string} domain - The domain these cookies belong to
  * @param {string} password - Password for encryption
- * @param {boolean} expires - Whether the share link should expire (24h)
+ * @param {boolean|number} expires - Whether the share link should expire (24h),
+ *     or its lifetime in milliseconds
+ * @param {object} options - Import limits and signer, see createWrapper
  * @return {Promise<object>} Object with encrypted data parameters
  */
-export async function encryptCookies(cookies, domain, password, expires = true) {
-  // Create a wrapper with metadata (same as encodeCookies)
-  const wrapper = {
-    v: SHARING_VERSION,
-    d: domain,
-    c: cookies,
-    t: Date.now(),
-    e: expires ? Date.now() + (24 * 60 * 60 * 1000) : 0
-  };
+export async function encryptCookies(cookies, domain, password, expires = true, options = {}) {
+  const wrapper = createWrapper(domain, { c: cookies }, expires, options);
   
-  // Convert to JSON string
-  const json = JSON.stringify(wrapper);
+  // Encrypt the wrapper with the password
+  return encryptWrapper(wrapper, password, options.signer);
+}
+
+/**
+ * Encrypts cookies for the public keys of named recipients
+ * @param {Array} cookies - Array of cookie objects to encode
+ * @param {string} domain - The domain these cookies belong to
+ * @param {Array<string>} publicKeys - Public keys of the recipients
+ * @param {boolean|number} expires - Whether the share link should expire (24h),
+ *     or its lifetime in milliseconds
+ * @param {object} options - Import limits and signer, see createWrapper
+ * @return {Promise<object>} Object with encrypted data parameters
+ */
+export async function encryptCookiesForRecipients(cookies, domain, publicKeys, expires = true, options = {}) {
+  const wrapper = createWrapper(domain, { c: cookies }, expires, options);
   
-  // Encrypt the JSON data with the password
-  return await encryptData(json, password);
+  return encryptWrapperForRecipients(wrapper, publicKeys, options.signer);
 }
 
 /**
- * Decodes cookies from a URL hash parameter.
+ * Decodes cookies from a URL hash parameter, in any supported version.
  * @param {string} encoded - The encoded cookie data
- * @return {object|null} The decoded cookie data or null if invalid/expired
+ * @return {Promise<object|null>} The decoded cookie data or null if invalid/expired
  */
-export function decodeCookies(encoded) {
+export async function decodeCookies(encoded) {
   try {
-    // Decode from base64 and parse JSON
-    const json = decodeURIComponent(atob(encoded));
-    const data = JSON.parse(json);
-    
-    // Validate format version
-    if (data.v !== SHARING_VERSION) {
-      console.warn('Incompatible cookie sharing format version');
-      return null;
-    }
-    
-    // Check if expired
-    if (data.e !== 0 && data.e < Date.now()) {
-      console.warn('Shared cookies have expired');
-      return null;
-    }
-    
-    return data;
+    return checkSharedData(await decodePayload(encoded), 'cookie');
   } catch (error) {
     console.error('Failed to decode shared cookies:', error);
     return null;
@@ -96,25 +445,7 @@ export function decodeCookies(encoded) {
  */
 export async function decryptCookies(params, password) {
   try {
-    // Decrypt the data
-    const json = await decryptData(params, password);
-    
-    // Parse the JSON
-    const data = JSON.parse(json);
-    
-    // Validate format version
-    if (data.v !== SHARING_VERSION) {
-      console.warn('Incompatible cookie sharing format version');
-      return null;
-    }
-    
-    // Check if expired
-    if (data.e !== 0 && data.e < Date.now()) {
-      console.warn('Shared cookies have expired');
-      return null;
-    }
-    
-    return data;
+    return checkSharedData(await decryptWrapper(params, password), 'cookie');
   } catch (error) {
     console.error('Failed to decrypt shared cookies:', error);
     return null;
@@ -125,30 +456,49 @@ export async function decryptCookies(params, password) {
  * Creates a shareable URL for the given cookies and domain.
  * @param {Array} cookies - Array of cookie objects
  * @param {string} domain - The domain these cookies belong to
- * @param {boolean} expires - Whether the share link should expire
+ * @param {boolean|number} expires - Whether the share link should expire (24h),
+ *     or its lifetime in milliseconds
  * @param {object} options - Additional options
  * @param {boolean} options.encrypted - Whether to encrypt with password
  * @param {string} options.password - Password for encryption (if encrypted is true)
+ * @param {Array<string>} options.recipients - Public keys to encrypt for,
+ *     used instead of the password
+ * @param {boolean} options.singleUse - Whether each browser can import the
+ *     link only once
+ * @param {boolean} options.requireHost - Whether the link can only be
+ *     imported from a tab on the domain
+ * @param {object} options.signer - Signs the link, see
+ *     ShareIdentity.getSigner
  * @return {Promise<string>} Full URL to share
  */
 export async function createShareableUrl(cookies, domain, expires = true, options = {}) {
   const baseUrl = `https://${domain}`;
   
+  // Encrypt for named recipients, no password to send along
+  if (options.recipients && options.recipients.length) {
+    const encryptedData = await encryptCookiesForRecipients(cookies, domain, options.recipients, expires, options);
+    return `${baseUrl}#${formatRecipientsHash(RECIPIENTS_PREFIX, encryptedData)}`;
+  }
+  
   // If encryption is requested and a password is provided
   if (options.encrypted && options.password) {
     // Encrypt the cookies
-    const encryptedData = await encryptCookies(cookies, domain, options.password, expires);
+    const encryptedData = await encryptCookies(cookies, domain, options.password, expires, options);
     
     // Format the URL with encrypted data
     const queryParams = new URLSearchParams();
+    queryParams.set('v', encryptedData.version);
     queryParams.set('data', encryptedData.encrypted);
     queryParams.set('salt', encryptedData.salt);
     queryParams.set('iv', encryptedData.iv);
+    if (encryptedData.signature) {
+      queryParams.set('sig', encryptedData.signature);
+    }
     
     return `${baseUrl}#${ENCRYPTED_PREFIX}=${queryParams.toString()}`;
   } else {
-    // Use standard encoding (backward compatible)
-    const encoded = encodeCookies(cookies, domain, expires);
+    // Use standard encoding
+    const encoded = await encodeCookies(cookies, domain, expires, options);
     return `${baseUrl}#${PREFIX}=${encoded}`;
   }
 }
@@ -157,22 +507,15 @@ export async function createShareableUrl(cookies, domain, expires = true, option
  * Encodes profiles into a shareable URL format.
  * @param {Object} profiles - Object containing profile data to encode
  * @param {string} domain - The domain these profiles belong to
- * @param {boolean} expires - Whether the share link should expire (24h)
- * @return {string} The encoded URL hash parameter
+ * @param {boolean|number} expires - Whether the share link should expire (24h),
+ *     or its lifetime in milliseconds
+ * @param {object} options - Import limits and signer, see createWrapper
+ * @return {Promise<string>} The encoded URL hash parameter
  */
-export function encodeProfiles(profiles, domain, expires = true) {
-  // Create a wrapper with metadata
-  const wrapper = {
-    v: SHARING_VERSION,
-    d: domain,
-    p: profiles, // Use 'p' for profiles instead of 'c' for cookies
-    t: Date.now(),
-    e: expires ? Date.now() + (24 * 60 * 60 * 1000) : 0 // 24h expiration if enabled, 0 for no expiration
-  };
+export async function encodeProfiles(profiles, domain, expires = true, options = {}) {
+  const wrapper = createWrapper(domain, { p: profiles }, expires, options);
   
-  // Convert to JSON and encode to base64
-  const json = JSON.stringify(wrapper);
-  return btoa(encodeURIComponent(json));
+  return V2_MARKER + await packWrapper(wrapper, options.signer);
 }
 
 /**
@@ -180,50 +523,42 @@ export function encodeProfiles(profiles, domain, expires = true) {
  * @param {Object} profiles - Object containing profile data to encode
  * @param {string} domain - The domain these profiles belong to
  * @param {string} password - Password for encryption
- * @param {boolean} expires - Whether the share link should expire (24h)
+ * @param {boolean|number} expires - Whether the share link should expire (24h),
+ *     or its lifetime in milliseconds
+ * @param {object} options - Import limits and signer, see createWrapper
  * @return {Promise<object>} Object with encrypted data parameters
  */
-export async function encryptProfiles(profiles, domain, password, expires = true) {
-  // Create a wrapper with metadata
-  const wrapper = {
-    v: SHARING_VERSION,
-    d: domain,
-    p: profiles, // Use 'p' for profiles instead of 'c' for cookies
-    t: Date.now(),
-    e: expires ? Date.now() + (24 * 60 * 60 * 1000) : 0
-  };
+export async function encryptProfiles(profiles, domain, password, expires = true, options = {}) {
+  const wrapper = createWrapper(domain, { p: profiles }, expires, options);
   
-  // Convert to JSON string
-  const json = JSON.stringify(wrapper);
+  // Encrypt the wrapper with the password
+  return encryptWrapper(wrapper, password, options.signer);
+}
+
+/**
+ * Encrypts profiles for the public keys of named recipients
+ * @param {Object} profiles - Object containing profile data to encode
+ * @param {string} domain - The domain these profiles belong to
+ * @param {Array<string>} publicKeys - Public keys of the recipients
+ * @param {boolean|number} expires - Whether the share link should expire (24h),
+ *     or its lifetime in milliseconds
+ * @param {object} options - Import limits and signer, see createWrapper
+ * @return {Promise<object>} Object with encrypted data parameters
+ */
+export async function encryptProfilesForRecipients(profiles, domain, publicKeys, expires = true, options = {}) {
+  const wrapper = createWrapper(domain, { p: profiles }, expires, options);
   
-  // Encrypt the JSON data with the password
-  return await encryptData(json, password);
+  return encryptWrapperForRecipients(wrapper, publicKeys, options.signer);
 }
 
 /**
- * Decodes profiles from a URL hash parameter.
+ * Decodes profiles from a URL hash parameter, in any supported version.
  * @param {string} encoded - The encoded profile data
- * @return {object|null} The decoded profile data or null if invalid/expired
+ * @return {Promise<object|null>} The decoded profile data or null if invalid/expired
  */
-export function decodeProfiles(encoded) {
+export async function decodeProfiles(encoded) {
   try {
-    // Decode from base64 and parse JSON
-    const json = decodeURIComponent(atob(encoded));
-    const data = JSON.parse(json);
-    
-    // Validate format version
-    if (data.v !== SHARING_VERSION) {
-      console.warn('Incompatible profile sharing format version');
-      return null;
-    }
-    
-    // Check if expired
-    if (data.e !== 0 && data.e < Date.now()) {
-      console.warn('Shared profiles have expired');
-      return null;
-    }
-    
-    return data;
+    return checkSharedData(await decodePayload(encoded), 'profile');
   } catch (error) {
     console.error('Failed to decode shared profiles:', error);
     return null;
@@ -238,25 +573,7 @@ export function decodeProfiles(encoded) {
  */
 export async function decryptProfiles(params, password) {
   try {
-    // Decrypt the data
-    const json = await decryptData(params, password);
-    
-    // Parse the JSON
-    const data = JSON.parse(json);
-    
-    // Validate format version
-    if (data.v !== SHARING_VERSION) {
-      console.warn('Incompatible profile sharing format version');
-      return null;
-    }
-    
-    // Check if expired
-    if (data.e !== 0 && data.e < Date.now()) {
-      console.warn('Shared profiles have expired');
-      return null;
-    }
-    
-    return data;
+    return checkSharedData(await decryptWrapper(params, password), 'profile');
   } catch (error) {
     console.error('Failed to decrypt shared profiles:', error);
     return null;
@@ -267,40 +584,66 @@ export async function decryptProfiles(params, password) {
  * Creates a shareable URL for the given profiles and domain.
  * @param {Object} profiles - Object containing profile data
  * @param {string} domain - The domain these profiles belong to
- * @param {boolean} expires - Whether the share link should expire
+ * @param {boolean|number} expires - Whether the share link should expire (24h),
+ *     or its lifetime in milliseconds
  * @param {object} options - Additional options
  * @param {boolean} options.encrypted - Whether to encrypt with password
  * @param {string} options.password - Password for encryption (if encrypted is true)
+ * @param {Array<string>} options.recipients - Public keys to encrypt for,
+ *     used instead of the password
+ * @param {boolean} options.singleUse - Whether each browser can import the
+ *     link only once
+ * @param {boolean} options.requireHost - Whether the link can only be
+ *     imported from a tab on the domain
+ * @param {object} options.signer - Signs the link, see
+ *     ShareIdentity.getSigner
  * @return {Promise<string>} Full URL to share
  */
 export async function createShareableProfilesUrl(profiles, domain, expires = true, options = {}) {
   const baseUrl = `https://${domain}`;
   
+  // Encrypt for named recipients, no password to send along
+  if (options.recipients && options.recipients.length) {
+    const encryptedData = await encryptProfilesForRecipients(profiles, domain, options.recipients, expires, options);
+    return `${baseUrl}#${formatRecipientsHash(RECIPIENTS_PROFILE_PREFIX, encryptedData)}`;
+  }
+  
   // If encryption is requested and a password is provided
   if (options.encrypted && options.password) {
     // Encrypt the profiles
-    const encryptedData = await encryptProfiles(profiles, domain, options.password, expires);
+    const encryptedData = await encryptProfiles(profiles, domain, options.password, expires, options);
     
     // Format the URL with encrypted data
     const queryParams = new URLSearchParams();
+    queryParams.set('v', encryptedData.version);
     queryParams.set('data', encryptedData.encrypted);
     queryParams.set('salt', encryptedData.salt);
     queryParams.set('iv', encryptedData.iv);
+    if (encryptedData.signature) {
+      queryParams.set('sig', encryptedData.signature);
+    }
     
     return `${baseUrl}#${ENCRYPTED_PROFILE_PREFIX}=${queryParams.toString()}`;
   } else {
     // Use standard encoding
-    const encoded = encodeProfiles(profiles, domain, expires);
+    const encoded = await encodeProfiles(profiles, domain, expires, options);
     return `${baseUrl}#${PROFILE_PREFIX}=${encoded}`;
   }
 }
 
 /**
- * Extracts shared data from a URL if present (works for both cookies and profiles).
+ * Extracts shared data from a URL if present (works for both cookies and
+ * profiles). The version of the link is detected from its payload, or from
+ * the `v` parameter of encrypted links. Links encrypted for recipients are
+ * decrypted with the local keypair, and marked with `recipientEncrypted`.
+ * Decoded data tells if its signature is `valid`, `invalid` or if it is
+ * `unsigned` in `signatureStatus`, the signing key being in `k`.
  * @param {string} url - URL to check for shared data
- * @return {object|null} Decoded data or null if not found/invalid
+ * @param {ShareIdentity|null} identity - Keypair to decrypt links encrypted
+ *     for recipients
+ * @return {Promise<object|null>} Decoded data or null if not found/invalid
  */
-export function extractSharedDataFromUrl(url) {
+export async function extractSharedDataFromUrl(url, identity = null) {
   try {
     // Extract the hash part from the URL
     const hashIndex = url.indexOf('#');
@@ -311,6 +654,24 @@ export function extractSharedDataFromUrl(url) {
     // Check if this is a cookie or profile URL
     let dataType = 'cookies';
     
+    // Check for links encrypted for recipients
+    for (const [prefix, type, kind] of [
+      [RECIPIENTS_PROFILE_PREFIX, 'profiles', 'profile'],
+      [RECIPIENTS_PREFIX, 'cookies', 'cookie']
+    ]) {
+      if (hash.startsWith(`${prefix}=`)) {
+        const data = await decryptRecipientsParams(hash.substring(prefix.length + 1), kind, identity);
+        if (data) {
+          return {
+            type: type,
+            ...data,
+            recipientEncrypted: true
+          };
+        }
+        return null;
+      }
+    }
+    
     // Check for encrypted profiles
     if (hash.startsWith(`${ENCRYPTED_PROFILE_PREFIX}=`)) {
       dataType = 'profiles';
@@ -327,9 +688,11 @@ export function extractSharedDataFromUrl(url) {
             type: dataType,
             encrypted: true,
             params: {
+              version: Number(params.get('v')) || 1,
               encrypted: params.get('data'),
               salt: params.get('salt'),
-              iv: params.get('iv')
+              iv: params.get('iv'),
+              signature: params.get('sig')
             }
           };
         }
@@ -344,7 +707,7 @@ export function extractSharedDataFromUrl(url) {
     if (hash.startsWith(`${PROFILE_PREFIX}=`)) {
       dataType = 'profiles';
       const encodedData = hash.substring(PROFILE_PREFIX.length + 1);
-      const data = decodeProfiles(encodedData);
+      const data = await decodeProfiles(encodedData);
       if (data) {
         return {
           type: dataType,
@@ -369,9 +732,11 @@ export function extractSharedDataFromUrl(url) {
             type: dataType,
             encrypted: true,
             params: {
+              version: Number(params.get('v')) || 1,
               encrypted: params.get('data'),
               salt: params.get('salt'),
-              iv: params.get('iv')
+              iv: params.get('iv'),
+              signature: params.get('sig')
             }
           };
         }
@@ -388,7 +753,7 @@ export function extractSharedDataFromUrl(url) {
     
     if (params.has(PREFIX)) {
       const encodedData = params.get(PREFIX);
-      const data = decodeCookies(encodedData);
+      const data = await decodeCookies(encodedData);
       if (data) {
         return {
           type: dataType,
@@ -405,14 +770,35 @@ export function extractSharedDataFromUrl(url) {
 }
 
 // Keep backward compatibility
-export function extractSharedCookiesFromUrl(url) {
-  const data = extractSharedDataFromUrl(url);
+export async function extractSharedCookiesFromUrl(url, identity = null) {
+  const data = await extractSharedDataFromUrl(url, identity);
   if (data && data.type === 'cookies') {
     return data;
   }
   return null;
 }
 
+/**
+ * Keeps the cookies whose name matches a filter.
+ * @param {Array} cookies - Array of cookie objects
+ * @param {string} filter - Comma separated names, `*` matching any characters
+ * @return {Array} The matching cookies, or all of them for an empty filter
+ */
+export function filterCookiesByName(cookies, filter) {
+  const patterns = String(filter || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name)
+    .map(name => new RegExp('^' + name
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*') + '$'));
+  if (!patterns.length) {
+    return cookies;
+  }
+  return cookies.filter(cookie => patterns.some(pattern => pattern.test(cookie.name)));
+}
+
 /**
  * Formats an expiration timestamp into a human-readable string.
  * @param {number} timestamp - Expiration timestamp
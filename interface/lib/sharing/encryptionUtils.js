@@ -9,13 +9,19 @@ const SALT_LENGTH = 16;            // Salt length in bytes
 const KEY_LENGTH = 32;             // AES-256 key length in bytes
 const IV_LENGTH = 12;              // IV length for AES-GCM in bytes
 const ENCODED_PREFIX = 'encrypted';// Prefix for the encrypted data format
+const PUBLIC_KEY_PREFIX = 'cekey1.'; // Prefix of exported public keys
+// Prefix of public keys that also verify signatures, the signing key follows
+// the encryption key after a dot
+const SIGNED_PUBLIC_KEY_PREFIX = 'cekey2.';
+// HKDF info of the keys wrapping share keys for a recipient
+const RECIPIENT_KEY_INFO = 'Cookie-Editor Plus recipient key';
 
 /**
  * Generates a random array of bytes
  * @param {number} length - Number of bytes to generate
  * @return {Uint8Array} Random bytes
  */
-function getRandomBytes(length) {
+export function getRandomBytes(length) {
   const bytes = new Uint8Array(length);
   crypto.getRandomValues(bytes);
   return bytes;
@@ -25,9 +31,10 @@ function getRandomBytes(length) {
  * Derives a key from a password using PBKDF2
  * @param {string} password - The user's password
  * @param {Uint8Array} salt - Salt for key derivation
+ * @param {boolean} [extractable] - Whether the raw key can be exported
  * @return {Promise<CryptoKey>} Derived key
  */
-async function deriveKey(password, salt) {
+export async function deriveKey(password, salt, extractable = false) {
   // Convert password to key material
   const encoder = new TextEncoder();
   const passwordBuffer = encoder.encode(password);
@@ -51,47 +58,78 @@ async function deriveKey(password, salt) {
     },
     baseKey,
     { name: 'AES-GCM', length: KEY_LENGTH * 8 },
-    false,
+    extractable,
     ['encrypt', 'decrypt']
   );
 }
 
+/**
+ * Encrypts data with an AES-GCM key, using a new IV every time
+ * @param {string|Uint8Array} data - Data to encrypt
+ * @param {CryptoKey} key - Key from deriveKey
+ * @return {Promise<object>} Base64 encoded `{encrypted, iv}`
+ */
+export async function encryptWithKey(data, key) {
+  const iv = getRandomBytes(IV_LENGTH);
+  const encoder = new TextEncoder();
+  const encryptedBuffer = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    typeof data === 'string' ? encoder.encode(data) : data
+  );
+  
+  return {
+    encrypted: bufferToBase64(new Uint8Array(encryptedBuffer)),
+    iv: bufferToBase64(iv)
+  };
+}
+
+/**
+ * Decrypts data encrypted by encryptWithKey
+ * @param {object} params - Base64 encoded `{encrypted, iv}`
+ * @param {CryptoKey} key - Key the data was encrypted with
+ * @param {boolean} [asBytes] - Return the bytes instead of decoding text
+ * @return {Promise<string|Uint8Array>} Decrypted data
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+export async function decryptWithKey(params, key, asBytes = false) {
+  const decryptedBuffer = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBuffer(params.iv) },
+    key,
+    base64ToBuffer(params.encrypted)
+  );
+  if (asBytes) {
+    return new Uint8Array(decryptedBuffer);
+  }
+  
+  const decoder = new TextDecoder();
+  return decoder.decode(decryptedBuffer);
+}
+
 /**
  * Encrypts data with a password
- * @param {string} data - Data to encrypt (typically JSON string)
+ * @param {string|Uint8Array} data - Data to encrypt (typically JSON string)
  * @param {string} password - Password for encryption
  * @return {Promise<object>} Object containing encrypted data and parameters
  */
 export async function encryptData(data, password) {
   try {
-    // Generate random salt and IV
+    // Generate random salt
     const salt = getRandomBytes(SALT_LENGTH);
-    const iv = getRandomBytes(IV_LENGTH);
     
     // Derive key from password and salt
     const key = await deriveKey(password, salt);
     
     // Encrypt the data
-    const encoder = new TextEncoder();
-    const dataBuffer = encoder.encode(data);
-    const encryptedBuffer = await crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv },
-      key,
-      dataBuffer
-    );
-    
-    // Convert encrypted data to base64
-    const encryptedBase64 = bufferToBase64(new Uint8Array(encryptedBuffer));
-    const saltBase64 = bufferToBase64(salt);
-    const ivBase64 = bufferToBase64(iv);
+    const { encrypted, iv } = await encryptWithKey(data, key);
     
     // Return encrypted data with parameters needed for decryption
     return {
       version: 1,
       prefix: ENCODED_PREFIX,
-      encrypted: encryptedBase64,
-      salt: saltBase64,
-      iv: ivBase64
+      encrypted: encrypted,
+      salt: bufferToBase64(salt),
+      iv: iv
     };
   } catch (error) {
     console.error('Encryption error:', error);
@@ -103,37 +141,324 @@ export async function encryptData(data, password) {
  * Decrypts data with a password
  * @param {object} params - Object containing encrypted data and parameters
  * @param {string} password - Password for decryption
- * @return {Promise<string>} Decrypted data
+ * @param {boolean} [asBytes] - Return the bytes instead of decoding text
+ * @return {Promise<string|Uint8Array>} Decrypted data
  */
-export async function decryptData(params, password) {
+export async function decryptData(params, password, asBytes = false) {
   try {
-    // Extract parameters
-    const { encrypted, salt, iv } = params;
-    
-    // Convert base64 to buffers
-    const encryptedBuffer = base64ToBuffer(encrypted);
-    const saltBuffer = base64ToBuffer(salt);
-    const ivBuffer = base64ToBuffer(iv);
-    
     // Derive key from password and salt
-    const key = await deriveKey(password, saltBuffer);
+    const key = await deriveKey(password, base64ToBuffer(params.salt));
     
     // Decrypt the data
-    const decryptedBuffer = await crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv: ivBuffer },
-      key,
-      encryptedBuffer
-    );
-    
-    // Convert decrypted data to string
-    const decoder = new TextDecoder();
-    return decoder.decode(decryptedBuffer);
+    return await decryptWithKey(params, key, asBytes);
   } catch (error) {
     console.error('Decryption error:', error);
     throw new Error('Failed to decrypt data. The password may be incorrect.');
   }
 }
 
+/**
+ * Generates the keypairs of a user: ECDH P-256 to receive shares encrypted to
+ * them, and ECDSA P-256 to sign the shares they create
+ * @return {Promise<object>} `{publicKey, privateKey, signingPrivateKey}`, the
+ *     public keys as a string from exportPublicKey and the private keys as JWKs
+ */
+export async function generateIdentityKeys() {
+  const keyPair = await crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: 'P-256' },
+    true,
+    ['deriveBits']
+  );
+  const signingKeys = await generateSigningKeys();
+  return {
+    publicKey: await exportPublicKey(keyPair.publicKey, signingKeys.signingKey),
+    privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey),
+    signingPrivateKey: signingKeys.signingPrivateKey
+  };
+}
+
+/**
+ * Generates an ECDSA P-256 keypair to sign shares
+ * @return {Promise<object>} `{signingKey, signingPrivateKey}`, the public key
+ *     as the raw point in base64url and the private key as a JWK
+ */
+export async function generateSigningKeys() {
+  const keyPair = await crypto.subtle.generateKey(
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    true,
+    ['sign', 'verify']
+  );
+  return {
+    signingKey: bufferToBase64Url(await crypto.subtle.exportKey('raw', keyPair.publicKey)),
+    signingPrivateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+  };
+}
+
+/**
+ * Exports an ECDH public key as a short string
+ * @param {CryptoKey} key - The public key
+ * @param {string} signingKey - Signing key from generateSigningKeys to add
+ * @return {Promise<string>} The key, as PUBLIC_KEY_PREFIX and the raw point in
+ *     base64url, or SIGNED_PUBLIC_KEY_PREFIX with the signing key after it
+ */
+export async function exportPublicKey(key, signingKey = null) {
+  const encryptionKey = bufferToBase64Url(await crypto.subtle.exportKey('raw', key));
+  if (signingKey) {
+    return `${SIGNED_PUBLIC_KEY_PREFIX}${encryptionKey}.${signingKey}`;
+  }
+  return PUBLIC_KEY_PREFIX + encryptionKey;
+}
+
+/**
+ * Adds a signing key to a public key exported without one
+ * @param {string} publicKey - The key string
+ * @param {string} signingKey - Signing key from generateSigningKeys
+ * @return {string} The key string with both keys
+ */
+export function addSigningKey(publicKey, signingKey) {
+  return `${SIGNED_PUBLIC_KEY_PREFIX}${splitPublicKey(publicKey).encryptionKey}.${signingKey}`;
+}
+
+/**
+ * Splits a key string in its encryption and signing keys
+ * @param {string} publicKey - The key string
+ * @return {object} `{encryptionKey, signingKey}` in base64url, the signing
+ *     key is null for keys exported without one
+ * @throws {Error} If the string isn't a public key
+ */
+function splitPublicKey(publicKey) {
+  const text = String(publicKey || '').trim();
+  if (text.startsWith(SIGNED_PUBLIC_KEY_PREFIX)) {
+    const [encryptionKey, signingKey] = text.substring(SIGNED_PUBLIC_KEY_PREFIX.length).split('.');
+    return { encryptionKey, signingKey: signingKey || null };
+  }
+  if (text.startsWith(PUBLIC_KEY_PREFIX)) {
+    return { encryptionKey: text.substring(PUBLIC_KEY_PREFIX.length), signingKey: null };
+  }
+  throw new Error('This is not a Cookie-Editor Plus public key.');
+}
+
+/**
+ * Imports a public key exported by exportPublicKey
+ * @param {string} publicKey - The key string
+ * @return {Promise<CryptoKey>} The ECDH key
+ * @throws {Error} If the string isn't a valid public key
+ */
+export async function importPublicKey(publicKey) {
+  const { encryptionKey, signingKey } = splitPublicKey(publicKey);
+  try {
+    if (signingKey) {
+      await importSigningKey(signingKey);
+    }
+    return await crypto.subtle.importKey(
+      'raw',
+      base64UrlToBuffer(encryptionKey),
+      { name: 'ECDH', namedCurve: 'P-256' },
+      true,
+      []
+    );
+  } catch (error) {
+    throw new Error('This public key is damaged, ask for it again.');
+  }
+}
+
+/**
+ * Gets the signing key of a key string
+ * @param {string} publicKey - The key string
+ * @return {string|null} The signing key, or null for keys exported without one
+ */
+export function getSigningKey(publicKey) {
+  try {
+    return splitPublicKey(publicKey).signingKey;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Imports a private key from generateIdentityKeys
+ * @param {object} jwk - The private key
+ * @return {Promise<CryptoKey>} The key
+ */
+export async function importPrivateKey(jwk) {
+  return crypto.subtle.importKey('jwk', jwk, { name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+}
+
+/**
+ * Imports a signing private key from generateSigningKeys
+ * @param {object} jwk - The private key
+ * @return {Promise<CryptoKey>} The key
+ */
+export async function importSigningPrivateKey(jwk) {
+  return crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+}
+
+/**
+ * Imports a signing key from generateSigningKeys
+ * @param {string} signingKey - The raw point in base64url
+ * @return {Promise<CryptoKey>} The key
+ */
+async function importSigningKey(signingKey) {
+  return crypto.subtle.importKey(
+    'raw',
+    base64UrlToBuffer(signingKey),
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['verify']
+  );
+}
+
+/**
+ * Signs data with ECDSA P-256 and SHA-256
+ * @param {Uint8Array} data - Data to sign
+ * @param {CryptoKey} privateKey - Signing private key
+ * @return {Promise<string>} The signature in base64url
+ */
+export async function signData(data, privateKey) {
+  const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, data);
+  return bufferToBase64Url(signature);
+}
+
+/**
+ * Verifies a signature from signData
+ * @param {Uint8Array} data - The signed data
+ * @param {string} signature - The signature in base64url
+ * @param {string} signingKey - Signing key of the signer
+ * @return {Promise<boolean>} Whether the signature is valid, false when the
+ *     signature or the key are malformed
+ */
+export async function verifySignature(data, signature, signingKey) {
+  try {
+    return await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      await importSigningKey(signingKey),
+      base64UrlToBuffer(signature),
+      data
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Identifies a public key in share links, without putting the whole key in
+ * them. Only the encryption key counts, adding a signing key keeps the ID.
+ * @param {string} publicKey - The key string
+ * @return {Promise<string>} 8 base64url characters of its SHA-256 hash
+ */
+export async function getKeyId(publicKey) {
+  const encryptionKey = PUBLIC_KEY_PREFIX + splitPublicKey(publicKey).encryptionKey;
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(encryptionKey));
+  return bufferToBase64Url(new Uint8Array(hash).slice(0, 6));
+}
+
+/**
+ * Gets a fingerprint of a public key that people can compare by reading it
+ * @param {string} publicKey - The key string
+ * @return {Promise<string>} 16 hex digits of its SHA-256 hash, in groups of 4
+ */
+export async function getKeyFingerprint(publicKey) {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(publicKey.trim()));
+  const hex = Array.from(new Uint8Array(hash).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+  return hex.match(/.{4}/g).join(' ');
+}
+
+/**
+ * Derives the AES-KW key wrapping the content key for one recipient
+ * @param {CryptoKey} privateKey - ECDH private key of one side
+ * @param {CryptoKey} publicKey - ECDH public key of the other side
+ * @return {Promise<CryptoKey>} The wrapping key
+ */
+async function deriveWrappingKey(privateKey, publicKey) {
+  const sharedBits = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  const baseKey = await crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(0),
+      info: new TextEncoder().encode(RECIPIENT_KEY_INFO)
+    },
+    baseKey,
+    { name: 'AES-KW', length: KEY_LENGTH * 8 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Encrypts data so only the owners of some public keys can decrypt it. The
+ * data is encrypted once with a random key, and that key is wrapped for each
+ * recipient with a key agreed from a throwaway ECDH keypair.
+ * @param {string|Uint8Array} data - Data to encrypt
+ * @param {Array<string>} publicKeys - Public keys of the recipients
+ * @return {Promise<object>} Base64url encoded `{encrypted, iv, ephemeralKey,
+ *     recipients}`, with `{id, key}` for each recipient
+ */
+export async function encryptForRecipients(data, publicKeys) {
+  const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: KEY_LENGTH * 8 }, true, ['encrypt']);
+  const iv = getRandomBytes(IV_LENGTH);
+  const encryptedBuffer = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    contentKey,
+    typeof data === 'string' ? new TextEncoder().encode(data) : data
+  );
+
+  const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+  const recipients = await Promise.all(publicKeys.map(async publicKey => {
+    const wrappingKey = await deriveWrappingKey(ephemeral.privateKey, await importPublicKey(publicKey));
+    const wrappedKey = await crypto.subtle.wrapKey('raw', contentKey, wrappingKey, 'AES-KW');
+    return { id: await getKeyId(publicKey), key: bufferToBase64Url(wrappedKey) };
+  }));
+
+  return {
+    encrypted: bufferToBase64Url(encryptedBuffer),
+    iv: bufferToBase64Url(iv),
+    ephemeralKey: bufferToBase64Url(await crypto.subtle.exportKey('raw', ephemeral.publicKey)),
+    recipients: recipients
+  };
+}
+
+/**
+ * Decrypts data encrypted by encryptForRecipients, if it was encrypted for a key
+ * @param {object} params - Result of encryptForRecipients
+ * @param {string} publicKey - Public key of the recipient
+ * @param {CryptoKey} privateKey - Private key of the recipient
+ * @return {Promise<Uint8Array|null>} The data, or null if the key isn't a recipient
+ * @throws {Error} If the data was tampered with
+ */
+export async function decryptForRecipient(params, publicKey, privateKey) {
+  const keyId = await getKeyId(publicKey);
+  const recipient = (params.recipients || []).find(item => item.id === keyId);
+  if (!recipient) {
+    return null;
+  }
+
+  const ephemeralKey = await crypto.subtle.importKey(
+    'raw',
+    base64UrlToBuffer(params.ephemeralKey),
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+  const wrappingKey = await deriveWrappingKey(privateKey, ephemeralKey);
+  const contentKey = await crypto.subtle.unwrapKey(
+    'raw',
+    base64UrlToBuffer(recipient.key),
+    wrappingKey,
+    'AES-KW',
+    'AES-GCM',
+    false,
+    ['decrypt']
+  );
+  const decryptedBuffer = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64UrlToBuffer(params.iv) },
+    contentKey,
+    base64UrlToBuffer(params.encrypted)
+  );
+  return new Uint8Array(decryptedBuffer);
+}
+
 /**
  * Evaluates password strength
  * @param {string} password - Password to evaluate
@@ -184,7 +509,7 @@ export function evaluatePasswordStrength(password) {
  * @param {ArrayBuffer|Uint8Array} buffer - Buffer to convert
  * @return {string} Base64 string
  */
-function bufferToBase64(buffer) {
+export function bufferToBase64(buffer) {
   const bytes = new Uint8Array(buffer);
   let binary = '';
   for (let i = 0; i < bytes.byteLength; i++) {
@@ -198,7 +523,7 @@ function bufferToBase64(buffer) {
  * @param {string} base64 - Base64 string to convert
  * @return {Uint8Array} Converted buffer
  */
-function base64ToBuffer(base64) {
+export function base64ToBuffer(base64) {
   const binary = atob(base64);
   const bytes = new Uint8Array(binary.length);
   for (let i = 0; i < binary.length; i++) {
@@ -207,3 +532,22 @@ function base64ToBuffer(base64) {
   return bytes;
 } 
 
+/**
+ * Converts an ArrayBuffer or Uint8Array to a URL safe base64 string, without
+ * padding
+ * @param {ArrayBuffer|Uint8Array} buffer - Buffer to convert
+ * @return {string} Base64url string
+ */
+export function bufferToBase64Url(buffer) {
+  return bufferToBase64(buffer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Converts a URL safe base64 string to Uint8Array
+ * @param {string} base64url - Base64url string to convert
+ * @return {Uint8Array} Converted buffer
+ */
+export function base64UrlToBuffer(base64url) {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBuffer(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
@@ -0,0 +1,208 @@
+import { EventEmitter } from '../eventEmitter.js';
+import { GUID } from '../guid.js';
+import {
+  addSigningKey,
+  decryptForRecipient,
+  generateIdentityKeys,
+  generateSigningKeys,
+  getKeyFingerprint,
+  getKeyId,
+  getSigningKey,
+  importPrivateKey,
+  importPublicKey,
+  importSigningPrivateKey,
+} from './encryptionUtils.js';
+
+/**
+ * Keypairs of the extension to receive share links encrypted for this user
+ * and to sign the links they share, and the address book of the teammates
+ * links can be encrypted for. The private keys stay in the local storage of
+ * the extension, only the public key is meant to be given away.
+ */
+export class ShareIdentity extends EventEmitter {
+  static IDENTITY_KEY = 'shareIdentity';
+  static CONTACTS_KEY = 'shareContacts';
+
+  /**
+   * Constructs a ShareIdentity.
+   * @param {BrowserDetector} browserDetector - Browser detection utility
+   * @param {GenericStorageHandler} storageHandler - Storage handler for the keys
+   */
+  constructor(browserDetector, storageHandler) {
+    super();
+    this.browserDetector = browserDetector;
+    this.storageHandler = storageHandler;
+
+    const api = browserDetector.getApi();
+    if (api.storage && api.storage.onChanged) {
+      api.storage.onChanged.addListener(this.onStorageChanged);
+    }
+  }
+
+  /**
+   * Notifies listeners when the keypair or the address book changed.
+   * @param {object} changes Storage changes
+   * @param {string} areaName Storage area that changed
+   */
+  onStorageChanged = (changes, areaName) => {
+    if (areaName !== 'local') {
+      return;
+    }
+    if (changes[ShareIdentity.IDENTITY_KEY]) {
+      this.emit('identityChanged');
+    }
+    if (changes[ShareIdentity.CONTACTS_KEY]) {
+      this.emit('contactsChanged');
+    }
+  };
+
+  /**
+   * Gets the keypairs, creating them the first time. Keypairs created before
+   * links were signed get a signing key.
+   * @return {Promise<Object>} `{publicKey, privateKey, signingPrivateKey,
+   *     createdAt}`, the private keys as JWKs
+   */
+  async getIdentity() {
+    const identity = await this.storageHandler.getLocal(ShareIdentity.IDENTITY_KEY);
+    if (!identity || !identity.publicKey || !identity.privateKey) {
+      return this.resetIdentity();
+    }
+    if (!identity.signingPrivateKey) {
+      const signingKeys = await generateSigningKeys();
+      identity.publicKey = addSigningKey(identity.publicKey, signingKeys.signingKey);
+      identity.signingPrivateKey = signingKeys.signingPrivateKey;
+      await this.storageHandler.setLocal(ShareIdentity.IDENTITY_KEY, identity);
+    }
+    return identity;
+  }
+
+  /**
+   * @return {Promise<string>} The public key to give to teammates
+   */
+  async getPublicKey() {
+    return (await this.getIdentity()).publicKey;
+  }
+
+  /**
+   * Gets what cookieSharing needs to sign links.
+   * @return {Promise<Object>} `{signingKey, privateKey}`, the public signing
+   *     key and the private one as a CryptoKey
+   */
+  async getSigner() {
+    const identity = await this.getIdentity();
+    return {
+      signingKey: getSigningKey(identity.publicKey),
+      privateKey: await importSigningPrivateKey(identity.signingPrivateKey),
+    };
+  }
+
+  /**
+   * Replaces the keypairs. Links encrypted for the old key can't be opened
+   * anymore, and teammates don't recognize the new signatures until they add
+   * the new key.
+   * @return {Promise<Object>} The new keypairs, see getIdentity
+   */
+  async resetIdentity() {
+    const identity = { ...(await generateIdentityKeys()), createdAt: Date.now() };
+    await this.storageHandler.setLocal(ShareIdentity.IDENTITY_KEY, identity);
+    return identity;
+  }
+
+  /**
+   * Decrypts the payload of a share link encrypted for recipients, if this
+   * user is one of them. Never creates a keypair.
+   * @param {Object} params - Encrypted payload, see encryptForRecipients
+   * @return {Promise<Uint8Array|null>} The payload, or null if the link is
+   *     for other people
+   */
+  async decryptSharedPayload(params) {
+    const identity = await this.storageHandler.getLocal(ShareIdentity.IDENTITY_KEY);
+    if (!identity || !identity.privateKey) {
+      return null;
+    }
+    return decryptForRecipient(params, identity.publicKey, await importPrivateKey(identity.privateKey));
+  }
+
+  /**
+   * Gets the address book.
+   * @return {Promise<Array<Object>>} The contacts, as `{id, name, publicKey,
+   *     fingerprint, addedAt}`, sorted by name
+   */
+  async getContacts() {
+    const contacts = await this.storageHandler.getLocal(ShareIdentity.CONTACTS_KEY, []);
+    return (Array.isArray(contacts) ? contacts : []).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Adds a teammate to the address book. Adding the key of a teammate again
+   * once it has a signing key updates their contact.
+   * @param {string} name - Name shown when sharing
+   * @param {string} publicKey - Public key the teammate exported
+   * @return {Promise<Object>} The contact
+   * @throws {Error} If the name is empty, the key is invalid or already known
+   */
+  async addContact(name, publicKey) {
+    const contactName = String(name || '').trim();
+    const key = String(publicKey || '').trim();
+    if (!contactName) {
+      throw new Error('Enter the name of your teammate.');
+    }
+    await importPublicKey(key);
+
+    const keyId = await getKeyId(key);
+    const identity = await this.storageHandler.getLocal(ShareIdentity.IDENTITY_KEY);
+    if (identity && (await getKeyId(identity.publicKey)) === keyId) {
+      throw new Error('This is your own public key.');
+    }
+    const contacts = await this.getContacts();
+    let known = null;
+    for (const contact of contacts) {
+      if ((await getKeyId(contact.publicKey)) === keyId) {
+        known = contact;
+      }
+    }
+    if (known && (known.publicKey === key || !getSigningKey(key))) {
+      throw new Error(`This key is already in the address book as "${known.name}".`);
+    }
+
+    const contact = {
+      id: known ? known.id : GUID.get(),
+      name: contactName,
+      publicKey: key,
+      fingerprint: await getKeyFingerprint(key),
+      addedAt: Date.now(),
+    };
+    const others = contacts.filter(item => item !== known);
+    await this.storageHandler.setLocal(ShareIdentity.CONTACTS_KEY, [...others, contact]);
+    return contact;
+  }
+
+  /**
+   * Finds the teammate who signed a link.
+   * @param {string} signingKey - Signing key of the link
+   * @return {Promise<Object|null>} The contact, or null if the key isn't in the
+   *     address book
+   */
+  async findContactBySigningKey(signingKey) {
+    if (!signingKey) {
+      return null;
+    }
+    const contacts = await this.getContacts();
+    return contacts.find(contact => getSigningKey(contact.publicKey) === signingKey) || null;
+  }
+
+  /**
+   * Removes a teammate from the address book.
+   * @param {string} id - ID of the contact
+   * @return {Promise<boolean>} Whether the contact was found
+   */
+  async removeContact(id) {
+    const contacts = await this.getContacts();
+    const remaining = contacts.filter(contact => contact.id !== id);
+    if (remaining.length === contacts.length) {
+      return false;
+    }
+    await this.storageHandler.setLocal(ShareIdentity.CONTACTS_KEY, remaining);
+    return true;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Enforces the import limits a share link was created with: links locked to
+ * their domain are only imported from a tab on it, and single-use links only
+ * once per browser. The IDs of the used links are kept until the links expire.
+ */
+export class ShareLimits {
+  static USED_KEY = 'usedShareLinks';
+  // Links that never expire keep their ID, up to this many
+  static MAX_USED = 500;
+
+  /**
+   * Constructs a ShareLimits.
+   * @param {GenericStorageHandler} storageHandler - Storage handler for the
+   *     used links
+   */
+  constructor(storageHandler) {
+    this.storageHandler = storageHandler;
+  }
+
+  /**
+   * Checks if a hostname is a domain or one of its subdomains.
+   * @param {string} hostname - Hostname of the tab
+   * @param {string} domain - Domain of the shared data
+   * @return {boolean}
+   */
+  static hostMatches(hostname, domain) {
+    const host = String(hostname || '').toLowerCase();
+    const base = String(domain || '').toLowerCase().replace(/^\./, '');
+    return !!base && (host === base || host.endsWith('.' + base));
+  }
+
+  /**
+   * Checks if shared data can be imported from a tab.
+   * @param {object} sharedData - The wrapper of the shared data
+   * @param {string} url - URL of the tab importing it
+   * @return {Promise<string|null>} Why the data can't be imported, or null
+   */
+  async check(sharedData, url) {
+    if (sharedData.h) {
+      let hostname = '';
+      try {
+        hostname = new URL(url).hostname;
+      } catch (error) {
+        // Not a web page, can't match
+      }
+      if (!ShareLimits.hostMatches(hostname, sharedData.d)) {
+        return `This link can only be imported from a tab on ${sharedData.d}.`;
+      }
+    }
+    if (sharedData.i) {
+      const used = await this.getUsedLinks();
+      if (used[sharedData.i]) {
+        const date = new Date(used[sharedData.i].usedAt).toLocaleString();
+        return `This link can only be imported once, it was already imported on ${date}.`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Records that a single-use link was imported. Does nothing for other links.
+   * @param {object} sharedData - The wrapper of the shared data
+   */
+  async markUsed(sharedData) {
+    if (!sharedData.i) {
+      return;
+    }
+    const used = await this.getUsedLinks();
+    used[sharedData.i] = { usedAt: Date.now(), expires: sharedData.e || 0 };
+
+    const kept = Object.entries(used)
+      .sort((a, b) => b[1].usedAt - a[1].usedAt)
+      .slice(0, ShareLimits.MAX_USED);
+    await this.storageHandler.setLocal(ShareLimits.USED_KEY, Object.fromEntries(kept));
+  }
+
+  /**
+   * Gets the single-use links already imported, without the expired ones
+   * that can't be imported anyway.
+   * @return {Promise<Object>} `{usedAt, expires}` by link ID
+   */
+  async getUsedLinks() {
+    const used = await this.storageHandler.getLocal(ShareLimits.USED_KEY, {});
+    const now = Date.now();
+    return Object.fromEntries(
+      Object.entries(used || {}).filter(([, entry]) => !entry.expires || entry.expires > now)
+    );
+  }
+}
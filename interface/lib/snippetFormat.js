@@ -0,0 +1,107 @@
+/**
+ * Base class for the formats exporting cookies as a snippet of code that
+ * sends a request with them, e.g. a cURL command. Only the cookies a browser
+ * would send to the URL are included.
+ */
+export class SnippetFormat {
+  /**
+   * Formats a list of cookies into a snippet requesting a URL.
+   * @param {Cookie[]} cookies Cookies to format.
+   * @param {string} url URL the snippet requests.
+   * @return {string} The snippet.
+   */
+  static format(cookies, url) {
+    return this.formatSnippet(SnippetFormat.getCookiesForUrl(cookies, url), url);
+  }
+
+  /**
+   * Builds the snippet, implemented by each format.
+   * @param {object[]} cookies Raw cookies sent to the URL.
+   * @param {string} url URL the snippet requests.
+   * @return {string} The snippet.
+   */
+  static formatSnippet(cookies, url) {
+    throw new Error('formatSnippet is not implemented');
+  }
+
+  /**
+   * Gets the cookies a browser would send to a URL, following the domain,
+   * path and secure rules of RFC 6265. Cookies with longer paths come first.
+   * @param {Cookie[]} cookies Cookies to filter.
+   * @param {string} url URL of the request.
+   * @return {object[]} The raw cookies that apply.
+   */
+  static getCookiesForUrl(cookies, url) {
+    const rawCookies = [];
+    for (const cookieId in cookies) {
+      if (!Object.prototype.hasOwnProperty.call(cookies, cookieId)) {
+        continue;
+      }
+      rawCookies.push(cookies[cookieId].cookie);
+    }
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (e) {
+      // Without a URL to match against, export everything
+      return rawCookies;
+    }
+
+    return rawCookies
+      .filter((cookie) => SnippetFormat.cookieMatchesUrl(cookie, parsedUrl))
+      .sort((a, b) => (b.path || '/').length - (a.path || '/').length);
+  }
+
+  /**
+   * Checks if a cookie would be sent to a URL.
+   * @param {object} cookie
+   * @param {URL} url
+   * @return {boolean}
+   */
+  static cookieMatchesUrl(cookie, url) {
+    const host = url.hostname.toLowerCase();
+    const domain = (cookie.domain || '').replace(/^\./, '').toLowerCase();
+    if (domain) {
+      const domainMatches = cookie.hostOnly ?
+        host === domain :
+        host === domain || host.endsWith('.' + domain);
+      if (!domainMatches) {
+        return false;
+      }
+    }
+
+    const cookiePath = cookie.path || '/';
+    const requestPath = url.pathname || '/';
+    const pathMatches =
+      requestPath === cookiePath ||
+      (requestPath.startsWith(cookiePath) &&
+        (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/'));
+    if (!pathMatches) {
+      return false;
+    }
+
+    if (cookie.secure && url.protocol !== 'https:' && url.protocol !== 'wss:') {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Builds the value of a Cookie request header.
+   * @param {object[]} cookies Raw cookies.
+   * @return {string}
+   */
+  static getCookieHeader(cookies) {
+    return cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  /**
+   * Quotes a string for a POSIX shell.
+   * @param {string} text
+   * @return {string}
+   */
+  static shellQuote(text) {
+    return `'${String(text).replace(/'/g, `'\\''`)}'`;
+  }
+}
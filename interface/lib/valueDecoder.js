@@ -0,0 +1,376 @@
+const MAX_DEPTH = 5;
+const MIN_BASE64_LENGTH = 8;
+
+/**
+ * Detects how a cookie value is encoded and decodes it layer by layer, e.g. a
+ * percent-encoded base64 string holding JSON. A decoded value can be edited
+ * and encoded back through the same layers.
+ */
+export class ValueDecoder {
+  /**
+   * Decodes a cookie value.
+   * @param {string} value The raw cookie value.
+   * @return {object} The decoding as `{value, layers, text, details, terminal}`
+   *     where `layers` lists the encodings from the outermost and `text` is the
+   *     innermost decoded text.
+   */
+  static decode(value) {
+    const result = {
+      value: value,
+      layers: [],
+      text: value,
+      details: [],
+      terminal: false,
+    };
+
+    let current = value || '';
+    for (let depth = 0; depth < MAX_DEPTH; depth++) {
+      const layer = ValueDecoder.detectLayer(current);
+      if (!layer) {
+        break;
+      }
+      result.layers.push({ type: layer.type, label: layer.label, meta: layer.meta });
+      result.details.push(...(layer.details || []));
+      current = layer.output;
+      if (layer.terminal) {
+        result.terminal = true;
+        break;
+      }
+    }
+
+    result.text = current;
+    return result;
+  }
+
+  /**
+   * Encodes an edited text back through the layers of a decoding.
+   * @param {object} decoded Result of ValueDecoder.decode.
+   * @param {string} text The edited innermost text.
+   * @return {string} The new raw cookie value.
+   * @throws {Error} If the text can't be encoded, e.g. invalid JSON.
+   */
+  static encode(decoded, text) {
+    // Keep the original bytes, and signatures, when nothing was edited
+    if (text === decoded.text) {
+      return decoded.value;
+    }
+
+    let current = text;
+    for (let i = decoded.layers.length - 1; i >= 0; i--) {
+      const layer = decoded.layers[i];
+      current = ValueDecoder.encodeLayer(layer.type, current, layer.meta);
+    }
+    return current;
+  }
+
+  /**
+   * Detects the outermost encoding of a value.
+   * @param {string} value
+   * @return {object|null} The layer with its decoded output, or null.
+   */
+  static detectLayer(value) {
+    return (
+      ValueDecoder.detectPercentEncoding(value) ||
+      ValueDecoder.detectExpressSigned(value) ||
+      ValueDecoder.detectRailsSigned(value) ||
+      ValueDecoder.detectJwt(value) ||
+      ValueDecoder.detectJson(value) ||
+      ValueDecoder.detectBase64(value)
+    );
+  }
+
+  /**
+   * Encodes a text with a single layer's encoding.
+   * @param {string} type Layer type.
+   * @param {string} text Text to encode.
+   * @param {object} meta Information kept when the layer was decoded.
+   * @return {string}
+   */
+  static encodeLayer(type, text, meta) {
+    switch (type) {
+      case 'percent':
+        return encodeURIComponent(text);
+      case 'express':
+        return `s:${text}.${meta.signature}`;
+      case 'rails': {
+        let data = text;
+        if (meta.envelope) {
+          const envelope = JSON.parse(JSON.stringify(meta.envelope));
+          envelope._rails.message = ValueDecoder.toBase64(text, false, true);
+          data = JSON.stringify(envelope);
+        }
+        return `${ValueDecoder.toBase64(data, false, true)}--${meta.digest}`;
+      }
+      case 'jwt': {
+        const token = ValueDecoder.parseJson(text);
+        if (!token || typeof token.header !== 'object' || typeof token.payload !== 'object') {
+          throw new Error('A JWT needs a "header" and a "payload" object');
+        }
+        return [
+          ValueDecoder.toBase64(JSON.stringify(token.header), true, false),
+          ValueDecoder.toBase64(JSON.stringify(token.payload), true, false),
+          meta.signature,
+        ].join('.');
+      }
+      case 'json': {
+        const parsed = ValueDecoder.parseJson(text);
+        if (parsed === undefined) {
+          throw new Error('The decoded value is not valid JSON');
+        }
+        return JSON.stringify(parsed);
+      }
+      case 'base64':
+        return ValueDecoder.toBase64(text, meta.urlSafe, meta.padded);
+      default:
+        throw new Error(`Unknown encoding: ${type}`);
+    }
+  }
+
+  /**
+   * @param {string} value
+   * @return {object|null}
+   */
+  static detectPercentEncoding(value) {
+    if (!/%[0-9A-Fa-f]{2}/.test(value)) {
+      return null;
+    }
+    try {
+      const output = decodeURIComponent(value);
+      return output === value ? null : { type: 'percent', label: 'URL-encoded', output: output };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Express `cookie-signature` values: `s:<value>.<signature>`.
+   * @param {string} value
+   * @return {object|null}
+   */
+  static detectExpressSigned(value) {
+    const match = /^s:(.*)\.([A-Za-z0-9+/]{27,}={0,2})$/.exec(value);
+    if (!match) {
+      return null;
+    }
+    return {
+      type: 'express',
+      label: 'Express signed cookie',
+      output: match[1],
+      meta: { signature: match[2] },
+      details: [{ label: 'Signature', value: 'Kept as is, an edited value will fail verification' }],
+    };
+  }
+
+  /**
+   * Rails signed cookies: `<base64 data>--<digest>`, including the Rails 5.2+
+   * `_rails` envelope. Encrypted cookies are reported but not decoded.
+   * @param {string} value
+   * @return {object|null}
+   */
+  static detectRailsSigned(value) {
+    const match = /^([A-Za-z0-9+/=_-]+)--([A-Za-z0-9+/=_-]+)(?:--([A-Za-z0-9+/=_-]+))?$/.exec(value);
+    if (!match) {
+      return null;
+    }
+
+    if (match[3]) {
+      return {
+        type: 'rails-encrypted',
+        label: 'Rails encrypted cookie',
+        output: value,
+        terminal: true,
+        details: [{ label: 'Encrypted', value: 'The value can only be read with the application secret' }],
+      };
+    }
+
+    const data = ValueDecoder.fromBase64(match[1]);
+    if (data === null) {
+      return null;
+    }
+
+    const layer = {
+      type: 'rails',
+      label: 'Rails signed cookie',
+      output: data,
+      meta: { digest: match[2], envelope: null },
+      details: [{ label: 'Signature', value: 'Kept as is, an edited value will fail verification' }],
+    };
+
+    const envelope = ValueDecoder.parseJson(data);
+    if (envelope && envelope._rails && typeof envelope._rails.message === 'string') {
+      const message = ValueDecoder.fromBase64(envelope._rails.message);
+      if (message !== null) {
+        layer.output = message;
+        layer.meta.envelope = envelope;
+        if (envelope._rails.pur) {
+          layer.details.push({ label: 'Purpose', value: String(envelope._rails.pur) });
+        }
+        if (envelope._rails.exp) {
+          layer.details.push({ label: 'Expires', value: ValueDecoder.formatDate(Date.parse(envelope._rails.exp) / 1000) });
+        }
+      }
+    }
+
+    return layer;
+  }
+
+  /**
+   * @param {string} value
+   * @return {object|null}
+   */
+  static detectJwt(value) {
+    const match = /^([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]*)$/.exec(value);
+    if (!match) {
+      return null;
+    }
+
+    const header = ValueDecoder.parseJson(ValueDecoder.fromBase64(match[1]));
+    const payload = ValueDecoder.parseJson(ValueDecoder.fromBase64(match[2]));
+    if (!header || typeof header !== 'object' || !header.alg || !payload || typeof payload !== 'object') {
+      return null;
+    }
+
+    const details = [{ label: 'Algorithm', value: String(header.alg) }];
+    if (header.typ) {
+      details.push({ label: 'Type', value: String(header.typ) });
+    }
+    [['iat', 'Issued at'], ['nbf', 'Not before'], ['exp', 'Expires']].forEach(([claim, label]) => {
+      if (typeof payload[claim] === 'number') {
+        let date = ValueDecoder.formatDate(payload[claim]);
+        if (claim === 'exp' && payload.exp * 1000 < Date.now()) {
+          date += ' (expired)';
+        }
+        details.push({ label: label, value: date });
+      }
+    });
+    details.push({
+      label: 'Signature',
+      value: match[3] ? 'Kept as is, an edited token will fail verification' : 'None (unsigned token)',
+    });
+
+    return {
+      type: 'jwt',
+      label: 'JWT',
+      output: JSON.stringify({ header: header, payload: payload }, null, 2),
+      meta: { signature: match[3] },
+      details: details,
+      terminal: true,
+    };
+  }
+
+  /**
+   * @param {string} value
+   * @return {object|null}
+   */
+  static detectJson(value) {
+    const trimmed = value.trim();
+    if (!/^[[{]/.test(trimmed)) {
+      return null;
+    }
+    const parsed = ValueDecoder.parseJson(trimmed);
+    if (parsed === undefined) {
+      return null;
+    }
+    return {
+      type: 'json',
+      label: 'JSON',
+      output: JSON.stringify(parsed, null, 2),
+      terminal: true,
+    };
+  }
+
+  /**
+   * Standard and URL-safe base64, only when it decodes to readable text.
+   * @param {string} value
+   * @return {object|null}
+   */
+  static detectBase64(value) {
+    if (value.length < MIN_BASE64_LENGTH || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(value)) {
+      return null;
+    }
+    const urlSafe = /[-_]/.test(value);
+    if (urlSafe && /[+/]/.test(value)) {
+      return null;
+    }
+    const output = ValueDecoder.fromBase64(value);
+    if (output === null) {
+      return null;
+    }
+    return {
+      type: 'base64',
+      label: urlSafe ? 'Base64url' : 'Base64',
+      output: output,
+      meta: { urlSafe: urlSafe, padded: value.endsWith('=') },
+    };
+  }
+
+  /**
+   * Decodes base64 or base64url into UTF-8 text.
+   * @param {string} value
+   * @return {string|null} The text, or null if it isn't readable text.
+   */
+  static fromBase64(value) {
+    if (typeof value !== 'string' || !value) {
+      return null;
+    }
+    let normalized = value.replace(/-/g, '+').replace(/_/g, '/');
+    while (normalized.length % 4 !== 0) {
+      normalized += '=';
+    }
+    try {
+      const binary = atob(normalized);
+      const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+      const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      // Binary data is not worth showing as text
+      // eslint-disable-next-line no-control-regex
+      return /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/.test(text) ? null : text;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Encodes UTF-8 text as base64 or base64url.
+   * @param {string} text
+   * @param {boolean} urlSafe
+   * @param {boolean} padded
+   * @return {string}
+   */
+  static toBase64(text, urlSafe, padded) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    let encoded = btoa(binary);
+    if (urlSafe) {
+      encoded = encoded.replace(/\+/g, '-').replace(/\//g, '_');
+    }
+    return padded ? encoded : encoded.replace(/=+$/, '');
+  }
+
+  /**
+   * Parses JSON without throwing.
+   * @param {string} text
+   * @return {*} The parsed value, or undefined if it isn't JSON.
+   */
+  static parseJson(text) {
+    if (typeof text !== 'string') {
+      return undefined;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Formats a timestamp in seconds.
+   * @param {number} seconds
+   * @return {string}
+   */
+  static formatDate(seconds) {
+    return new Date(seconds * 1000).toLocaleString();
+  }
+}
@@ -0,0 +1,97 @@
+import { ValueDecoder } from './valueDecoder.js';
+
+/**
+ * Panel showing the decoded form of a cookie value. The decoded text can be
+ * edited and re-encoded into a new value.
+ */
+export class ValueInspector {
+  /**
+   * Constructs a ValueInspector.
+   * @param {string} value The raw cookie value to inspect.
+   * @param {function} onApply Called with the re-encoded value.
+   */
+  constructor(value, onApply) {
+    this.onApply = onApply;
+    this.decoded = ValueDecoder.decode(value);
+    this.element = this.createElement();
+  }
+
+  /**
+   * Builds the inspector panel.
+   * @return {HTMLElement}
+   */
+  createElement() {
+    const container = document.createElement('div');
+    container.className = 'value-inspector';
+
+    const layers = document.createElement('div');
+    layers.className = 'value-inspector-layers';
+    layers.textContent = this.decoded.layers.length ?
+      'Detected: ' + this.decoded.layers.map((layer) => layer.label).join(' → ') :
+      'No known encoding detected';
+    container.appendChild(layers);
+
+    if (this.decoded.details.length) {
+      const details = document.createElement('dl');
+      details.className = 'value-inspector-details';
+      this.decoded.details.forEach((detail) => {
+        const term = document.createElement('dt');
+        term.textContent = detail.label;
+        const description = document.createElement('dd');
+        description.textContent = detail.value;
+        details.appendChild(term);
+        details.appendChild(description);
+      });
+      container.appendChild(details);
+    }
+
+    // Nothing to re-encode when the value isn't decoded or can't be
+    if (!this.decoded.layers.length || this.decoded.layers[0].type === 'rails-encrypted') {
+      return container;
+    }
+
+    this.textarea = document.createElement('textarea');
+    this.textarea.className = 'value-inspector-text';
+    this.textarea.spellcheck = false;
+    this.textarea.value = this.decoded.text;
+    this.textarea.addEventListener('input', () => this.setError(null));
+    container.appendChild(this.textarea);
+
+    this.error = document.createElement('div');
+    this.error.className = 'value-inspector-error';
+    container.appendChild(this.error);
+
+    const applyButton = document.createElement('button');
+    applyButton.type = 'button';
+    applyButton.className = 'value-inspector-apply';
+    applyButton.textContent = 'Re-encode into value';
+    applyButton.addEventListener('click', () => this.apply());
+    container.appendChild(applyButton);
+
+    return container;
+  }
+
+  /**
+   * Re-encodes the decoded text and hands the new value to the callback.
+   */
+  apply() {
+    let value;
+    try {
+      value = ValueDecoder.encode(this.decoded, this.textarea.value);
+    } catch (e) {
+      this.setError(e.message);
+      return;
+    }
+    this.setError(null);
+    this.onApply(value);
+  }
+
+  /**
+   * Shows or hides an encoding error.
+   * @param {string|null} message
+   */
+  setError(message) {
+    this.error.textContent = message || '';
+    this.error.classList.toggle('visible', !!message);
+  }
+}
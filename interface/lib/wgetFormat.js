@@ -0,0 +1,21 @@
+import { SnippetFormat } from './snippetFormat.js';
+
+/**
+ * This class is responsible for formatting cookies to a wget command.
+ */
+export class WgetFormat extends SnippetFormat {
+  /**
+   * Builds a wget command sending the cookies in a Cookie header.
+   * @param {object[]} cookies Raw cookies sent to the URL.
+   * @param {string} url URL the command requests.
+   * @return {string} The wget command.
+   */
+  static formatSnippet(cookies, url) {
+    let command = 'wget';
+    if (cookies.length) {
+      const header = 'Cookie: ' + SnippetFormat.getCookieHeader(cookies);
+      command += ` --header=${SnippetFormat.shellQuote(header)} \\\n `;
+    }
+    return `${command} ${SnippetFormat.shellQuote(url)}`;
+  }
+}
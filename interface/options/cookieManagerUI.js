@@ -1,6 +1,14 @@
 import { CookieManager } from '../lib/manager/cookieManager.js';
 import { BrowserDetector } from '../lib/browserDetector.js';
 import { EventEmitter } from '../lib/eventEmitter.js';
+import { CookieStores } from '../lib/cookieStores.js';
+import { CookieAnalytics } from '../lib/cookieAnalytics.js';
+import { CookiePins } from '../lib/cookiePins.js';
+import { CookieProtection } from '../lib/cookieProtection.js';
+import { GenericCookieHandler } from '../lib/genericCookieHandler.js';
+import { GenericStorageHandler } from '../lib/genericStorageHandler.js';
+import { ProfileManager } from '../lib/profileManager.js';
+import { ValueInspector } from '../lib/valueInspector.js';
 
 /**
  * Cookie Manager UI for options page
@@ -15,8 +23,20 @@ export class CookieManagerUI extends EventEmitter {
     this.container = container;
     this.browserDetector = new BrowserDetector();
     this.cookieManager = new CookieManager(this.browserDetector);
+    this.storageHandler = new GenericStorageHandler(this.browserDetector);
+    this.protection = new CookieProtection(this.browserDetector, this.storageHandler);
+    this.pins = new CookiePins(this.browserDetector, this.storageHandler);
+    // Measures the cookies of every store, like the daily snapshot of the background
+    this.analytics = new CookieAnalytics(
+      this.browserDetector,
+      this.storageHandler,
+      new GenericCookieHandler(this.browserDetector),
+    );
+    // Sites opened in a tab, the cookies of other sites count as third-party
+    this.visitedSites = {};
     this.cookies = [];
     this.domainFilter = '';
+    this.storeFilter = ''; // '' means the default store
     this.nameFilter = '';
     this.sortBy = 'domain';
     this.sortDirection = 'asc';
@@ -61,7 +81,8 @@ export class CookieManagerUI extends EventEmitter {
     // --- Fetch cookies early for domain list population --- 
     try {
       this.showLoader(true); // Show loader while fetching domains
-      const allCookies = await this.cookieManager.getAllCookies();
+      await this.populateStoreFilter();
+      const allCookies = await this.cookieManager.getAllCookies(this.storeFilter);
       this.cookies = allCookies; // Store for later use
       this.updateDomainFilter(this.cookies); // Populate the dropdown now
     } catch (error) {
@@ -81,8 +102,9 @@ export class CookieManagerUI extends EventEmitter {
     // Load initial data - Removed initial load, will load on domain selection
     // await this.loadCookies(); 
     
-    // Initialize charts - Defer chart initialization until data is loaded
-    // this.initCharts(); 
+    // Initialize charts with the whole inventory until a domain is selected
+    await this.initCharts();
+    this.updateCharts(this.cookies);
     
     // Set up event listeners
     this.setupEventListeners();
@@ -169,7 +191,42 @@ export class CookieManagerUI extends EventEmitter {
           </div>
         </div>
         
-        <!-- Visualizations Removed -->
+        <!-- Charts -->
+        <div class="cookie-charts" id="cookie-charts">
+          <div class="chart-card">
+            <h3>Cookies per domain</h3>
+            <div class="chart-body"><canvas id="chart-domains"></canvas></div>
+          </div>
+          <div class="chart-card">
+            <h3>First- vs third-party</h3>
+            <div class="chart-body"><canvas id="chart-party"></canvas></div>
+          </div>
+          <div class="chart-card">
+            <h3>Session vs persistent</h3>
+            <div class="chart-body"><canvas id="chart-lifetime"></canvas></div>
+          </div>
+          <div class="chart-card">
+            <h3>Expires in</h3>
+            <div class="chart-body"><canvas id="chart-expiration"></canvas></div>
+          </div>
+          <div class="chart-card chart-card-wide">
+            <h3>Cookie bytes per domain</h3>
+            <div class="chart-body"><canvas id="chart-bytes"></canvas></div>
+          </div>
+          <div class="chart-card chart-card-wide">
+            <div class="chart-card-header">
+              <h3 id="chart-trend-title">Trend for all sites</h3>
+              <button id="take-stats-snapshot" class="btn btn-secondary">
+                <svg class="icon"><use href="../sprites/solid.svg#camera"></use></svg>
+                <span>Snapshot now</span>
+              </button>
+            </div>
+            <div class="chart-body">
+              <canvas id="chart-trend"></canvas>
+              <p class="chart-empty hidden" id="chart-trend-empty">A snapshot of the cookies is recorded every day.</p>
+            </div>
+          </div>
+        </div>
 
         <!-- Main Cookie Management UI -->
         <div class="cookie-table-container">
@@ -203,6 +260,13 @@ export class CookieManagerUI extends EventEmitter {
                     <svg class="icon"><use href="../sprites/solid.svg#times"></use></svg>
                 </button>
               </div>
+                <!-- Cookie store selector (hidden when only one store exists) -->
+                <div class="select-wrapper store-select-wrapper hidden">
+                  <select id="store-filter" title="Cookie store" aria-label="Cookie store">
+                    <option value="">Default store</option>
+                  </select>
+                  <svg class="icon select-arrow"><use href="../sprites/solid.svg#angle-down"></use></svg>
+                </div>
             </div>
             </div>
             
@@ -425,6 +489,10 @@ export class CookieManagerUI extends EventEmitter {
                     </select>
                   </div>
                 </div>
+                <div class="form-group">
+                  <label for="cookie-partitionKey">Partition (Top-Level Site)</label>
+                  <input type="text" id="cookie-partitionKey" placeholder="Not partitioned">
+                </div>
                 <div class="checkbox-group">
                   <label for="cookie-session">
                     <input type="checkbox" id="cookie-session">
@@ -596,6 +664,22 @@ export class CookieManagerUI extends EventEmitter {
       }
     }
     
+    // Cookie store selector
+    const storeFilterSelect = document.getElementById('store-filter');
+    if (storeFilterSelect) {
+      storeFilterSelect.addEventListener('change', () => {
+        this.storeFilter = storeFilterSelect.value;
+        this.selectedCookies.clear();
+        this.currentPage = 1;
+        if (this.domainFilter === '__select__') {
+          // No domain picked yet, only refresh the domain list for the new store
+          this.refreshDomainList();
+        } else {
+          this.loadCookies();
+        }
+      });
+    }
+    
     // Filter tags
     const filterTags = document.querySelectorAll('.filter-tag');
     filterTags.forEach(tag => {
@@ -721,10 +805,11 @@ export class CookieManagerUI extends EventEmitter {
       batchDelete.addEventListener('click', () => {
         if (this.selectedCookies.size > 0) {
           const cookiesToDelete = Array.from(this.selectedCookies).map(id => {
-            const [domain, path, name] = id.split('|');
+            const [domain, path, name, partitionSite = ''] = id.split('|');
             // Find the full cookie object (important: this assumes this.cookies contains all cookies)
             // A better approach might be to store the cookie object directly in the Set or use a Map
-            return this.cookies.find(c => c.domain === domain && c.path === path && c.name === name);
+            return this.cookies.find(c => c.domain === domain && c.path === path && c.name === name &&
+              this.getPartitionSite(c) === partitionSite);
           }).filter(Boolean); // Filter out any undefined results
           
           if (cookiesToDelete.length > 0) {
@@ -871,6 +956,7 @@ export class CookieManagerUI extends EventEmitter {
       document.getElementById('cookie-secure').checked = window.location.protocol === 'https:'; // Default based on current page protocol
       document.getElementById('cookie-httpOnly').checked = false;
       document.getElementById('cookie-hostOnly').checked = false; // Default hostOnly to false
+      document.getElementById('cookie-partitionKey').value = '';
       
       // Set default for SameSite dropdown
       document.getElementById('cookie-sameSite').value = 'lax';
@@ -886,6 +972,49 @@ export class CookieManagerUI extends EventEmitter {
     }
   }
   
+  /**
+   * Fill the store selector with every cookie store and the tabs using it
+   */
+  async populateStoreFilter() {
+    const storeFilterSelect = document.getElementById('store-filter');
+    if (!storeFilterSelect) return;
+    
+    const stores = await CookieStores.list(this.browserDetector);
+    storeFilterSelect.innerHTML = '';
+    stores.forEach(store => {
+      const option = document.createElement('option');
+      option.value = store.id;
+      option.textContent = store.label;
+      option.title = store.title;
+      storeFilterSelect.appendChild(option);
+    });
+    
+    if (stores.length > 0) {
+      // Default to the first store (the regular browsing store)
+      if (!stores.some(store => store.id === this.storeFilter)) {
+        this.storeFilter = stores[0].id;
+      }
+      storeFilterSelect.value = this.storeFilter;
+    }
+    
+    const wrapper = storeFilterSelect.closest('.store-select-wrapper');
+    if (wrapper) {
+      wrapper.classList.toggle('hidden', stores.length <= 1);
+    }
+  }
+  
+  /**
+   * Reload the domain dropdown for the selected store without rendering cookies
+   */
+  async refreshDomainList() {
+    try {
+      this.cookies = await this.cookieManager.getAllCookies(this.storeFilter);
+      this.updateDomainFilter(this.cookies);
+    } catch (error) {
+      console.error('Error refreshing domain list:', error);
+    }
+  }
+  
   /**
    * Load cookies from browser
    */
@@ -900,7 +1029,7 @@ export class CookieManagerUI extends EventEmitter {
       }
       
     try {
-      const allCookies = await this.cookieManager.getAllCookies();
+      const allCookies = await this.cookieManager.getAllCookies(this.storeFilter);
       
       // Keep a reference to all cookies
       this.cookies = allCookies;
@@ -1158,6 +1287,7 @@ export class CookieManagerUI extends EventEmitter {
             ${cookie.hostOnly || cookie.domain === null ? '<span class="cookie-tag hostonly" title="This cookie only applies to the exact domain without subdomains">HostOnly</span>' : ''}
             ${!cookie.expirationDate ? '<span class="cookie-tag session" title="This cookie expires when the session ends">Session</span>' : ''}
             ${cookie.sameSite && cookie.sameSite !== 'no_restriction' ? `<span class="cookie-tag samesite" title="SameSite: ${cookie.sameSite}">${cookie.sameSite}</span>` : ''}
+            ${this.getPartitionSite(cookie) ? `<span class="cookie-tag partitioned" title="Partitioned under ${this.escapeHTML(this.getPartitionSite(cookie))}">Partitioned</span>` : ''}
           </div>
         </td>
         <td class="cookie-domain" title="${cookie.domain || '[Current Domain]'}">
@@ -1406,16 +1536,25 @@ export class CookieManagerUI extends EventEmitter {
       </div>
     `;
     
+    // Let encoded values (JWT, base64, signed cookies...) be read and edited
+    const inspector = new ValueInspector(cookie.value, (value) => {
+      this.saveDecodedValue(cookie, value, modal);
+    });
+    if (inspector.decoded.layers.length) {
+      const applyBtn = inspector.element.querySelector('.value-inspector-apply');
+      if (applyBtn) {
+        applyBtn.classList.add('btn', 'btn-primary');
+      }
+      modal.querySelector('.cookie-modal-body').appendChild(inspector.element);
+    }
+    
     document.body.appendChild(modal);
     
     // Close button event
     const closeBtn = modal.querySelector('.btn-close, .modal-close');
     if (closeBtn) {
       closeBtn.addEventListener('click', () => {
-        modal.classList.remove('active');
-        setTimeout(() => {
-          document.body.removeChild(modal);
-        }, 300);
+        this.closeValueModal(modal);
       });
     }
     
@@ -1437,6 +1576,60 @@ export class CookieManagerUI extends EventEmitter {
       });
     }
   }
+
+  /**
+   * Close a cookie value modal
+   * @param {HTMLElement} modal The modal element
+   */
+  closeValueModal(modal) {
+    modal.classList.remove('active');
+    setTimeout(() => {
+      if (modal.parentNode) {
+        document.body.removeChild(modal);
+      }
+    }, 300);
+  }
+  
+  /**
+   * Save a value re-encoded by the value inspector
+   * @param {Object} cookie The cookie being inspected
+   * @param {string} value The new cookie value
+   * @param {HTMLElement} modal The value modal to close once saved
+   */
+  async saveDecodedValue(cookie, value, modal) {
+    if (value === cookie.value) {
+      this.closeValueModal(modal);
+      return;
+    }
+    
+    try {
+      const updatedCookie = { ...cookie, value: value };
+      // Locked and pinned cookies are held at the new value from now on
+      await Promise.all([
+        this.protection.rememberValues([updatedCookie]),
+        this.pins.repinCookie(cookie, updatedCookie),
+      ]);
+      await this.cookieManager.updateCookie(updatedCookie);
+      this.closeValueModal(modal);
+      
+      document.dispatchEvent(new CustomEvent('show-notification', {
+        detail: {
+          message: `Cookie '${cookie.name}' updated`,
+          isError: false
+        }
+      }));
+      
+      this.loadCookies();
+    } catch (error) {
+      console.error('Error saving cookie:', error);
+      document.dispatchEvent(new CustomEvent('show-notification', {
+        detail: {
+          message: `Error saving cookie: ${error.message}`,
+          isError: true
+        }
+      }));
+    }
+  }
   
   /**
    * Format JSON for HTML display with syntax highlighting
@@ -1524,6 +1717,28 @@ export class CookieManagerUI extends EventEmitter {
    * Delete a cookie
    */
   async deleteCookie(cookie) {
+    await this.protection.load();
+    if (this.protection.isProtected(cookie)) {
+      document.dispatchEvent(new CustomEvent('show-notification', {
+        detail: {
+          message: `Cookie '${cookie.name}' is protected, remove it from the protected cookies to delete it`,
+          isError: true
+        }
+      }));
+      return;
+    }
+    // A pinned cookie would be set again right away
+    await this.pins.load();
+    if (this.pins.isPinned(cookie)) {
+      document.dispatchEvent(new CustomEvent('show-notification', {
+        detail: {
+          message: `Cookie '${cookie.name}' is pinned, unpin it to delete it`,
+          isError: true
+        }
+      }));
+      return;
+    }
+
     // Add confirmation dialog before deleting
     const confirmDelete = await this.showConfirmationDialog(
       'Confirm Delete',
@@ -1538,7 +1753,7 @@ export class CookieManagerUI extends EventEmitter {
       await this.cookieManager.deleteCookie(cookie);
       
       // Remove from selected cookies if it was selected
-      const cookieId = `${cookie.domain}|${cookie.path}|${cookie.name}`;
+      const cookieId = this.getCookieId(cookie);
       this.selectedCookies.delete(cookieId);
       this.updateBatchActions();
       
@@ -1634,14 +1849,37 @@ export class CookieManagerUI extends EventEmitter {
   }
   
   /**
-   * Delete multiple cookies in batch
+   * Delete multiple cookies in batch, leaving the protected and pinned ones
    */
   async batchDeleteCookies(cookies) {
+    const split = await this.protection.splitProtected(cookies);
+    const protectedCount = split.protected.length;
+    const pinnedSplit = await this.pins.splitPinned(split.allowed);
+    const pinnedCount = pinnedSplit.pinned.length;
+    cookies = pinnedSplit.allowed;
+    if (cookies.length === 0) {
+      document.dispatchEvent(new CustomEvent('show-notification', {
+        detail: {
+          message: 'The selected cookies are protected or pinned',
+          isError: true
+        }
+      }));
+      return;
+    }
+
     // Add confirmation dialog before deleting
     const cookieCount = cookies.length;
+    const kept = [];
+    if (protectedCount > 0) {
+      kept.push(`${protectedCount} protected cookie${protectedCount !== 1 ? 's' : ''}`);
+    }
+    if (pinnedCount > 0) {
+      kept.push(`${pinnedCount} pinned cookie${pinnedCount !== 1 ? 's' : ''}`);
+    }
+    const keptMessage = kept.length ? ` ${kept.join(' and ')} will be kept.` : '';
     const confirmDelete = await this.showConfirmationDialog(
       'Confirm Batch Delete',
-      `Are you sure you want to delete ${cookieCount} cookie${cookieCount !== 1 ? 's' : ''}?`,
+      `Are you sure you want to delete ${cookieCount} cookie${cookieCount !== 1 ? 's' : ''}?${keptMessage}`,
       'Delete',
       'Cancel'
     );
@@ -1667,7 +1905,7 @@ export class CookieManagerUI extends EventEmitter {
         deleteCount++;
         
         // Remove from UI
-        const cookieId = `${cookie.domain}|${cookie.path}|${cookie.name}`;
+        const cookieId = this.getCookieId(cookie);
         const row = document.querySelector(`tr[data-cookie-id="${cookieId}"]`);
         if (row) {
           row.remove();
@@ -1728,6 +1966,7 @@ export class CookieManagerUI extends EventEmitter {
       document.getElementById('cookie-secure').checked = cookie.secure || false;
       document.getElementById('cookie-httpOnly').checked = cookie.httpOnly || false;
       document.getElementById('cookie-hostOnly').checked = cookie.hostOnly || false; // Add this line
+      document.getElementById('cookie-partitionKey').value = this.getPartitionSite(cookie);
       
       const samesiteSelect = document.getElementById('cookie-sameSite');
       samesiteSelect.value = cookie.sameSite || 'no_restriction';
@@ -1780,6 +2019,7 @@ export class CookieManagerUI extends EventEmitter {
     const hostOnly = document.getElementById('cookie-hostOnly').checked; // Add this line
     const session = document.getElementById('cookie-session').checked;
     const sameSite = document.getElementById('cookie-sameSite').value;
+    const partitionSite = document.getElementById('cookie-partitionKey').value.trim();
     
     // Create cookie object
     const cookie = {
@@ -1790,8 +2030,16 @@ export class CookieManagerUI extends EventEmitter {
         secure,
         httpOnly,
         hostOnly, // Add this property
-        sameSite
+        sameSite,
+        // Edits stay in the cookie's store, new cookies go to the selected one
+        storeId: this.editingCookie ? this.editingCookie.storeId : (this.storeFilter || null)
     };
+
+    // Partitioned (CHIPS) cookies are keyed by the scheme-qualified top-level site
+    if (partitionSite) {
+      const topLevelSite = partitionSite.includes('://') ? partitionSite : `https://${partitionSite}`;
+      cookie.partitionKey = { topLevelSite: topLevelSite.replace(/\/+$/, '') };
+    }
     
     // Add expiration if not a session cookie
     if (!session) {
@@ -1803,13 +2051,24 @@ export class CookieManagerUI extends EventEmitter {
     }
     
     try {
+      // Locked and pinned cookies are held at the saved value, not the old one,
+      // and a cookie added again keeps its pin
+      await Promise.all([
+        this.protection.rememberValues([cookie]),
+        this.pins.repinCookie(this.editingCookie || cookie, cookie),
+      ]);
+
       // If we're editing an existing cookie, delete it first
       if (this.editingCookie) {
         await this.cookieManager.deleteCookie(this.editingCookie);
       }
       
       // Set the new cookie
-      await this.cookieManager.updateCookie(cookie); // Renamed from setCookie
+      const savedCookie = await this.cookieManager.updateCookie(cookie); // Renamed from setCookie
+      // The browser can store the domain and store differently than typed
+      if (savedCookie && this.pins.isPinned(cookie)) {
+        await this.pins.repinCookie(cookie, savedCookie);
+      }
       
       // Close modal
       this.closeCookieModal();
@@ -2012,6 +2271,9 @@ export class CookieManagerUI extends EventEmitter {
       secure: cookie.secure,
       sameSite: cookie.sameSite
     };
+    if (this.getPartitionSite(cookie)) {
+      cookieJson.partitionKey = { topLevelSite: this.getPartitionSite(cookie) };
+    }
     try {
       const jsonString = JSON.stringify(cookieJson, null, 2);
       this.copyToClipboard(jsonString, 'Cookie JSON');
@@ -2056,6 +2318,7 @@ export class CookieManagerUI extends EventEmitter {
       
       document.getElementById('cookie-secure').checked = cookie.secure || false;
       document.getElementById('cookie-httpOnly').checked = cookie.httpOnly || false;
+      document.getElementById('cookie-partitionKey').value = this.getPartitionSite(cookie);
       
       const samesiteSelect = document.getElementById('cookie-sameSite');
       samesiteSelect.value = cookie.sameSite || 'no_restriction';
@@ -2128,6 +2391,8 @@ export class CookieManagerUI extends EventEmitter {
     // Store current stats for next comparison
     this.lastStats = { ...stats };
 
+    this.updateCharts(cookies);
+
     // Update cookie count below filters (always reflects filtered count)
     const cookieCountElement = document.getElementById('cookie-count');
     if (cookieCountElement) {
@@ -2135,6 +2400,231 @@ export class CookieManagerUI extends EventEmitter {
     }
   }
   
+  /**
+   * Create the charts of the dashboard. They stay hidden if Chart.js didn't
+   * load.
+   */
+  async initCharts() {
+    const container = document.getElementById('cookie-charts');
+    if (!container) return;
+    if (!window.Chart) {
+      container.classList.add('hidden');
+      return;
+    }
+
+    try {
+      this.visitedSites = await this.analytics.getVisitedSites();
+    } catch (error) {
+      console.error('Error loading visited sites:', error);
+    }
+
+    const colors = this.getChartColors();
+    const options = (extra = {}) => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      color: colors.text,
+      ...extra,
+      plugins: { legend: { labels: { color: colors.text } }, ...extra.plugins },
+    });
+    const axis = (extra = {}) => ({
+      beginAtZero: true,
+      ticks: { color: colors.text },
+      grid: { color: colors.grid },
+      ...extra,
+    });
+    const create = (id, config) => new window.Chart(document.getElementById(id), config);
+
+    this.charts.domains = create('chart-domains', {
+      type: 'bar',
+      data: { labels: [], datasets: [{ label: 'Cookies', data: [], backgroundColor: colors.accent }] },
+      options: options({
+        indexAxis: 'y',
+        plugins: { legend: { display: false } },
+        scales: { x: axis({ ticks: { color: colors.text, precision: 0 } }), y: axis() },
+      }),
+    });
+    this.charts.party = create('chart-party', {
+      type: 'doughnut',
+      data: {
+        labels: ['First-party', 'Third-party'],
+        datasets: [{ data: [], backgroundColor: [colors.success, colors.warning], borderWidth: 0 }],
+      },
+      options: options(),
+    });
+    this.charts.lifetime = create('chart-lifetime', {
+      type: 'doughnut',
+      data: {
+        labels: ['Session', 'Persistent'],
+        datasets: [{ data: [], backgroundColor: [colors.info, colors.accent], borderWidth: 0 }],
+      },
+      options: options(),
+    });
+    this.charts.expiration = create('chart-expiration', {
+      type: 'bar',
+      data: {
+        labels: CookieAnalytics.EXPIRATION_BUCKETS.map(bucket => bucket.label),
+        datasets: [{ label: 'Cookies', data: [], backgroundColor: colors.info }],
+      },
+      options: options({
+        plugins: { legend: { display: false } },
+        scales: { x: axis(), y: axis({ ticks: { color: colors.text, precision: 0 } }) },
+      }),
+    });
+    this.charts.bytes = create('chart-bytes', {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [
+          { label: 'All cookies', data: [], backgroundColor: colors.accent },
+          { label: 'Largest cookie', data: [], backgroundColor: colors.info },
+          {
+            type: 'line',
+            label: `Limit per cookie (${CookieAnalytics.COOKIE_BYTES_LIMIT} bytes)`,
+            data: [],
+            borderColor: colors.warning,
+            borderDash: [6, 4],
+            pointRadius: 0,
+          },
+          {
+            type: 'line',
+            label: `Limit per domain (${CookieAnalytics.DOMAIN_BYTES_LIMIT} bytes)`,
+            data: [],
+            borderColor: colors.error,
+            borderDash: [6, 4],
+            pointRadius: 0,
+          },
+        ],
+      },
+      options: options({ scales: { x: axis(), y: axis() } }),
+    });
+    this.charts.trend = create('chart-trend', {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          { label: 'Cookies', data: [], borderColor: colors.accent, backgroundColor: colors.accent, yAxisID: 'count', tension: 0.2 },
+          { label: 'Kilobytes', data: [], borderColor: colors.warning, backgroundColor: colors.warning, yAxisID: 'size', tension: 0.2 },
+        ],
+      },
+      options: options({
+        scales: {
+          x: axis(),
+          count: axis({ position: 'left', ticks: { color: colors.text, precision: 0 } }),
+          size: axis({ position: 'right', grid: { drawOnChartArea: false } }),
+        },
+      }),
+    });
+
+    this.analytics.on('historyChanged', () => this.updateTrendChart());
+    document.getElementById('take-stats-snapshot')?.addEventListener('click', async () => {
+      try {
+        await this.analytics.takeSnapshot();
+        this.emit('show-notification', { message: 'Cookie statistics recorded', isError: false });
+      } catch (error) {
+        console.error('Error taking cookie statistics snapshot:', error);
+        this.emit('show-notification', { message: 'Error recording statistics: ' + error.message, isError: true });
+      }
+    });
+  }
+
+  /**
+   * Reads the chart colors from the theme.
+   * @returns {Object} The colors
+   */
+  getChartColors() {
+    const style = getComputedStyle(document.body);
+    const color = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    return {
+      text: color('--secondary-text-color', '#888'),
+      grid: color('--border-color', 'rgba(128, 128, 128, 0.2)'),
+      accent: color('--accent-color', '#4a6cf7'),
+      success: color('--success-color', '#2ecc71'),
+      warning: color('--warning-color', '#f39c12'),
+      error: color('--error-color', '#e74c3c'),
+      info: color('--info-color', '#3498db'),
+    };
+  }
+
+  /**
+   * Update the charts with the cookies shown by the manager
+   * @param {Array} cookies Array of cookies to chart (usually filtered)
+   */
+  updateCharts(cookies) {
+    if (!this.charts.domains) return;
+
+    const stats = CookieAnalytics.computeStats(cookies, this.visitedSites);
+    this.cookieStats.types = {
+      session: stats.session,
+      persistent: stats.persistent,
+      firstParty: stats.firstParty,
+      thirdParty: stats.thirdParty,
+      oversized: stats.oversized,
+    };
+    this.cookieStats.domains = new Set(stats.domains.map(domain => domain.domain));
+
+    const byCount = [...stats.domains].sort((a, b) => b.count - a.count).slice(0, 10);
+    this.setChartData(this.charts.domains, byCount.map(domain => domain.domain), [
+      byCount.map(domain => domain.count),
+    ]);
+    this.setChartData(this.charts.party, null, [[stats.firstParty, stats.thirdParty]]);
+    this.setChartData(this.charts.lifetime, null, [[stats.session, stats.persistent]]);
+    this.setChartData(this.charts.expiration, null, [stats.expiration]);
+
+    const bySize = stats.domains.slice(0, 10);
+    this.setChartData(this.charts.bytes, bySize.map(domain => domain.domain), [
+      bySize.map(domain => domain.bytes),
+      bySize.map(domain => domain.largest),
+      bySize.map(() => CookieAnalytics.COOKIE_BYTES_LIMIT),
+      bySize.map(() => CookieAnalytics.DOMAIN_BYTES_LIMIT),
+    ]);
+
+    this.updateTrendChart();
+  }
+
+  /**
+   * Update the trend chart from the daily snapshots, for the site of the
+   * domain filter or for every site
+   */
+  async updateTrendChart() {
+    if (!this.charts.trend) return;
+
+    const history = await this.analytics.getHistory();
+    const hasDomain = this.domainFilter && this.domainFilter !== '__select__';
+    const site = hasDomain ? ProfileManager.getRegistrableDomain(this.domainFilter) : null;
+    const points = history.map(snapshot => {
+      if (!site) return [snapshot.total, snapshot.bytes];
+      return snapshot.domains[site] || [0, 0];
+    });
+
+    const title = document.getElementById('chart-trend-title');
+    if (title) {
+      title.textContent = site ? `Trend for ${site}` : 'Trend for all sites';
+    }
+    document.getElementById('chart-trend-empty')?.classList.toggle('hidden', history.length > 0);
+
+    this.setChartData(
+      this.charts.trend,
+      history.map(snapshot => new Date(snapshot.timestamp).toLocaleDateString()),
+      [points.map(point => point[0]), points.map(point => Math.round(point[1] / 102.4) / 10)],
+    );
+  }
+
+  /**
+   * Replace the data of a chart and redraw it
+   * @param {Chart} chart The chart
+   * @param {Array|null} labels New labels, or null to keep them
+   * @param {Array<Array>} data Data of each dataset
+   */
+  setChartData(chart, labels, data) {
+    if (labels) {
+      chart.data.labels = labels;
+    }
+    data.forEach((values, index) => {
+      chart.data.datasets[index].data = values;
+    });
+    chart.update();
+  }
+
   /**
    * Animate a counter element
    * @param {string} selector CSS selector for the counter element
@@ -2211,7 +2701,17 @@ export class CookieManagerUI extends EventEmitter {
       console.warn('Attempted to get ID for invalid cookie object:', cookie);
       return `invalid-${Date.now()}-${Math.random()}`;
     }
-    return `${cookie.domain}|${cookie.path}|${cookie.name}`;
+    const partitionSite = this.getPartitionSite(cookie);
+    return `${cookie.domain}|${cookie.path}|${cookie.name}${partitionSite ? `|${partitionSite}` : ''}`;
+  }
+
+  /**
+   * Get the top-level site a partitioned (CHIPS) cookie belongs to
+   * @param {Object} cookie The cookie object
+   * @returns {string} The top-level site, or an empty string if unpartitioned
+   */
+  getPartitionSite(cookie) {
+    return (cookie && cookie.partitionKey && cookie.partitionKey.topLevelSite) || '';
   }
   
   /**
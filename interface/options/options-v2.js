@@ -5,6 +5,22 @@ import { PermissionHandler } from '../lib/permissionHandler.js';
 import { ThemeHandler } from '../lib/themeHandler.js';
 import { CookieHandlerPopup } from '../popup/cookieHandlerPopup.js';
 import { Options } from '../lib/options/options.js';
+import { HistoryHandler } from '../lib/historyHandler.js';
+import { HistoryJournal } from '../lib/historyJournal.js';
+import { Cookie } from '../lib/cookie.js';
+import { JsonFormat } from '../lib/jsonFormat.js';
+import { NetscapeFormat } from '../lib/netscapeFormat.js';
+import { PlaywrightFormat } from '../lib/playwrightFormat.js';
+import { ImportPreview } from '../lib/importPreview.js';
+import { ProfileManager } from '../lib/profileManager.js';
+import { ProfileAutoSwitch } from '../lib/profileAutoSwitch.js';
+import { ProfileSync } from '../lib/profileSync.js';
+import { CookieCleanup } from '../lib/cookieCleanup.js';
+import { CookieAudit } from '../lib/cookieAudit.js';
+import { CookieSnapshots } from '../lib/cookieSnapshots.js';
+import { ShareIdentity } from '../lib/sharing/shareIdentity.js';
+import { getKeyFingerprint } from '../lib/sharing/encryptionUtils.js';
+import { ExtensionBackup } from '../lib/extensionBackup.js';
 
 // Initialize critical objects immediately
 const browserDetector = new BrowserDetector();
@@ -13,6 +29,16 @@ const optionHandler = new OptionsHandler(browserDetector, storageHandler);
 const themeHandler = new ThemeHandler(optionHandler);
 // Create cookie handler for later use
 const cookieHandler = new CookieHandlerPopup(browserDetector);
+const historyHandler = new HistoryHandler(browserDetector, cookieHandler, storageHandler);
+const profileManager = new ProfileManager(storageHandler, browserDetector);
+const profileAutoSwitch = new ProfileAutoSwitch(browserDetector, storageHandler, profileManager);
+const profileSync = new ProfileSync(browserDetector, storageHandler, profileManager);
+const cookieCleanup = new CookieCleanup(browserDetector, storageHandler, cookieHandler, historyHandler);
+const cookieProtection = profileManager.protection;
+const cookiePins = profileManager.pins;
+const cookieSnapshots = new CookieSnapshots(browserDetector, storageHandler);
+const shareIdentity = new ShareIdentity(browserDetector, storageHandler);
+const extensionBackup = new ExtensionBackup(browserDetector, storageHandler, profileManager);
 
 // Main initialization function
 document.addEventListener('DOMContentLoaded', () => {
@@ -187,6 +213,40 @@ document.addEventListener('DOMContentLoaded', () => {
         if (targetId === 'all-cookies') {
           initAllCookiesSection(); // Call the initialization function
         }
+
+        if (targetId === 'history') {
+          renderHistoryJournal();
+        }
+
+        if (targetId === 'cookie-snapshots') {
+          renderSnapshotSettings();
+          renderSnapshots();
+        }
+
+        if (targetId === 'cookie-cleanup') {
+          renderCleanupRules();
+          renderCleanupLog();
+        }
+
+        if (targetId === 'protected-cookies') {
+          renderProtectedCookies();
+        }
+
+        if (targetId === 'profile-rules') {
+          renderProfileRules();
+        }
+
+        if (targetId === 'profile-vault') {
+          renderProfileVault();
+        }
+
+        if (targetId === 'profile-sync') {
+          renderProfileSync();
+        }
+
+        if (targetId === 'share-keys') {
+          renderShareKeys();
+        }
       });
     });
   }
@@ -326,6 +386,18 @@ document.addEventListener('DOMContentLoaded', () => {
       .addEventListener('click', async (event) => {
         await exportCookiesAsNetscape();
       });
+
+    document
+      .getElementById('export-all-playwright')
+      .addEventListener('click', async (event) => {
+        await exportCookiesAsPlaywright();
+      });
+
+    document
+      .getElementById('export-all-puppeteer')
+      .addEventListener('click', async (event) => {
+        await exportCookiesAsPuppeteer();
+      });
       
     // Import cookies: trigger file input click
     document.getElementById('import-cookies').addEventListener('click', () => {
@@ -337,12 +409,410 @@ document.addEventListener('DOMContentLoaded', () => {
       await importCookiesFromJson(event);
     });
 
+    // Import strategy dialog, shown with the preview of the file
+    ['merge', 'replace', 'clear'].forEach((strategy) => {
+      document
+        .getElementById(`${strategy}-import-strategy`)
+        .addEventListener('click', async () => {
+          await importSelectedCookies(strategy);
+        });
+    });
+    document.getElementById('cancel-import-strategy').addEventListener('click', () => {
+      hideImportDialog();
+    });
+
     document
       .getElementById('reset-confirmations')
       .addEventListener('click', async (event) => {
         await resetConfirmationDialogs();
       });
 
+    document
+      .getElementById('history-journal-search')
+      .addEventListener('input', () => {
+        renderHistoryJournal();
+      });
+
+    document
+      .getElementById('clear-history-journal')
+      .addEventListener('click', () => {
+        showDeleteConfirmation(async () => {
+          await historyHandler.clearJournal();
+          showNotification('Cookie history cleared', false);
+        });
+      });
+
+    document
+      .getElementById('history-journal-table-body')
+      .addEventListener('click', (event) => {
+        const button = event.target.closest('.btn-action.undo');
+        if (button) {
+          undoHistoryJournalEntry(button.getAttribute('data-entry-id'), button);
+        }
+      });
+
+    // Keep the list current when the popup records or undoes operations
+    historyHandler.onJournalChange(() => {
+      if (document.getElementById('history').classList.contains('active')) {
+        renderHistoryJournal();
+      }
+    });
+
+    document
+      .getElementById('take-snapshot')
+      .addEventListener('click', () => {
+        takeSnapshot();
+      });
+
+    document
+      .getElementById('save-snapshot-settings')
+      .addEventListener('click', () => {
+        saveSnapshotSettings();
+      });
+
+    document
+      .getElementById('snapshots-table-body')
+      .addEventListener('click', async (event) => {
+        const button = event.target.closest('.btn-action.delete');
+        if (button) {
+          await cookieSnapshots.deleteSnapshot(button.getAttribute('data-snapshot-id'));
+          showNotification('Snapshot deleted', false);
+        }
+      });
+
+    document
+      .getElementById('compare-snapshots')
+      .addEventListener('click', () => {
+        compareSnapshots();
+      });
+
+    document
+      .getElementById('restore-snapshot')
+      .addEventListener('click', () => {
+        restoreSnapshotDomain();
+      });
+
+    cookieSnapshots.on('snapshotsChanged', () => {
+      if (document.getElementById('cookie-snapshots').classList.contains('active')) {
+        renderSnapshots();
+      }
+    });
+
+    document
+      .getElementById('run-audit')
+      .addEventListener('click', () => {
+        runAudit();
+      });
+
+    document
+      .getElementById('audit-domain')
+      .addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          runAudit();
+        }
+      });
+
+    document
+      .getElementById('export-audit-json')
+      .addEventListener('click', () => {
+        downloadText(CookieAudit.toJson(auditReport), `${getAuditFilename()}.json`, 'application/json');
+      });
+
+    document
+      .getElementById('export-audit-markdown')
+      .addEventListener('click', () => {
+        downloadText(CookieAudit.toMarkdown(auditReport), `${getAuditFilename()}.md`, 'text/markdown');
+      });
+
+    document
+      .getElementById('cleanup-rule-trigger')
+      .addEventListener('change', (event) => {
+        document
+          .getElementById('cleanup-rule-interval-wrapper')
+          .classList.toggle('hidden', event.target.value !== 'schedule');
+      });
+
+    document
+      .getElementById('add-cleanup-rule')
+      .addEventListener('click', () => {
+        addCleanupRule();
+      });
+
+    document
+      .getElementById('cleanup-rules-table-body')
+      .addEventListener('click', async (event) => {
+        const button = event.target.closest('.btn-action');
+        if (!button) {
+          return;
+        }
+        const ruleId = button.getAttribute('data-rule-id');
+        if (button.classList.contains('delete')) {
+          await cookieCleanup.removeRule(ruleId);
+          showNotification('Rule removed', false);
+        } else if (button.classList.contains('run')) {
+          button.disabled = true;
+          const entry = await cookieCleanup.runRuleById(ruleId, 'manual');
+          button.disabled = false;
+          if (entry) {
+            showNotification(entry.error || `${entry.deleted} cookies deleted`, !!entry.error);
+          }
+        }
+      });
+
+    document
+      .getElementById('cleanup-rules-table-body')
+      .addEventListener('change', async (event) => {
+        const input = event.target;
+        if (input.matches('input[data-rule-id]')) {
+          await cookieCleanup.updateRule(input.getAttribute('data-rule-id'), { enabled: input.checked });
+        }
+      });
+
+    document
+      .getElementById('clear-cleanup-log')
+      .addEventListener('click', () => {
+        showDeleteConfirmation(async () => {
+          await cookieCleanup.clearLog();
+          showNotification('Cleanup log cleared', false);
+        });
+      });
+
+    cookieCleanup.on('rulesChanged', () => {
+      if (document.getElementById('cookie-cleanup').classList.contains('active')) {
+        renderCleanupRules();
+      }
+    });
+
+    cookieCleanup.on('logChanged', () => {
+      if (document.getElementById('cookie-cleanup').classList.contains('active')) {
+        renderCleanupLog();
+      }
+    });
+
+    document
+      .getElementById('add-protected-cookie')
+      .addEventListener('click', () => {
+        addProtectedCookie();
+      });
+
+    document
+      .getElementById('protected-cookies-table-body')
+      .addEventListener('click', async (event) => {
+        const button = event.target.closest('.btn-action.delete');
+        if (button) {
+          await cookieProtection.removeEntry(button.getAttribute('data-entry-id'));
+          showNotification('Cookies are not protected anymore', false);
+        }
+      });
+
+    document
+      .getElementById('protected-cookies-table-body')
+      .addEventListener('change', async (event) => {
+        const input = event.target;
+        if (input.matches('input[data-entry-id]')) {
+          // Locking starts from the values the cookies have now
+          const cookies = input.checked ? await getBrowserCookies() : [];
+          await cookieProtection.updateEntry(input.getAttribute('data-entry-id'), { restore: input.checked }, cookies);
+        }
+      });
+
+    cookieProtection.on('protectionChanged', () => {
+      if (document.getElementById('protected-cookies').classList.contains('active')) {
+        renderProtectedCookies();
+      }
+    });
+
+    document
+      .getElementById('add-profile-rule')
+      .addEventListener('click', () => {
+        addProfileRule();
+      });
+
+    document
+      .getElementById('profile-rules-table-body')
+      .addEventListener('click', async (event) => {
+        const button = event.target.closest('.btn-action.delete');
+        if (button) {
+          await profileAutoSwitch.removeRule(button.getAttribute('data-rule-id'));
+          showNotification('Rule removed', false);
+        }
+      });
+
+    document
+      .getElementById('profile-rules-table-body')
+      .addEventListener('change', async (event) => {
+        const input = event.target;
+        if (input.matches('input[data-rule-id]')) {
+          await profileAutoSwitch.updateRule(input.getAttribute('data-rule-id'), {
+            [input.getAttribute('data-field')]: input.checked,
+          });
+        }
+      });
+
+    profileAutoSwitch.on('rulesChanged', () => {
+      if (document.getElementById('profile-rules').classList.contains('active')) {
+        renderProfileRules();
+      }
+    });
+
+    document.getElementById('vault-enable').addEventListener('click', () => {
+      runVaultAction(async () => {
+        const password = document.getElementById('vault-enable-password').value;
+        if (password !== document.getElementById('vault-enable-confirm').value) {
+          throw new Error('The passwords don\'t match');
+        }
+        await profileManager.enableVault(password, Number(document.getElementById('vault-auto-lock').value));
+        return 'Profile vault enabled, your profiles are now encrypted';
+      });
+    });
+
+    document.getElementById('vault-unlock').addEventListener('click', () => {
+      runVaultAction(async () => {
+        await profileManager.unlockVault(document.getElementById('vault-unlock-password').value);
+        return 'Profile vault unlocked';
+      });
+    });
+
+    document.getElementById('vault-lock').addEventListener('click', () => {
+      runVaultAction(async () => {
+        await profileManager.lockVault();
+        return 'Profile vault locked';
+      });
+    });
+
+    document.getElementById('vault-change-password').addEventListener('click', () => {
+      runVaultAction(async () => {
+        const newPassword = document.getElementById('vault-new-password').value;
+        if (newPassword !== document.getElementById('vault-new-confirm').value) {
+          throw new Error('The new passwords don\'t match');
+        }
+        await profileManager.changeVaultPassword(
+          document.getElementById('vault-current-password').value,
+          newPassword,
+        );
+        return 'Master password changed';
+      });
+    });
+
+    document.getElementById('vault-disable').addEventListener('click', () => {
+      runVaultAction(async () => {
+        await profileManager.disableVault(document.getElementById('vault-disable-password').value);
+        return 'Profile vault disabled, your profiles are stored in plain text';
+      });
+    });
+
+    document.getElementById('vault-auto-lock').addEventListener('change', async (event) => {
+      if (await profileManager.isVaultEnabled()) {
+        await profileManager.setVaultAutoLock(Number(event.target.value));
+        showNotification('Auto-lock updated', false);
+      }
+    });
+
+    document.getElementById('profile-sync-enabled').addEventListener('change', async (event) => {
+      await profileSync.updateSettings({ enabled: event.target.checked });
+      showNotification(event.target.checked ? 'Profile sync enabled' : 'Profile sync disabled', false);
+    });
+
+    document.getElementById('profile-sync-save-passphrase').addEventListener('click', async () => {
+      const input = document.getElementById('profile-sync-passphrase');
+      try {
+        await profileSync.updateSettings({ passphrase: input.value });
+        showNotification(input.value ? 'Sync passphrase saved until the browser closes' : 'Profiles will be synced unencrypted', false);
+      } catch (error) {
+        showNotification(error.message, true);
+      }
+    });
+
+    document.getElementById('profile-sync-now').addEventListener('click', async (event) => {
+      const button = event.currentTarget;
+      button.disabled = true;
+      try {
+        const settings = await profileSync.getSettings();
+        if (!settings.enabled) {
+          throw new Error('Enable profile sync first');
+        }
+        await profileSync.sync();
+        showNotification('Profiles synced', false);
+      } catch (error) {
+        showNotification(error.message, true);
+      }
+      button.disabled = false;
+    });
+
+    document
+      .getElementById('profile-sync-table-body')
+      .addEventListener('change', async (event) => {
+        const input = event.target;
+        if (input.matches('input[data-profile-key]')) {
+          const [domain, profileName] = ProfileSync.splitProfileKey(input.getAttribute('data-profile-key'));
+          await profileSync.setProfileSelected(domain, profileName, input.checked);
+        }
+      });
+
+    profileSync.on('statusChanged', () => {
+      if (document.getElementById('profile-sync').classList.contains('active')) {
+        renderProfileSync();
+      }
+    });
+
+    document.getElementById('copy-share-public-key').addEventListener('click', () => {
+      copyText(document.getElementById('share-public-key').value);
+      showNotification('Public key copied to clipboard', false);
+    });
+
+    document.getElementById('reset-share-identity').addEventListener('click', () => {
+      showDeleteConfirmation(async () => {
+        await shareIdentity.resetIdentity();
+        showNotification('New key created, send it to your teammates again', false);
+      }, 'Create a new key? Links already encrypted for your current key can no longer be opened.');
+    });
+
+    document.getElementById('add-share-contact').addEventListener('click', () => {
+      addShareContact();
+    });
+
+    document
+      .getElementById('share-contacts-table-body')
+      .addEventListener('click', async (event) => {
+        const button = event.target.closest('.btn-action.delete');
+        if (button) {
+          await shareIdentity.removeContact(button.getAttribute('data-contact-id'));
+          showNotification('Teammate removed', false);
+        }
+      });
+
+    ['identityChanged', 'contactsChanged'].forEach(eventName => {
+      shareIdentity.on(eventName, () => {
+        if (document.getElementById('share-keys').classList.contains('active')) {
+          renderShareKeys();
+        }
+      });
+    });
+
+    document.getElementById('create-backup').addEventListener('click', async () => {
+      await createBackup();
+    });
+
+    document.getElementById('restore-backup').addEventListener('click', () => {
+      document.getElementById('backup-file-input').click();
+    });
+
+    document.getElementById('backup-file-input').addEventListener('change', async (event) => {
+      const file = event.target.files[0];
+      event.target.value = '';
+      if (!file) {
+        return;
+      }
+      const text = await file.text();
+      if (document.getElementById('restore-mode').value === 'replace') {
+        showDeleteConfirmation(() => {
+          restoreBackup(text, true);
+        }, 'Replace all your data with this backup? Everything that isn\'t in the backup is removed.');
+      } else {
+        await restoreBackup(text, false);
+      }
+    });
+
     // Add event listeners for new permission management buttons
     document.getElementById('allow-all-permissions').addEventListener('click', async () => {
       try {
@@ -407,34 +877,6 @@ document.addEventListener('DOMContentLoaded', () => {
     document.addEventListener('export-all-json', exportCookiesAsJson);
     document.addEventListener('export-all-netscape', exportCookiesAsNetscape);
     document.addEventListener('reset-confirmations', resetConfirmationDialogs);
-    
-    // Import file handling
-    document.addEventListener('import-file-selected', (e) => {
-      importCookiesFromJson(e.detail.event);
-    });
-    
-    // Import strategy selection
-    document.addEventListener('import-strategy-selected', (e) => {
-      const strategy = e.detail.strategy;
-      const event = window.importFileEvent;
-      
-      if (event && event.target.files.length > 0) {
-        const file = event.target.files[0];
-        const reader = new FileReader();
-        
-        reader.onload = async (e) => {
-          try {
-            const cookieData = JSON.parse(e.target.result);
-            await importCookiesWithStrategy(cookieData, strategy);
-          } catch (error) {
-            console.error('Failed to parse import file:', error);
-            showNotification('Failed to parse import file: ' + error.message, true);
-          }
-        };
-        
-        reader.readAsText(file);
-      }
-    });
   }
 
   /**
@@ -493,6 +935,21 @@ document.addEventListener('DOMContentLoaded', () => {
       showNotification('Deleting all cookies...', false, 0); 
           const cookies = await getAllCookies();
           let count = 0;
+
+      // Protected cookies are left in place, pinned ones would be set again
+      await Promise.all([cookieProtection.load(), cookiePins.load()]);
+      let protectedCount = 0;
+      let pinnedCount = 0;
+      Object.keys(cookies).forEach(cookieId => {
+        const cookie = cookies[cookieId].cookie;
+        if (cookie && cookieProtection.isProtected(cookie)) {
+          delete cookies[cookieId];
+          protectedCount++;
+        } else if (cookie && cookiePins.isPinned(cookie)) {
+          delete cookies[cookieId];
+          pinnedCount++;
+        }
+      });
           
       // Process cookies in batches to avoid overwhelming the browser
       const batchSize = 20;
@@ -515,6 +972,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const path = cookie.cookie.path || '/';
                 const name = cookie.cookie.name;
                 const storeId = cookie.cookie.storeId;
+                const partitionKey = cookie.cookie.partitionKey;
                 
                 // Construct URL for removal
                 let url;
@@ -526,7 +984,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 // Delete the cookie
                 await new Promise((resolve) => {
-                  cookieHandler.removeCookie(name, url, storeId, resolve);
+                  cookieHandler.removeCookie(name, url, storeId, resolve, false, partitionKey);
                 });
                 
                 count++;
@@ -546,7 +1004,10 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       }
       
-      showNotification(`Deleted ${count} cookies.`, false);
+      showNotification(
+        `Deleted ${count} cookies${protectedCount ? `, kept ${protectedCount} protected` : ''}${pinnedCount ? `, kept ${pinnedCount} pinned` : ''}.`,
+        false,
+      );
     } catch (err) {
       if (err.message !== 'User cancelled') {
           console.error("Error during delete all process:", err);
@@ -621,6 +1082,92 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Export all cookies as a Playwright storageState.
+   */
+  async function exportCookiesAsPlaywright() {
+    try {
+      const cookies = await getAllCookies();
+      const count = Object.keys(cookies).length;
+      const storageState = PlaywrightFormat.format(cookies);
+
+      copyText(storageState);
+      downloadText(storageState, 'storage-state.json', 'application/json');
+
+      showNotification(`${count} cookies exported and copied to clipboard!`, false);
+    } catch (error) {
+      console.error('Error exporting cookies as Playwright storageState:', error);
+      showNotification('Error exporting cookies. Please try again.', true);
+    }
+  }
+
+  /**
+   * Export all cookies as a Puppeteer setCookie list.
+   */
+  async function exportCookiesAsPuppeteer() {
+    try {
+      const cookies = await getAllCookies();
+      const count = Object.keys(cookies).length;
+      const puppeteerCookies = PlaywrightFormat.formatPuppeteer(cookies);
+
+      copyText(puppeteerCookies);
+      downloadText(puppeteerCookies, 'puppeteer-cookies.json', 'application/json');
+
+      showNotification(`${count} cookies exported and copied to clipboard!`, false);
+    } catch (error) {
+      console.error('Error exporting cookies for Puppeteer:', error);
+      showNotification('Error exporting cookies. Please try again.', true);
+    }
+  }
+
+  /**
+   * Get every cookie in the browser.
+   * @returns {Promise<Object>} Cookies mapped by their ID
+   */
+  function getAllCookies() {
+    return new Promise((resolve) => {
+      cookieHandler.getAllBrowserCookies((cookies) => {
+        const loadedCookies = {};
+        for (const cookie of cookies) {
+          const id = Cookie.hashCode(cookie);
+          loadedCookies[id] = new Cookie(id, cookie, optionHandler);
+        }
+        resolve(loadedCookies);
+      });
+    });
+  }
+
+  /**
+   * Copy text to the clipboard.
+   * @param {string} text - Text to copy
+   */
+  function copyText(text) {
+    navigator.clipboard.writeText(text).catch((error) => {
+      console.error('Error copying to clipboard:', error);
+    });
+  }
+
+  /**
+   * Trigger the download of a text file.
+   * @param {string} text - Content of the file
+   * @param {string} filename - Name of the downloaded file
+   * @param {string} type - MIME type of the file
+   */
+  function downloadText(text, filename, type) {
+    const blob = new Blob([text], { type: type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+
   /**
    * Handle animations based on user preferences
    */
@@ -751,46 +1298,71 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // Preview of the file being imported, created on the first import
+  let importPreview = null;
+
   /**
-   * Import cookies from a JSON file.
+   * Import cookies from a file in any supported format, after previewing them.
    */
   async function importCookiesFromJson(event) {
-    // Save the event for later use when strategy is selected
-    window.importFileEvent = event;
-    
     const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
     
     try {
-      const reader = new FileReader();
+      const text = await file.text();
+      // Allow the same file to be picked again after a cancel
+      event.target.value = '';
       
-      reader.onload = async (e) => {
-        try {
-          const cookieData = JSON.parse(e.target.result);
-          
-          // Display the import dialog with cookie count
-          const cookieCount = Array.isArray(cookieData) ? cookieData.length : 
-                              (cookieData.cookies ? cookieData.cookies.length : 0);
-                              
-          // Trigger custom event to show the dialog
-          document.dispatchEvent(new CustomEvent('show-import-dialog', { 
-            detail: { cookieCount } 
-          }));
-        } catch (error) {
-          console.error('Failed to parse import file:', error);
-          showNotification('Failed to parse import file: ' + error.message, true);
-        }
-      };
+      if (!importPreview) {
+        // Without a tab, every cookie needs its own domain
+        importPreview = new ImportPreview(document.getElementById('import-preview'), {
+          requireDomain: true,
+        });
+      }
+      // Force a new parse, the same file may have changed since
+      importPreview.text = null;
+      const result = importPreview.update(text);
+      if (!result) {
+        const reason = importPreview.error ? importPreview.error.message : 'the file is empty';
+        showNotification('Failed to parse import file: ' + reason, true);
+        return;
+      }
       
-      reader.readAsText(file);
+      document.getElementById('import-cookie-count').textContent = result.rows.length;
+      document.getElementById('import-strategy-dialog').style.display = 'flex';
     } catch (error) {
       console.error('Failed to read import file:', error);
       showNotification('Failed to read import file: ' + error.message, true);
     }
   }
   
+  /**
+   * Hides the import strategy dialog.
+   */
+  function hideImportDialog() {
+    document.getElementById('import-strategy-dialog').style.display = 'none';
+  }
+  
+  /**
+   * Imports the cookies checked in the import preview.
+   * @param {string} strategy - The strategy to use for importing cookies.
+   * @returns {Promise<void>}
+   */
+  async function importSelectedCookies(strategy) {
+    const cookies = importPreview ? importPreview.getSelectedCookies() : [];
+    if (!cookies.length) {
+      showNotification('No cookies selected for import.', true);
+      return;
+    }
+    hideImportDialog();
+    await importCookiesWithStrategy(cookies, strategy);
+  }
+  
   /**
    * Imports cookies from the provided cookie data based on the selected strategy.
-   * @param {Object|Array} cookieData - The cookie data to import, can be an array or an object.
+   * @param {Array} cookieData - The cookies to import.
    * @param {string} strategy - The strategy to use for importing cookies ('merge' or 'replace').
    * @returns {Promise<void>}
    */
@@ -802,8 +1374,7 @@ document.addEventListener('DOMContentLoaded', () => {
     showNotification('Processing cookies...', false, 0);
     
     try {
-      // Convert the data into a standardized format - array of cookie objects
-      const cookiesArray = normalizeCookieData(cookieData);
+      const cookiesArray = cookieData;
       const totalCookies = cookiesArray.length;
       
       // Get existing cookies if using merge strategy
@@ -851,12 +1422,26 @@ document.addEventListener('DOMContentLoaded', () => {
             secure: !!cookieInfo.secure,
             httpOnly: !!cookieInfo.httpOnly,
             sameSite: cookieInfo.sameSite || 'unspecified',
-            expirationDate: cookieInfo.expirationDate,
-            storeId: cookieInfo.storeId
+            expirationDate: cookieInfo.expirationDate
           };
           
           // Handle special cases
           
+          // Browsers without CHIPS reject the whole cookie if it has a partition key
+          if (browserDetector.supportsPartitionedCookies()) {
+            if (cookieInfo.partitionKey) {
+              newCookie.partitionKey = cookieInfo.partitionKey;
+            } else if (cookieInfo.partitioned) {
+              // Set-Cookie lines don't say which site they were partitioned by
+              newCookie.partitionKey = { topLevelSite: 'https://' + domain };
+            }
+          }
+          // The browser rejects these cookies when they are not secure
+          if (newCookie.sameSite === 'no_restriction' || newCookie.partitionKey) {
+            newCookie.secure = true;
+            newCookie.url = 'https://' + domain + path;
+          }
+          
           // For session cookies, don't include expirationDate
           if (!cookieInfo.expirationDate) {
             delete newCookie.expirationDate;
@@ -875,7 +1460,7 @@ document.addEventListener('DOMContentLoaded', () => {
           });
           
           // Set the cookie using the browser's API
-          await setCookieAsync(newCookie, url);
+          await setCookieAsync(newCookie);
           importedCount.value++;
         } catch (cookieError) {
           console.error('Error importing cookie:', cookieError, cookieInfo);
@@ -898,6 +1483,28 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
+  /**
+   * Set a cookie through the browser API.
+   * @param {Object} cookie - Cookie details for cookies.set, including its URL.
+   * @returns {Promise<Object>} The cookie that was set.
+   */
+  function setCookieAsync(cookie) {
+    const api = browserDetector.getApi();
+    if (browserDetector.supportsPromises()) {
+      return api.cookies.set(cookie);
+    }
+    return new Promise((resolve, reject) => {
+      api.cookies.set(cookie, (setCookie) => {
+        const error = api.runtime.lastError;
+        if (error) {
+          reject(new Error(error.message));
+          return;
+        }
+        resolve(setCookie);
+      });
+    });
+  }
+
   /**
    * Creates a unique key for a cookie based on its domain, path, and name.
    * @param {Object} cookie - The cookie object.
@@ -1305,10 +1912,1003 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
+  /**
+   * Renders the persistent history journal, filtered by the search field.
+   */
+  async function renderHistoryJournal() {
+    const tableBody = document.getElementById('history-journal-table-body');
+    const emptyMessage = document.getElementById('history-journal-empty-message');
+    const query = document.getElementById('history-journal-search').value;
+
+    const entries = await historyHandler.searchJournal(query);
+
+    tableBody.innerHTML = '';
+    emptyMessage.querySelector('p').textContent = query.trim()
+      ? 'No operations found matching your search'
+      : 'No operations recorded yet';
+    emptyMessage.classList.toggle('hidden', entries.length > 0);
+
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      const names = HistoryJournal.getCookieNames(entry);
+      const cells = [
+        new Date(entry.timestamp).toLocaleString(),
+        HistoryJournal.getOperationLabel(entry.type),
+        entry.domain,
+        names.length > 3 ? `${names.slice(0, 3).join(', ')} +${names.length - 3}` : names.join(', '),
+      ];
+
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      row.children[3].title = names.join(', ');
+
+      const actionsCell = document.createElement('td');
+      const actions = document.createElement('div');
+      actions.className = 'cookie-actions';
+      const undoButton = document.createElement('button');
+      undoButton.className = 'btn-action undo';
+      undoButton.setAttribute('data-entry-id', entry.id);
+      undoButton.title = entry.undone ? 'Already undone' : 'Undo this operation';
+      undoButton.disabled = entry.undone;
+      undoButton.innerHTML = '<svg class="icon"><use href="../sprites/solid.svg#undo"></use></svg>';
+      actions.appendChild(undoButton);
+      actionsCell.appendChild(actions);
+      row.appendChild(actionsCell);
+
+      tableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Undoes a journal entry from the history section.
+   * @param {string} entryId ID of the journal entry
+   * @param {HTMLButtonElement} button The undo button that was clicked
+   */
+  async function undoHistoryJournalEntry(entryId, button) {
+    button.disabled = true;
+    const entry = await historyHandler.undoJournalEntry(entryId);
+    if (entry) {
+      showNotification(`${HistoryJournal.getOperationLabel(entry.type)} on ${entry.domain} undone`, false);
+    } else {
+      button.disabled = false;
+      showNotification('Failed to undo operation', true);
+    }
+    renderHistoryJournal();
+  }
+
+  /**
+   * Fills the schedule and retention form of the Snapshots section.
+   */
+  async function renderSnapshotSettings() {
+    const settings = await cookieSnapshots.getSettings();
+    document.getElementById('snapshot-interval').value = String(settings.intervalMinutes);
+    document.getElementById('snapshot-schedule-domains').value = settings.domains.join(', ');
+    document.getElementById('snapshot-max-count').value = String(settings.maxSnapshots);
+    document.getElementById('snapshot-max-age').value = String(settings.maxAgeDays);
+  }
+
+  /**
+   * Saves the schedule and retention form of the Snapshots section.
+   */
+  async function saveSnapshotSettings() {
+    try {
+      const settings = await cookieSnapshots.setSettings({
+        intervalMinutes: Number(document.getElementById('snapshot-interval').value),
+        domains: document.getElementById('snapshot-schedule-domains').value,
+        maxSnapshots: Number(document.getElementById('snapshot-max-count').value),
+        maxAgeDays: Number(document.getElementById('snapshot-max-age').value),
+      });
+      renderSnapshotSettings();
+      showNotification('Snapshot settings saved', false);
+
+      if (settings.intervalMinutes && !(await permissionHandler.checkPermissions('<all_urls>'))) {
+        showNotification('Allow access to all sites in the Permissions section for snapshots to include every site', true, 6000);
+      }
+    } catch (error) {
+      showNotification(error.message, true);
+    }
+  }
+
+  /**
+   * Renders the timeline of the Snapshots section, keeping the snapshots
+   * picked before and after when they still exist. The live cookies can only
+   * be picked as after.
+   */
+  async function renderSnapshots() {
+    const tableBody = document.getElementById('snapshots-table-body');
+    const snapshots = await cookieSnapshots.getSnapshots();
+    const selected = getSelectedSnapshots();
+
+    tableBody.innerHTML = '';
+    document.getElementById('snapshots-empty-message').classList.toggle('hidden', snapshots.length > 0);
+    if (!snapshots.length) {
+      return;
+    }
+
+    const ids = snapshots.map(snapshot => snapshot.id);
+    const before = ids.includes(selected.before) ? selected.before : ids[0];
+    const after = selected.after === 'live' || !ids.includes(selected.after) ? 'live' : selected.after;
+
+    const addRow = (id, texts, snapshot) => {
+      const row = document.createElement('tr');
+      [['snapshot-before', before], ['snapshot-after', after]].forEach(([name, checkedId]) => {
+        const cell = document.createElement('td');
+        if (name === 'snapshot-after' || snapshot) {
+          const radio = document.createElement('input');
+          radio.type = 'radio';
+          radio.name = name;
+          radio.value = id;
+          radio.checked = id === checkedId;
+          cell.appendChild(radio);
+        }
+        row.appendChild(cell);
+      });
+      texts.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actionsCell = document.createElement('td');
+      if (snapshot) {
+        const actions = document.createElement('div');
+        actions.className = 'cookie-actions';
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn-action delete';
+        deleteButton.setAttribute('data-snapshot-id', id);
+        deleteButton.title = 'Delete this snapshot';
+        deleteButton.innerHTML = '<svg class="icon"><use href="../sprites/solid.svg#trash"></use></svg>';
+        actions.appendChild(deleteButton);
+        actionsCell.appendChild(actions);
+      }
+      row.appendChild(actionsCell);
+      tableBody.appendChild(row);
+    };
+
+    addRow('live', ['Now', 'Live cookies', '', ''], null);
+    snapshots.forEach(snapshot => {
+      const trigger = CookieSnapshots.TRIGGERS[snapshot.trigger] || snapshot.trigger;
+      addRow(snapshot.id, [
+        new Date(snapshot.timestamp).toLocaleString(),
+        snapshot.label ? `${snapshot.label} (${trigger})` : trigger,
+        snapshot.domains.join(', ') || 'All',
+        String(snapshot.count),
+      ], snapshot);
+    });
+  }
+
+  /**
+   * @return {{before: string|undefined, after: string|undefined}} IDs of the
+   *     snapshots picked in the timeline, `live` for the live cookies
+   */
+  function getSelectedSnapshots() {
+    const section = document.getElementById('cookie-snapshots');
+    return {
+      before: section.querySelector('input[name="snapshot-before"]:checked')?.value,
+      after: section.querySelector('input[name="snapshot-after"]:checked')?.value,
+    };
+  }
+
+  /**
+   * Takes a snapshot from the form of the Snapshots section.
+   */
+  async function takeSnapshot() {
+    const domainsInput = document.getElementById('snapshot-domains');
+    const labelInput = document.getElementById('snapshot-label');
+    const domains = ProfileManager.normalizeDomainScope(domainsInput.value);
+    if (domainsInput.value.trim() && !domains.length) {
+      showNotification('Enter domains like example.com or *.example.com', true);
+      return;
+    }
+
+    const button = document.getElementById('take-snapshot');
+    button.disabled = true;
+    try {
+      const snapshot = await cookieSnapshots.takeSnapshot({ domains: domains, label: labelInput.value });
+      labelInput.value = '';
+      showNotification(`Snapshot of ${snapshot.count} cookies taken`, false);
+
+      // Cookies of sites the extension can't access are left out
+      if (!(await permissionHandler.checkPermissions('<all_urls>'))) {
+        showNotification('Some cookies could not be read, allow access in the Permissions section', true, 6000);
+      }
+    } catch (error) {
+      console.error('Error taking cookie snapshot:', error);
+      showNotification('Could not take the snapshot', true);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Reads the domain typed under the timeline.
+   * @return {string|null} The domain, empty for every site, or null if it
+   *     isn't valid
+   */
+  function getSnapshotTargetDomain() {
+    const value = document.getElementById('snapshot-target-domain').value.trim();
+    const scope = ProfileManager.normalizeDomainScope(value);
+    if (value && scope.length !== 1) {
+      showNotification('Enter a single domain, like example.com', true);
+      return null;
+    }
+    return scope.length ? scope[0].replace(/^\*?\./, '') : '';
+  }
+
+  /**
+   * Shows the cookies added, removed and changed between the snapshots picked
+   * in the timeline, for the domain typed under it or for every site.
+   */
+  async function compareSnapshots() {
+    const selected = getSelectedSnapshots();
+    const domain = getSnapshotTargetDomain();
+    if (domain === null) {
+      return;
+    }
+    if (!selected.before || !selected.after) {
+      showNotification('Pick a snapshot before and a snapshot after', true);
+      return;
+    }
+    if (selected.before === selected.after) {
+      showNotification('Pick two different snapshots', true);
+      return;
+    }
+
+    const [before, after] = await Promise.all([
+      cookieSnapshots.getSnapshot(selected.before),
+      selected.after === 'live' ? null : cookieSnapshots.getSnapshot(selected.after),
+    ]);
+    if (!before || (selected.after !== 'live' && !after)) {
+      showNotification('This snapshot does not exist anymore', true);
+      return;
+    }
+    // The live cookies are read from the store of the snapshot
+    let afterCookies = after ? after.cookies : await cookieSnapshots.getLiveCookies(before.storeId);
+    let beforeCookies = before.cookies;
+    // Only compare the domains both sides have
+    if (before.domains.length) {
+      afterCookies = afterCookies.filter(cookie => ProfileManager.cookieInScope(cookie, before.domains));
+    }
+    if (after && after.domains.length) {
+      beforeCookies = beforeCookies.filter(cookie => ProfileManager.cookieInScope(cookie, after.domains));
+    }
+    if (domain) {
+      const inScope = cookie => ProfileManager.cookieInScope(cookie, [`*.${domain}`]);
+      beforeCookies = beforeCookies.filter(inScope);
+      afterCookies = afterCookies.filter(inScope);
+    }
+
+    const diff = profileManager.diffCookies(beforeCookies, afterCookies);
+    const container = document.getElementById('snapshot-diff');
+    container.innerHTML = '';
+    container.classList.remove('hidden');
+
+    const summary = document.createElement('div');
+    summary.className = 'snapshot-diff-summary';
+    summary.textContent = `${domain || 'All sites'}: ${diff.added.length} added, ` +
+      `${diff.removed.length} removed, ${diff.changed.length} changed`;
+    container.appendChild(summary);
+
+    const addLine = (className, text) => {
+      const line = document.createElement('div');
+      line.className = 'snapshot-diff-line ' + className;
+      line.textContent = text;
+      container.appendChild(line);
+    };
+    const shorten = value => value.length > 40 ? value.substring(0, 40) + '…' : value;
+    diff.added.forEach(cookie => addLine('added', `+ ${cookie.name} (${cookie.domain})`));
+    diff.removed.forEach(cookie => addLine('removed', `- ${cookie.name} (${cookie.domain})`));
+    diff.changed.forEach(change => {
+      const fields = change.fields.map(field => field !== 'value' ? field :
+        `value "${shorten(change.from.value)}" → "${shorten(change.to.value)}"`);
+      addLine('changed', `~ ${change.to.name} (${change.to.domain}): ${fields.join(', ')}`);
+    });
+  }
+
+  /**
+   * Puts the cookies of the domain typed under the timeline back as they were
+   * in the snapshot picked before, after a confirmation.
+   */
+  async function restoreSnapshotDomain() {
+    const { before } = getSelectedSnapshots();
+    const domain = getSnapshotTargetDomain();
+    if (domain === null) {
+      return;
+    }
+    if (!domain) {
+      showNotification('Enter the domain to restore, like example.com', true);
+      return;
+    }
+    if (!before) {
+      showNotification('Pick the snapshot to restore as before', true);
+      return;
+    }
+
+    showDeleteConfirmation(async () => {
+      const button = document.getElementById('restore-snapshot');
+      button.disabled = true;
+      try {
+        const result = await cookieSnapshots.restoreDomain(before, domain);
+        let message = `${domain} restored: ${result.restored} cookies set, ${result.removed} deleted`;
+        if (result.protected) {
+          message += `, ${result.protected} protected cookies left alone`;
+        }
+        if (result.pinned) {
+          message += `, ${result.pinned} pinned cookies left alone`;
+        }
+        if (result.failed) {
+          message += `, ${result.failed} could not be set`;
+        }
+        showNotification(message, result.failed > 0, 6000);
+      } catch (error) {
+        console.error('Error restoring cookie snapshot:', error);
+        showNotification(error.message, true);
+      } finally {
+        button.disabled = false;
+      }
+    }, `Restore the cookies of ${domain} and its subdomains to this snapshot? Cookies created since will be deleted.`);
+  }
+
+  // Last report of the Security Audit section, until the page is closed
+  let auditReport = null;
+
+  /**
+   * Audits the cookies of the domain typed in the Security Audit section, or
+   * of every site.
+   */
+  async function runAudit() {
+    const input = document.getElementById('audit-domain');
+    const value = input.value.trim();
+    const scope = ProfileManager.normalizeDomainScope(value);
+    if (value && scope.length !== 1) {
+      showNotification('Enter a single domain, like example.com', true);
+      return;
+    }
+    const domain = scope.length ? scope[0].replace(/^\*?\./, '') : '';
+
+    const button = document.getElementById('run-audit');
+    button.disabled = true;
+    try {
+      const cookies = (await getBrowserCookies()).filter(cookie =>
+        !domain || ProfileManager.cookieInScope(cookie, [`*.${domain}`]),
+      );
+      auditReport = CookieAudit.audit(cookies, domain);
+      renderAudit();
+
+      // Cookies of sites the extension can't access are left out
+      if (!(await permissionHandler.checkPermissions(domain ? `https://${domain}/` : '<all_urls>'))) {
+        showNotification('Some cookies could not be read, allow access in the Permissions section', true, 6000);
+      }
+    } catch (error) {
+      console.error('Error running the security audit:', error);
+      showNotification('Could not run the audit', true);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Renders the findings of the last audit.
+   */
+  function renderAudit() {
+    const tableBody = document.getElementById('audit-table-body');
+    const emptyMessage = document.getElementById('audit-empty-message');
+    const summary = document.getElementById('audit-summary');
+    const flagged = auditReport.results.filter(result => result.findings.length);
+
+    summary.textContent =
+      `Score ${auditReport.score}/100 for ${auditReport.total} cookies of ` +
+      `${auditReport.scope || 'every site'}: ` +
+      Object.entries(CookieAudit.SEVERITIES)
+        .map(([severity, { label }]) => `${auditReport.counts[severity]} ${label.toLowerCase()}`)
+        .join(', ') +
+      ' severity findings.';
+    summary.classList.remove('hidden');
+    document.getElementById('export-audit-json').disabled = false;
+    document.getElementById('export-audit-markdown').disabled = false;
+
+    tableBody.innerHTML = '';
+    emptyMessage.querySelector('p').textContent = auditReport.total ? 'No findings' : 'No cookies to audit';
+    emptyMessage.classList.toggle('hidden', flagged.length > 0);
+
+    flagged.forEach(({ cookie, score, findings }) => {
+      const row = document.createElement('tr');
+      [cookie.name, cookie.domain, String(score)].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const findingsCell = document.createElement('td');
+      const list = document.createElement('ul');
+      list.className = 'audit-findings';
+      findings.forEach(finding => {
+        const item = document.createElement('li');
+        item.className = `audit-finding ${finding.severity}`;
+        item.textContent = `${CookieAudit.SEVERITIES[finding.severity].label}: ${finding.message}`;
+        list.appendChild(item);
+      });
+      findingsCell.appendChild(list);
+      row.appendChild(findingsCell);
+
+      tableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * @return {string} Name of the exported audit files, without extension
+   */
+  function getAuditFilename() {
+    return `cookie-audit-${auditReport.scope || 'all'}-${auditReport.generatedAt.substring(0, 10)}`;
+  }
+
+  /**
+   * Renders the cookie cleanup rules.
+   */
+  async function renderCleanupRules() {
+    const tableBody = document.getElementById('cleanup-rules-table-body');
+    const rules = await cookieCleanup.getRules();
+
+    tableBody.innerHTML = '';
+    document.getElementById('cleanup-rules-empty-message').classList.toggle('hidden', rules.length > 0);
+
+    rules.forEach(rule => {
+      const row = document.createElement('tr');
+
+      const runs = rule.trigger === 'schedule' ?
+        `Every ${rule.intervalMinutes} minutes` :
+        CookieCleanup.TRIGGERS[rule.trigger];
+      [rule.name, runs, CookieCleanup.describeRule(rule)].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const enabledCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = rule.enabled;
+      checkbox.setAttribute('data-rule-id', rule.id);
+      enabledCell.appendChild(checkbox);
+      row.appendChild(enabledCell);
+
+      const actionsCell = document.createElement('td');
+      const actions = document.createElement('div');
+      actions.className = 'cookie-actions';
+      const runButton = document.createElement('button');
+      runButton.className = 'btn-action run';
+      runButton.setAttribute('data-rule-id', rule.id);
+      runButton.title = 'Run this rule now, including on open sites';
+      runButton.innerHTML = '<svg class="icon"><use href="../sprites/solid.svg#play"></use></svg>';
+      actions.appendChild(runButton);
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'btn-action delete';
+      deleteButton.setAttribute('data-rule-id', rule.id);
+      deleteButton.title = 'Remove this rule';
+      deleteButton.innerHTML = '<svg class="icon"><use href="../sprites/solid.svg#trash"></use></svg>';
+      actions.appendChild(deleteButton);
+      actionsCell.appendChild(actions);
+      row.appendChild(actionsCell);
+
+      tableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Renders the log of the cookie cleanup rules.
+   */
+  async function renderCleanupLog() {
+    const tableBody = document.getElementById('cleanup-log-table-body');
+    const log = await cookieCleanup.getLog();
+
+    tableBody.innerHTML = '';
+    document.getElementById('cleanup-log-empty-message').classList.toggle('hidden', log.length > 0);
+
+    log.forEach(entry => {
+      const row = document.createElement('tr');
+      let trigger = CookieCleanup.TRIGGERS[entry.trigger] || entry.trigger;
+      if (entry.site) {
+        trigger += ` (${entry.site})`;
+      }
+      [
+        new Date(entry.timestamp).toLocaleString(),
+        entry.ruleName,
+        trigger,
+        String(entry.deleted),
+        entry.error || entry.cookies.join(', '),
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      if (entry.error) {
+        row.lastChild.classList.add('danger');
+      } else if (entry.deleted > entry.cookies.length) {
+        row.lastChild.textContent += ` and ${entry.deleted - entry.cookies.length} more`;
+      }
+      if (entry.protected) {
+        row.children[3].textContent += ` (${entry.protected} protected)`;
+      }
+      if (entry.pinned) {
+        row.children[3].textContent += ` (${entry.pinned} pinned)`;
+      }
+      tableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Adds a cookie cleanup rule from the form of the Cleanup Rules section.
+   */
+  async function addCleanupRule() {
+    const fields = {
+      name: document.getElementById('cleanup-rule-name'),
+      domains: document.getElementById('cleanup-rule-domains'),
+      namePattern: document.getElementById('cleanup-rule-pattern'),
+      keepNames: document.getElementById('cleanup-rule-keep'),
+      olderThanDays: document.getElementById('cleanup-rule-age'),
+    };
+    const thirdPartyInput = document.getElementById('cleanup-rule-third-party');
+
+    try {
+      const rule = await cookieCleanup.addRule({
+        name: fields.name.value,
+        trigger: document.getElementById('cleanup-rule-trigger').value,
+        intervalMinutes: Number(document.getElementById('cleanup-rule-interval').value),
+        domains: fields.domains.value,
+        namePattern: fields.namePattern.value,
+        keepNames: fields.keepNames.value,
+        thirdPartyOnly: thirdPartyInput.checked,
+        olderThanDays: Number(fields.olderThanDays.value),
+      });
+      Object.values(fields).forEach(input => {
+        input.value = '';
+      });
+      fields.olderThanDays.value = '0';
+      thirdPartyInput.checked = false;
+      showNotification(`Rule "${rule.name}" added`, false);
+
+      // Cookies can only be deleted on sites the extension has access to
+      if (!(await permissionHandler.checkPermissions('<all_urls>'))) {
+        showNotification('Allow access to all sites in the Permissions section for this rule to clean up every site', true, 6000);
+      }
+    } catch (error) {
+      showNotification(error.message, true);
+    }
+  }
+
+  /**
+   * Renders the list of protected cookies.
+   */
+  async function renderProtectedCookies() {
+    const tableBody = document.getElementById('protected-cookies-table-body');
+    const entries = await cookieProtection.getEntries();
+
+    tableBody.innerHTML = '';
+    document.getElementById('protected-cookies-empty-message').classList.toggle('hidden', entries.length > 0);
+
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+
+      [entry.domain, entry.name, entry.path || 'Any'].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const restoreCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = entry.restore;
+      checkbox.title = 'Put the value back when a site changes or deletes the cookie';
+      checkbox.setAttribute('data-entry-id', entry.id);
+      restoreCell.appendChild(checkbox);
+      row.appendChild(restoreCell);
+
+      const actionsCell = document.createElement('td');
+      const actions = document.createElement('div');
+      actions.className = 'cookie-actions';
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'btn-action delete';
+      deleteButton.setAttribute('data-entry-id', entry.id);
+      deleteButton.title = 'Stop protecting these cookies';
+      deleteButton.innerHTML = '<svg class="icon"><use href="../sprites/solid.svg#trash"></use></svg>';
+      actions.appendChild(deleteButton);
+      actionsCell.appendChild(actions);
+      row.appendChild(actionsCell);
+
+      tableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Protects the cookies described in the form of the Protected Cookies
+   * section.
+   */
+  async function addProtectedCookie() {
+    const fields = {
+      domain: document.getElementById('protected-cookie-domain'),
+      name: document.getElementById('protected-cookie-name'),
+      path: document.getElementById('protected-cookie-path'),
+    };
+    const restoreInput = document.getElementById('protected-cookie-restore');
+
+    try {
+      const cookies = restoreInput.checked ? await getBrowserCookies() : [];
+      await cookieProtection.addEntry({
+        domain: fields.domain.value,
+        name: fields.name.value,
+        path: fields.path.value,
+        restore: restoreInput.checked,
+      }, cookies);
+      Object.values(fields).forEach(input => {
+        input.value = '';
+      });
+      restoreInput.checked = false;
+      showNotification('Cookies protected', false);
+    } catch (error) {
+      showNotification(error.message, true);
+    }
+  }
+
+  /**
+   * Gets every cookie of the browser, in every store.
+   * @return {Promise<Array<Object>>} The cookies
+   */
+  function getBrowserCookies() {
+    return new Promise(resolve => {
+      cookieHandler.getAllBrowserCookies(cookies => resolve(cookies || []));
+    });
+  }
+
+  /**
+   * Renders the profile auto-switch rules and the profiles they can load.
+   */
+  async function renderProfileRules() {
+    const profileSelect = document.getElementById('profile-rule-profile');
+    const tableBody = document.getElementById('profile-rules-table-body');
+    const emptyMessage = document.getElementById('profile-rules-empty-message');
+
+    // The profiles of a locked vault can't be listed, rules are kept as is
+    const locked = await profileManager.isVaultLocked();
+    const [profiles, rules] = await Promise.all([
+      locked ? {} : profileManager.getAllProfiles(),
+      profileAutoSwitch.getRules(),
+    ]);
+
+    const selectedValue = profileSelect.value;
+    profileSelect.innerHTML = '';
+    Object.keys(profiles).sort().forEach(domain => {
+      const group = document.createElement('optgroup');
+      group.label = domain;
+      Object.keys(profiles[domain]).sort().forEach(profileName => {
+        const option = document.createElement('option');
+        option.value = JSON.stringify([domain, profileName]);
+        option.textContent = profileName;
+        group.appendChild(option);
+      });
+      profileSelect.appendChild(group);
+    });
+    if (!profileSelect.options.length) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = locked ?
+        'Unlock the profile vault to pick a profile' :
+        'Save a profile from the popup first';
+      profileSelect.appendChild(option);
+    } else if (selectedValue) {
+      profileSelect.value = selectedValue;
+    }
+
+    tableBody.innerHTML = '';
+    emptyMessage.classList.toggle('hidden', rules.length > 0);
+
+    rules.forEach(rule => {
+      const row = document.createElement('tr');
+      const exists = locked || !!(profiles[rule.domain] && profiles[rule.domain][rule.profileName]);
+
+      const patternCell = document.createElement('td');
+      patternCell.textContent = rule.pattern;
+      row.appendChild(patternCell);
+
+      const profileCell = document.createElement('td');
+      profileCell.textContent = `${rule.profileName} (${rule.domain})`;
+      if (!exists) {
+        profileCell.classList.add('danger');
+        profileCell.title = 'This profile was deleted, the rule is ignored';
+      }
+      row.appendChild(profileCell);
+
+      ['oncePerSession', 'enabled'].forEach(field => {
+        const cell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !!rule[field];
+        checkbox.setAttribute('data-rule-id', rule.id);
+        checkbox.setAttribute('data-field', field);
+        cell.appendChild(checkbox);
+        row.appendChild(cell);
+      });
+
+      const actionsCell = document.createElement('td');
+      const actions = document.createElement('div');
+      actions.className = 'cookie-actions';
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'btn-action delete';
+      deleteButton.setAttribute('data-rule-id', rule.id);
+      deleteButton.title = 'Remove this rule';
+      deleteButton.innerHTML = '<svg class="icon"><use href="../sprites/solid.svg#trash"></use></svg>';
+      actions.appendChild(deleteButton);
+      actionsCell.appendChild(actions);
+      row.appendChild(actionsCell);
+
+      tableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Shows the forms of the Profile Vault section matching its state.
+   */
+  async function renderProfileVault() {
+    const enabled = await profileManager.isVaultEnabled();
+    const locked = enabled && (await profileManager.isVaultLocked());
+
+    let status = 'Disabled';
+    if (enabled) {
+      status = locked ? 'Locked' : 'Unlocked';
+    }
+    document.getElementById('vault-status').textContent = status;
+    document.getElementById('vault-lock').classList.toggle('hidden', !enabled || locked);
+    document.getElementById('vault-enable-form').classList.toggle('hidden', enabled);
+    document.getElementById('vault-unlock-form').classList.toggle('hidden', !locked);
+    document.getElementById('vault-change-form').classList.toggle('hidden', !enabled);
+    document.getElementById('vault-disable-form').classList.toggle('hidden', !enabled);
+
+    const vault = await profileManager.vault.getVault();
+    if (vault) {
+      document.getElementById('vault-auto-lock').value = String(vault.autoLockMinutes);
+    }
+  }
+
+  /**
+   * Runs an action of the Profile Vault section, then clears its password
+   * fields and shows the result.
+   * @param {function(): Promise<string>} action Returns the success message.
+   */
+  async function runVaultAction(action) {
+    try {
+      showNotification(await action(), false);
+      document
+        .querySelectorAll('#profile-vault input[type="password"]')
+        .forEach((input) => {
+          input.value = '';
+        });
+    } catch (error) {
+      showNotification(error.message, true);
+    }
+    await renderProfileVault();
+  }
+
+  /**
+   * Renders the profiles that can be synced with their sync status.
+   */
+  async function renderProfileSync() {
+    const tableBody = document.getElementById('profile-sync-table-body');
+    const emptyMessage = document.getElementById('profile-sync-empty-message');
+
+    const locked = await profileManager.isVaultLocked();
+    const [settings, statuses, profiles] = await Promise.all([
+      profileSync.getSettings(),
+      profileSync.getStatuses(),
+      locked ? {} : profileManager.getAllProfiles(),
+    ]);
+    document.getElementById('profile-sync-enabled').checked = settings.enabled;
+    const passphraseInput = document.getElementById('profile-sync-passphrase');
+    if (document.activeElement !== passphraseInput) {
+      passphraseInput.value = settings.passphrase;
+    }
+
+    // Synced profiles are listed even while the vault hides the others
+    const keys = new Set(settings.selection);
+    Object.keys(profiles).forEach(domain => {
+      Object.keys(profiles[domain]).forEach(profileName => {
+        keys.add(ProfileSync.getProfileKey(domain, profileName));
+      });
+    });
+
+    tableBody.innerHTML = '';
+    emptyMessage.classList.toggle('hidden', keys.size > 0);
+
+    [...keys].sort().forEach(key => {
+      const [domain, profileName] = ProfileSync.splitProfileKey(key);
+      const row = document.createElement('tr');
+
+      const selectCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = settings.selection.includes(key);
+      checkbox.setAttribute('data-profile-key', key);
+      checkbox.setAttribute('aria-label', `Sync ${profileName}`);
+      selectCell.appendChild(checkbox);
+      row.appendChild(selectCell);
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = profileName;
+      row.appendChild(nameCell);
+
+      const domainCell = document.createElement('td');
+      domainCell.textContent = domain;
+      row.appendChild(domainCell);
+
+      const statusCell = document.createElement('td');
+      statusCell.className = 'profile-sync-status';
+      const status = statuses[key];
+      if (!status) {
+        statusCell.textContent = 'Not synced';
+      } else if (!settings.enabled) {
+        statusCell.textContent = 'Sync disabled';
+      } else if (status.status === 'synced') {
+        statusCell.textContent = `Synced ${new Date(status.syncedAt).toLocaleString()}`;
+        statusCell.classList.add('synced');
+      } else if (status.status === 'pending') {
+        statusCell.textContent = 'Waiting to sync';
+      } else {
+        statusCell.textContent = status.message;
+        statusCell.classList.add('danger');
+      }
+      row.appendChild(statusCell);
+
+      tableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Renders the public key of this user and the teammates links can be
+   * encrypted for.
+   */
+  async function renderShareKeys() {
+    const [publicKey, contacts] = await Promise.all([
+      shareIdentity.getPublicKey(),
+      shareIdentity.getContacts(),
+    ]);
+    document.getElementById('share-public-key').value = publicKey;
+    document.getElementById('share-key-fingerprint').textContent = await getKeyFingerprint(publicKey);
+
+    const tableBody = document.getElementById('share-contacts-table-body');
+    tableBody.innerHTML = '';
+    document.getElementById('share-contacts-empty-message').classList.toggle('hidden', contacts.length > 0);
+
+    contacts.forEach(contact => {
+      const row = document.createElement('tr');
+
+      [contact.name, contact.fingerprint, new Date(contact.addedAt).toLocaleDateString()].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      row.children[1].className = 'share-key-fingerprint';
+
+      const actionsCell = document.createElement('td');
+      const actions = document.createElement('div');
+      actions.className = 'cookie-actions';
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'btn-action delete';
+      deleteButton.setAttribute('data-contact-id', contact.id);
+      deleteButton.title = 'Remove this teammate';
+      deleteButton.innerHTML = '<svg class="icon"><use href="../sprites/solid.svg#trash"></use></svg>';
+      actions.appendChild(deleteButton);
+      actionsCell.appendChild(actions);
+      row.appendChild(actionsCell);
+
+      tableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Adds a teammate from the form of the Sharing Keys section.
+   */
+  async function addShareContact() {
+    const nameInput = document.getElementById('share-contact-name');
+    const keyInput = document.getElementById('share-contact-key');
+
+    try {
+      const contact = await shareIdentity.addContact(nameInput.value, keyInput.value);
+      nameInput.value = '';
+      keyInput.value = '';
+      showNotification(`${contact.name} added, fingerprint ${contact.fingerprint}`, false);
+    } catch (error) {
+      showNotification(error.message, true);
+    }
+  }
+
+  /**
+   * Downloads a backup of all the data of the extension, encrypted with the
+   * password of the Backup section if there is one.
+   */
+  async function createBackup() {
+    const passwordInput = document.getElementById('backup-password');
+    try {
+      const backup = await extensionBackup.createBackup(passwordInput.value);
+      const date = new Date().toISOString().slice(0, 10);
+      downloadText(backup, `cookie-editor-plus-backup-${date}.json`, 'application/json');
+      if (passwordInput.value) {
+        showNotification('Encrypted backup created', false);
+      } else if (await extensionBackup.hasSecrets()) {
+        showNotification('Backup created without your private sharing key, set a password to include it', false, 6000);
+      } else {
+        showNotification('Backup created', false);
+      }
+      passwordInput.value = '';
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      showNotification('Could not create the backup: ' + error.message, true);
+    }
+  }
+
+  /**
+   * Restores a backup file, then reloads the page to show the restored data.
+   * @param {string} text - Content of the backup file
+   * @param {boolean} replace - Replace the current data instead of merging
+   */
+  async function restoreBackup(text, replace) {
+    const passwordInput = document.getElementById('restore-password');
+    try {
+      const result = await extensionBackup.restoreBackup(text, { password: passwordInput.value, replace: replace });
+      passwordInput.value = '';
+      if (result.skipped.length) {
+        showNotification('Backup restored. ' + result.skipped.join(' '), true, 8000);
+      } else {
+        showNotification('Backup restored', false);
+      }
+      setTimeout(() => window.location.reload(), result.skipped.length ? 8000 : 1500);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      showNotification(error.message, true, 6000);
+    }
+  }
+
+  /**
+   * Adds a profile auto-switch rule from the form of the Profile Rules section.
+   */
+  async function addProfileRule() {
+    const patternInput = document.getElementById('profile-rule-pattern');
+    const profileSelect = document.getElementById('profile-rule-profile');
+    const onceInput = document.getElementById('profile-rule-once');
+
+    if (!profileSelect.value) {
+      showNotification('Select a profile to load', true);
+      return;
+    }
+    const [domain, profileName] = JSON.parse(profileSelect.value);
+
+    try {
+      const rule = await profileAutoSwitch.addRule({
+        pattern: patternInput.value,
+        domain: domain,
+        profileName: profileName,
+        oncePerSession: onceInput.checked,
+      });
+      patternInput.value = '';
+      onceInput.checked = false;
+      showNotification(`Profile "${rule.profileName}" will load on ${rule.pattern}`, false);
+
+      // The background script can only switch cookies on sites it has access to
+      if (!(await permissionHandler.checkPermissions('https://' + domain + '/'))) {
+        showNotification(`Allow access to ${domain} in the Permissions section for this rule to work`, true, 6000);
+      }
+    } catch (error) {
+      showNotification(error.message, true);
+    }
+  }
+
   /**
    * Shows a confirmation dialog for delete operations
+   * @param {function} onConfirm Called when the user confirms
+   * @param {string} [messageText] Question asked instead of the default one
    */
-  function showDeleteConfirmation(onConfirm) {
+  function showDeleteConfirmation(onConfirm, messageText = 'Are you sure you want to delete? This action cannot be undone.') {
     const confirmationDialog = document.getElementById('generic-confirm-dialog');
     
     if (!confirmationDialog) {
@@ -1322,7 +2922,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Update message
     if (message) {
-      message.textContent = 'Are you sure you want to delete? This action cannot be undone.';
+      message.textContent = messageText;
     }
     
     // Show dialog
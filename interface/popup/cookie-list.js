@@ -5,17 +5,32 @@ import { GenericStorageHandler } from '../lib/genericStorageHandler.js';
 import { HeaderstringFormat } from '../lib/headerstringFormat.js';
 import { JsonFormat } from '../lib/jsonFormat.js';
 import { NetscapeFormat } from '../lib/netscapeFormat.js';
+import { PlaywrightFormat } from '../lib/playwrightFormat.js';
+import { SetCookieFormat } from '../lib/setCookieFormat.js';
+import { ImportPreview } from '../lib/importPreview.js';
 import { ExportFormats } from '../lib/options/exportFormats.js';
 import { OptionsHandler } from '../lib/optionsHandler.js';
 import { PermissionHandler } from '../lib/permissionHandler.js';
 import { ProfileManager } from '../lib/profileManager.js';
+import { ProfileSync } from '../lib/profileSync.js';
+import { CookiePins } from '../lib/cookiePins.js';
 import { ThemeHandler } from '../lib/themeHandler.js';
 import { CookieHandlerPopup } from './cookieHandlerPopup.js';
 import { ResizeHandler } from '../lib/resizeHandler.js';
 import { HistoryHandler } from '../lib/historyHandler.js';
+import { HistoryJournal } from '../lib/historyJournal.js';
+import { CookieStores } from '../lib/cookieStores.js';
+import { CurlFormat } from '../lib/curlFormat.js';
+import { WgetFormat } from '../lib/wgetFormat.js';
+import { HttpieFormat } from '../lib/httpieFormat.js';
+import { PythonRequestsFormat } from '../lib/pythonRequestsFormat.js';
+import { NodeFetchFormat } from '../lib/nodeFetchFormat.js';
+import { PowershellFormat } from '../lib/powershellFormat.js';
 
 // Cookie sharing imports
 import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/cookieSharing.js';
+import { ShareIdentity } from '../lib/sharing/shareIdentity.js';
+import { ShareLimits } from '../lib/sharing/shareLimits.js';
 
 (function () {
   ('use strict');
@@ -28,12 +43,25 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
   let disableButtons = false;
   let profileSelector;
   let domainSelector;
+  let cookieStoreSelector;
+  let changeLog = null; // Devtools cookie change log, created on demand
+  let pinExpirationTimeout = null; // Refreshes the pinned cookies when a pin expires
+  let importPreview = null; // Preview of the cookies in the import form
   let currentDomain = '';
   let allDomains = [];
   let selectedDomain = '';
   // Flag to control including parent-domain cookies (persisted)
   let includeParentCookies = false;
   let hasRequestedPermission = false; // Permission request tracking
+  // Code snippet exporters, keyed by export format
+  const snippetFormats = {
+    [ExportFormats.Curl]: { formatter: CurlFormat, label: 'cURL command' },
+    [ExportFormats.Wget]: { formatter: WgetFormat, label: 'wget command' },
+    [ExportFormats.Httpie]: { formatter: HttpieFormat, label: 'HTTPie command' },
+    [ExportFormats.PythonRequests]: { formatter: PythonRequestsFormat, label: 'Python requests' },
+    [ExportFormats.NodeFetch]: { formatter: NodeFetchFormat, label: 'Node fetch' },
+    [ExportFormats.PowerShell]: { formatter: PowershellFormat, label: 'PowerShell' },
+  };
   let showDeleteConfirmation = true; // Flag to control delete confirmation display
   let showDeleteAllConfirmation = true; // Flag to control delete all confirmation display
   let showProfileLoadConfirmation = true; // Flag to control profile load confirmation display
@@ -136,7 +164,13 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     ? new CookieHandlerDevtools(browserDetector)
     : new CookieHandlerPopup(browserDetector);
   const profileManager = new ProfileManager(storageHandler, browserDetector);
-  const historyHandler = new HistoryHandler(browserDetector, cookieHandler);
+  const profileSync = new ProfileSync(browserDetector, storageHandler, profileManager);
+  // Same list the profile loads check, so the lock icons always agree with them
+  const cookieProtection = profileManager.protection;
+  const cookiePins = new CookiePins(browserDetector, storageHandler);
+  const shareIdentity = new ShareIdentity(browserDetector, storageHandler);
+  const shareLimits = new ShareLimits(storageHandler);
+  const historyHandler = new HistoryHandler(browserDetector, cookieHandler, storageHandler);
 
   // Global flag to prevent multiple shared data import dialogs
   let sharedDataProcessingInProgress = false;
@@ -182,6 +216,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     // These might be null in side panel, check before use
     profileSelector = document.getElementById('profile-selector');
     domainSelector = document.getElementById('domain-selector');
+    cookieStoreSelector = document.getElementById('cookie-store-selector');
     
     // End measuring synchronous initialization
     
@@ -312,6 +347,12 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       }
     }, 100);
 
+    await Promise.all([cookieProtection.load(), cookiePins.load()]);
+    // Lock icons follow the list edited from the options page
+    cookieProtection.on('protectionChanged', () => {
+      Object.values(loadedCookies).forEach(cookieObj => cookieObj.updateProtected());
+    });
+    initPinnedCookies();
     await initWindow();
 
     await checkForPendingSharedCookies();
@@ -327,6 +368,18 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
           return;
         }
 
+        if (e.target.closest('.header .btns button.pin')) {
+          e.stopPropagation();
+          pinButton(e);
+          return;
+        }
+
+        if (e.target.closest('.header .btns button.protect')) {
+          e.stopPropagation();
+          protectButton(e);
+          return;
+        }
+
         // Handle click on delete button (in header or expando)
         const deleteBtn = e.target.closest('button.delete');
         if (deleteBtn) {
@@ -430,6 +483,64 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       expando.ariaHidden = !header.classList.contains('active');
     }
 
+    /**
+     * Handles clicks on the pin button of a cookie, pinning it to its current
+     * value or releasing the pin.
+     * @param {Event} e Click event.
+     */
+    async function pinButton(e) {
+      e.preventDefault();
+      const listElement = e.target.closest('li.cookie');
+      const cookieObj = listElement ? loadedCookies[listElement.dataset.cookieId] : null;
+      if (!cookieObj) {
+        sendNotification('Error finding cookie to pin', true);
+        return;
+      }
+
+      const cookie = cookieObj.cookie;
+      const pin = cookiePins.getPin(cookie);
+      if (pin) {
+        await cookiePins.unpin(pin.key);
+        sendNotification(`"${cookie.name}" is not pinned anymore`, false);
+      } else {
+        await cookiePins.pinCookie(cookie);
+        sendNotification(`"${cookie.name}" is pinned to its value until unpinned`, false);
+      }
+      cookieObj.updatePinned();
+    }
+
+    /**
+     * Handles clicks on the lock button of a cookie, protecting it from bulk
+     * deletes or removing the protection.
+     * @param {Event} e Click event.
+     */
+    async function protectButton(e) {
+      e.preventDefault();
+      const listElement = e.target.closest('li.cookie');
+      const cookieObj = listElement ? loadedCookies[listElement.dataset.cookieId] : null;
+      if (!cookieObj) {
+        sendNotification('Error finding cookie to protect', true);
+        return;
+      }
+
+      const cookie = cookieObj.cookie;
+      try {
+        if (cookieProtection.isProtected(cookie)) {
+          if (await cookieProtection.unprotectCookie(cookie)) {
+            sendNotification(`"${cookie.name}" is not protected anymore`, false);
+          } else {
+            sendNotification(`"${cookie.name}" is protected by a pattern, edit it in the options`, true);
+          }
+        } else {
+          await cookieProtection.protectCookie(cookie);
+          sendNotification(`"${cookie.name}" will be kept by bulk deletes`, false);
+        }
+      } catch (error) {
+        sendNotification(error.message, true);
+      }
+      cookieObj.updateProtected();
+    }
+
     /**
      * Handles clicks on the delete button of a cookie.
      * @param {Element} e Delete button element.
@@ -454,6 +565,22 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         return false;
       }
       
+      // Batch deletions skip protected cookies, a single one needs unlocking first
+      const cookieObj = loadedCookies[cookieId];
+      if (cookieObj && cookieProtection.isProtected(cookieObj.cookie)) {
+        if (window.bypassDeleteConfirmation !== true) {
+          sendNotification(`"${cookieName}" is protected, unlock it to delete it`, true);
+        }
+        return false;
+      }
+      // A pinned cookie would be set again right away
+      if (cookieObj && cookiePins.isPinned(cookieObj.cookie)) {
+        if (window.bypassDeleteConfirmation !== true) {
+          sendNotification(`"${cookieName}" is pinned, unpin it to delete it`, true);
+        }
+        return false;
+      }
+
       // Check for batch deletion bypass flag
       if (window.bypassDeleteConfirmation === true) {
         // Delete immediately without confirmation - used for batch deletions
@@ -776,6 +903,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       let session;
       let secure;
       let httpOnly;
+      let partitionSite;
 
       if (!isCreateForm) {
         domain = form.querySelector('input[name="domain"]').value;
@@ -790,6 +918,10 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         session = form.querySelector('input[name="session"]').checked;
         secure = form.querySelector('input[name="secure"]').checked;
         httpOnly = form.querySelector('input[name="httpOnly"]').checked;
+        const partitionInput = form.querySelector('input[name="partitionKey"]');
+        if (partitionInput) {
+          partitionSite = partitionInput.value.trim();
+        }
       } else {
         // For the create form, check if custom path is enabled
         const customPathToggle = form.querySelector('#custom-path-toggle');
@@ -828,6 +960,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         session,
         secure,
         httpOnly,
+        partitionSite,
         null, // Placeholder for onComplete callback if needed later
         liElement // Pass the LI element reference
       );
@@ -874,6 +1007,8 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
      * @param {boolean} session
      * @param {boolean} secure
      * @param {boolean} httpOnly
+     * @param {string} [partitionSite] Top-level site of a partitioned (CHIPS)
+     *     cookie. An empty string makes the cookie unpartitioned.
      * @param {function} [onComplete] Optional callback function(error, savedCookie)
      * @param {Element} [liElement] Optional reference to the cookie's LI element
      */
@@ -890,6 +1025,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       session,
       secure,
       httpOnly,
+      partitionSite,
       onComplete,
       liElement
     ) {
@@ -996,6 +1132,17 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       if (httpOnly !== undefined) {
         cookie.httpOnly = httpOnly;
       }
+      if (partitionSite !== undefined) {
+        if (partitionSite) {
+          // The API expects a scheme-qualified site such as https://example.com
+          const topLevelSite = partitionSite.includes('://')
+            ? partitionSite
+            : 'https://' + partitionSite;
+          cookie.partitionKey = { topLevelSite: topLevelSite.replace(/\/+$/, '') };
+        } else {
+          delete cookie.partitionKey;
+        }
+      }
 
       if (cookie.session) {
         cookie.expirationDate = null;
@@ -1015,9 +1162,12 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
           const oldPath = originalCookie ? originalCookie.path : null;
           const newPath = cookie.path;
           const pathChanged = oldPath && newPath && oldPath !== newPath;
+          // Moving a cookie to another partition leaves the old copy behind
+          const partitionChanged = originalCookie &&
+            Cookie.getPartitionSite(originalCookie) !== Cookie.getPartitionSite(cookie);
           
-          // Check if the name has changed or the path has changed
-          if (oldName !== name || pathChanged) {
+          // Check if the name, path or partition has changed
+          if (oldName !== name || pathChanged || partitionChanged) {
             // Either name or path has changed - we need to delete the old cookie first
             
             // Ensure we're using the original cookie's path in the URL when removing
@@ -1032,7 +1182,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
               }
             }
             
-            cookieHandler.removeCookie(oldName, urlWithPath, () => {
+            cookieHandler.removeCookie(oldName, urlWithPath, originalCookie ? originalCookie.storeId : undefined, () => {
               // After deleting old cookie, save the new one
               cookieHandler.saveCookie(cookie, urlToUse, (error, savedCookie) => {
               if (error) {
@@ -1055,7 +1205,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
                 
                 resolve(savedCookie);
               });
-        });
+            }, false, originalCookie ? originalCookie.partitionKey : null);
       } else {
             // No name or path change, just save the cookie
             cookieHandler.saveCookie(cookie, urlToUse, (error, savedCookie) => {
@@ -1083,7 +1233,20 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         });
       }
 
-      performSave()
+      // Locked and pinned cookies are held at the value saved here, not the
+      // old one, before the change reaches the background script
+      Promise.all([
+        cookieProtection.rememberValues([newCookieState]),
+        originalCookie ? cookiePins.repinCookie(originalCookie, newCookieState) : false,
+      ])
+        .then(performSave)
+        .then(async savedCookie => {
+          // The browser can store the domain differently than it was typed
+          if (savedCookie && cookiePins.isPinned(newCookieState)) {
+            await cookiePins.repinCookie(newCookieState, savedCookie);
+          }
+          return savedCookie;
+        })
         .then(savedCookie => {
           // If saving was successful and this is for an existing cookie
           if (cookieContainer) {
@@ -1126,7 +1289,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
             if (savedCookie && savedCookie.name === name) {
               const cookieId = Cookie.hashCode(savedCookie);
               if (!loadedCookies[cookieId]) {
-                loadedCookies[cookieId] = new Cookie(cookieId, savedCookie, optionHandler);
+                loadedCookies[cookieId] = new Cookie(cookieId, savedCookie, optionHandler, cookieProtection, cookiePins);
                 //console.log(`Added new cookie to loadedCookies: ${name}`);
               }
             }
@@ -1373,10 +1536,20 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       const cookiesToDeleteDetails = [];
       const originalCookiesForHistory = [];
       const currentBaseUrl = getCurrentTabUrl(); // Get base URL once
+      let protectedCount = 0;
+      let pinnedCount = 0;
 
       for (const cookieId in loadedCookies) {
         if (Object.prototype.hasOwnProperty.call(loadedCookies, cookieId)) {
           const cookieData = loadedCookies[cookieId].cookie;
+          if (cookieProtection.isProtected(cookieData)) {
+            protectedCount++;
+            continue;
+          }
+          if (cookiePins.isPinned(cookieData)) {
+            pinnedCount++;
+            continue;
+          }
           // Store full original data for history
           originalCookiesForHistory.push(JSON.parse(JSON.stringify(cookieData)));
 
@@ -1385,7 +1558,8 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
             name: cookieData.name,
             domain: cookieData.domain,
             path: cookieData.path || '/',
-            storeId: cookieData.storeId
+            storeId: cookieData.storeId,
+            partitionKey: cookieData.partitionKey
           };
 
           // Construct specific URL for this cookie's deletion
@@ -1424,7 +1598,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
                 console.warn(`Failed to delete cookie during bulk operation: ${detail.name} at ${detail.url}`);
               }
               resolve(); // Resolve promise even if deletion failed for one cookie
-              });
+              }, false, detail.partitionKey);
             })
           );
       }
@@ -1460,7 +1634,19 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       }
       
       // Show notification
-      sendNotification('All cookies were deleted', false);
+      const kept = [];
+      if (protectedCount) {
+        kept.push(`${protectedCount} protected`);
+      }
+      if (pinnedCount) {
+        kept.push(`${pinnedCount} pinned`);
+      }
+      sendNotification(
+        kept.length
+          ? `All cookies were deleted, except ${kept.join(' and ')}`
+          : 'All cookies were deleted',
+        false,
+      );
       
       // Reset the button icon after a delay
       setTimeout(() => {
@@ -1749,26 +1935,23 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
           currentDomain = domainToUse;
         }
         
-        let cookies;
-        try {
-          cookies = JsonFormat.parse(json);
-        } catch (error) {
-          
-          try {
-            cookies = HeaderstringFormat.parse(json);
-          } catch (error) {
-            
-            try {
-              cookies = NetscapeFormat.parse(json);
-            } catch (error) {
-              console.error('Import error:', error);
-              // IMPROVED: Give a more specific error message mentioning formats
-              sendNotification('Failed to parse import text. Use JSON, Netscape, or HeaderString format.', true);
-              // Reset button icon
-              buttonIcon.setAttribute('href', '../sprites/solid.svg#file-import');
-              return;
-            }
-          }
+        // Make sure the preview matches the text, unchecked rows are kept
+        const formatSelect = form && form.querySelector('#import-format');
+        const importResult = importPreview ?
+          importPreview.update(json, formatSelect ? formatSelect.value : 'auto') :
+          null;
+        if (!importResult) {
+          console.error('Import error:', importPreview && importPreview.error);
+          // IMPROVED: Give a more specific error message mentioning formats
+          sendNotification('Failed to parse import text. Use JSON, Netscape, HeaderString, Playwright, Puppeteer or Set-Cookie format.', true);
+          // Reset button icon
+          buttonIcon.setAttribute('href', '../sprites/solid.svg#file-import');
+          return;
+        }
+        let cookies = importPreview.getSelectedCookies();
+        if (!cookies.length) {
+          sendNotification('No cookies selected for import.', true);
+          return;
         }
         
         // ADDED: Ensure 'cookies' is an array before iterating
@@ -1856,13 +2039,22 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         cookies.forEach((cookie) => {
           // Make sure we are using the right store ID. This is in case we are
           // importing from a basic store ID and the current user is using
-          // custom containers
-          cookie.storeId = cookieHandler.currentTab.cookieStoreId;
+          // custom containers or has selected another store
+          cookie.storeId = cookieHandler.getActiveStoreId();
           
           if (cookie.sameSite && cookie.sameSite === 'unspecified') {
             cookie.sameSite = null;
           }
           
+          // A Partitioned Set-Cookie belongs to the site it is imported into
+          if (cookie.partitioned && !cookie.partitionKey) {
+            try {
+              cookie.partitionKey = { topLevelSite: new URL(urlToUse).origin };
+            } catch (e) {
+              // Without a valid URL the cookie is imported unpartitioned
+            }
+          }
+          
           cookieHandler.saveCookie(cookie, urlToUse, (error, savedCookie) => {
             if (error) {
               console.error('Error importing cookie:', error);
@@ -2334,7 +2526,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
               const seen = new Set();
               const uniqueCookies = [];
               mergedCookies.forEach(cookie => {
-                const key = `${cookie.name}|${cookie.domain}|${cookie.path}`;
+                const key = `${cookie.name}|${cookie.domain}|${cookie.path}|${Cookie.getPartitionSite(cookie)}`;
                 if (!seen.has(key)) {
                   seen.add(key);
                   uniqueCookies.push(cookie);
@@ -2390,7 +2582,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     const fragment = document.createDocumentFragment();
     cookies.forEach(cookie => {
       const id = Cookie.hashCode(cookie);
-      loadedCookies[id] = new Cookie(id, cookie, optionHandler);
+      loadedCookies[id] = new Cookie(id, cookie, optionHandler, cookieProtection, cookiePins);
       fragment.appendChild(loadedCookies[id].html);
     });
     
@@ -2453,7 +2645,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     
     cookiesList.forEach(cookie => {
       const id = Cookie.hashCode(cookie);
-      loadedCookies[id] = new Cookie(id, cookie, optionHandler);
+      loadedCookies[id] = new Cookie(id, cookie, optionHandler, cookieProtection, cookiePins);
       cookiesListHtml.appendChild(loadedCookies[id].html);
     });
     
@@ -2493,7 +2685,10 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     
     // Get all cookies for the specified domain without storeId restriction
     const browserAPI = browserDetector.getApi();
-    const filter = { domain: domain };
+    const filter = cookieHandler.includePartitionedCookies({ domain: domain });
+    if (cookieHandler.getActiveStoreId()) {
+      filter.storeId = cookieHandler.getActiveStoreId();
+    }
     
     //console.log('[getCookiesForDomainWrapper] Using custom side panel approach with filter:', filter);
     
@@ -2610,7 +2805,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         
               sorted.forEach(c => {
                 const id = Cookie.hashCode(c);
-                loadedCookies[id] = new Cookie(id, c, optionHandler);
+                loadedCookies[id] = new Cookie(id, c, optionHandler, cookieProtection, cookiePins);
           cookiesListHtml.appendChild(loadedCookies[id].html);
         });
               
@@ -2988,7 +3183,28 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       document.getElementById('tmp-import').content,
       true,
     );
-    return template.querySelector('form');
+    const form = template.querySelector('form');
+
+    // Preview the cookies as they are pasted so bad rows can be unchecked
+    const textarea = form.querySelector('textarea');
+    const formatSelect = form.querySelector('#import-format');
+    const previewContainer = form.querySelector('.import-preview');
+    importPreview = previewContainer ? new ImportPreview(previewContainer) : null;
+    if (importPreview) {
+      let previewTimeout = null;
+      const updatePreview = () => {
+        clearTimeout(previewTimeout);
+        previewTimeout = setTimeout(() => {
+          importPreview.update(textarea.value, formatSelect ? formatSelect.value : 'auto');
+        }, 300);
+      };
+      textarea.addEventListener('input', updatePreview);
+      if (formatSelect) {
+        formatSelect.addEventListener('change', updatePreview);
+      }
+    }
+
+    return form;
   }
 
   /**
@@ -3009,6 +3225,20 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       case ExportFormats.Netscape:
         exportToNetscape();
         break;
+      case ExportFormats.SetCookie:
+        exportToSetCookie();
+        break;
+      case ExportFormats.Playwright:
+        exportToPlaywright();
+        break;
+      case ExportFormats.Puppeteer:
+        exportToPuppeteer();
+        break;
+      default:
+        if (snippetFormats[exportOption]) {
+          exportToSnippet(exportOption);
+        }
+        break;
     }
   }
 
@@ -3080,6 +3310,28 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       .addEventListener('click', (event) => {
         exportToNetscape();
       });
+    document
+      .getElementById('export-setcookie')
+      .addEventListener('click', (event) => {
+        exportToSetCookie();
+      });
+    document
+      .getElementById('export-playwright')
+      .addEventListener('click', (event) => {
+        exportToPlaywright();
+      });
+    document
+      .getElementById('export-puppeteer')
+      .addEventListener('click', (event) => {
+        exportToPuppeteer();
+      });
+    Object.keys(snippetFormats).forEach((exportFormat) => {
+      document
+        .getElementById('export-' + exportFormat)
+        .addEventListener('click', (event) => {
+          exportToSnippet(exportFormat);
+        });
+    });
   }
 
   /**
@@ -3177,6 +3429,113 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     }
   }
 
+  /**
+   * Exports all the cookies for the current tab as Set-Cookie headers.
+   */
+  async function exportToSetCookie() {
+    hideExportMenu();
+    const buttonIcon = document
+      .getElementById('export-cookies')
+      .querySelector('use');
+    if (buttonIcon.getAttribute('href') === '../sprites/solid.svg#check') {
+      return;
+    }
+
+    const setCookieHeaders = SetCookieFormat.format(loadedCookies);
+    const success = await copyText(setCookieHeaders);
+
+    if (success) {
+      buttonIcon.setAttribute('href', '../sprites/solid.svg#check');
+      sendNotification('Cookies exported to clipboard as Set-Cookie headers', false);
+      setTimeout(() => {
+        buttonIcon.setAttribute('href', '../sprites/solid.svg#file-export');
+      }, 1500);
+    } else {
+      sendNotification('Failed to export cookies to clipboard', true);
+    }
+  }
+
+  /**
+   * Exports all the cookies for the current tab as a Playwright storageState.
+   */
+  async function exportToPlaywright() {
+    hideExportMenu();
+    const buttonIcon = document
+      .getElementById('export-cookies')
+      .querySelector('use');
+    if (buttonIcon.getAttribute('href') === '../sprites/solid.svg#check') {
+      return;
+    }
+
+    const storageState = PlaywrightFormat.format(loadedCookies);
+    const success = await copyText(storageState);
+
+    if (success) {
+      buttonIcon.setAttribute('href', '../sprites/solid.svg#check');
+      sendNotification('Cookies exported to clipboard as Playwright storageState', false);
+      setTimeout(() => {
+        buttonIcon.setAttribute('href', '../sprites/solid.svg#file-export');
+      }, 1500);
+    } else {
+      sendNotification('Failed to export cookies to clipboard', true);
+    }
+  }
+
+  /**
+   * Exports all the cookies for the current tab for Puppeteer's setCookie.
+   */
+  async function exportToPuppeteer() {
+    hideExportMenu();
+    const buttonIcon = document
+      .getElementById('export-cookies')
+      .querySelector('use');
+    if (buttonIcon.getAttribute('href') === '../sprites/solid.svg#check') {
+      return;
+    }
+
+    const puppeteerCookies = PlaywrightFormat.formatPuppeteer(loadedCookies);
+    const success = await copyText(puppeteerCookies);
+
+    if (success) {
+      buttonIcon.setAttribute('href', '../sprites/solid.svg#check');
+      sendNotification('Cookies exported to clipboard for Puppeteer', false);
+      setTimeout(() => {
+        buttonIcon.setAttribute('href', '../sprites/solid.svg#file-export');
+      }, 1500);
+    } else {
+      sendNotification('Failed to export cookies to clipboard', true);
+    }
+  }
+
+  /**
+   * Exports the cookies sent to the current tab's URL as a code snippet
+   * requesting that URL.
+   * @param {string} exportFormat One of the snippet export formats.
+   */
+  async function exportToSnippet(exportFormat) {
+    hideExportMenu();
+    const buttonIcon = document
+      .getElementById('export-cookies')
+      .querySelector('use');
+    if (buttonIcon.getAttribute('href') === '../sprites/solid.svg#check') {
+      return;
+    }
+
+    const { formatter, label } = snippetFormats[exportFormat];
+    const snippet = formatter.format(loadedCookies, getCurrentTabUrl());
+    const success = await copyText(snippet);
+
+    if (success) {
+      buttonIcon.setAttribute('href', '../sprites/solid.svg#check');
+      sendNotification(`Cookies exported to clipboard as ${label}`, false);
+      setTimeout(() => {
+        buttonIcon.setAttribute('href', '../sprites/solid.svg#file-export');
+      }, 1500);
+    } else {
+      sendNotification('Failed to export cookies to clipboard', true);
+    }
+  }
+
   /**
    * Removes a cookie from the current tab.
    * @param {string} name Name of the cookie to remove.
@@ -3294,7 +3653,8 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       const cookiesToRecreate = allDomainCookies.filter(cookie => 
         cookie.name === targetName &&
         cookie.path !== targetPath &&
-        cookie.storeId === targetStoreId // Ensure same storeId
+        cookie.storeId === targetStoreId && // Ensure same storeId
+        Cookie.getPartitionSite(cookie) === Cookie.getPartitionSite(originalCookie)
       );
       
       // Keep only necessary details for recreation, prevent circular refs
@@ -3308,6 +3668,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         sameSite: c.sameSite,
         expirationDate: c.expirationDate,
         storeId: c.storeId,
+        partitionKey: c.partitionKey,
         hostOnly: c.hostOnly, // Include hostOnly
         session: !c.expirationDate // Determine session based on expirationDate
       }));
@@ -3356,6 +3717,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
                sameSite: cookieData.sameSite,
                expirationDate: cookieData.expirationDate,
                storeId: cookieData.storeId,
+               partitionKey: cookieData.partitionKey,
                hostOnly: cookieData.hostOnly // Pass hostOnly
                // session is implied by null expirationDate in prepareCookie
             };
@@ -3409,7 +3771,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
           // Clear cache and refresh UI after cookie recreation
           cookieCache.clear();
         });
-      });
+      }, false, originalCookie.partitionKey);
     });
     // --- End Delete-Recreate Logic ---
     
@@ -3596,6 +3958,18 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         domainSelector.addEventListener('change', handleDomainSelectionChange);
         initDomainSelector(); // Run async in background, don't await
       }
+
+      // Only the popup and side panel offer a store picker; devtools follows
+      // the inspected tab
+      if (cookieStoreSelector) {
+        cookieStoreSelector.addEventListener('change', handleCookieStoreChange);
+        initCookieStoreSelector(); // Run async in background, don't await
+      }
+
+      // The devtools panel also has a live log of cookie changes
+      if (window.isDevtools) {
+        initChangeLogView(); // Run async in background, don't await
+      }
       
       // PERFORMANCE OPTIMIZATION: Defer popup-specific initializations 
       if (!isSidePanel()) {
@@ -3728,9 +4102,24 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     if (editBtn) editBtn.addEventListener('click', editSelectedProfile);
     if (deleteBtn) deleteBtn.addEventListener('click', deleteSelectedProfile);
     
+    const unlockVaultBtn = document.getElementById('unlock-profile-vault');
+    const lockVaultBtn = document.getElementById('lock-profile-vault');
+    if (unlockVaultBtn) unlockVaultBtn.addEventListener('click', unlockProfileVault);
+    if (lockVaultBtn) {
+      lockVaultBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await profileManager.lockVault();
+        await updateProfileSelector(currentDomain);
+        sendNotification('Profile vault locked.', false);
+      });
+    }
+    
     // Add profile selector change event
     profileSelector.addEventListener('change', handleProfileSelectionChange);
     
+    // The background syncs the profiles while the popup is open
+    profileSync.on('statusChanged', updateProfileSyncStatus);
+    
     // Remove any existing profile import/export buttons from main menu
     // since we're now handling these in the profile actions submenu
     const menuContent = document.getElementById('main-menu-content');
@@ -4265,6 +4654,13 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     try {
       if (!profileSelector) return;
       
+      if (await updateProfileVaultState()) {
+        while (profileSelector.options.length > 1) {
+          profileSelector.remove(1);
+        }
+        return;
+      }
+      
       // Get profiles and metadata for domain
       // Force cache invalidation by calling _invalidateCache first
       profileManager._invalidateCache();
@@ -4277,10 +4673,16 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       }
       
       // Add options for each profile
+      const profiles = await profileManager.getProfilesForDomain(domain);
       profileNames.sort().forEach(name => {
         const option = document.createElement('option');
         option.value = name;
         option.textContent = name;
+        const profileDomains = ProfileManager.getProfileDomains(profiles[name]);
+        if (profileDomains) {
+          option.textContent += ' (multi-domain)';
+          option.title = 'Captures ' + profileDomains.join(', ');
+        }
         profileSelector.appendChild(option);
       });
       
@@ -4314,6 +4716,140 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     }
   }
 
+  /**
+   * Shows the profile panel as locked while the profile vault is locked
+   * @return {Promise<boolean>} True if the vault is locked
+   */
+  async function updateProfileVaultState() {
+    const enabled = await profileManager.isVaultEnabled();
+    const locked = enabled && (await profileManager.isVaultLocked());
+    
+    document.getElementById('profile-management').classList.toggle('vault-locked', locked);
+    document.getElementById('unlock-profile-vault').hidden = !locked;
+    document.getElementById('lock-profile-vault').hidden = !enabled || locked;
+    
+    if (locked) {
+      const statusContainer = document.getElementById('profile-status');
+      statusContainer.textContent = 'Profile vault locked';
+      statusContainer.className = 'profile-status none';
+      document.getElementById('profile-sync-status').hidden = true;
+    }
+    return locked;
+  }
+
+  /**
+   * Shows whether the selected profile is synced to other machines
+   */
+  async function updateProfileSyncStatus() {
+    const statusContainer = document.getElementById('profile-sync-status');
+    if (!statusContainer || !profileSelector) return;
+    
+    try {
+      const profileName = profileSelector.value;
+      const settings = await profileSync.getSettings();
+      if (!profileName || !currentDomain || !settings.enabled || (await profileManager.isVaultLocked())) {
+        statusContainer.hidden = true;
+        return;
+      }
+      
+      const storageDomain = profileManager._findStorageDomain(
+        await profileManager.getAllProfiles(),
+        profileManager._getCanonicalDomain(currentDomain),
+        profileName
+      );
+      const status = storageDomain ?
+        (await profileSync.getStatuses())[ProfileSync.getProfileKey(storageDomain, profileName)] :
+        null;
+      if (!status) {
+        statusContainer.hidden = true;
+        return;
+      }
+      
+      statusContainer.className = 'profile-sync-status ' + status.status;
+      if (status.status === 'synced') {
+        statusContainer.textContent = 'Synced ' + new Date(status.syncedAt).toLocaleString();
+      } else if (status.status === 'pending') {
+        statusContainer.textContent = 'Waiting to sync';
+      } else {
+        statusContainer.textContent = 'Not synced: ' + status.message;
+      }
+      statusContainer.title = statusContainer.textContent;
+      statusContainer.hidden = false;
+    } catch (error) {
+      console.error('Error updating profile sync status:', error);
+    }
+  }
+
+  /**
+   * Asks for the master password and unlocks the profile vault
+   */
+  function unlockProfileVault() {
+    if (document.getElementById('profile-vault-unlock')) return;
+    
+    const template = document.importNode(
+      document.getElementById('tmp-password-prompt').content,
+      true
+    );
+    const dialogElement = template.querySelector('.share-dialog');
+    dialogElement.id = 'profile-vault-unlock';
+    dialogElement.querySelector('h3').textContent = 'Unlock Profiles';
+    dialogElement.querySelector('p').textContent = 'Your profiles are encrypted. Enter the master password to use them.';
+    const passwordField = dialogElement.querySelector('#decrypt-password');
+    const showPasswordBtn = dialogElement.querySelector('#show-decrypt-password');
+    const errorMessage = dialogElement.querySelector('#decrypt-error');
+    const confirmButton = dialogElement.querySelector('#decrypt-confirm');
+    passwordField.placeholder = 'Master password';
+    confirmButton.textContent = 'Unlock';
+    
+    document.body.appendChild(dialogElement);
+    dialogElement.style.position = 'absolute';
+    dialogElement.style.top = '50%';
+    dialogElement.style.left = '50%';
+    dialogElement.style.transform = 'translate(-50%, -50%)';
+    dialogElement.style.zIndex = '100';
+    passwordField.focus();
+    
+    const close = () => {
+      document.removeEventListener('keydown', escapeKeyHandler);
+      dialogElement.remove();
+    };
+    const escapeKeyHandler = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    document.addEventListener('keydown', escapeKeyHandler);
+    dialogElement.querySelector('#decrypt-cancel').addEventListener('click', close);
+    dialogElement.querySelector('#decrypt-cancel-x').addEventListener('click', close);
+    
+    showPasswordBtn.addEventListener('click', () => {
+      const isHidden = passwordField.type === 'password';
+      passwordField.type = isHidden ? 'text' : 'password';
+      showPasswordBtn.querySelector('use').setAttribute('href', `../sprites/solid.svg#${isHidden ? 'eye-slash' : 'eye'}`);
+    });
+    passwordField.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        confirmButton.click();
+      }
+    });
+    
+    confirmButton.addEventListener('click', async () => {
+      confirmButton.disabled = true;
+      errorMessage.style.display = 'none';
+      try {
+        await profileManager.unlockVault(passwordField.value);
+        close();
+        await updateProfileSelector(currentDomain);
+        sendNotification('Profiles unlocked.', false);
+      } catch (error) {
+        errorMessage.textContent = error.message;
+        errorMessage.style.display = 'block';
+        passwordField.select();
+      } finally {
+        confirmButton.disabled = false;
+      }
+    });
+  }
+
   /**
    * Updates the profile status indicator
    * @param {string} domain - The current domain
@@ -4324,6 +4860,9 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     if (!domain) return;
     
     try {
+      // The locked state is shown by updateProfileVaultState
+      if (await profileManager.isVaultLocked()) return;
+      
       //console.log(`[updateProfileStatusIndicator] Getting metadata for domain: ${domain}`);
       const metadata = await profileManager.getProfileMetadataForDomain(domain);
       //console.log(`[updateProfileStatusIndicator] Metadata received:`, JSON.stringify(metadata));
@@ -4421,6 +4960,8 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     if (editBtn) editBtn.disabled = !isSelected;
     if (deleteBtn) deleteBtn.disabled = !isSelected;
     
+    updateProfileSyncStatus();
+    
     // Get the metadata to see if the selected profile is the currently loaded one
     const selectedProfile = profileSelector.value;
     if (selectedProfile && currentDomain) {
@@ -4440,9 +4981,14 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
 
   /**
    * Prompts for a profile name
-   * @return {Promise<string|null>} The entered profile name or null if canceled
+   * @param {Object} [options]
+   * @param {string} [options.scopeDomain] - Also ask for the domains to
+   *     capture, suggesting the registrable domain of this one, and for a
+   *     revision note
+   * @return {Promise<string|Object|null>} The entered profile name, or
+   *     `{name, domains, note}` when asking for domains, or null if canceled
    */
-  async function promptProfileName() {
+  async function promptProfileName(options = {}) {
     return new Promise(resolve => {
       const template = document.importNode(
         document.getElementById('tmp-profile-name').content,
@@ -4509,20 +5055,46 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       const input = formElement.querySelector('input');
       input.focus();
       
-      // Event handlers
-      const handleCancel = () => {
+      const scopeDomain = options && options.scopeDomain;
+      const multiDomainInput = formElement.querySelector('#profile-multi-domain');
+      const domainsInput = formElement.querySelector('#profile-domains-input');
+      const noteInput = formElement.querySelector('#profile-note-input');
+      if (scopeDomain) {
+        formElement.querySelector('.profile-domain-scope').classList.add('visible');
+        formElement.querySelector('.profile-revision-note').classList.add('visible');
+        domainsInput.value = '*.' + ProfileManager.getRegistrableDomain(scopeDomain);
+        multiDomainInput.addEventListener('change', () => {
+          domainsInput.disabled = !multiDomainInput.checked;
+        });
+      }
+      
+      // Event handlers
+      const handleCancel = () => {
         document.body.removeChild(formContainer);
         resolve(null);
       };
       
       const handleSave = () => {
         const profileName = input.value.trim();
-        if (profileName) {
+        if (!profileName) {
+          input.focus();
+          return;
+        }
+        if (!scopeDomain) {
           document.body.removeChild(formContainer);
           resolve(profileName);
-        } else {
-          input.focus();
+          return;
         }
+        
+        const domains = multiDomainInput.checked ?
+          ProfileManager.normalizeDomainScope(domainsInput.value) :
+          [];
+        if (multiDomainInput.checked && !domains.length) {
+          domainsInput.focus();
+          return;
+        }
+        document.body.removeChild(formContainer);
+        resolve({ name: profileName, domains: domains, note: noteInput.value.trim() });
       };
       
       // Attach events
@@ -4551,25 +5123,43 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     }
     
     // Prompt for profile name
-    const profileName = await promptProfileName();
-    if (!profileName) return;
+    const details = await promptProfileName({ scopeDomain: currentDomain });
+    if (!details) return;
+    const profileName = details.name;
     
-    // Get all cookies for current domain
+    // Get all cookies for current domain, or for every captured domain
     const cookies = [];
-    for (const id in loadedCookies) {
-      cookies.push(loadedCookies[id].cookie);
+    if (details.domains.length) {
+      const allCookies = await new Promise(resolve => {
+        cookieHandler.getAllCookiesInBrowser(resolve);
+      });
+      (allCookies || []).forEach(cookie => {
+        if (ProfileManager.cookieInScope(cookie, details.domains)) {
+          cookies.push(cookie);
+        }
+      });
+    } else {
+      for (const id in loadedCookies) {
+        cookies.push(loadedCookies[id].cookie);
+      }
     }
     
     if (cookies.length === 0) {
-      sendNotification('No cookies to save for this domain.', true);
+      sendNotification(details.domains.length ?
+        'No cookies to save for these domains.' :
+        'No cookies to save for this domain.', true);
       return;
     }
     
-    // Save the profile
-    const success = await profileManager.saveProfile(currentDomain, profileName, cookies);
+    // Save the profile, overwriting one keeps its previous version as a revision
+    const existingProfiles = await profileManager.getProfilesForDomain(currentDomain);
+    const isOverwrite = !!existingProfiles[profileName];
+    const success = await profileManager.saveProfile(currentDomain, profileName, cookies, details.domains, details.note);
     
     if (success) {
-      sendNotification(`Profile "${profileName}" saved successfully.`, false);
+      sendNotification(isOverwrite ?
+        `Profile "${profileName}" updated, its previous version is kept in Profile Revisions.` :
+        `Profile "${profileName}" saved successfully.`, false);
       await updateProfileSelector(currentDomain);
       
       // Select the newly created profile
@@ -4653,6 +5243,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       sendNotification('Profile contains no cookies', true);
       return;
     }
+    const profileDomains = ProfileManager.getProfileDomains(selectedProfile);
       
     // Show loading indicator
     const buttonIcon = document.getElementById('load-profile')?.querySelector('use');
@@ -4667,53 +5258,69 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     try {
       // First get the current cookies to store for history
       const currentUrl = getCurrentTabUrl();
-      const currentCookies = [];
+      let currentCookies = [];
+      let loadedProfileCookies = [];
       
-      // Get all cookies for the current domain (to store for history)
-      await new Promise((resolve) => {
-        cookieHandler.getAllCookies((cookies) => {
-          if (cookies && Array.isArray(cookies)) {
-            // Deep clone the cookies to avoid reference issues
-            cookies.forEach(cookie => {
-              currentCookies.push(JSON.parse(JSON.stringify(cookie)));
-            });
-          }
-          resolve();
+      if (profileDomains) {
+        // A multi-domain profile replaces the cookies of every domain it
+        // captures, and puts them back if any cookie can't be set
+        const allCookies = await new Promise(resolve => {
+          cookieHandler.getAllCookiesInBrowser(resolve);
+        });
+        currentCookies = (allCookies || [])
+          .filter(cookie => ProfileManager.cookieInScope(cookie, profileDomains))
+          .map(cookie => JSON.parse(JSON.stringify(cookie)));
+        loadedProfileCookies = await profileManager.replaceCookiesAtomically(
+          cookieHandler,
+          currentCookies,
+          cookiesToLoad,
+          currentUrl,
+        );
+      } else {
+        // Get all cookies for the current domain (to store for history)
+        await new Promise((resolve) => {
+          cookieHandler.getAllCookies((cookies) => {
+            if (cookies && Array.isArray(cookies)) {
+              // Deep clone the cookies to avoid reference issues
+              cookies.forEach(cookie => {
+                currentCookies.push(JSON.parse(JSON.stringify(cookie)));
+              });
+            }
+            resolve();
           });
         });
         
-      // Delete all existing cookies first
-      const domainToUse = currentDomain || getDomainFromUrl(getCurrentTabUrl());
-      await deleteAllCookiesForDomain(domainToUse);
-      
-      // Track loaded profile cookies for history
-      const loadedProfileCookies = [];
-      
-      // Then import the profile cookies
-      const cookiesToImport = cookiesToLoad;
-      const loadPromises = [];
-      
-      // Prepare all cookies for importing
-      for (const cookie of cookiesToImport) {
-        loadPromises.push(
-          new Promise((resolve) => {
-            // Add the cookie to the store
-            cookieHandler.saveCookie(cookie, currentUrl, (error, savedCookie) => {
-              if (error) {
-                console.error(`Error loading cookie ${cookie.name}:`, error);
-              } else if (savedCookie) {
-                // Add to our tracking for history
-                loadedProfileCookies.push(JSON.parse(JSON.stringify(savedCookie)));
-              }
-              resolve();
-            });
-          })
-        );
+        // Delete all existing cookies first
+        const domainToUse = currentDomain || getDomainFromUrl(getCurrentTabUrl());
+        await deleteAllCookiesForDomain(domainToUse);
+        
+        // Then import the profile cookies, protected and pinned cookies keep their value
+        const unprotectedCookies = (await cookieProtection.splitProtected(cookiesToLoad)).allowed;
+        const cookiesToImport = (await cookiePins.splitPinned(unprotectedCookies)).allowed;
+        const loadPromises = [];
+      
+        // Prepare all cookies for importing
+        for (const cookie of cookiesToImport) {
+          loadPromises.push(
+            new Promise((resolve) => {
+              // Add the cookie to the store
+              cookieHandler.saveCookie(cookie, currentUrl, (error, savedCookie) => {
+                if (error) {
+                  console.error(`Error loading cookie ${cookie.name}:`, error);
+                } else if (savedCookie) {
+                  // Add to our tracking for history
+                  loadedProfileCookies.push(JSON.parse(JSON.stringify(savedCookie)));
+                }
+                resolve();
+              });
+            })
+          );
+        }
+        
+        // Wait for all cookies to be imported
+        await Promise.all(loadPromises);
       }
       
-      // Wait for all cookies to be imported
-      await Promise.all(loadPromises);
-      
       // --- BEGIN ADDITION: Update profile manager state ---
       // Mark the profile as loaded in the profile manager
       await profileManager.setProfileAsLoaded(currentDomain, profileName);
@@ -4739,7 +5346,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       sendNotification(`Loaded profile: ${profileName}`, false);
     } catch (error) {
       console.error('Error loading profile:', error);
-      sendNotification('Error loading profile', true);
+      sendNotification(profileDomains ? error.message : 'Error loading profile', true);
     } finally {
       // Reset the button icon
       if (buttonIcon) {
@@ -4823,7 +5430,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         
         cookies.forEach(function (cookie) {
           const id = Cookie.hashCode(cookie);
-          loadedCookies[id] = new Cookie(id, cookie, optionHandler);
+          loadedCookies[id] = new Cookie(id, cookie, optionHandler, cookieProtection, cookiePins);
           cookiesListHtml.appendChild(loadedCookies[id].html);
         });
   
@@ -4869,7 +5476,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         
         // Find all cookies related to the target domain
         // This includes cookies set for the exact domain, parent domains, and subdomains
-        const domainCookies = allCookies.filter(cookie => {
+        const relatedCookies = allCookies.filter(cookie => {
           const cookieDomain = cookie.domain.startsWith('.') ? 
             cookie.domain.substring(1) : cookie.domain;
           
@@ -4892,6 +5499,9 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
           
           return false;
         });
+        // Protected and pinned cookies are never wiped with the rest of the domain
+        const unprotectedCookies = (await cookieProtection.splitProtected(relatedCookies)).allowed;
+        const domainCookies = (await cookiePins.splitPinned(unprotectedCookies)).allowed;
         
         if (domainCookies.length === 0) {
           resolve();
@@ -4967,14 +5577,15 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         const deleteCookieWithRetry = async (cookie, retriesLeft) => {
           try {
             await new Promise((resolveDelete, rejectDelete) => {
-              cookieHandler.removeCookie(cookie.name, url, (result) => {
+              // Partitioned cookies only match with their partition key
+              cookieHandler.removeCookie(cookie.name, url, cookie.storeId, (result) => {
                 if (result) {
                   resolveDelete();
                 } else {
                   // If null result, consider it a failure
                   rejectDelete(new Error('Failed to delete cookie'));
                 }
-              });
+              }, false, cookie.partitionKey);
             });
             
             // Success case
@@ -5174,7 +5785,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
             sendNotification(`Failed to import ${file.name}: ${err.message}`, true);
           }
         }
-            await storageHandler.setLocal(profileManager.profileStorageKey, allProfiles);
+            await profileManager.saveAllProfiles(allProfiles);
             profileManager._invalidateCache();
         await updateProfileSelector(currentDomain);
         sendNotification(`${importedCount} profiles imported successfully for ${currentDomain}.`, false);
@@ -5825,6 +6436,239 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     }, true);
   }
   
+  /**
+   * Populates the cookie store selector with every accessible store and the
+   * tabs mapped to it. The selector stays hidden while there is only one.
+   */
+  async function initCookieStoreSelector() {
+    if (!cookieStoreSelector) return;
+
+    try {
+      const stores = await CookieStores.list(browserDetector);
+      const currentStoreId = cookieHandler.currentTab && cookieHandler.currentTab.cookieStoreId;
+
+      // Keep the "Current tab store" option and rebuild the rest
+      while (cookieStoreSelector.options.length > 1) {
+        cookieStoreSelector.remove(1);
+      }
+
+      stores.forEach(store => {
+        const option = document.createElement('option');
+        option.value = store.id;
+        option.textContent = store.id === currentStoreId ? `${store.label} - current` : store.label;
+        option.title = store.title;
+        cookieStoreSelector.appendChild(option);
+      });
+
+      cookieStoreSelector.value = cookieHandler.selectedStoreId || '';
+
+      const container = document.getElementById('cookie-store-container');
+      if (container) {
+        container.hidden = stores.length <= 1;
+      }
+    } catch (error) {
+      console.error('Error initializing cookie store selector:', error);
+    }
+  }
+
+  /**
+   * Sets up the list of pinned cookies shown above the cookie list.
+   */
+  function initPinnedCookies() {
+    const list = document.getElementById('pinned-cookies-list');
+    cookiePins.on('pinsChanged', refreshPinnedCookies);
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('.pinned-cookie-unpin');
+      if (button) {
+        cookiePins.unpin(button.dataset.key);
+      }
+    });
+    list.addEventListener('change', (e) => {
+      if (e.target.matches('.pinned-cookie-duration')) {
+        cookiePins.setDuration(e.target.dataset.key, Number(e.target.value));
+      }
+    });
+    renderPinnedCookies();
+  }
+
+  /**
+   * Updates the pin buttons of the cookies and the list of pinned cookies.
+   */
+  function refreshPinnedCookies() {
+    Object.values(loadedCookies).forEach(cookieObj => cookieObj.updatePinned());
+    renderPinnedCookies();
+  }
+
+  /**
+   * Renders the pinned cookies of every domain, and refreshes them when the
+   * next pin expires.
+   */
+  async function renderPinnedCookies() {
+    const container = document.getElementById('pinned-cookies');
+    if (!container) return;
+
+    const pins = await cookiePins.getPins();
+    const list = document.getElementById('pinned-cookies-list');
+    container.hidden = pins.length === 0;
+    document.getElementById('pinned-cookies-count').textContent =
+      `${pins.length} pinned cookie${pins.length === 1 ? '' : 's'}`;
+    list.innerHTML = '';
+
+    pins.forEach(pin => {
+      const item = document.createElement('li');
+
+      const name = document.createElement('span');
+      name.className = 'pinned-cookie-name';
+      name.textContent = `${pin.cookie.name} = ${pin.cookie.value}`;
+      name.title = name.textContent;
+      item.appendChild(name);
+
+      const domain = document.createElement('span');
+      domain.className = 'pinned-cookie-domain';
+      domain.textContent = pin.cookie.domain;
+      item.appendChild(domain);
+
+      // The first option shows how long the pin lasts, the others change it
+      const duration = document.createElement('select');
+      duration.className = 'pinned-cookie-duration';
+      duration.dataset.key = pin.key;
+      duration.setAttribute('aria-label', 'How long the pin lasts');
+      const current = new Option(
+        pin.expiresAt
+          ? `Until ${new Date(pin.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+          : CookiePins.DURATIONS[0],
+        '',
+        true,
+        true,
+      );
+      current.hidden = true;
+      duration.add(current);
+      Object.entries(CookiePins.DURATIONS).forEach(([minutes, label]) => {
+        duration.add(new Option(label, minutes));
+      });
+      item.appendChild(duration);
+
+      const unpin = document.createElement('button');
+      unpin.type = 'button';
+      unpin.className = 'pinned-cookie-unpin';
+      unpin.dataset.key = pin.key;
+      unpin.title = 'Unpin';
+      unpin.setAttribute('aria-label', `Unpin ${pin.cookie.name}`);
+      unpin.innerHTML = '<svg class="icon"><use href="../sprites/solid.svg#times"></use></svg>';
+      item.appendChild(unpin);
+
+      list.appendChild(item);
+    });
+
+    clearTimeout(pinExpirationTimeout);
+    const nextExpiration = Math.min(...pins.map(pin => pin.expiresAt || Infinity));
+    if (nextExpiration !== Infinity) {
+      pinExpirationTimeout = setTimeout(refreshPinnedCookies, nextExpiration - Date.now() + 1000);
+    }
+  }
+
+  /**
+   * Sets up the devtools "Changes" view that streams every cookie change for
+   * the inspected tab.
+   */
+  async function initChangeLogView() {
+    const container = document.getElementById('change-log-container');
+    if (!container || changeLog) return;
+
+    const { CookieChangeLog } = await import('../devtools/cookieChangeLog.js');
+    changeLog = new CookieChangeLog(browserDetector, cookieHandler);
+    changeLog.on('change', () => {
+      if (!container.hidden) {
+        renderChangeLog();
+      }
+    });
+
+    document.getElementById('view-cookies').addEventListener('click', () => showDevtoolsView('cookies'));
+    document.getElementById('view-changes').addEventListener('click', () => showDevtoolsView('changes'));
+    document.getElementById('change-log-include-dynamic').addEventListener('change', (e) => {
+      changeLog.setIncludeDynamic(e.target.checked);
+    });
+    document.getElementById('change-log-clear').addEventListener('click', () => changeLog.clear());
+  }
+
+  /**
+   * Switches the devtools panel between the cookie list and the change log.
+   * @param {string} view Either 'cookies' or 'changes'.
+   */
+  function showDevtoolsView(view) {
+    const showChanges = view === 'changes';
+    ['cookies', 'changes'].forEach(name => {
+      const button = document.getElementById(`view-${name}`);
+      button.classList.toggle('active', name === view);
+      button.setAttribute('aria-selected', name === view ? 'true' : 'false');
+    });
+    document.body.classList.toggle('change-log-active', showChanges);
+    document.getElementById('change-log-container').hidden = !showChanges;
+    if (showChanges) {
+      renderChangeLog();
+    }
+  }
+
+  /**
+   * Renders the entries of the devtools change log.
+   */
+  function renderChangeLog() {
+    const body = document.getElementById('change-log-body');
+    const entries = changeLog.getEntries();
+
+    body.innerHTML = '';
+    document.getElementById('change-log-empty').hidden = entries.length > 0;
+    document.getElementById('change-log-count').textContent =
+      `${entries.length} change${entries.length === 1 ? '' : 's'}`;
+
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      row.classList.toggle('removed', entry.newValue === null);
+      row.classList.toggle('dynamic', entry.dynamic);
+
+      const cells = [
+        { text: new Date(entry.timestamp).toLocaleTimeString() },
+        { text: entry.cause, className: 'change-log-cause' },
+        { text: entry.name, title: `${entry.name} (${entry.domain}${entry.path})` },
+        { text: entry.oldValue === undefined ? '' : entry.oldValue },
+        { text: entry.newValue === null ? '(removed)' : entry.newValue, className: 'change-log-new' },
+        { text: entry.requestUrl || '' },
+      ];
+
+      cells.forEach(({ text, title, className }) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        cell.title = title || text;
+        if (className) {
+          cell.className = className;
+        }
+        row.appendChild(cell);
+      });
+
+      body.appendChild(row);
+    });
+  }
+
+  /**
+   * Handles when a user selects a different cookie store from the dropdown.
+   */
+  function handleCookieStoreChange() {
+    if (!cookieStoreSelector) return;
+
+    cookieHandler.setSelectedStoreId(cookieStoreSelector.value || null);
+
+    // Cookies from the previous store must not be reused
+    cookieCache.clear();
+
+    if (selectedDomain) {
+      showCookiesForSelectedDomain(true);
+    } else {
+      showCookiesForTab(true);
+    }
+  }
+
   /**
    * Handles when a user selects a different domain from the dropdown.
    */
@@ -6112,6 +6956,21 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       });
     }
     
+    const revisionsBtn = document.getElementById('profile-revisions');
+    if (revisionsBtn) {
+      // Remove existing listeners to prevent duplicates
+      const newRevisionsBtn = revisionsBtn.cloneNode(true);
+      if (revisionsBtn.parentNode) {
+        revisionsBtn.parentNode.replaceChild(newRevisionsBtn, revisionsBtn);
+      }
+      
+      newRevisionsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        hideAllMenus();
+        showProfileRevisionsDialog();
+      });
+    }
+    
     // Import and export buttons in all profiles submenu
     const importAllBtn = document.getElementById('import-all-profiles');
     if (importAllBtn) {
@@ -6175,6 +7034,215 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     allProfilesSubmenu.classList.remove('visible');
   }
 
+  /**
+   * Shows the revisions of the selected profile
+   */
+  async function showProfileRevisionsDialog() {
+    // Exit if in side panel
+    if (isSidePanel()) return;
+    if (!currentDomain || !profileSelector.value) {
+      sendNotification('Select a profile to see its revisions.', true);
+      return;
+    }
+    if (document.getElementById('profile-revisions-dialog')) {
+      return;
+    }
+
+    const template = document.importNode(
+      document.getElementById('tmp-profile-revisions').content,
+      true
+    );
+    const dialog = template.querySelector('#profile-revisions-dialog');
+    dialog.dataset.profileName = profileSelector.value;
+    dialog.querySelector('#profile-revisions-name').textContent = profileSelector.value;
+    document.body.appendChild(dialog);
+
+    dialog.querySelector('#profile-revisions-close-x').addEventListener('click', closeProfileRevisionsDialog);
+    dialog.querySelector('#profile-revisions-base').addEventListener('change', () => {
+      const selected = dialog.querySelector('.profile-revision-entry.selected');
+      if (selected) {
+        showProfileRevisionDiff(selected.dataset.revisionId);
+      }
+    });
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) {
+        closeProfileRevisionsDialog();
+      }
+    });
+    document.addEventListener('keydown', handleProfileRevisionsEscapeKey);
+
+    await renderProfileRevisions();
+
+    setTimeout(() => {
+      dialog.classList.add('visible');
+    }, 10);
+  }
+
+  /**
+   * Closes the profile revisions dialog
+   */
+  function closeProfileRevisionsDialog() {
+    const dialog = document.getElementById('profile-revisions-dialog');
+    if (dialog) {
+      document.removeEventListener('keydown', handleProfileRevisionsEscapeKey);
+      dialog.classList.remove('visible');
+      setTimeout(() => {
+        if (dialog.parentNode) {
+          dialog.parentNode.removeChild(dialog);
+        }
+      }, 300);
+    }
+  }
+
+  /**
+   * Closes the profile revisions dialog when escape is pressed
+   * @param {KeyboardEvent} e Keyboard event
+   */
+  function handleProfileRevisionsEscapeKey(e) {
+    if (e.key === 'Escape') {
+      closeProfileRevisionsDialog();
+    }
+  }
+
+  /**
+   * Lists the revisions of the profile shown in the revisions dialog
+   */
+  async function renderProfileRevisions() {
+    const dialog = document.getElementById('profile-revisions-dialog');
+    if (!dialog) return;
+
+    const list = dialog.querySelector('#profile-revisions-list');
+    const revisions = await profileManager.getProfileRevisions(currentDomain, dialog.dataset.profileName);
+
+    list.innerHTML = '';
+    dialog.querySelector('#profile-revisions-diff').hidden = true;
+
+    revisions.forEach((revision, index) => {
+      const item = document.createElement('li');
+      item.className = 'profile-revision-entry';
+      item.dataset.revisionId = revision.id;
+
+      const info = document.createElement('div');
+      info.className = 'profile-revision-info';
+
+      const date = document.createElement('span');
+      date.className = 'profile-revision-date';
+      date.textContent = revision.timestamp ?
+        new Date(revision.timestamp).toLocaleString() :
+        'Before revisions were kept';
+      if (index === 0) {
+        date.textContent += ' (current)';
+      }
+
+      const meta = document.createElement('span');
+      meta.className = 'profile-revision-meta';
+      const count = revision.cookies.length;
+      meta.textContent = `${count} cookie${count === 1 ? '' : 's'}` +
+        (revision.note ? ` · ${revision.note}` : '');
+      meta.title = revision.note;
+
+      info.append(date, meta);
+
+      const diffButton = document.createElement('button');
+      diffButton.type = 'button';
+      diffButton.className = 'browser-style';
+      diffButton.textContent = 'Diff';
+      diffButton.addEventListener('click', () => showProfileRevisionDiff(revision.id));
+
+      const rollbackButton = document.createElement('button');
+      rollbackButton.type = 'button';
+      rollbackButton.className = 'browser-style';
+      rollbackButton.textContent = 'Rollback';
+      rollbackButton.disabled = index === 0;
+      rollbackButton.addEventListener('click', () => rollbackProfileRevision(revision.id, rollbackButton));
+
+      item.append(info, diffButton, rollbackButton);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Shows the changes of a revision compared to the live cookies or to the
+   * revision before it
+   * @param {string} revisionId ID of the revision
+   */
+  async function showProfileRevisionDiff(revisionId) {
+    const dialog = document.getElementById('profile-revisions-dialog');
+    if (!dialog) return;
+
+    const revisions = await profileManager.getProfileRevisions(currentDomain, dialog.dataset.profileName);
+    const index = revisions.findIndex(revision => revision.id === revisionId);
+    if (index === -1) return;
+    const revision = revisions[index];
+
+    dialog.querySelectorAll('.profile-revision-entry').forEach(item => {
+      item.classList.toggle('selected', item.dataset.revisionId === revisionId);
+    });
+
+    let baseCookies;
+    let baseLabel;
+    if (dialog.querySelector('#profile-revisions-base').value === 'previous') {
+      baseCookies = index + 1 < revisions.length ? revisions[index + 1].cookies : [];
+      baseLabel = 'the previous revision';
+    } else if (revision.domains) {
+      const allCookies = await new Promise(resolve => {
+        cookieHandler.getAllCookiesInBrowser(resolve);
+      });
+      baseCookies = (allCookies || []).filter(cookie => ProfileManager.cookieInScope(cookie, revision.domains));
+      baseLabel = 'the live cookies';
+    } else {
+      baseCookies = Object.values(loadedCookies).map(item => item.cookie);
+      baseLabel = 'the live cookies';
+    }
+
+    const diff = profileManager.diffCookies(baseCookies, revision.cookies);
+    const container = dialog.querySelector('#profile-revisions-diff');
+    container.innerHTML = '';
+    container.hidden = false;
+
+    const summary = document.createElement('div');
+    summary.className = 'profile-diff-summary';
+    summary.textContent = `Compared to ${baseLabel}: ${diff.added.length} added, ` +
+      `${diff.removed.length} removed, ${diff.changed.length} changed`;
+    container.appendChild(summary);
+
+    const addLine = (className, text) => {
+      const line = document.createElement('div');
+      line.className = 'profile-diff-line ' + className;
+      line.textContent = text;
+      container.appendChild(line);
+    };
+    diff.added.forEach(cookie => addLine('added', `+ ${cookie.name} (${cookie.domain})`));
+    diff.removed.forEach(cookie => addLine('removed', `- ${cookie.name} (${cookie.domain})`));
+    diff.changed.forEach(change => addLine(
+      'changed',
+      `~ ${change.to.name} (${change.to.domain}): ${change.fields.join(', ')}`,
+    ));
+  }
+
+  /**
+   * Makes a revision the current version of the profile shown in the
+   * revisions dialog
+   * @param {string} revisionId ID of the revision
+   * @param {HTMLButtonElement} button Button that triggered the rollback
+   */
+  async function rollbackProfileRevision(revisionId, button) {
+    const dialog = document.getElementById('profile-revisions-dialog');
+    if (!dialog) return;
+    const profileName = dialog.dataset.profileName;
+
+    button.disabled = true;
+    const success = await profileManager.rollbackProfile(currentDomain, profileName, revisionId);
+    if (success) {
+      sendNotification(`Profile "${profileName}" rolled back.`, false);
+      await updateProfileStatusIndicator(currentDomain);
+      await renderProfileRevisions();
+    } else {
+      button.disabled = false;
+      sendNotification('Failed to roll back the profile.', true);
+    }
+  }
+
   /**
    * Exports profiles for just the current domain
    */
@@ -6190,17 +7258,21 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       // Hide the menu
       document.getElementById('domain-profile-menu').classList.remove('visible');
       
-      // Get profiles for current domain only
+      // Get the profiles stored under the current domain only. Multi-domain
+      // profiles stored under another domain are exported from that domain,
+      // importing them here would store a copy under this one.
+      profileManager._invalidateCache();
       const allProfiles = await profileManager.getAllProfiles();
+      const profiles = allProfiles[profileManager._getCanonicalDomain(currentDomain)] || {};
       
-      if (!allProfiles[currentDomain] || Object.keys(allProfiles[currentDomain]).length === 0) {
+      if (Object.keys(profiles).length === 0) {
         sendNotification('No profiles exist for this domain.', true);
         return;
       }
       
       // Create a new object with just the current domain
       const domainProfiles = { 
-        [currentDomain]: allProfiles[currentDomain] 
+        [currentDomain]: profiles 
       };
       
       // Convert to JSON
@@ -6413,7 +7485,12 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
 
                         if (!isConflict || overwriteConfirmed) {
                             // Save the profile (using the extracted cookies array)
-                            await profileManager.saveProfile(effectiveDomain, profileName, cookiesToSave);
+                            await profileManager.saveProfile(
+                                effectiveDomain,
+                                profileName,
+                                cookiesToSave,
+                                ProfileManager.getProfileDomains(profileDataOrArray),
+                            );
                             if (isConflict) {
                                 fileOverwritten++;
                             } else {
@@ -6542,7 +7619,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
    */
   async function showShareDialog(cookies, domain, profiles) {
     // Dynamically load share helpers
-    const { createShareableUrl, createShareableProfilesUrl } = await import('../lib/sharing/cookieSharing.js');
+    const { createShareableUrl, createShareableProfilesUrl, filterCookiesByName } = await import('../lib/sharing/cookieSharing.js');
     // Clone the template
     const template = document.importNode(
       document.getElementById('tmp-share-dialog').content,
@@ -6558,6 +7635,20 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     const passwordField = template.getElementById('share-password');
     const showPasswordBtn = template.getElementById('show-password');
     const passwordStrength = template.getElementById('password-strength');
+    const recipientsCheckbox = template.getElementById('share-recipients-encrypt');
+    const recipientsContainer = template.querySelector('.recipients-container');
+    const recipientList = template.getElementById('share-recipient-list');
+    const recipientsHint = template.getElementById('share-recipients-hint');
+    const expirySelector = template.getElementById('share-expiry');
+    const expiryHoursField = template.getElementById('share-expiry-hours');
+    const cookieFilterContainer = template.querySelector('.share-cookie-filter-container');
+    const cookieFilterField = template.getElementById('share-cookie-filter');
+    const selectedOnlyLabel = template.querySelector('.share-selected-only');
+    const selectedOnlyCheckbox = template.getElementById('share-selected-only');
+    const cookieCount = template.getElementById('share-cookie-count');
+    const singleUseCheckbox = template.getElementById('share-single-use');
+    const requireHostCheckbox = template.getElementById('share-require-host');
+    const signCheckbox = template.getElementById('share-sign');
     const urlField = template.getElementById('share-url-field');
     const copyButton = template.getElementById('copy-share-url');
     const cancelButton = template.getElementById('share-cancel');
@@ -6605,6 +7696,38 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       shareProfilesCheckbox.title = "No profiles available for this domain";
     }
     
+    // Offer to share only the cookies checked in the list
+    const selectedNames = new Set(Array.from(
+      document.querySelectorAll('li.cookie .cookie-checkbox:checked'),
+      checkbox => checkbox.closest('li.cookie').dataset.name
+    ));
+    if (cookies.some(cookie => selectedNames.has(cookie.name)) && cookies.some(cookie => !selectedNames.has(cookie.name))) {
+      selectedOnlyLabel.style.display = 'flex';
+      selectedOnlyCheckbox.checked = true;
+    }
+    template.querySelector('.share-require-host-domain').textContent = domain;
+    
+    // Fill the teammates that links can be encrypted for
+    const contacts = await shareIdentity.getContacts();
+    if (contacts.length > 0) {
+      contacts.forEach(contact => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = contact.publicKey;
+        const name = document.createElement('span');
+        name.textContent = contact.name;
+        const fingerprint = document.createElement('span');
+        fingerprint.className = 'recipient-fingerprint';
+        fingerprint.textContent = contact.fingerprint;
+        label.append(checkbox, name, fingerprint);
+        recipientList.appendChild(label);
+      });
+    } else {
+      recipientsCheckbox.disabled = true;
+      recipientsHint.style.display = 'block';
+    }
+    
     // Position the dialog above the profile menu
     const profileMenu = document.getElementById('profile-management');
     const profileRect = profileMenu.getBoundingClientRect();
@@ -6618,36 +7741,94 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     dialogElement.style.transform = 'translateX(-50%)';
     dialogElement.style.zIndex = '100';
     
+    // Public keys of the teammates checked in the list
+    const getSelectedRecipients = () => Array.from(
+      recipientList.querySelectorAll('input[type="checkbox"]:checked'),
+      checkbox => checkbox.value
+    );
+    
+    // Lifetime picked for the link, in milliseconds, 0 when it never expires
+    const getShareLifetime = () => {
+      if (expirySelector.value === 'custom') {
+        const hours = parseFloat(expiryHoursField.value);
+        return hours > 0 ? Math.round(hours * 60 * 60 * 1000) : 0;
+      }
+      return Number(expirySelector.value) || 0;
+    };
+    
+    // Cookies left after the selection and name filters
+    const getSharedCookies = () => {
+      let sharedCookies = cookies;
+      if (selectedOnlyCheckbox.checked) {
+        sharedCookies = sharedCookies.filter(cookie => selectedNames.has(cookie.name));
+      }
+      return filterCookiesByName(sharedCookies, cookieFilterField.value);
+    };
+    
     // Generate the shareable URL
     const updateShareUrl = async () => {
-      // expiration removed: always no expiration
-      const expires = false;
+      const expires = getShareLifetime();
+      const limits = {
+        singleUse: singleUseCheckbox.checked,
+        requireHost: requireHostCheckbox.checked,
+        signer: signCheckbox.checked ? await shareIdentity.getSigner() : null
+      };
+      
+      const sharingProfiles = shareProfilesCheckbox.checked && profileSelector.value;
+      let profilesData = {};
+      if (sharingProfiles) {
+        // Get the selected profile or all profiles
+        profilesData = profileSelector.value === 'all'
+          ? profiles
+          : { [profileSelector.value]: profiles[profileSelector.value] };
+      }
+      const sharedCookies = getSharedCookies();
+      cookieFilterContainer.style.display = sharingProfiles ? 'none' : 'block';
+      cookieCount.textContent = `${sharedCookies.length} of ${cookies.length} cookie${cookies.length !== 1 ? 's' : ''} shared`;
+      if (!sharingProfiles && !sharedCookies.length) {
+        urlField.value = "No cookies match the filter";
+        return;
+      }
+      
+      // Links for teammates replace the password encryption
+      if (recipientsCheckbox.checked) {
+        const recipients = getSelectedRecipients();
+        if (!recipients.length) {
+          urlField.value = "Select at least one teammate";
+          return;
+        }
+        urlField.value = "Generating encrypted URL...";
+        
+        try {
+          if (sharingProfiles) {
+            urlField.value = await createShareableProfilesUrl(profilesData, domain, expires, { ...limits, recipients });
+          } else {
+            urlField.value = await createShareableUrl(sharedCookies, domain, expires, { ...limits, recipients });
+          }
+        } catch (error) {
+          console.error('Error creating URL for teammates:', error);
+          urlField.value = "Error creating encrypted URL";
+        }
+        return;
+      }
       
       // Check if sharing profiles or cookies
-      if (shareProfilesCheckbox.checked && profileSelector.value) {
+      if (sharingProfiles) {
         // Show "generating..." while preparing
         urlField.value = "Generating URL...";
         
-        // Get the selected profile or all profiles
-        let profilesData = {};
-        if (profileSelector.value === 'all') {
-          profilesData = profiles;
-        } else {
-          const profileName = profileSelector.value;
-          profilesData = { [profileName]: profiles[profileName] };
-        }
-        
         try {
           if (encryptCheckbox.checked && passwordField.value) {
             // Generate URL with encryption
             const shareUrl = await createShareableProfilesUrl(profilesData, domain, expires, {
+              ...limits,
               encrypted: true,
               password: passwordField.value
             });
             urlField.value = shareUrl;
           } else {
             // Standard non-encrypted URL
-            const shareUrl = await createShareableProfilesUrl(profilesData, domain, expires);
+            const shareUrl = await createShareableProfilesUrl(profilesData, domain, expires, limits);
             urlField.value = shareUrl;
           }
         } catch (error) {
@@ -6661,7 +7842,8 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
           
           try {
             // Generate URL with encryption
-            const shareUrl = await createShareableUrl(cookies, domain, expires, {
+            const shareUrl = await createShareableUrl(sharedCookies, domain, expires, {
+              ...limits,
               encrypted: true,
               password: passwordField.value
             });
@@ -6670,9 +7852,9 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
             console.error('Error creating encrypted URL:', error);
             urlField.value = "Error creating encrypted URL";
           }
-                    } else {
+        } else {
           // Standard non-encrypted URL
-          const shareUrl = await createShareableUrl(cookies, domain, expires);
+          const shareUrl = await createShareableUrl(sharedCookies, domain, expires, limits);
           urlField.value = shareUrl;
         }
       }
@@ -6719,6 +7901,8 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     // Toggle password field visibility
     encryptCheckbox.addEventListener('change', function() {
       if (this.checked) {
+        recipientsCheckbox.checked = false;
+        recipientsContainer.style.display = 'none';
         passwordContainer.style.display = 'block';
         passwordField.focus();
                             } else {
@@ -6729,6 +7913,22 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       updateShareUrl();
     });
     
+    // Toggle the teammate list, only one kind of encryption at a time
+    recipientsCheckbox.addEventListener('change', function() {
+      if (this.checked) {
+        encryptCheckbox.checked = false;
+        passwordContainer.style.display = 'none';
+        recipientsContainer.style.display = 'block';
+      } else {
+        recipientsContainer.style.display = 'none';
+      }
+      
+      updateShareUrl();
+    });
+    
+    // Update URL when teammates are checked or unchecked
+    recipientList.addEventListener('change', updateShareUrl);
+    
     // Toggle profile selector visibility when checkbox is clicked
     shareProfilesCheckbox.addEventListener('change', function() {
       if (this.checked) {
@@ -6744,6 +7944,22 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     // Update URL when profile selection changes
     profileSelector.addEventListener('change', updateShareUrl);
     
+    // Custom lifetimes are entered in hours
+    expirySelector.addEventListener('change', () => {
+      expiryHoursField.style.display = expirySelector.value === 'custom' ? 'block' : 'none';
+      if (expirySelector.value === 'custom') {
+        expiryHoursField.focus();
+      }
+      updateShareUrl();
+    });
+    expiryHoursField.addEventListener('input', updateShareUrl);
+    
+    // Update URL when the shared cookies or the import limits change
+    cookieFilterField.addEventListener('input', updateShareUrl);
+    [selectedOnlyCheckbox, singleUseCheckbox, requireHostCheckbox, signCheckbox].forEach(checkbox => {
+      checkbox.addEventListener('change', updateShareUrl);
+    });
+    
     // Set initial URL
     updateShareUrl();
     
@@ -6810,7 +8026,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     
     // First check if we have permission to access this domain
     permissionHandler.checkPermissions(cookieHandler.currentTab.url)
-      .then(hasPermission => {
+      .then(async hasPermission => {
         // Only proceed if we have permission for this domain
         if (!hasPermission) {
           //console.log('No permission to check for shared cookies on this domain');
@@ -6820,7 +8036,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         //console.log('Checking for shared cookies in URL:', cookieHandler.currentTab.url);
         
         // Check if the URL contains shared cookies
-        const sharedData = extractSharedCookiesFromUrl(cookieHandler.currentTab.url);
+        const sharedData = await extractSharedCookiesFromUrl(cookieHandler.currentTab.url, shareIdentity);
         
         if (!sharedData) {
           //console.log('No shared cookies found in URL');
@@ -6895,12 +8111,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
                 }
                 
                 // Show import confirmation dialog
-                showImportDialog({
-                  cookies,
-                  domain,
-                  expires: decryptedData.e,
-                  timestamp: decryptedData.t
-                });
+                showImportDialog(decryptedData);
               }
               
               // Clear the URL hash
@@ -7032,12 +8243,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
           }
           
           // Show import confirmation dialog
-          showImportDialog({
-            cookies,
-            domain,
-            expires: decryptedData.e,
-            timestamp: decryptedData.t
-          });
+          showImportDialog(decryptedData);
         }
       } else if (pendingData.type === 'profiles') {
         // Handle non-encrypted profiles
@@ -7064,12 +8270,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
         }
         
         // Show import confirmation dialog
-        showImportDialog({
-          cookies,
-          domain,
-          expires: pendingData.e,
-          timestamp: pendingData.t
-        });
+        showImportDialog(pendingData);
       }
       
       // Clear the URL hash
@@ -7081,11 +8282,60 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     }
   }
   
+  /**
+   * Checks the import limits of shared data from the current tab, and drops
+   * the shared data when it can't be imported.
+   * @param {Object} sharedData - The wrapper of the shared data
+   * @return {Promise<boolean>} Whether the import can go on
+   */
+  async function checkShareLimits(sharedData) {
+    const refusal = await shareLimits.check(sharedData, cookieHandler.currentTab?.url || '');
+    if (!refusal) {
+      return true;
+    }
+    sendNotification(refusal, true);
+    removeHashFromUrl();
+    browserDetector.getApi().storage.local.remove('pendingSharedData');
+    clearBadge();
+    sharedDataProcessingInProgress = false;
+    return false;
+  }
+  
+  /**
+   * Shows who signed shared data in an import dialog.
+   * @param {Element} element - Element showing the signature
+   * @param {Object} sharedData - The wrapper of the shared data
+   * @return {Promise<boolean>} False when the signature is invalid, the data
+   *     was changed after being shared and must not be imported
+   */
+  async function showShareSignature(element, sharedData) {
+    if (sharedData.signatureStatus === 'invalid') {
+      element.textContent = 'Signature invalid: this link was changed after being shared, it can\'t be imported.';
+      element.className = 'share-signature invalid';
+      return false;
+    }
+    if (sharedData.signatureStatus === 'valid') {
+      const contact = await shareIdentity.findContactBySigningKey(sharedData.k);
+      element.textContent = contact
+        ? `Signed by ${contact.name}`
+        : 'Signed with a key that isn\'t in your teammates';
+      element.className = `share-signature ${contact ? 'valid' : 'unknown'}`;
+      return true;
+    }
+    element.textContent = 'Unsigned: anyone could have changed this link';
+    element.className = 'share-signature unsigned';
+    return true;
+  }
+  
   /**
    * Shows a dialog to confirm profile import
    * @param {Object} sharedData - The shared profile data
    */
-  function showImportProfilesDialog(sharedData) {
+  async function showImportProfilesDialog(sharedData) {
+    if (!(await checkShareLimits(sharedData))) {
+      return;
+    }
+    
     // Clone the template
     const template = document.importNode(
       document.getElementById('tmp-import-confirm').content,
@@ -7123,6 +8373,12 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     } else {
       cookieExpiryElement.textContent = formatExpiration(sharedData.e);
     }
+    if (sharedData.i) {
+      cookieExpiryElement.textContent += ' · Can only be imported once';
+    }
+    const signatureValid = await showShareSignature(template.querySelector('#share-signature'), sharedData);
+    mergeButton.disabled = !signatureValid;
+    overwriteButton.disabled = !signatureValid;
     
     // Update option descriptions
     importOptions.innerHTML = `
@@ -7142,12 +8398,14 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     
     mergeButton.addEventListener('click', async () => {
       dialogElement.remove();
+      await shareLimits.markUsed(sharedData);
       await importSharedProfiles(sharedData, false);
       sharedDataProcessingInProgress = false;
     });
     
     overwriteButton.addEventListener('click', async () => {
       dialogElement.remove();
+      await shareLimits.markUsed(sharedData);
       await importSharedProfiles(sharedData, true);
       sharedDataProcessingInProgress = false;
     });
@@ -7187,7 +8445,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       allProfiles[domain] = mergedProfiles;
       
       // Save back to storage
-      await storageHandler.setLocal(profileManager.profileStorageKey, allProfiles);
+      await profileManager.saveAllProfiles(allProfiles);
       
       // Update UI
       await updateProfileSelector(domain);
@@ -7475,7 +8733,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
    * Shows the dialog to confirm importing shared cookies.
    * @param {object} sharedData - The decoded cookie data
    */
-  function showImportDialog(sharedData) {
+  async function showImportDialog(sharedData) {
     // Check if a dialog is already open
     if (document.querySelector('.share-dialog')) {
       return;
@@ -7491,6 +8749,10 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       return;
     }
     
+    if (!(await checkShareLimits({ ...sharedData, d: domain }))) {
+      return;
+    }
+    
     // Clone the template
     const template = document.importNode(
       document.getElementById('tmp-import-confirm').content,
@@ -7516,6 +8778,12 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     domainSpan.textContent = domain;
     cookieCount.textContent = `${cookies.length} cookie${cookies.length !== 1 ? 's' : ''}`;
     cookieExpiry.textContent = formatExpiration(expires);
+    if (sharedData.i) {
+      cookieExpiry.textContent += ' · Can only be imported once';
+    }
+    const signatureValid = await showShareSignature(template.querySelector('#share-signature'), sharedData);
+    mergeButton.disabled = !signatureValid;
+    overwriteButton.disabled = !signatureValid;
     
     // Cancel button
     cancelButton.addEventListener('click', () => {
@@ -7529,6 +8797,8 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     
     // Merge button - just add cookies without removing existing ones
     mergeButton.addEventListener('click', async () => {
+      await shareLimits.markUsed(sharedData);
+      
       // Import each cookie without removing existing ones
       let errorCount = 0;
       for (const cookie of cookies) {
@@ -7572,6 +8842,8 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     
     // Overwrite button - delete all existing cookies and add the new ones
     overwriteButton.addEventListener('click', async () => {
+      await shareLimits.markUsed(sharedData);
+      
       try {
         // First delete all existing cookies for the domain
         await deleteAllCookiesForDomain(domain);
@@ -7709,6 +8981,16 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
       // Initialize button states
       updateHistoryButtons();
     }
+
+    const journalButton = document.getElementById('history-journal-button');
+    if (journalButton) {
+      journalButton.addEventListener('click', showHistoryJournalDialog);
+      historyHandler.onJournalChange(() => {
+        if (document.getElementById('history-journal-dialog')) {
+          renderHistoryJournal();
+        }
+      });
+    }
   }
   
   /**
@@ -7778,6 +9060,144 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     }
   }
 
+  /**
+   * Shows the dialog listing the persistent history journal
+   */
+  function showHistoryJournalDialog() {
+    if (document.getElementById('history-journal-dialog')) {
+      return;
+    }
+
+    const template = document.importNode(
+      document.getElementById('tmp-history-journal').content,
+      true
+    );
+    const dialog = template.querySelector('#history-journal-dialog');
+    document.body.appendChild(dialog);
+
+    const searchInput = dialog.querySelector('#history-journal-search');
+    searchInput.addEventListener('input', () => renderHistoryJournal());
+    dialog.querySelector('#history-journal-close-x').addEventListener('click', closeHistoryJournalDialog);
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) {
+        closeHistoryJournalDialog();
+      }
+    });
+    document.addEventListener('keydown', handleHistoryJournalEscapeKey);
+
+    renderHistoryJournal();
+
+    setTimeout(() => {
+      dialog.classList.add('visible');
+      searchInput.focus();
+    }, 10);
+  }
+
+  /**
+   * Closes the history journal dialog
+   */
+  function closeHistoryJournalDialog() {
+    const dialog = document.getElementById('history-journal-dialog');
+    if (dialog) {
+      document.removeEventListener('keydown', handleHistoryJournalEscapeKey);
+      dialog.classList.remove('visible');
+      setTimeout(() => {
+        if (dialog.parentNode) {
+          dialog.parentNode.removeChild(dialog);
+        }
+      }, 300);
+    }
+  }
+
+  /**
+   * Closes the history journal dialog when escape is pressed
+   * @param {KeyboardEvent} e Keyboard event
+   */
+  function handleHistoryJournalEscapeKey(e) {
+    if (e.key === 'Escape') {
+      closeHistoryJournalDialog();
+    }
+  }
+
+  /**
+   * Renders the journal entries matching the search field
+   */
+  async function renderHistoryJournal() {
+    const dialog = document.getElementById('history-journal-dialog');
+    if (!dialog) return;
+
+    const list = dialog.querySelector('#history-journal-list');
+    const emptyMessage = dialog.querySelector('#history-journal-empty');
+    const entries = await historyHandler.searchJournal(dialog.querySelector('#history-journal-search').value);
+
+    list.innerHTML = '';
+    emptyMessage.hidden = entries.length > 0;
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'history-journal-entry';
+      item.classList.toggle('undone', entry.undone);
+
+      const info = document.createElement('div');
+      info.className = 'history-journal-info';
+
+      const operation = document.createElement('span');
+      operation.className = 'history-journal-operation';
+      operation.textContent = HistoryJournal.getOperationLabel(entry.type);
+
+      const domain = document.createElement('span');
+      domain.className = 'history-journal-domain';
+      domain.textContent = entry.domain;
+
+      const names = HistoryJournal.getCookieNames(entry);
+      const meta = document.createElement('span');
+      meta.className = 'history-journal-meta';
+      meta.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${names.length} cookie${names.length === 1 ? '' : 's'}`;
+      meta.title = names.join(', ');
+
+      info.append(operation, domain, meta);
+
+      const undoButton = document.createElement('button');
+      undoButton.type = 'button';
+      undoButton.className = 'browser-style history-journal-undo';
+      undoButton.textContent = entry.undone ? 'Undone' : 'Undo';
+      undoButton.disabled = entry.undone;
+      undoButton.addEventListener('click', () => undoHistoryJournalEntry(entry.id, undoButton));
+
+      item.append(info, undoButton);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Undoes a journal entry and refreshes the cookie list
+   * @param {string} entryId ID of the journal entry
+   * @param {HTMLButtonElement} button Button that triggered the undo
+   */
+  function undoHistoryJournalEntry(entryId, button) {
+    if (disableButtons) return;
+    disableButtons = true;
+    button.disabled = true;
+
+    historyHandler.undoJournalEntry(entryId, (entry) => {
+      if (entry) {
+        cookieCache.clear();
+        if (selectedDomain) {
+          showCookiesForSelectedDomain(true);
+        } else {
+          showCookiesForTab();
+        }
+        sendNotification('Operation undone', false);
+      } else {
+        button.disabled = false;
+        sendNotification('Failed to undo operation', true);
+      }
+
+      disableButtons = false;
+      renderHistoryJournal();
+    });
+  }
+
   document.addEventListener('click', function(e) {
     if (!document.querySelector('#main-menu-button').contains(e.target) &&
         !document.querySelector('#main-menu-content').contains(e.target)) {
@@ -7972,7 +9392,7 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     
     cookies.forEach(cookie => {
       const id = Cookie.hashCode(cookie);
-      loadedCookies[id] = new Cookie(id, cookie, optionHandler);
+      loadedCookies[id] = new Cookie(id, cookie, optionHandler, cookieProtection, cookiePins);
       ul.appendChild(loadedCookies[id].html);
     });
     // Animate
@@ -8214,6 +9634,8 @@ import { extractSharedCookiesFromUrl, formatExpiration } from '../lib/sharing/co
     window.getDomainFromUrl = getDomainFromUrl;
     window.sendNotification = sendNotification;
     window.cookieHandler = cookieHandler;
+    window.cookieProtection = cookieProtection;
+    window.cookiePins = cookiePins;
     window.selectedDomain = selectedDomain;
   }
   
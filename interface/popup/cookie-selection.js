@@ -1055,6 +1055,8 @@
     const selectedCookieElements = [];
     const cookieElements = document.querySelectorAll('li.cookie');
     const cookiesToDeleteDetails = []; // Store details for deletion
+    let protectedCount = 0; // Selected cookies kept because they are protected
+    let pinnedCount = 0; // Selected cookies kept because they would be set again
   
     for (const cookieElement of cookieElements) {
       const cookieName = cookieElement.dataset.name;
@@ -1107,7 +1109,11 @@
         }
         // --- End Revised Data Retrieval Logic ---
 
-        if (cookieData) {
+        if (cookieData && window.cookieProtection && window.cookieProtection.isProtected(cookieData)) {
+            protectedCount++;
+        } else if (cookieData && window.cookiePins && window.cookiePins.isPinned(cookieData)) {
+            pinnedCount++;
+        } else if (cookieData) {
             // --- Fix for URL construction ---
             // The chrome.cookies.remove API requires a valid URL.
             // Cookie domains starting with '.' are valid for cookies but not for URLs.
@@ -1128,6 +1134,7 @@
                    url: url,
                    name: cookieData.name,
                    storeId: cookieData.storeId,
+                   partitionKey: cookieData.partitionKey,
                    // Store element reference for potential direct UI removal later
                    element: cookieElement 
                  });
@@ -1143,7 +1150,12 @@
         console.log("No cookies found with sufficient details for direct deletion.");
         // Notify the user
          if (window.sendNotification) {
-             window.sendNotification('Could not find details for selected cookies. Deletion aborted.', true);
+             window.sendNotification(
+               protectedCount || pinnedCount
+                 ? 'The selected cookies are protected or pinned. Deletion aborted.'
+                 : 'Could not find details for selected cookies. Deletion aborted.',
+               true,
+             );
          }
         // Clear selection visually even if we can't delete
     selectedCookies.clear();
@@ -1213,7 +1225,7 @@
                         console.warn(`cookieHandler.removeCookie failed for: ${details.name} at ${details.url}`);
                         resolve(false);
                     }
-                });
+                }, false, details.partitionKey);
             } else {
                 // Fallback to direct API call if handler is not found (shouldn't happen ideally)
                 console.warn('window.cookieHandler.removeCookie not found, falling back to direct chrome.cookies.remove');
@@ -1258,6 +1270,12 @@
         if (failedCount > 0) {
              message += ` Failed to delete ${failedCount} cookie${failedCount > 1 ? 's' : ''}. Check console for details.`;
         }
+        if (protectedCount > 0) {
+             message += ` Kept ${protectedCount} protected cookie${protectedCount > 1 ? 's' : ''}.`;
+        }
+        if (pinnedCount > 0) {
+             message += ` Kept ${pinnedCount} pinned cookie${pinnedCount > 1 ? 's' : ''}.`;
+        }
         // If nothing was processed (edge case, shouldn't happen if initial check passes)
         if (deletedCount === 0 && failedCount === 0 && cookiesToDeleteDetails.length > 0) {
             message = 'Attempted to delete cookies, but encountered issues. Check console.';
@@ -115,7 +115,7 @@ export class CookieHandlerPopup extends GenericCookieHandler {
       // 3. The change is relevant (not just a same-value update)
       if (
         this.currentTab.url.indexOf(domain) !== -1 &&
-        changeInfo.cookie.storeId === (this.currentTab.cookieStoreId || '0') &&
+        changeInfo.cookie.storeId === (this.getActiveStoreId() || '0') &&
         (changeInfo.cause === 'explicit' || changeInfo.removed)
       ) {
         // Create a unique timestamp for this change